@@ -0,0 +1,136 @@
+// accessibility.js
+// Bedienung per Tastatur und Screenreader:
+// - Kacheln und Tabellenzeilen sind fokussierbar und öffnen mit Enter/Leertaste den Inspektor.
+// - Die Status-LED trägt ein Symbol und einen Text (nicht nur die Farbe).
+// - Eine Live-Region sagt an, wenn ein Fahrzeug verloren geht.
+// - Dialoge (.modal) fangen den Fokus, schließen mit Escape und geben den Fokus
+//   beim Schließen an das auslösende Element zurück.
+//
+// Die Dialoge werden über ihre Klasse 'modal-hidden' beobachtet, damit die Module,
+// die sie öffnen und schließen, nichts davon wissen müssen. Rollen und Titel der
+// Dialoge stehen statisch in index.html (role="dialog", aria-labelledby).
+
+import { t } from './i18n.js';
+
+const FOCUSABLE = [
+    'a[href]', 'button:not([disabled])', 'input:not([disabled]):not([type="hidden"])',
+    'select:not([disabled])', 'textarea:not([disabled])', 'iframe', '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+const MAX_ANNOUNCEMENTS = 5; // Ältere Ansagen werden aus der Live-Region entfernt
+
+const openDialogs = []; // [{ dialog, returnFocus }], zuletzt geöffneter Dialog zuletzt
+let liveRegion = null;
+
+/**
+ * Richtet Live-Region und Dialog-Verhalten ein (aus app.js beim Start).
+ */
+export function initAccessibility() {
+    liveRegion = document.getElementById('a11y-announcer');
+
+    const observer = new MutationObserver(records => {
+        for (const { target } of records) {
+            if (target.classList.contains('modal-hidden')) dialogClosed(target);
+            else dialogOpened(target);
+        }
+    });
+    for (const dialog of document.querySelectorAll('.modal')) {
+        observer.observe(dialog, { attributes: true, attributeFilter: ['class'] });
+    }
+    document.addEventListener('keydown', handleDialogKeys);
+}
+
+/**
+ * Macht ein Element per Tastatur bedienbar (Tab-Reihenfolge, Enter und Leertaste).
+ * @param {HTMLElement} element
+ * @param {function} onActivate - Wie beim Klick.
+ */
+export function makeActivatable(element, onActivate) {
+    element.tabIndex = 0;
+    element.addEventListener('keydown', (event) => {
+        if (event.target !== element || (event.key !== 'Enter' && event.key !== ' ')) return;
+        event.preventDefault(); // Leertaste würde sonst scrollen
+        onActivate();
+    });
+}
+
+/**
+ * Setzt Farbe, Symbol (per CSS) und Text einer Status-LED.
+ * @param {HTMLElement} led - Element mit role="img".
+ * @param {string} status - 'green', 'yellow', 'red' oder 'absent'.
+ */
+export function renderStatusLed(led, status) {
+    led.className = `led led-${status}`;
+    const label = t(`status.${status}`);
+    if (led.title === label) return;
+    led.title = label;
+    led.setAttribute('aria-label', label);
+}
+
+/**
+ * Gibt eine Meldung über die Live-Region an Screenreader weiter.
+ * @param {string} message
+ */
+export function announce(message) {
+    if (!liveRegion) return;
+    const entry = document.createElement('p');
+    entry.textContent = message;
+    liveRegion.appendChild(entry);
+    while (liveRegion.childElementCount > MAX_ANNOUNCEMENTS) liveRegion.firstElementChild.remove();
+}
+
+// --- Dialoge ---
+
+function dialogOpened(dialog) {
+    if (openDialogs.some(entry => entry.dialog === dialog)) return;
+    openDialogs.push({ dialog: dialog, returnFocus: document.activeElement });
+    const focusable = focusableElements(dialog);
+    const first = focusable.find(element => !element.classList.contains('modal-close')) || focusable[0];
+    if (first) first.focus();
+}
+
+function dialogClosed(dialog) {
+    const index = openDialogs.findIndex(entry => entry.dialog === dialog);
+    if (index === -1) return;
+    const [{ returnFocus }] = openDialogs.splice(index, 1);
+    // Fokus nur zurückgeben, wenn er noch im Dialog lag (nicht z.B. in einem anderen Dialog)
+    if (dialog.contains(document.activeElement) || document.activeElement === document.body) {
+        if (returnFocus && returnFocus.isConnected) returnFocus.focus();
+    }
+}
+
+/**
+ * Escape schließt den obersten Dialog (über dessen Schließen-Button, damit das
+ * zuständige Modul aufräumt), Tab bleibt innerhalb des Dialogs.
+ * @param {KeyboardEvent} event
+ */
+function handleDialogKeys(event) {
+    const top = openDialogs[openDialogs.length - 1];
+    if (!top) return;
+
+    if (event.key === 'Escape') {
+        const btnClose = top.dialog.querySelector('.modal-close');
+        if (btnClose) {
+            event.preventDefault();
+            btnClose.click();
+        }
+        return;
+    }
+    if (event.key !== 'Tab') return;
+
+    const focusable = focusableElements(top.dialog);
+    if (focusable.length === 0) return;
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const inside = top.dialog.contains(document.activeElement);
+    if (event.shiftKey && (document.activeElement === first || !inside)) {
+        event.preventDefault();
+        last.focus();
+    } else if (!event.shiftKey && (document.activeElement === last || !inside)) {
+        event.preventDefault();
+        first.focus();
+    }
+}
+
+function focusableElements(dialog) {
+    return [...dialog.querySelectorAll(FOCUSABLE)].filter(element => !element.closest('[hidden]'));
+}
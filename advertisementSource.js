@@ -0,0 +1,129 @@
+// advertisementSource.js
+// Austauschbare Quellen für BLE-Advertisements.
+// Jede Quelle liefert Events im Format von 'advertisementreceived'
+// ({ device, rssi, serviceData, manufacturerData, ... }) an denselben
+// Callback (in app.js: 'handleAdvertisement'). Damit laufen echte Scans
+// und z.B. der Simulator durch exakt denselben Verarbeitungspfad.
+//
+// Schnittstelle einer Quelle:
+//   name                                        - Anzeigename für Logs
+//   active                                      - true, solange die Quelle Events liefert
+//   async start({ filters, scanOptions, onAdvertisement })
+//   stop()
+//   recordable (optional)                       - false = nicht aufzeichnen, Registry nicht pflegen
+//   supervised (optional)                       - false = kein Watchdog/Neustart (siehe scanManager.js)
+//   async getGattDevice(deviceId, profile) (opt.) - Gerät für die GATT-Diagnose (siehe gattClient.js)
+
+import { CONFIG } from './config.js';
+import { createSimulatorSource, createBenchmarkSource } from './simulator.js';
+import { createRelaySource } from './scannerBridge.js';
+import { buildScanFilter } from './profiles.js';
+import { getOptionalServices } from './gattClient.js';
+import { t } from './i18n.js';
+
+// Registry: Name -> Factory-Funktion (erhält CONFIG, liefert eine Quelle)
+const sourceFactories = new Map();
+
+/**
+ * Registriert eine neue Quelle unter einem Namen.
+ * @param {string} name - z.B. 'bluetooth', 'simulator'.
+ * @param {function} factory - (config) => Quelle.
+ */
+export function registerAdvertisementSource(name, factory) {
+    sourceFactories.set(name, factory);
+}
+
+/**
+ * Ermittelt, welche Quelle verwendet werden soll.
+ * Der URL-Parameter '?source=...' hat Vorrang vor CONFIG.SCAN_SOURCE.
+ * @returns {string}
+ */
+export function getConfiguredSourceName() {
+    const params = new URLSearchParams(window.location.search);
+    return params.get('source') || CONFIG.SCAN_SOURCE || 'bluetooth';
+}
+
+/**
+ * Erstellt die Quelle mit dem angegebenen Namen.
+ * @param {string} name
+ * @returns {object} - Die Quelle (siehe Schnittstelle oben).
+ */
+export function createAdvertisementSource(name) {
+    const factory = sourceFactories.get(name);
+    if (!factory) {
+        throw new Error(t('source.unknown', { name: name, available: [...sourceFactories.keys()].join(', ') }));
+    }
+    return factory(CONFIG);
+}
+
+/**
+ * Quelle für echte Scans über die Web Bluetooth API (requestLEScan).
+ * @returns {object}
+ */
+function createBluetoothSource() {
+    let scan = null; // Hält die Referenz zum aktiven Web Bluetooth Scan-Objekt
+    let listener = null;
+
+    return {
+        name: "Web Bluetooth",
+
+        get active() {
+            return Boolean(scan && scan.active);
+        },
+
+        async start({ filters, scanOptions, onAdvertisement }) {
+            // Prüfen, ob Web Bluetooth überhaupt verfügbar ist.
+            if (!navigator.bluetooth) {
+                throw new Error(`${t('source.bluetoothUnavailable')} ${t('source.bluetoothHint')}`);
+            }
+
+            scan = await navigator.bluetooth.requestLEScan({ ...scanOptions, filters: filters });
+
+            // Event-Listener für empfangene Pakete registrieren
+            listener = onAdvertisement;
+            navigator.bluetooth.addEventListener('advertisementreceived', listener);
+        },
+
+        stop() {
+            if (scan) scan.stop();
+            // Listener wieder entfernen, damit ein Neustart keine doppelten Events erzeugt
+            if (listener) navigator.bluetooth.removeEventListener('advertisementreceived', listener);
+            scan = null;
+            listener = null;
+        },
+
+        /**
+         * Liefert das BluetoothDevice für eine GATT-Verbindung. Bereits freigegebene
+         * Geräte kommen ohne Rückfrage aus getDevices(), sonst wählt der Benutzer
+         * das Fahrzeug im Auswahldialog des Browsers (muss aus einem Klick heraus
+         * aufgerufen werden).
+         * @param {string} deviceId
+         * @param {object} profile - Profil des Fahrzeugs (Filter und freizugebende Services).
+         * @returns {Promise<BluetoothDevice>}
+         */
+        async getGattDevice(deviceId, profile) {
+            if (!navigator.bluetooth) {
+                throw new Error(t('source.bluetoothUnavailable'));
+            }
+            if (navigator.bluetooth.getDevices) {
+                const known = (await navigator.bluetooth.getDevices()).find(device => device.id === deviceId);
+                if (known) return known;
+            }
+
+            const device = await navigator.bluetooth.requestDevice({
+                filters: [buildScanFilter(profile)],
+                optionalServices: getOptionalServices(profile)
+            });
+            if (device.id !== deviceId) {
+                throw new Error(t('source.otherDeviceChosen', { name: device.name || device.id }));
+            }
+            return device;
+        }
+    };
+}
+
+// Eingebaute Quellen registrieren
+registerAdvertisementSource('bluetooth', createBluetoothSource);
+registerAdvertisementSource('simulator', createSimulatorSource);
+registerAdvertisementSource('benchmark', createBenchmarkSource);
+registerAdvertisementSource('relay', createRelaySource);
@@ -0,0 +1,275 @@
+// alertEngine.js
+// Regel-Engine für Alarme (Fahrzeug verloren, schwaches Signal, Payload-Werte).
+// Die Regeln stehen in CONFIG.ALERT_RULES und werden vom Status-Ticker
+// ('updateAllAssetStatus' in app.js) für jedes Asset ausgewertet.
+//
+// Lebenszyklus eines Alarms (je Regel und Asset höchstens einer offen):
+//   active -> acknowledged (bestätigt, keine erneute Meldung)
+//   active -> snoozed (bis 'snoozedUntil', danach wieder active + erneute Meldung)
+//   * -> resolved (Bedingung nicht mehr erfüllt, wandert in die Historie)
+
+import { CONFIG } from './config.js';
+import { createLogger } from './errorManager.js';
+import { profileUsesDecoder } from './profiles.js';
+import { t } from './i18n.js';
+
+const { warn } = createLogger('alertEngine');
+
+const HISTORY_KEY = 'alert_history'; // localStorage: abgeschlossene Alarme
+
+const openAlerts = new Map(); // Key: `${ruleId}|${assetId}`, Value: Alarm-Objekt
+const conditionSince = new Map(); // Key wie oben: Beginn der erfüllten Bedingung (für "seit Y Sekunden")
+let history = loadHistory();
+const listeners = { raised: [], changed: [] };
+
+/**
+ * Registriert Callbacks für Alarm-Ereignisse.
+ * @param {string} type - 'raised' (neuer oder wieder fälliger Alarm) oder 'changed' (jede Änderung).
+ * @param {function} callback - Erhält den Alarm ('raised') bzw. nichts ('changed').
+ */
+export function onAlert(type, callback) {
+    listeners[type].push(callback);
+}
+
+function emit(type, alert) {
+    for (const callback of listeners[type]) {
+        try {
+            callback(alert);
+        } catch (e) {
+            warn(t('alerts.callbackFailed', { message: e.message }));
+        }
+    }
+}
+
+/**
+ * Prüft, ob eine Regel für ein Asset gilt (Geräte-ID, Profil oder Decoder des Profils).
+ * @param {object} rule
+ * @param {object} asset
+ * @returns {boolean}
+ */
+function ruleAppliesTo(rule, asset) {
+    const scope = rule.scope || {};
+    if (scope.deviceId && scope.deviceId !== asset.id) return false;
+    if (scope.profileName && scope.profileName !== asset.profileName) return false;
+    if (scope.decoder && !profileUsesDecoder(asset.profileName, scope.decoder)) return false;
+    return true;
+}
+
+/**
+ * Vergleicht zwei Werte mit einem Operator aus der Regel.
+ */
+function compare(actual, op, expected) {
+    switch (op) {
+        case '<': return actual < expected;
+        case '<=': return actual <= expected;
+        case '>': return actual > expected;
+        case '>=': return actual >= expected;
+        case '!=': return actual !== expected;
+        case '==':
+        default: return actual === expected;
+    }
+}
+
+/**
+ * Wertet die Bedingung einer Regel für ein Asset aus.
+ * @param {object} condition - Aus der Regel (type: notSeen | rssiBelow | payload).
+ * @param {object} asset
+ * @param {number} now - Zeitstempel in ms.
+ * @returns {boolean} - true, wenn die Bedingung (ohne Dauer) erfüllt ist.
+ */
+function evaluateCondition(condition, asset, now) {
+    switch (condition.type) {
+        case 'notSeen':
+            return now - asset.lastSeen.getTime() > condition.seconds * 1000;
+        case 'rssiBelow':
+            return asset.rssi < condition.dbm;
+        case 'payload': {
+            let actual;
+            if (condition.field) {
+                // Dekodiertes Feld (siehe PAYLOAD_DECODERS)
+                const field = asset.decoded.find(f => f.name === condition.field);
+                if (!field) return false;
+                actual = field.value;
+            } else {
+                // Rohes Byte, optional maskiert (z.B. ein einzelnes Fehler-Bit)
+                if (!asset.bytes || condition.byte >= asset.bytes.length) return false;
+                actual = asset.bytes[condition.byte];
+                if (typeof condition.mask === 'number') actual &= condition.mask;
+            }
+            return compare(actual, condition.op || '==', condition.value);
+        }
+        default:
+            return false;
+    }
+}
+
+/**
+ * Wertet alle Regeln für alle Assets aus. Wird vom Ticker aufgerufen.
+ * @param {Iterable<object>} assets - Werte aus 'detectedAssets'.
+ * @param {number} now - Zeitstempel in ms.
+ */
+export function evaluateAlerts(assets, now) {
+    let changed = false;
+
+    for (const asset of assets) {
+        for (const rule of CONFIG.ALERT_RULES) {
+            if (!ruleAppliesTo(rule, asset)) continue;
+            const key = `${rule.id}|${asset.id}`;
+
+            // Bedingung muss ggf. eine Mindestdauer lang erfüllt sein
+            let fulfilled = evaluateCondition(rule.condition, asset, now);
+            if (fulfilled) {
+                if (!conditionSince.has(key)) conditionSince.set(key, now);
+                const requiredMs = (rule.condition.forSeconds || 0) * 1000;
+                fulfilled = now - conditionSince.get(key) >= requiredMs;
+            } else {
+                conditionSince.delete(key);
+            }
+
+            const alert = openAlerts.get(key);
+            if (fulfilled && !alert) {
+                raise(key, rule, asset, now);
+                changed = true;
+            } else if (fulfilled && alert.state === 'snoozed' && now >= alert.snoozedUntil) {
+                // Schlummern abgelaufen, Bedingung besteht weiter -> erneut melden
+                alert.state = 'active';
+                alert.snoozedUntil = null;
+                emit('raised', alert);
+                changed = true;
+            } else if (!fulfilled && alert) {
+                resolve(key, alert, now);
+                changed = true;
+            }
+        }
+    }
+
+    if (changed) emit('changed');
+}
+
+function raise(key, rule, asset, now) {
+    const alert = {
+        key: key,
+        ruleId: rule.id,
+        ruleName: rule.nameKey ? t(rule.nameKey) : rule.name,
+        ruleNameKey: rule.nameKey || null,
+        severity: rule.severity || 'warning',
+        notify: rule.notify || ['banner'],
+        assetId: asset.id,
+        assetName: asset.name,
+        state: 'active',
+        raisedAt: now,
+        acknowledgedAt: null,
+        snoozedUntil: null,
+        resolvedAt: null
+    };
+    openAlerts.set(key, alert);
+    emit('raised', alert);
+}
+
+function resolve(key, alert, now) {
+    openAlerts.delete(key);
+    alert.resolvedAt = now;
+    alert.state = 'resolved';
+
+    history.unshift(alert);
+    history.length = Math.min(history.length, CONFIG.ALERTS.HISTORY_LENGTH);
+    saveHistory();
+}
+
+/**
+ * Bestätigt einen offenen Alarm (keine weiteren Meldungen bis zur Auflösung).
+ * @param {string} key
+ * @param {number} [now]
+ */
+export function acknowledgeAlert(key, now = Date.now()) {
+    const alert = openAlerts.get(key);
+    if (!alert) return;
+    alert.state = 'acknowledged';
+    alert.acknowledgedAt = now;
+    alert.snoozedUntil = null;
+    emit('changed');
+}
+
+/**
+ * Stellt einen offenen Alarm für eine Zeit stumm.
+ * @param {string} key
+ * @param {number} [durationMs] - Standard: CONFIG.ALERTS.SNOOZE_MS.
+ * @param {number} [now]
+ */
+export function snoozeAlert(key, durationMs = CONFIG.ALERTS.SNOOZE_MS, now = Date.now()) {
+    const alert = openAlerts.get(key);
+    if (!alert) return;
+    alert.state = 'snoozed';
+    alert.snoozedUntil = now + durationMs;
+    emit('changed');
+}
+
+/**
+ * Name der Regel eines Alarms in der aktuellen Sprache. Ältere Alarme aus der
+ * Historie haben nur den Namen, der beim Auslösen galt.
+ * @param {object} alert
+ * @returns {string}
+ */
+export function getRuleName(alert) {
+    return alert.ruleNameKey ? t(alert.ruleNameKey) : alert.ruleName;
+}
+
+/**
+ * @returns {Array<object>} - Offene Alarme, neueste zuerst.
+ */
+export function getOpenAlerts() {
+    return [...openAlerts.values()].sort((a, b) => b.raisedAt - a.raisedAt);
+}
+
+/**
+ * @returns {Array<object>} - Abgeschlossene Alarme, neueste zuerst.
+ */
+export function getAlertHistory() {
+    return history;
+}
+
+/**
+ * Gibt an, ob für ein Asset ein offener Alarm besteht.
+ * @param {string} assetId
+ * @returns {boolean}
+ */
+export function hasOpenAlert(assetId) {
+    for (const alert of openAlerts.values()) {
+        if (alert.assetId === assetId) return true;
+    }
+    return false;
+}
+
+/**
+ * Verwirft alle offenen Alarme ohne Historien-Eintrag (z.B. beim Zurücksetzen des Zustands).
+ */
+export function clearOpenAlerts() {
+    openAlerts.clear();
+    conditionSince.clear();
+    emit('changed');
+}
+
+/**
+ * Löscht die Alarm-Historie.
+ */
+export function clearAlertHistory() {
+    history = [];
+    saveHistory();
+    emit('changed');
+}
+
+function loadHistory() {
+    try {
+        return JSON.parse(localStorage.getItem(HISTORY_KEY)) || [];
+    } catch (e) {
+        return [];
+    }
+}
+
+function saveHistory() {
+    try {
+        localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
+    } catch (e) {
+        warn(t('alerts.historySaveFailed', { message: e.message }));
+    }
+}
@@ -0,0 +1,201 @@
+// alertPanel.js
+// Darstellung und Benachrichtigung für Alarme aus alertEngine.js:
+// In-App-Banner, Ton (Web Audio), Vibration, Browser-Benachrichtigung
+// (Notification API) sowie ein Dialog mit offenen Alarmen und Historie.
+
+import { CONFIG } from './config.js';
+import { createLogger } from './errorManager.js';
+import {
+    onAlert, acknowledgeAlert, snoozeAlert,
+    getOpenAlerts, getAlertHistory, clearAlertHistory, getRuleName
+} from './alertEngine.js';
+import { t, onLocaleChange, formatTime } from './i18n.js';
+
+const { log, warn } = createLogger('alertPanel');
+
+let audioContext = null; // Wird erst nach einer Benutzer-Geste erstellt (Autoplay-Regeln)
+let onAlertsChanged = () => {}; // Hook aus app.js (z.B. Kacheln markieren)
+
+// DOM-Referenzen
+let banner, bannerText, btnAlerts, alertsModal, openList, historyList;
+
+/**
+ * Initialisiert Banner, Alarm-Dialog und Benachrichtigungen.
+ * @param {object} hooks
+ * @param {function} hooks.onChange - Wird nach jeder Alarm-Änderung aufgerufen.
+ */
+export function initAlertPanel(hooks) {
+    onAlertsChanged = hooks.onChange;
+
+    banner = document.getElementById('alert-banner');
+    bannerText = document.getElementById('alert-banner-text');
+    btnAlerts = document.getElementById('btn-alerts');
+    alertsModal = document.getElementById('alerts-modal');
+    openList = document.getElementById('alerts-open-list');
+    historyList = document.getElementById('alerts-history-list');
+
+    btnAlerts.addEventListener('click', () => {
+        renderAlertLists();
+        alertsModal.classList.remove('modal-hidden');
+    });
+    document.getElementById('btn-close-alerts').addEventListener('click', () => alertsModal.classList.add('modal-hidden'));
+    document.getElementById('btn-alerts-notifications').addEventListener('click', requestNotificationPermission);
+    document.getElementById('btn-alerts-clear-history').addEventListener('click', clearAlertHistory);
+
+    // Banner-Aktionen beziehen sich auf den dort angezeigten Alarm
+    document.getElementById('btn-alert-ack').addEventListener('click', () => acknowledgeAlert(banner.dataset.alertKey));
+    document.getElementById('btn-alert-snooze').addEventListener('click', () => snoozeAlert(banner.dataset.alertKey));
+
+    // AudioContext erst bei der ersten Interaktion erstellen (Browser blockieren sonst den Ton)
+    document.addEventListener('click', unlockAudio, { once: true });
+
+    onAlert('raised', notify);
+    onAlert('changed', () => {
+        renderBanner();
+        renderAlertLists();
+        onAlertsChanged();
+    });
+    onLocaleChange(() => {
+        renderBanner();
+        renderAlertLists();
+    });
+    renderBanner();
+}
+
+/**
+ * Meldet einen neuen (oder wieder fälligen) Alarm über die Kanäle der Regel.
+ * @param {object} alert
+ */
+function notify(alert) {
+    const text = `${getRuleName(alert)}: ${alert.assetName} (${alert.assetId.substring(0, 8)}...)`;
+    if (alert.severity === 'critical') {
+        warn(t('alerts.raised', { text: text }));
+    } else {
+        log(t('alerts.raised', { text: text }));
+    }
+
+    if (alert.notify.includes('sound')) playAlertSound(alert.severity);
+    if (alert.notify.includes('vibrate') && navigator.vibrate) navigator.vibrate(CONFIG.ALERTS.VIBRATE_PATTERN);
+    if (alert.notify.includes('notification')) showBrowserNotification(alert, text);
+    // 'banner' wird über das 'changed'-Event in renderBanner dargestellt
+}
+
+function unlockAudio() {
+    const AudioCtx = window.AudioContext || window.webkitAudioContext;
+    if (!audioContext && AudioCtx) audioContext = new AudioCtx();
+}
+
+/**
+ * Spielt einen kurzen Warnton (kritisch: zwei hohe Töne).
+ * @param {string} severity
+ */
+function playAlertSound(severity) {
+    if (!audioContext) return;
+    const tones = severity === 'critical' ? [880, 880] : [660];
+    tones.forEach((frequency, i) => {
+        const start = audioContext.currentTime + i * 0.25;
+        const oscillator = audioContext.createOscillator();
+        const gain = audioContext.createGain();
+        oscillator.frequency.value = frequency;
+        gain.gain.setValueAtTime(0.2, start);
+        gain.gain.exponentialRampToValueAtTime(0.001, start + 0.2);
+        oscillator.connect(gain).connect(audioContext.destination);
+        oscillator.start(start);
+        oscillator.stop(start + 0.2);
+    });
+}
+
+function showBrowserNotification(alert, text) {
+    if (!('Notification' in window) || Notification.permission !== 'granted') return;
+    try {
+        // 'tag' ersetzt eine ältere Meldung für denselben Alarm statt zu stapeln
+        new Notification(CONFIG.APP_TITLE, { body: text, tag: alert.key });
+    } catch (e) {
+        // Android Chrome erlaubt 'new Notification' nur aus einem Service Worker
+        warn(t('alerts.notificationFailed', { message: e.message }));
+    }
+}
+
+async function requestNotificationPermission() {
+    if (!('Notification' in window)) {
+        warn(t('alerts.notificationsUnsupported'));
+        return;
+    }
+    const permission = await Notification.requestPermission();
+    log(t(permission === 'granted' ? 'alerts.notificationsGranted' : 'alerts.notificationsDenied'));
+}
+
+/**
+ * Zeigt den neuesten aktiven (nicht bestätigten/schlummernden) Alarm im Banner.
+ */
+function renderBanner() {
+    // Kritische Alarme zuerst, innerhalb gleicher Schwere der neueste
+    const active = getOpenAlerts()
+        .filter(a => a.state === 'active' && a.notify.includes('banner'))
+        .sort((a, b) => (b.severity === 'critical') - (a.severity === 'critical'));
+    const openCount = getOpenAlerts().length;
+
+    btnAlerts.textContent = openCount > 0 ? t('alerts.buttonCount', { count: openCount }) : t('alerts.button');
+    btnAlerts.classList.toggle('has-alerts', openCount > 0);
+
+    if (active.length === 0) {
+        banner.classList.add('banner-hidden');
+        delete banner.dataset.alertKey;
+        return;
+    }
+
+    const alert = active[0];
+    banner.dataset.alertKey = alert.key;
+    banner.className = `alert-${alert.severity}`;
+    const more = active.length > 1 ? ` (${t('alerts.more', { count: active.length - 1 })})` : '';
+    bannerText.textContent = `${getRuleName(alert)}: ${alert.assetName}${more}`;
+}
+
+/**
+ * Baut die Listen im Alarm-Dialog neu auf.
+ */
+function renderAlertLists() {
+    openList.replaceChildren(...getOpenAlerts().map(alert => {
+        const item = createAlertItem(alert);
+        if (alert.state !== 'acknowledged') {
+            const btnAck = document.createElement('button');
+            btnAck.className = 'btn-secondary';
+            btnAck.textContent = t('alerts.acknowledge');
+            btnAck.addEventListener('click', () => acknowledgeAlert(alert.key));
+            item.appendChild(btnAck);
+        }
+        if (alert.state === 'active') {
+            const btnSnooze = document.createElement('button');
+            btnSnooze.className = 'btn-secondary';
+            btnSnooze.textContent = t('alerts.snooze');
+            btnSnooze.addEventListener('click', () => snoozeAlert(alert.key));
+            item.appendChild(btnSnooze);
+        }
+        return item;
+    }));
+    if (!openList.hasChildNodes()) openList.appendChild(createEmptyItem(t('alerts.noneOpen')));
+
+    historyList.replaceChildren(...getAlertHistory().map(createAlertItem));
+    if (!historyList.hasChildNodes()) historyList.appendChild(createEmptyItem(t('alerts.noHistory')));
+}
+
+function createAlertItem(alert) {
+    const item = document.createElement('li');
+    item.className = `alert-item alert-${alert.severity}`;
+
+    const text = document.createElement('span');
+    let details = `${formatTime(alert.raisedAt)} · ${getRuleName(alert)} · ${alert.assetName} · ${t(`alerts.state.${alert.state}`)}`;
+    if (alert.state === 'snoozed') details += ` ${t('alerts.snoozedUntil', { time: formatTime(alert.snoozedUntil) })}`;
+    if (alert.resolvedAt) details += ` (${Math.round((alert.resolvedAt - alert.raisedAt) / 1000)}s)`;
+    text.textContent = details;
+
+    item.appendChild(text);
+    return item;
+}
+
+function createEmptyItem(message) {
+    const item = document.createElement('li');
+    item.className = 'session-empty';
+    item.textContent = message;
+    return item;
+}
@@ -11,19 +11,112 @@ import { initErrorManager, log, warn, error } from './errorManager.js';
 // CONFIG importieren, das alle unsere Einstellungen enthält.
 import { CONFIG } from './config.js';
 
+// Dekodiert Roh-Payloads anhand der Byte-Layouts aus CONFIG.PAYLOAD_DECODERS.
+import { resolveDecoder, decodePayload } from './payloadDecoder.js';
+
+// Austauschbare Paket-Quellen (Web Bluetooth, Simulator, ...).
+import { createAdvertisementSource, getConfiguredSourceName } from './advertisementSource.js';
+// Zustände des Scans, Watchdog und Neustarts (siehe scanManager.js)
+import { startScanSource, stopScanSource, getScanSource, getScanState, isScanRunning, isScanReceiving, onScanStateChange, initScanStateIndicator } from './scanManager.js';
+
+// Scanner-Verbund: Beobachtungen mit anderen Scannern austauschen (RSSI je Scanner).
+import { initScannerBridge, publishObservation, getLocalScanner, getKnownScanners, updateScannerReading, getBestScanner } from './scannerBridge.js';
+import { buildAdvertisementEvent } from './simulator.js';
+
+// Aufnahme und Wiedergabe von Scan-Sitzungen.
+import { isRecording, recordObservation, stopRecording } from './sessionRecorder.js';
+import { initSessionPanel } from './sessionPanel.js';
+
+// Export/Import des Flotten-Zustands (CSV/JSON).
+import { initDataPanel } from './fleetTransfer.js';
+
+// Alarm-Regeln (werden vom Status-Ticker ausgewertet) und ihre Anzeige.
+import { evaluateAlerts, hasOpenAlert, clearOpenAlerts, getOpenAlerts, getAlertHistory } from './alertEngine.js';
+import { initAlertPanel } from './alertPanel.js';
+
+// RSSI-Glättung und Verlaufsdiagramm im Inspektor.
+import { createRssiFilter, SMOOTHING_METHODS } from './rssiFilter.js';
+import { createDeviceStats, recordPacketStats, summarizeStats, formatStats } from './deviceStats.js';
+import { recordPayload, renderPayloadTimeline, onPayloadChange, formatPayloadChange } from './payloadTimeline.js';
+import { createShiftLog, recordShiftPacket, recordShiftChange, recordCoverage, resetCoverage, getCoverage } from './shiftReport.js';
+import { initShiftReportPanel } from './shiftReportPanel.js';
+import { drawRssiChart } from './rssiChart.js';
+
+// Entfernungsschätzung, Näherungszonen und Kalibrier-Assistent.
+import { getCalibration, estimateDistance, classifyZone } from './proximity.js';
+import { initCalibrationWizard, openCalibrationWizard, feedCalibrationSample } from './calibrationWizard.js';
+import { initGattPanel, showGattPanel, resetGattPanel } from './gattPanel.js';
+
+// Profile zur Laufzeit (config.js + lokale Änderungen aus dem Profil-Editor).
+import { getAllProfiles, getActiveProfiles, validateProfile, buildScanFilter, matchProfile } from './profiles.js';
+import { isBeaconType, parseBeacon, mergeFrameFields } from './beaconFormats.js';
+import { initProfileEditor } from './profileEditor.js';
+import { initDiagnosticsPanel, recordAccepted, recordRejected, resetDiagnostics } from './scanDiagnostics.js';
+
+// Geräte-Registry (Stammdaten je FTS) und ihr Formular im Inspektor.
+import { loadDeviceRegistry, onRegistryChange, getDevice, getAllDevices, updateDevice, recordSightings, deleteDevice } from './deviceRegistry.js';
+import { initDeviceDetails, fillDeviceDetails, readDeviceDetails, clearDeviceDetails } from './deviceDetails.js';
+
+// Sortieren, Filtern, Suchen und Gruppieren der Kacheln.
+import { initGridToolbar, getGridCriteria, matchesCriteria, sortItems, groupItems, updateGridCount } from './gridView.js';
+import { initTableView, addTableRow, updateTableRow, refreshTable, arrangeTable, setTableRowAlert, clearTable } from './tableView.js';
+import { initFloorMap, updateMapMarker, clearMapMarkers } from './floorMap.js';
+
+// Gebündeltes Zeichnen (höchstens einmal pro Frame) und Leistungsanzeige
+import { createRenderScheduler } from './renderScheduler.js';
+import { initMetricsOverlay } from './metricsOverlay.js';
+
+// Offline-Betrieb (Service Worker, Update-Banner) und Bildschirm-Sperre während des Scans
+import { initPwa } from './pwa.js';
+import { enableWakeLock, disableWakeLock } from './wakeLock.js';
+
+// Sprache der Oberfläche und sprachabhängige Formate
+import { t, initLocaleSelect, onLocaleChange, formatNumber, formatDateTime, formatRelativeTime } from './i18n.js';
+
+// Tastatur-Bedienung, Status als Text/Symbol, Ansagen und zugängliche Dialoge
+import { initAccessibility, makeActivatable, renderStatusLed, announce } from './accessibility.js';
+
 // 2. Globaler App-Zustand (State)
 // Wir verwenden eine Map für 'detectedAssets'.
 // Vorteil: O(1) Zugriff, Update und Prüfung (mit .has()),
 // was viel schneller ist als ein Array.find() bei vielen Geräten.
 // Key: device.id (string), Value: FtsAsset (object)
 const detectedAssets = new Map();
-let scan = null; // Hält die Referenz zum aktiven Web Bluetooth Scan-Objekt
+let scanSource = null; // Zuletzt gestartete Paket-Quelle (Lebenszyklus in scanManager.js)
 let tickerInterval = null; // Hält die Referenz zum UI-Update-Ticker (setInterval)
+// Bereits gemeldete Dekodier-Fehler (Profil + Meldung), damit die Konsole
+// bei jedem Paket nicht erneut mit demselben Fehler geflutet wird.
+const reportedDecodeErrors = new Set();
+// Gewähltes Glättungsverfahren (lokal gespeichert, sonst aus der Konfiguration)
+let smoothingMethod = localStorage.getItem('rssi_smoothing') || CONFIG.RSSI_SMOOTHING.METHOD;
+let chartWindowMs = CONFIG.RSSI_HISTORY.CHART_WINDOW_MS;
+let lastChartDraw = 0; // Zeitpunkt der letzten Diagramm-Aktualisierung (Drosselung)
+const CHART_REFRESH_MS = 250;
+// Verwerfungsgründe aus matchProfile in der Reihenfolge der Prüfungen
+const REJECTION_ORDER = ['no-data', 'name-prefix', 'data-prefix', 'beacon-id', 'rssi-floor'];
 
 // 3. DOM-Referenzen
 // Diese werden nach 'DOMContentLoaded' zugewiesen.
 let btnStartScan, cockpitGrid, modal, btnCloseModal, btnSaveName;
 let currentInspectedId = null; // Merkt sich, welches Asset (device.id) gerade im Modal geöffnet ist
+// Kacheln für bekannte Geräte, die in dieser Sitzung noch nicht gesehen wurden (Key: device.id)
+const absentTiles = new Map();
+let discoveryCounter = 0; // Laufende Nummer für die Sortierung "Entdeckung"
+let lastArrange = 0; // Zeitpunkt der letzten Neuanordnung des Cockpits
+const groupHeaders = new Map(); // Überschriften der Gruppen (Key: Gruppenname)
+// Aktive Ansicht des Cockpits: 'grid' (Kacheln), 'table' oder 'map' (Hallenplan; wird je Browser gemerkt)
+const COCKPIT_VIEWS = ['grid', 'table', 'map'];
+let cockpitView = COCKPIT_VIEWS.includes(localStorage.getItem('cockpit_view')) ? localStorage.getItem('cockpit_view') : 'grid';
+// Pakete ändern nur den Zustand und markieren das Asset; gezeichnet wird im nächsten Frame.
+// Neue Geräte werden erst nach dem Frame eingeordnet (ein 'arrangeGrid' pro Frame statt pro Gerät).
+let arrangePending = false;
+const renderScheduler = createRenderScheduler({
+    render: updateAssetView,
+    afterFlush: () => {
+        if (arrangePending) arrangeGrid();
+    },
+    mode: new URLSearchParams(window.location.search).get('render') || CONFIG.RENDERING.MODE
+});
 
 // 4. Initialisierung der App
 document.addEventListener('DOMContentLoaded', () => {
@@ -40,14 +133,85 @@ document.addEventListener('DOMContentLoaded', () => {
     // Titel aus der Konfiguration setzen
     document.getElementById('app-title').textContent = CONFIG.APP_TITLE;
 
+    // Sprachauswahl; statische Texte sind damit übersetzt, dynamische folgen über applyLocale
+    initLocaleSelect(document.getElementById('locale-select'));
+    onLocaleChange(applyLocale);
+    initAccessibility();
+
     // Event-Listener registrieren
     btnStartScan.addEventListener('click', toggleScan);
+    initScanStateIndicator();
+    onScanStateChange(renderScanButton);
+    renderScanButton(getScanState());
+    onScanStateChange(() => recordCoverage(isScanReceiving(), currentTime())); // Scan-Zeiten für den Schichtbericht
     btnCloseModal.addEventListener('click', hideInspectorModal);
-    btnSaveName.addEventListener('click', saveNickname);
+    btnSaveName.addEventListener('click', saveDeviceDetails);
+    document.getElementById('btn-forget-device').addEventListener('click', forgetDevice);
+    initDeviceDetails();
+    initChartControls();
+    initGridToolbar({ onChange: arrangeGrid });
+    initTableView({ onRowClick: showInspectorModal });
+    initFloorMap({
+        onSelect: showInspectorModal,
+        getScanners: getKnownScanners,
+        onChange: refreshMap
+    });
+    document.getElementById('cockpit-view').addEventListener('change', (event) => setCockpitView(event.target.value));
+    setCockpitView(cockpitView);
+
+    // Aufnahme-Button, Sitzungsliste und Wiedergabe-Leiste
+    initSessionPanel({
+        startSource: startScan,
+        stopScan: stopScan,
+        resetFleet: resetFleetState,
+        isScanning: isScanRunning
+    });
+
+    // Änderungen in überwachten Payload-Bytes protokollieren (CONFIG.PAYLOAD_TIMELINE.WATCHES)
+    onPayloadChange(logPayloadChange);
+
+    // Scanner-Verbund (Dialog "Scanner"); fremde Beobachtungen laufen durch handleAdvertisement
+    initScannerBridge({ onObservation: handleRemoteObservation });
+
+    // Export/Import-Dialog
+    initDataPanel({ getAssets: () => detectedAssets, now: currentTime });
+
+    // Schichtbericht (Dialog "Schichtbericht")
+    initShiftReportPanel({
+        getAssets: () => detectedAssets,
+        getAlerts: () => [...getOpenAlerts(), ...getAlertHistory()],
+        getCoverage: getCoverage,
+        now: currentTime
+    });
+
+    // Alarm-Banner und -Dialog; Kacheln mit offenem Alarm hervorheben
+    initAlertPanel({ onChange: markAlertTiles });
+
+    // Profil-Editor (Änderungen an den Filtern gelten ab dem nächsten Scan-Start)
+    initProfileEditor({ isScanning: isScanRunning });
+    initDiagnosticsPanel();
+    initMetricsOverlay({
+        getMetrics: () => renderScheduler.takeMetrics(),
+        getAssetCount: () => detectedAssets.size
+    });
+
+    // Kalibrier-Assistent (wird aus dem Inspektor geöffnet)
+    initCalibrationWizard({ onChange: refreshProximity });
+    document.getElementById('btn-calibrate').addEventListener('click', () => {
+        const asset = detectedAssets.get(currentInspectedId);
+        if (asset) openCalibrationWizard(asset);
+    });
+
+    // GATT-Diagnose im Inspektor (Verbindung über die laufende Quelle)
+    initGattPanel({ getSource: () => scanSource });
     
-    // Gespeicherte Nicknames aus dem localStorage laden (passiert im Hintergrund)
-    loadNicknames();
-    log("App initialisiert. Bereit für Scan.");
+    // Service Worker registrieren (App offline nutzbar, Hinweis bei neuer Version)
+    initPwa({ isScanning: isScanRunning });
+
+    // Geräte-Registry laden (im Hintergrund); bekannte Geräte erscheinen als Kacheln
+    onRegistryChange(applyRegistryChanges);
+    loadRegistry();
+    log(t('app.ready'));
 });
 
 /**
@@ -57,24 +221,13 @@ document.addEventListener('DOMContentLoaded', () => {
 async function toggleScan() {
     // Defensives Programmieren: Prüfen, ob der Button existiert
     if (!btnStartScan) {
-        error("Start-Button nicht gefunden.");
+        error(t('app.startButtonMissing'));
         return;
     }
 
-    if (scan && scan.active) {
+    if (isScanRunning()) {
         // --- Scan stoppen ---
-        try {
-            scan.stop();
-            log("Scan gestoppt.");
-            btnStartScan.textContent = "Scan starten";
-            btnStartScan.classList.remove('scanning');
-            
-            // Stoppt den UI-Ticker, um Ressourcen zu sparen
-            if (tickerInterval) clearInterval(tickerInterval);
-            tickerInterval = null;
-        } catch (e) {
-            error(`Fehler beim Stoppen des Scans: ${e.message}`);
-        }
+        stopScan();
     } else {
         // --- Scan starten ---
         await startScan();
@@ -82,157 +235,344 @@ async function toggleScan() {
 }
 
 /**
- * Baut die Filter-Optionen aus der config.js und startet den Web Bluetooth Scan.
+ * Passt den Scan-Button an den Zustand aus scanManager.js an.
+ * @param {object} scanState - { state, message, sourceName }
  */
-async function startScan() {
-    log("Bluetooth-Scan wird angefordert...");
-    
-    // Schritt 0: Prüfen, ob Web Bluetooth überhaupt verfügbar ist.
-    if (!navigator.bluetooth) {
-        error("Web Bluetooth API nicht auf diesem Gerät/Browser verfügbar. (HTTPS erforderlich?)");
-        return;
+function renderScanButton({ state }) {
+    const running = isScanRunning();
+    btnStartScan.textContent = t(running ? 'scan.stop' : state === 'error' ? 'scan.resume' : 'scan.start');
+    btnStartScan.classList.toggle('scanning', running);
+}
+
+/**
+ * Stoppt die aktive Quelle, den UI-Ticker und eine laufende Aufnahme.
+ * Die Quelle wird auch abgebaut, wenn der Browser den Scan bereits beendet hat.
+ */
+function stopScan() {
+    if (!getScanSource()) return;
+    try {
+        stopScanSource();
+        log(t('app.scanStopped'));
+        disableWakeLock();
+        
+        // Stoppt den UI-Ticker, um Ressourcen zu sparen
+        if (tickerInterval) clearInterval(tickerInterval);
+        tickerInterval = null;
+
+        // Eine Aufnahme endet mit dem Scan
+        if (isRecording()) stopRecording();
+
+        // Zuletzt gesehen/RSSI der Flotte in der Registry festhalten
+        if (scanSource.recordable !== false) saveSightings([...detectedAssets.values()]);
+    } catch (e) {
+        error(t('app.stopFailed', { message: e.message }));
     }
+}
 
-    // Schritt 1: Filter-Optionen dynamisch aus CONFIG.FTS_PROFILES erstellen
-    const filters = CONFIG.FTS_PROFILES.map(profile => {
-        if (profile.type === 'service') {
-            return { services: [profile.uuid] };
-        }
-        if (profile.type === 'manufacturer') {
-            // Das Format für manufacturerData ist [{ companyIdentifier: ID }]
-            return { manufacturerData: [{ companyIdentifier: profile.companyId }] };
+/**
+ * Baut die Filter-Optionen aus der config.js und startet den Scan
+ * über die konfigurierte Quelle (Web Bluetooth oder Simulator).
+ * @param {object} [source] - Optional eine bereits erstellte Quelle (z.B. Wiedergabe).
+ * @returns {Promise<boolean>} - true, wenn der Scan läuft (Fehler stehen bereits im Log).
+ */
+async function startScan(source = null) {
+    // Schritt 0: Quelle wählen (CONFIG.SCAN_SOURCE oder URL-Parameter ?source=)
+    try {
+        scanSource = source || createAdvertisementSource(getConfiguredSourceName());
+    } catch (e) {
+        error(e.message);
+        return false;
+    }
+    log(t('app.scanRequested', { source: scanSource.name }));
+
+    // Schritt 1: Profile prüfen und Filter-Optionen daraus erstellen.
+    // Ungültige Profile werden gemeldet und beim Scan nicht berücksichtigt.
+    for (const profile of getAllProfiles()) {
+        if (profile.enabled === false) continue;
+        const problems = validateProfile(profile);
+        if (problems.length > 0) {
+            warn(t('app.profileSkipped', { name: profile.profileName || profile.id, problems: problems.join(' ') }));
         }
-        warn(`Ungültiges Profil-Typ in config.js: ${profile.type}`);
-        return null; // Ungültiges Profil
-    }).filter(Boolean); // Entfernt alle 'null'-Einträge
+    }
+    const filters = getActiveProfiles().map(buildScanFilter);
 
     if (filters.length === 0) {
-        error("Keine gültigen FTS-Profile in config.js definiert. Scan kann nicht starten.");
-        return;
+        error(t('app.noProfiles'));
+        return false;
     }
 
-    log(`Scan startet mit ${filters.length} Filtern.`);
+    log(t('app.scanStarting', { count: filters.length }));
     
     try {
-        // Schritt 2: Scan anfordern
-        const scanOptions = {
-            ...CONFIG.SCAN_OPTIONS, // Lädt keepRepeatedDevices: true, etc.
-            filters: filters        // Fügt unsere dynamischen Filter hinzu
-        };
-        
-        scan = await navigator.bluetooth.requestLEScan(scanOptions);
-        
-        // Schritt 3: Event-Listener für empfangene Pakete registrieren
-        navigator.bluetooth.addEventListener('advertisementreceived', handleAdvertisement);
+        // Schritt 2 + 3: Scan anfordern und empfangene Pakete an 'handleAdvertisement' leiten.
+        // Die Quelle kombiniert CONFIG.SCAN_OPTIONS (keepRepeatedDevices etc.) mit den Filtern.
+        // Der scanManager überwacht die Quelle danach und startet sie bei Bedarf neu.
+        resetDiagnostics();
+        await startScanSource(scanSource, {
+            filters: filters,
+            scanOptions: CONFIG.SCAN_OPTIONS,
+            onAdvertisement: handleAdvertisement
+        });
+        log(t('app.scanActive'));
 
-        // UI aktualisieren
-        btnStartScan.textContent = "Scan läuft... (Stoppen)";
-        btnStartScan.classList.add('scanning');
-        log("Scan aktiv. Warte auf FTS-Pakete...");
+        // Display eingeschaltet lassen, sonst pausiert der Browser das Monitoring
+        if (CONFIG.WAKE_LOCK_DURING_SCAN) enableWakeLock();
 
         // Schritt 4: UI-Ticker starten, der LEDs und "Zuletzt gesehen" aktualisiert
         if (tickerInterval) clearInterval(tickerInterval);
         tickerInterval = setInterval(updateAllAssetStatus, CONFIG.TICKER_INTERVAL_MS);
+        return true;
 
     } catch (e) {
         // Häufigster Fehler: Benutzer bricht den Scan-Dialog ab ("AbortError")
         if (e.name === 'AbortError') {
-            warn("Scan-Anforderung vom Benutzer abgebrochen.");
+            warn(t('app.scanAborted'));
         } else {
-            error(`Scan fehlgeschlagen: ${e.message}`);
+            error(t('app.scanFailed', { message: e.message }));
         }
-        btnStartScan.textContent = "Scan starten";
-        btnStartScan.classList.remove('scanning');
+        return false;
     }
 }
 
+/**
+ * Verarbeitet eine Beobachtung eines anderen Scanners aus dem Verbund
+ * (siehe scannerBridge.js) wie ein eigenes Paket.
+ * @param {object} observation - { scannerId, scannerName, deviceId, deviceName, rssi, t, profile, bytes }
+ */
+function handleRemoteObservation(observation) {
+    // Nur während eines Scans. Quellen mit eigener Uhr (Wiedergabe) passen
+    // zeitlich nicht zu Live-Beobachtungen.
+    if (!isScanRunning() || scanSource.now) return;
+    const event = buildAdvertisementEvent({
+        id: observation.deviceId,
+        name: observation.deviceName,
+        rssi: observation.rssi,
+        profile: observation.profile,
+        bytes: observation.bytes
+    });
+    event.scanner = { id: observation.scannerId, name: observation.scannerName };
+    handleAdvertisement(event);
+}
+
 /**
  * Verarbeitet jedes empfangene BLE-Paket.
  * Dies ist die "heißeste" Funktion der App und muss performant sein.
  * @param {BluetoothLEAdvertisementEvent} event - Das Event-Objekt von der API.
+ *   Bei Paketen anderer Scanner zusätzlich 'scanner' ({ id, name }).
  */
 function handleAdvertisement(event) {
     const deviceId = event.device.id;
     const rssi = event.rssi;
-    const now = new Date(); // Zeitstempel der Erfassung
+    const now = new Date(currentTime()); // Zeitstempel der Erfassung (auch für fremde Pakete: lokale Uhr)
+    const remote = Boolean(event.scanner);
+    const scanner = event.scanner || getLocalScanner();
+    renderScheduler.notePacket();
 
     // Schritt 1: Relevante Daten extrahieren (Payload & zugehöriges Profil)
-    const { payload, profile } = extractRelevantPayload(event);
+    const { payload, profile, decoded, frame, bytes, rejection } = extractRelevantPayload(event);
     
-    // Ignorieren, falls das Paket zwar dem Filter entsprach, wir aber 
-    // die spezifischen Daten (Service/Manufacturer) nicht finden/dekodieren können.
-    if (!payload) return; 
+    // Verwerfen, falls das Paket zwar dem Scanfilter entsprach, aber die Prüfung
+    // in Software nicht besteht (z.B. Daten-Präfix, Mindest-RSSI) oder die
+    // spezifischen Daten (Service/Manufacturer) fehlen. Für die Diagnose zählen.
+    if (!payload) {
+        recordRejected({
+            ...rejection,
+            deviceId: deviceId,
+            deviceName: event.name || event.device.name || null,
+            rssi: rssi,
+            t: now.getTime()
+        });
+        return;
+    }
+    recordAccepted();
+
+    // Eigene Pakete aufzeichnen (für eine spätere Wiedergabe) und an den
+    // Scanner-Verbund senden; Wiedergaben und fremde Pakete nicht
+    if (!remote && scanSource.recordable !== false) {
+        const observation = {
+            t: now.getTime(),
+            deviceId: deviceId,
+            deviceName: event.device.name || null,
+            rssi: rssi,
+            profile: {
+                profileName: profile.profileName,
+                type: profile.type,
+                uuid: profile.uuid,
+                companyId: profile.companyId
+            },
+            bytes: bytes
+        };
+        if (isRecording()) recordObservation(observation);
+        publishObservation(observation);
+    }
+
+    // Rohwert an eine laufende Kalibrier-Messung weitergeben (Abstand zu diesem Scanner)
+    if (!remote) feedCalibrationSample(deviceId, rssi);
 
     // Schritt 2: Prüfen, ob Asset neu ist oder aktualisiert wird
     const existingAsset = detectedAssets.get(deviceId);
 
     if (existingAsset) {
         // ---- UPDATE eines bekannten Assets ----
-        existingAsset.rssi = rssi;
         existingAsset.lastSeen = now;
         existingAsset.payload = payload; // Immer den neusten Payload speichern
+        // Beacons mit mehreren Frame-Typen (Eddystone UID/TLM) behalten die Werte der anderen Frames
+        existingAsset.decoded = mergeFrameFields(existingAsset.decoded, decoded);
+        existingAsset.bytes = bytes;
+
+        // Geänderte Payloads im Verlauf festhalten (ggf. mit Ereignis für überwachte Bytes);
+        // Beacon-Frames werden je Frame-Typ verglichen
+        if (recordPayload(existingAsset, bytes, now.getTime(), frame) && existingAsset.id === currentInspectedId) {
+            renderInspectorPayload(existingAsset);
+        }
         
-        // RSSI-Verlauf für Inspektor speichern (nur die letzten 20)
-        existingAsset.rssiHistory.push(rssi);
-        if (existingAsset.rssiHistory.length > 20) {
-            existingAsset.rssiHistory.shift(); // Ältesten Wert entfernen
+        // Statistik und Schichtprotokoll zählen jedes Paket, egal welcher Scanner es hört
+        recordPacketStats(existingAsset.stats, rssi, now.getTime());
+        recordShiftPacket(existingAsset.shiftLog, rssi, now.getTime());
+
+        // RSSI je Scanner führen; RSSI, Verlauf und Entfernung des Assets
+        // folgen dem Scanner, der das Fahrzeug am besten hört
+        updateScannerReading(existingAsset, scanner, rssi, now.getTime());
+        existingAsset.bestScanner = getBestScanner(existingAsset, now.getTime());
+        if (existingAsset.bestScanner.id === scanner.id) {
+            existingAsset.rssi = rssi;
+            recordRssiSample(existingAsset, rssi, now.getTime());
         }
         
-        // DOM-Element (Kachel) aktualisieren
-        updateFtsTile(existingAsset);
+        // Kachel bzw. Tabellenzeile im nächsten Frame aktualisieren
+        renderScheduler.markDirty(existingAsset);
     } else {
         // ---- NEUES Asset entdeckt ----
-        log(`Neues FTS erkannt: ID ${deviceId.substring(0, 8)}... (${profile.profileName})`);
+        log(t('app.newAsset', { id: deviceId.substring(0, 8), profile: profile.profileName }));
         
         const newAsset = {
             id: deviceId,
             rssi: rssi,
             lastSeen: now,
             payload: payload,
+            decoded: decoded, // Dekodierte Felder (leer, wenn das Profil keinen Decoder hat)
+            bytes: bytes, // Roh-Payload (Uint8Array), z.B. für Alarm-Regeln auf Byte-Ebene
             profileName: profile.profileName,
-            name: "Unbenanntes FTS", // Standard-Nickname
-            rssiHistory: [rssi], // Verlauf initialisieren
+            discoveryIndex: discoveryCounter++, // Reihenfolge der Entdeckung (stabile Sortierung)
+            status: 'green', // LED-Status ('green', 'yellow', 'red'), siehe updateSingleAssetStatus
+            name: t('asset.unnamed'), // Standard-Nickname (folgt der Sprache, siehe applyLocale)
+            smoothedRssi: rssi, // Geglätteter Wert (steuert Kachel-Anzeige)
+            distance: null, // Geschätzte Entfernung in Metern (aus dem geglätteten RSSI)
+            zone: null, // Näherungszone aus CONFIG.ZONES
+            rssiFilter: createRssiFilter(smoothingMethod, CONFIG.RSSI_SMOOTHING),
+            rssiHistory: [], // Verlauf: [{ t, rssi, smoothed }]
+            stats: createDeviceStats(now.getTime()), // Paketrate, Ausfälle, RSSI-Kennzahlen (siehe deviceStats.js)
+            payloadTimeline: [], // Unterschiedliche Payloads mit Zeitstempel (siehe payloadTimeline.js)
+            shiftLog: createShiftLog(), // Anwesenheit, RSSI je Minute und Statuswechsel für den Schichtbericht
+            scanners: new Map(), // RSSI je Scanner im Verbund (siehe scannerBridge.js)
+            bestScanner: null, // Scanner mit dem stärksten Signal
             domElement: null // Referenz auf die Kachel (wird gleich gesetzt)
         };
+        updateScannerReading(newAsset, scanner, rssi, now.getTime());
+        newAsset.bestScanner = getBestScanner(newAsset, now.getTime());
+        recordPacketStats(newAsset.stats, rssi, now.getTime());
+        recordShiftPacket(newAsset.shiftLog, rssi, now.getTime());
+        recordRssiSample(newAsset, rssi, now.getTime());
+        recordPayload(newAsset, bytes, now.getTime(), frame);
         
-        // Gespeicherten Nickname laden, falls vorhanden
-        const savedName = localStorage.getItem(`nickname_${deviceId}`);
-        if (savedName) newAsset.name = savedName;
+        // Gespeicherten Nickname aus der Registry laden, falls vorhanden
+        const record = getDevice(deviceId);
+        if (record && record.nickname) newAsset.name = record.nickname;
         
         // Neues Asset im State speichern
         detectedAssets.set(deviceId, newAsset);
         
-        // DOM-Element (Kachel) neu erstellen
-        createFtsTile(newAsset);
+        // Kachel und Tabellenzeile neu erstellen
+        createAssetViews(newAsset);
+
+        // Neue Geräte sofort in der Registry anlegen (Wiedergaben nicht)
+        if (scanSource.recordable !== false) saveSightings([newAsset]);
     }
 }
 
 /**
  * Sucht im Advertisement-Event nach den Payloads, die zu unseren Profilen passen.
+ * Die Filter der Profile werden hier in Software erneut geprüft (siehe matchProfile),
+ * da Browser Teile des Scanfilters ignorieren können.
  * @param {BluetoothLEAdvertisementEvent} event
- * @returns {object} - { payload: "0x...", profile: { ... } } oder { payload: null }
+ * @returns {object} - { payload: "0x...", profile: { ... }, decoded: [...], frame, bytes } oder
+ *   { payload: null, rejection: { reason, profileName } }
  */
 function extractRelevantPayload(event) {
-    for (const profile of CONFIG.FTS_PROFILES) {
+    // Bei mehreren Profilen zählt der Grund des Profils, bei dem das Paket am weitesten kam
+    let rejection = { reason: 'no-data', profileName: null };
+    for (const profile of getActiveProfiles()) {
         try {
-            if (profile.type === 'service' && event.serviceData.has(profile.uuid)) {
-                return { 
-                    payload: dataViewToHexString(event.serviceData.get(profile.uuid)),
-                    profile: profile 
-                };
-            }
-            if (profile.type === 'manufacturer' && event.manufacturerData.has(profile.companyId)) {
-                return { 
-                    payload: dataViewToHexString(event.manufacturerData.get(profile.companyId)),
-                    profile: profile 
-                };
+            const { dataView, reason } = matchProfile(profile, event);
+            if (!dataView) {
+                if (REJECTION_ORDER.indexOf(reason) > REJECTION_ORDER.indexOf(rejection.reason)) {
+                    rejection = { reason: reason, profileName: profile.profileName };
+                }
+                continue;
             }
+
+            const { fields, frame } = decodeProfilePayload(dataView, profile);
+            return {
+                payload: dataViewToHexString(dataView),
+                profile: profile,
+                decoded: fields,
+                frame: frame,
+                bytes: dataViewToBytes(dataView)
+            };
         } catch (e) {
-            warn(`Fehler beim Extrahieren der Payload für ${profile.profileName}: ${e.message}`);
+            warn(t('app.extractFailed', { profile: profile.profileName, message: e.message }));
         }
     }
     // Nichts gefunden, was zu unseren Profilen passt
-    return { payload: null, profile: null };
+    return { payload: null, profile: null, decoded: [], frame: null, bytes: null, rejection: rejection };
+}
+
+/**
+ * Dekodiert den Payload mit dem Decoder des Profils (falls vorhanden),
+ * Beacon-Profile mit dem Parser ihres Formats (siehe beaconFormats.js).
+ * Fehler werden an die App-Konsole gemeldet (einmal pro Profil und Meldung),
+ * aber nie weitergeworfen, damit 'handleAdvertisement' weiterläuft.
+ * @param {DataView} dataView - Der Roh-Payload.
+ * @param {object} profile - Das passende Profil aus CONFIG.FTS_PROFILES.
+ * @returns {object} - { fields, frame }: dekodierte Felder (evtl. leer) und bei Beacons
+ *   der Frame-Typ (z.B. Eddystone 'uid', 'tlm'), sonst null.
+ */
+function decodeProfilePayload(dataView, profile) {
+    let errors = [];
+    let fields = [];
+    let frame = null;
+    try {
+        if (isBeaconType(profile.type)) {
+            ({ fields, errors, frame } = parseBeacon(profile.type, dataView));
+        } else {
+            const decoder = resolveDecoder(profile, CONFIG.PAYLOAD_DECODERS);
+            if (!decoder) return { fields: fields, frame: frame };
+            ({ fields, errors } = decodePayload(dataView, decoder));
+        }
+    } catch (e) {
+        errors = [e.message];
+    }
+
+    for (const message of errors) {
+        const key = `${profile.profileName}|${message}`;
+        if (reportedDecodeErrors.has(key)) continue;
+        reportedDecodeErrors.add(key);
+        warn(t('app.decodeError', { profile: profile.profileName, message: message }));
+    }
+    return { fields: fields, frame: frame };
+}
+
+/**
+ * Erstellt Kachel und Tabellenzeile für ein neues Asset.
+ * Befüllt und gemäß Sortierung/Filter eingeordnet werden sie im nächsten Frame.
+ * @param {object} asset - Das FtsAsset-Objekt aus 'detectedAssets'.
+ */
+function createAssetViews(asset) {
+    createFtsTile(asset);
+    addTableRow(asset);
+
+    arrangePending = true;
+    renderScheduler.markDirty(asset);
 }
 
 /**
@@ -243,13 +583,14 @@ function createFtsTile(asset) {
     const tile = document.createElement('div');
     tile.className = 'fts-tile';
     tile.dataset.deviceId = asset.id; // Wichtig, um die Kachel später wiederzufinden
+    tile.setAttribute('role', 'button');
 
     // Wir nutzen innerHTML für eine einfache und schnelle Erstellung der Kachelstruktur.
     // Selektoren werden für spätere Updates gespeichert.
     tile.innerHTML = `
         <div class="tile-header">
-            <span class="led"></span>
-            <span class="tile-name">${asset.name}</span>
+            <span class="led" role="img"></span>
+            <span class="tile-name"></span>
         </div>
         <div class="tile-body">
             <div class="rssi-display">
@@ -260,14 +601,25 @@ function createFtsTile(asset) {
                 <div class="rssi-bar"></div>
             </div>
         </div>
+        <div class="tile-proximity">
+            <span class="tile-zone"></span>
+            <span class="tile-distance"></span>
+        </div>
+        <div class="tile-decoded"></div>
+        <div class="tile-scanner"></div>
         <div class="tile-footer">
             <span class="tile-payload-preview">...</span>
             <span class="tile-last-seen">...</span>
         </div>
     `;
 
-    // Klick-Event für Inspektor hinzufügen
+    // Klick-Event für Inspektor hinzufügen (auch per Enter/Leertaste)
     tile.addEventListener('click', () => showInspectorModal(asset.id));
+    makeActivatable(tile, () => showInspectorModal(asset.id));
+
+    // Name als Text setzen: Nicknames stammen auch aus importierten Dateien
+    tile.querySelector('.tile-name').textContent = asset.name;
+    renderStatusLed(tile.querySelector('.led'), asset.status);
 
     // Wichtige DOM-Knoten der Kachel im Asset-Objekt speichern.
     // Dies vermeidet ständige 'querySelector'-Aufrufe in 'updateFtsTile'.
@@ -278,44 +630,260 @@ function createFtsTile(asset) {
         rssiValue: tile.querySelector('.rssi-value'),
         rssiBar: tile.querySelector('.rssi-bar'),
         payload: tile.querySelector('.tile-payload-preview'),
+        decoded: tile.querySelector('.tile-decoded'),
+        zone: tile.querySelector('.tile-zone'),
+        distance: tile.querySelector('.tile-distance'),
+        scanner: tile.querySelector('.tile-scanner'),
         lastSeen: tile.querySelector('.tile-last-seen')
     };
 
-    cockpitGrid.appendChild(tile);
-    
-    // Direkt nach Erstellung das erste Mal aktualisieren
-    updateFtsTile(asset);
-    updateSingleAssetStatus(asset); // Auch den Status sofort setzen
+    // Eine Platzhalter-Kachel (bekannt, aber noch nicht gesehen) an ihrer Stelle ersetzen
+    const absentTile = absentTiles.get(asset.id);
+    if (absentTile) {
+        absentTile.replaceWith(tile);
+        absentTiles.delete(asset.id);
+    } else {
+        cockpitGrid.appendChild(tile);
+    }
+}
+
+/**
+ * Leert den Flotten-Zustand und entfernt alle Kacheln.
+ * Wird z.B. vor einer Wiedergabe oder beim Zurückspulen benötigt.
+ */
+function resetFleetState() {
+    if (currentInspectedId) hideInspectorModal();
+    detectedAssets.clear();
+    renderScheduler.clear();
+    cockpitGrid.replaceChildren();
+    absentTiles.clear();
+    clearTable();
+    clearMapMarkers();
+    discoveryCounter = 0;
+    clearOpenAlerts();
+    resetCoverage();
+    recordCoverage(isScanReceiving(), currentTime());
+    renderAbsentTiles();
+}
+
+/**
+ * Erstellt Kacheln für bekannte Geräte aus der Registry, die in dieser
+ * Sitzung noch nicht gesehen wurden, und entfernt veraltete Platzhalter.
+ */
+function renderAbsentTiles() {
+    for (const [id, tile] of absentTiles) {
+        if (!getDevice(id)) {
+            tile.remove();
+            absentTiles.delete(id);
+        }
+    }
+    for (const record of getAllDevices()) {
+        if (detectedAssets.has(record.id)) continue;
+
+        let tile = absentTiles.get(record.id);
+        if (!tile) {
+            tile = document.createElement('div');
+            tile.className = 'fts-tile tile-absent';
+            tile.dataset.deviceId = record.id;
+            tile.setAttribute('role', 'button');
+            tile.innerHTML = `
+                <div class="tile-header">
+                    <span class="led" role="img"></span>
+                    <span class="tile-name"></span>
+                </div>
+                <div class="tile-absent-info"></div>
+                <div class="tile-footer">
+                    <span class="tile-payload-preview"></span>
+                    <span class="tile-last-seen"></span>
+                </div>
+            `;
+            tile.addEventListener('click', () => showInspectorModal(record.id));
+            makeActivatable(tile, () => showInspectorModal(record.id));
+            cockpitGrid.appendChild(tile);
+            absentTiles.set(record.id, tile);
+        }
+
+        renderStatusLed(tile.querySelector('.led'), 'absent');
+        tile.querySelector('.tile-name').textContent = record.nickname || t('asset.unnamed');
+        tile.querySelector('.tile-payload-preview').textContent = t('tile.notSeenThisSession');
+        tile.querySelector('.tile-absent-info').textContent =
+            [record.assetNumber, record.homeLocation, record.profileName].filter(Boolean).join(' · ');
+        tile.querySelector('.tile-last-seen').textContent = record.lastSeen
+            ? t('tile.lastSeenAt', { time: formatDateTime(record.lastSeen) })
+            : t('tile.neverSeen');
+    }
+    arrangeGrid();
+}
+
+/**
+ * Ordnet die Kacheln gemäß Werkzeugleiste an (Sortierung, Filter, Suche, Gruppen).
+ * Wird nicht pro Paket aufgerufen, sondern bei Änderungen der Auswahl, neuen
+ * Kacheln und vom Ticker alle CONFIG.GRID.RESORT_INTERVAL_MS, damit die
+ * Kacheln beim Empfang von Paketen nicht springen.
+ */
+function arrangeGrid() {
+    lastArrange = Date.now();
+    arrangePending = false;
+    const criteria = getGridCriteria();
+
+    const items = [];
+    for (const asset of detectedAssets.values()) {
+        if (!asset.dom) continue;
+        const record = getDevice(asset.id);
+        items.push({
+            id: asset.id,
+            name: asset.name,
+            rssi: Math.round(asset.smoothedRssi),
+            lastSeen: asset.lastSeen.getTime(),
+            status: asset.status,
+            profileName: asset.profileName,
+            zoneLabel: asset.zone ? asset.zone.label : '',
+            tags: record ? record.tags : [],
+            payload: asset.payload,
+            order: asset.discoveryIndex,
+            tile: asset.dom.tile
+        });
+    }
+    for (const [id, tile] of absentTiles) {
+        const record = getDevice(id);
+        if (!record) continue;
+        items.push({
+            id: id,
+            name: record.nickname || t('asset.unnamed'),
+            rssi: null,
+            lastSeen: record.lastSeen ? Date.parse(record.lastSeen) : null,
+            status: 'absent',
+            profileName: record.profileName,
+            zoneLabel: '',
+            tags: record.tags,
+            payload: '',
+            order: discoveryCounter + items.length, // Nach allen gesehenen Fahrzeugen
+            tile: tile
+        });
+    }
+
+    const visible = items.filter(item => matchesCriteria(item, criteria));
+    const groups = groupItems(sortItems(visible, criteria.sort), criteria.group);
+
+    // Die Tabelle übernimmt Filter und Suche, sortiert aber nach ihren Spaltenköpfen
+    arrangeTable(new Set(visible.map(item => item.id)));
+
+    // Gewünschte Reihenfolge der Knoten: Überschriften und sichtbare Kacheln, ausgeblendete am Ende
+    const nodes = [];
+    for (const group of groups) {
+        if (group.label) nodes.push(getGroupHeader(group.label, group.items.length));
+        nodes.push(...group.items.map(item => item.tile));
+    }
+    const visibleTiles = new Set(nodes);
+    for (const item of items) {
+        item.tile.hidden = !visibleTiles.has(item.tile);
+        if (item.tile.hidden) nodes.push(item.tile);
+    }
+
+    // DOM nur anfassen, wenn sich die Reihenfolge geändert hat
+    const current = cockpitGrid.children;
+    const unchanged = current.length === nodes.length && nodes.every((node, i) => current[i] === node);
+    if (!unchanged) cockpitGrid.replaceChildren(...nodes);
+    updateGridCount(visible.length, items.length);
+}
+
+/**
+ * Liefert die (wiederverwendete) Überschrift einer Gruppe.
+ * @param {string} label
+ * @param {number} count
+ * @returns {HTMLElement}
+ */
+function getGroupHeader(label, count) {
+    let header = groupHeaders.get(label);
+    if (!header) {
+        header = document.createElement('h2');
+        header.className = 'grid-group-header';
+        groupHeaders.set(label, header);
+    }
+    header.textContent = `${label} (${count})`;
+    return header;
+}
+
+/**
+ * Gemeinsamer Update-Pfad für Kacheln und Tabelle.
+ * Wird über den renderScheduler höchstens einmal pro Frame und Asset aufgerufen;
+ * aktualisiert nur die aktive Ansicht.
+ * @param {object} asset - Das FtsAsset-Objekt.
+ */
+function updateAssetView(asset) {
+    const now = currentTime();
+    updateSingleAssetStatus(asset, now);
+
+    if (cockpitView === 'table') {
+        updateTableRow(asset, now);
+    } else if (cockpitView === 'map') {
+        updateMapMarker(asset, now);
+    } else {
+        updateFtsTile(asset);
+    }
+
+    // Diagramm im geöffneten Inspektor mitführen (gedrosselt)
+    if (asset.id === currentInspectedId && Date.now() - lastChartDraw > CHART_REFRESH_MS) {
+        renderInspectorChart(asset);
+    }
+}
+
+/**
+ * Schaltet zwischen Kachel-, Tabellen- und Hallenplan-Ansicht um und merkt sich die Wahl.
+ * @param {string} view - 'grid', 'table' oder 'map'.
+ */
+function setCockpitView(view) {
+    cockpitView = view;
+    try {
+        localStorage.setItem('cockpit_view', view);
+    } catch (e) {
+        warn(t('app.viewSaveFailed', { message: e.message }));
+    }
+    document.body.dataset.view = view;
+    document.getElementById('cockpit-view').value = view;
+
+    // Die bisher verborgene Ansicht auf den aktuellen Stand bringen
+    for (const asset of detectedAssets.values()) updateAssetView(asset);
+    if (view === 'table') refreshTable(currentTime());
 }
 
 /**
  * Aktualisiert eine bestehende FTS-Kachel im DOM mit den neuesten Daten.
- * Diese Funktion wird sehr häufig aufgerufen (bei jedem Paket).
+ * Aufruf nur über 'updateAssetView' (Status-LED und Diagramm laufen dort).
  * @param {object} asset - Das FtsAsset-Objekt.
  */
 function updateFtsTile(asset) {
     // Defensives Programmieren: Prüfen, ob DOM-Referenzen existieren
     if (!asset.dom) return;
 
-    // 1. RSSI-Wert und Balken aktualisieren
-    asset.dom.rssiValue.textContent = asset.rssi;
+    // 1. RSSI-Wert und Balken aktualisieren (geglätteter Wert, siehe RSSI_SMOOTHING)
+    const rssi = Math.round(asset.smoothedRssi);
+    asset.dom.rssiValue.textContent = rssi;
     
     // RSSI (-100 bis -30) in Prozent (0-100) umrechnen für den Balken
     // (Annahme: -100 ist 0%, -30 ist 100%. Bereich = 70)
-    const percent = Math.max(0, Math.min(100, (asset.rssi + 100) / 70 * 100));
+    const percent = Math.max(0, Math.min(100, (rssi + 100) / 70 * 100));
     asset.dom.rssiBar.style.width = `${percent}%`;
     
     // Balken-Farbe basierend auf Konfiguration ändern
     const rssiConfig = CONFIG.RSSI_STATUS;
     let rssiClass = 'rssi-medium';
-    if (asset.rssi > rssiConfig.STRONG) {
+    if (rssi > rssiConfig.STRONG) {
         rssiClass = 'rssi-strong';
-    } else if (asset.rssi < rssiConfig.WEAK) {
+    } else if (rssi < rssiConfig.WEAK) {
         rssiClass = 'rssi-weak';
     }
     // SetProperty ist performanter als className, wenn sich nur eine Klasse ändert
     asset.dom.rssiBar.className = `rssi-bar ${rssiClass}`;
 
+    // Geschätzte Entfernung und Näherungszone
+    const zoneId = asset.zone ? asset.zone.id : '';
+    if (asset.dom.tile.dataset.zone !== zoneId) {
+        asset.dom.tile.dataset.zone = zoneId;
+        asset.dom.zone.textContent = asset.zone ? asset.zone.label : '';
+    }
+    asset.dom.distance.textContent = formatDistance(asset.distance);
+
     // 2. Nickname aktualisieren (falls im Modal geändert)
     if (asset.dom.name.textContent !== asset.name) {
         asset.dom.name.textContent = asset.name;
@@ -324,11 +892,26 @@ function updateFtsTile(asset) {
     // 3. Payload-Vorschau aktualisieren (nur die ersten 20 Zeichen)
     asset.dom.payload.textContent = `${asset.payload.substring(0, 20)}...`;
 
+    // Dekodierte Felder (z.B. "Akku: 87 % · Status: Fahrt")
+    const decodedText = asset.decoded
+        .filter(field => field.showOnTile)
+        .map(field => `${field.label}: ${field.text}`)
+        .join(' · ');
+    if (asset.dom.decoded.textContent !== decodedText) {
+        asset.dom.decoded.textContent = decodedText;
+    }
+
+    // Bester Scanner (nur, wenn mehrere Scanner das Fahrzeug gehört haben)
+    const scannerText = asset.scanners.size > 1 && asset.bestScanner
+        ? t('tile.bestScanner', { name: asset.bestScanner.name, count: asset.scanners.size })
+        : '';
+    if (asset.dom.scanner.textContent !== scannerText) {
+        asset.dom.scanner.textContent = scannerText;
+    }
+
     // 4. Status-LED und Zeitstempel
-    // Diese werden jetzt vom 'updateAllAssetStatus'-Ticker separat aktualisiert,
-    // um die Performance in 'handleAdvertisement' zu verbessern.
-    // Wir rufen es hier nur einmalig auf, damit die Kachel sofort den richtigen Status hat.
-    updateSingleAssetStatus(asset, new Date().getTime());
+    // Diese werden vom 'updateAllAssetStatus'-Ticker separat aktualisiert
+    // (und einmalig in 'updateAssetView', damit die Kachel sofort stimmt).
 }
 
 /**
@@ -336,11 +919,37 @@ function updateFtsTile(asset) {
  * Läuft alle TICKER_INTERVAL_MS (z.B. alle 2 Sek.).
  */
 function updateAllAssetStatus() {
-    const now = new Date().getTime();
+    const now = currentTime();
     
     // Iteriert über alle erkannten Assets in der Map
     for (const asset of detectedAssets.values()) {
         updateSingleAssetStatus(asset, now);
+        if (cockpitView === 'table') updateTableRow(asset, now);
+        // Marker folgen LED-Status und veralteten Messwerten auch ohne neue Pakete
+        if (cockpitView === 'map') updateMapMarker(asset, now);
+    }
+
+    // Alarm-Regeln mit demselben Zeitstempel auswerten
+    evaluateAlerts(detectedAssets.values(), now);
+
+    // Kacheln gelegentlich neu anordnen (z.B. Sortierung nach RSSI)
+    if (Date.now() - lastArrange >= CONFIG.GRID.RESORT_INTERVAL_MS) arrangeGrid();
+
+    // Zeitachse des Diagramms weiterschieben, auch wenn keine Pakete kommen
+    if (currentInspectedId && detectedAssets.has(currentInspectedId)) {
+        renderInspectorChart(detectedAssets.get(currentInspectedId));
+    }
+}
+
+/**
+ * Hebt Kacheln hervor, für die ein offener Alarm besteht.
+ * Wird nach jeder Alarm-Änderung aufgerufen (nicht pro Paket).
+ */
+function markAlertTiles() {
+    for (const asset of detectedAssets.values()) {
+        const alertOpen = hasOpenAlert(asset.id);
+        if (asset.dom) asset.dom.tile.classList.toggle('tile-alert', alertOpen);
+        setTableRowAlert(asset.id, alertOpen);
     }
 }
 
@@ -349,26 +958,30 @@ function updateAllAssetStatus() {
  * @param {object} asset - Das FtsAsset-Objekt
  * @param {number} [now] - Optionaler Zeitstempel (wird vom Ticker übergeben)
  */
-function updateSingleAssetStatus(asset, now = new Date().getTime()) {
+function updateSingleAssetStatus(asset, now = currentTime()) {
     if (!asset.dom) return; // Kachel noch nicht gezeichnet
 
     const diffMs = now - asset.lastSeen.getTime();
-    const diffSec = Math.round(diffMs / 1000);
 
     const ledConfig = CONFIG.LED_STATUS;
     let ledClass = 'led-red'; // Standard: Signal verloren
-    let lastSeenText = `verloren (>${ledConfig.INACTIVE_MS / 1000}s)`;
+    let lastSeenText = t('tile.lost', { seconds: ledConfig.INACTIVE_MS / 1000 });
 
     if (diffMs < ledConfig.ACTIVE_MS) {
         ledClass = 'led-green';
-        lastSeenText = diffSec === 0 ? "gerade eben" : `vor ${diffSec}s`;
+        lastSeenText = formatRelativeTime(diffMs, { style: 'narrow' }); // z.B. "jetzt", "vor 3 s"
     } else if (diffMs < ledConfig.INACTIVE_MS) {
         ledClass = 'led-yellow';
-        lastSeenText = `vor ${diffSec}s`;
+        lastSeenText = formatRelativeTime(diffMs, { style: 'narrow' });
     }
     
-    asset.dom.led.className = `led ${ledClass}`;
+    const status = ledClass.replace('led-', '');
+    if (status === 'red' && asset.status !== 'red') {
+        announce(t('tile.lostAnnouncement', { name: asset.name, id: asset.id.substring(0, 8) })); // Live-Region für Screenreader
+    }
+    renderStatusLed(asset.dom.led, status); // Farbe, Symbol und Text
     asset.dom.lastSeen.textContent = lastSeenText;
+    asset.status = status; // Für Filter und Sortierung nach Status
 }
 
 
@@ -379,26 +992,153 @@ function updateSingleAssetStatus(asset, now = new Date().getTime()) {
  * @param {string} deviceId - Die ID des Assets, das inspiziert werden soll.
  */
 function showInspectorModal(deviceId) {
+    // Bekannte, aber in dieser Sitzung noch nicht gesehene Geräte haben nur Stammdaten
     const asset = detectedAssets.get(deviceId);
-    if (!asset) {
-        warn(`Asset ${deviceId} für Modal nicht im State gefunden.`);
+    const record = getDevice(deviceId);
+    if (!asset && !record) {
+        warn(t('app.assetMissing', { id: deviceId }));
         return;
     }
     
     currentInspectedId = deviceId; // ID für den Speicher-Button merken
+    const name = asset ? asset.name : (record.nickname || t('asset.unnamed'));
     
-    log(`Inspektor geöffnet für: ${asset.name} (${asset.id})`);
+    log(t('app.inspectorOpened', { name: name, id: deviceId }));
 
     // Modal mit Daten füllen
-    document.getElementById('inspector-name').value = asset.name;
-    document.getElementById('inspector-id').textContent = asset.id;
-    document.getElementById('inspector-payload').textContent = asset.payload;
-    
-    // RSSI-Verlauf als Text anzeigen (neueste Werte zuletzt)
-    document.getElementById('inspector-rssi-history').textContent = asset.rssiHistory.join(', ');
+    fillDeviceDetails(record, name);
+    document.getElementById('inspector-id').textContent = deviceId;
+    document.getElementById('btn-calibrate').disabled = !asset;
+    document.getElementById('btn-forget-device').disabled = !record;
+    renderInspectorPayload(asset);
+    showGattPanel(asset);
 
-    // Modal anzeigen
+    // Modal anzeigen (vor dem Zeichnen, damit das Canvas seine Größe kennt)
     modal.classList.remove('modal-hidden');
+
+    // RSSI-Verlauf als Diagramm
+    renderInspectorChart(asset);
+}
+
+/**
+ * Zeigt Payload, dekodierte Werte und den Payload-Verlauf im Inspektor an.
+ * Wird beim Öffnen und bei jeder Payload-Änderung des geöffneten Assets aufgerufen.
+ * @param {object} [asset] - Fehlt bei Geräten, die in dieser Sitzung nicht gesehen wurden.
+ */
+function renderInspectorPayload(asset) {
+    document.getElementById('inspector-payload').textContent = asset ? asset.payload : "–";
+
+    // Dekodierte Felder (alle, auch die auf der Kachel ausgeblendeten)
+    let decodedText = t('inspector.notReceived');
+    if (asset) {
+        decodedText = asset.decoded.length > 0
+            ? asset.decoded.map(field => `${field.label}: ${field.text}`).join('\n')
+            : t('inspector.noDecoder');
+    }
+    document.getElementById('inspector-decoded').textContent = decodedText;
+
+    const timeline = document.getElementById('inspector-payload-timeline');
+    if (asset) {
+        renderPayloadTimeline(timeline, asset.payloadTimeline);
+    } else {
+        timeline.textContent = t('inspector.notReceived');
+    }
+}
+
+/**
+ * Protokolliert eine Änderung in einem überwachten Byte-Bereich, z.B.
+ * "FTS 3: Fahrzeugstatus geändert (Byte 1: 01 → 02)", und hält sie für den Schichtbericht fest.
+ * @param {object} change - Siehe onPayloadChange in payloadTimeline.js.
+ */
+function logPayloadChange(change) {
+    const { watch, asset } = change;
+    const watchName = watch.nameKey ? t(watch.nameKey) : watch.name;
+    const bytes = formatPayloadChange(change);
+    log(t('app.payloadChanged', { name: asset.name, id: asset.id.substring(0, 8), watch: watchName, bytes: bytes }));
+    recordShiftChange(asset.shiftLog, { t: change.t, name: watchName, text: bytes });
+}
+
+/**
+ * Zeichnet das RSSI-Diagramm und die aktuellen Werte im Inspektor.
+ * @param {object} [asset] - Fehlt bei Geräten, die in dieser Sitzung nicht gesehen wurden.
+ */
+function renderInspectorChart(asset) {
+    lastChartDraw = Date.now();
+    drawRssiChart(document.getElementById('inspector-rssi-chart'), asset ? asset.rssiHistory : [], {
+        windowMs: chartWindowMs,
+        now: currentTime(),
+        thresholds: CONFIG.RSSI_STATUS
+    });
+    if (!asset) {
+        const record = getDevice(currentInspectedId);
+        document.getElementById('inspector-rssi-current').textContent = record && record.lastSeen
+            ? t('inspector.lastSeenRecord', { time: formatDateTime(record.lastSeen), rssi: record.rssi })
+            : t('inspector.noSamples');
+        document.getElementById('inspector-stats').textContent = t('inspector.notReceived');
+        return;
+    }
+    document.getElementById('inspector-stats').textContent =
+        formatStats(summarizeStats(asset.stats, asset.rssiHistory, currentTime()));
+    let text = t('inspector.rssiSummary', { raw: asset.rssi, smoothed: formatNumber(asset.smoothedRssi, 1), count: asset.rssiHistory.length }) + '\n' +
+        t('inspector.distance', { distance: formatDistance(asset.distance) }) + (asset.zone ? ` (${asset.zone.label})` : '');
+    // RSSI je Scanner im Verbund (bester zuerst)
+    if (asset.scanners.size > 1) {
+        const now = currentTime();
+        const readings = [...asset.scanners.values()].sort((a, b) => b.smoothedRssi - a.smoothedRssi);
+        text += '\n' + readings.map(reading =>
+            `${reading === asset.bestScanner ? '★' : '·'} ${reading.name}: ${formatNumber(reading.smoothedRssi, 1)} dBm (${formatRelativeTime(now - reading.lastSeen, { style: 'narrow' })})`
+        ).join('\n');
+    }
+    document.getElementById('inspector-rssi-current').textContent = text;
+}
+
+/**
+ * Füllt die Auswahlfelder für Zeitfenster und Glättung im Inspektor.
+ */
+function initChartControls() {
+    const windowSelect = document.getElementById('inspector-chart-window');
+    for (const windowMs of CONFIG.RSSI_HISTORY.CHART_WINDOWS_MS) {
+        windowSelect.add(new Option(`${windowMs / 60000} min`, String(windowMs), false, windowMs === chartWindowMs));
+    }
+    windowSelect.addEventListener('change', () => {
+        chartWindowMs = Number(windowSelect.value);
+        if (currentInspectedId) renderInspectorChart(detectedAssets.get(currentInspectedId));
+    });
+
+    const smoothingSelect = document.getElementById('inspector-smoothing');
+    for (const [method, key] of Object.entries(SMOOTHING_METHODS)) {
+        smoothingSelect.add(new Option(t(key), method, false, method === smoothingMethod));
+    }
+    smoothingSelect.addEventListener('change', () => setSmoothingMethod(smoothingSelect.value));
+}
+
+/**
+ * Wechselt das Glättungsverfahren für alle Assets.
+ * Der vorhandene Verlauf wird mit dem neuen Filter neu berechnet,
+ * damit Diagramm und Kachel sofort konsistent sind.
+ * @param {string} method - Key aus SMOOTHING_METHODS.
+ */
+function setSmoothingMethod(method) {
+    smoothingMethod = method;
+    try {
+        localStorage.setItem('rssi_smoothing', method);
+    } catch (e) {
+        warn(t('app.smoothingSaveFailed', { message: e.message }));
+    }
+
+    for (const asset of detectedAssets.values()) {
+        asset.rssiFilter = createRssiFilter(method, CONFIG.RSSI_SMOOTHING);
+        for (const sample of asset.rssiHistory) {
+            sample.smoothed = asset.rssiFilter.update(sample.rssi);
+        }
+        asset.smoothedRssi = asset.rssiHistory.length > 0
+            ? asset.rssiHistory[asset.rssiHistory.length - 1].smoothed
+            : asset.rssi;
+        updateProximity(asset);
+        renderScheduler.markDirty(asset);
+    }
+    if (currentInspectedId) renderInspectorChart(detectedAssets.get(currentInspectedId));
+    log(t('app.smoothingChanged', { method: t(SMOOTHING_METHODS[method]) }));
 }
 
 /**
@@ -407,58 +1147,202 @@ function showInspectorModal(deviceId) {
 function hideInspectorModal() {
     modal.classList.add('modal-hidden');
     currentInspectedId = null; // Gemerkte ID zurücksetzen
-    log("Inspektor geschlossen.");
+    clearDeviceDetails();
+    resetGattPanel(); // Offene GATT-Verbindung trennen
+    log(t('app.inspectorClosed'));
 }
 
 /**
- * Speichert den geänderten Nickname im localStorage UND im App-State.
+ * Speichert Nickname und Stammdaten aus dem Inspektor in der Registry.
+ * Die Kachel wird über 'applyRegistryChanges' aktualisiert.
  */
-function saveNickname() {
+async function saveDeviceDetails() {
     if (!currentInspectedId) return;
-
-    const asset = detectedAssets.get(currentInspectedId);
-    if (!asset) return;
-
-    const newName = document.getElementById('inspector-name').value;
+    const deviceId = currentInspectedId;
+    const details = readDeviceDetails();
     
     // Nur speichern, wenn der Name nicht leer ist
-    if (newName && newName.trim() !== "") {
-        asset.name = newName.trim();
-        
-        // Persistenz: Wir speichern den Namen im localStorage,
-        // damit er beim nächsten App-Start wieder da ist.
-        try {
-            localStorage.setItem(`nickname_${asset.id}`, asset.name);
-            log(`Nickname für ${asset.id} gespeichert als: ${asset.name}`);
-        } catch (e) {
-            // Kann fehlschlagen, wenn localStorage voll ist oder (im privaten Modus)
-            error(`Speichern des Nicknames fehlgeschlagen: ${e.message}`);
-        }
-        
-        // Kachel im Hintergrund sofort aktualisieren
-        updateFtsTile(asset);
+    if (!details.nickname) {
+        warn(t('app.nicknameEmpty'));
+        return;
+    }
+
+    try {
+        await updateDevice(deviceId, details);
+        log(t('app.detailsSaved', { id: deviceId, nickname: details.nickname }));
         hideInspectorModal();
-    } else {
-        warn("Speichern fehlgeschlagen: Nickname darf nicht leer sein.");
+    } catch (e) {
+        // Kann fehlschlagen, wenn die IndexedDB nicht verfügbar ist (z.B. im privaten Modus)
+        error(t('app.detailsSaveFailed', { message: e.message }));
+    }
+}
+
+/**
+ * Entfernt das Gerät im Inspektor aus der Registry (nach Rückfrage).
+ */
+async function forgetDevice() {
+    if (!currentInspectedId) return;
+    const deviceId = currentInspectedId;
+    if (!window.confirm(t('app.confirmForget', { id: deviceId }))) return;
+
+    try {
+        await deleteDevice(deviceId);
+        log(t('app.deviceForgotten', { id: deviceId }));
+        hideInspectorModal();
+    } catch (e) {
+        error(t('app.forgetFailed', { message: e.message }));
+    }
+}
+
+/**
+ * Übernimmt geänderte Registry-Einträge (Inspektor, Import, Laden) in die
+ * erkannten Assets und die Platzhalter-Kacheln.
+ * @param {Array<string>} ids - Geänderte Geräte-IDs.
+ */
+function applyRegistryChanges(ids) {
+    for (const id of ids) {
+        const asset = detectedAssets.get(id);
+        if (!asset) continue;
+        const record = getDevice(id);
+        asset.name = (record && record.nickname) || t('asset.unnamed');
+        renderScheduler.markDirty(asset);
     }
+    renderAbsentTiles();
 }
 
 /**
- * Lädt beim Start alle gespeicherten Nicknames.
- * Diese Funktion wird nur beim Laden der App aufgerufen.
- * Die Nicknames werden dann in 'handleAdvertisement' angewendet,
- * wenn das Asset *zum ersten Mal* gesehen wird.
+ * Zeichnet die dynamischen Texte nach einem Sprachwechsel neu
+ * (statische Texte übersetzt i18n.js selbst).
  */
-function loadNicknames() {
-    // Diese Funktion muss nichts aktiv tun, außer zu loggen.
-    // Der eigentliche Ladevorgang ('localStorage.getItem') findet
-    // in 'handleAdvertisement' statt, wenn ein *neues* Gerät entdeckt wird.
-    log("Lade gespeicherte Nicknames aus localStorage (passiv)...");
+function applyLocale() {
+    renderScanButton(getScanState());
+    applyRegistryChanges([...detectedAssets.keys()]); // Standard-Nickname und Platzhalter-Kacheln
+    // Zonen-Namen neu auflösen; die Kachel beschriftet die Zone beim nächsten Zeichnen neu
+    for (const asset of detectedAssets.values()) {
+        if (!asset.zone) continue;
+        asset.zone = classifyZone(asset.smoothedRssi, asset.distance);
+        if (asset.dom) delete asset.dom.tile.dataset.zone;
+    }
+    const smoothingSelect = document.getElementById('inspector-smoothing');
+    for (const option of smoothingSelect.options) option.text = t(SMOOTHING_METHODS[option.value]);
+    if (currentInspectedId) {
+        const asset = detectedAssets.get(currentInspectedId);
+        renderInspectorPayload(asset);
+        renderInspectorChart(asset);
+    }
+}
+
+/**
+ * Lädt die Geräte-Registry beim Start (ersetzt die früheren localStorage-Nicknames,
+ * die dabei übernommen werden).
+ */
+async function loadRegistry() {
+    try {
+        const count = await loadDeviceRegistry();
+        log(t('app.registryLoaded', { count: count }));
+    } catch (e) {
+        error(t('app.registryLoadFailed', { message: e.message }));
+    }
+}
+
+/**
+ * Schreibt Profil, "Zuletzt gesehen" und RSSI von Assets in die Registry.
+ * @param {Array<object>} assets
+ */
+async function saveSightings(assets) {
+    try {
+        await recordSightings(assets.map(asset => ({
+            id: asset.id,
+            profileName: asset.profileName,
+            lastSeen: asset.lastSeen,
+            rssi: asset.rssi
+        })));
+    } catch (e) {
+        warn(t('app.registryUpdateFailed', { message: e.message }));
+    }
 }
 
 
 // 6. Hilfsfunktionen
 
+/**
+ * Aktuelle Zeit der App in Millisekunden.
+ * Quellen mit eigener Uhr (z.B. die Wiedergabe mit 20x) geben hier den Takt vor,
+ * damit LEDs und "Zuletzt gesehen" wie bei einem echten Scan reagieren.
+ * @returns {number}
+ */
+function currentTime() {
+    return scanSource && scanSource.now ? scanSource.now() : Date.now();
+}
+
+/**
+ * Glättet einen neuen RSSI-Wert und hängt ihn an den Verlauf des Assets an.
+ * Der Verlauf wird auf CONFIG.RSSI_HISTORY (Anzahl und Alter) begrenzt.
+ * @param {object} asset
+ * @param {number} rssi - Rohwert in dBm.
+ * @param {number} t - Zeitstempel in ms.
+ */
+function recordRssiSample(asset, rssi, t) {
+    asset.smoothedRssi = asset.rssiFilter.update(rssi);
+    asset.rssiHistory.push({ t: t, rssi: rssi, smoothed: asset.smoothedRssi });
+
+    const history = asset.rssiHistory;
+    const { MAX_SAMPLES, MAX_AGE_MS } = CONFIG.RSSI_HISTORY;
+    let removeCount = Math.max(0, history.length - MAX_SAMPLES);
+    while (removeCount < history.length && t - history[removeCount].t > MAX_AGE_MS) removeCount++;
+    if (removeCount > 0) history.splice(0, removeCount); // Älteste Werte entfernen
+
+    updateProximity(asset);
+}
+
+/**
+ * Berechnet Entfernung und Zone aus dem geglätteten RSSI
+ * und der Kalibrierung des Profils.
+ * @param {object} asset
+ */
+function updateProximity(asset) {
+    asset.distance = estimateDistance(asset.smoothedRssi, getCalibration(asset.profileName));
+    asset.zone = classifyZone(asset.smoothedRssi, asset.distance);
+}
+
+/**
+ * Zeichnet alle Marker des Hallenplans neu (z.B. nach dem Setzen eines Ankerpunkts).
+ */
+function refreshMap() {
+    if (cockpitView !== 'map') return;
+    for (const asset of detectedAssets.values()) renderScheduler.markDirty(asset);
+}
+
+/**
+ * Berechnet Entfernungen aller Assets neu (z.B. nach einer Kalibrierung).
+ */
+function refreshProximity() {
+    for (const asset of detectedAssets.values()) {
+        updateProximity(asset);
+        renderScheduler.markDirty(asset);
+    }
+    if (currentInspectedId) renderInspectorChart(detectedAssets.get(currentInspectedId));
+}
+
+/**
+ * Formatiert eine Entfernung für die Anzeige (z.B. "≈ 3,4 m" bzw. "≈ 3.4 m").
+ * @param {number|null} distance - in Metern.
+ * @returns {string}
+ */
+function formatDistance(distance) {
+    if (distance === null || !isFinite(distance)) return '';
+    return `≈ ${formatNumber(distance, distance < 10 ? 1 : 0)} m`;
+}
+
+/**
+ * Kopiert die Bytes eines DataView-Objekts (die API kann den Puffer wiederverwenden).
+ * @param {DataView} dataView
+ * @returns {Uint8Array}
+ */
+function dataViewToBytes(dataView) {
+    return new Uint8Array(dataView.buffer.slice(dataView.byteOffset, dataView.byteOffset + dataView.byteLength));
+}
+
 /**
  * Wandelt ein DataView-Objekt (von der BLE API) in einen
  * lesbaren, formatierten Hex-String um.
@@ -467,7 +1351,7 @@ function loadNicknames() {
  */
 function dataViewToHexString(dataView) {
     if (!dataView || dataView.byteLength === 0) {
-        return "N/A (leere Payload)";
+        return t('payload.empty');
     }
     
     let hexString = "0x";
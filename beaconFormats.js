@@ -0,0 +1,348 @@
+// beaconFormats.js
+// Standard-Beacon-Formate als eingebaute Profil-Typen (neben 'service' und 'manufacturer'):
+//   ibeacon   - Apple iBeacon (Hersteller-ID 0x004C): Proximity-UUID, Major, Minor, Sendeleistung
+//   eddystone - Google Eddystone (Service 0xFEAA): Frames UID, URL, TLM (Akku, Temperatur) und EID
+//   altbeacon - AltBeacon (Hersteller-ID frei, Standard 0x0118): Beacon-ID, Referenz-RSSI
+//
+// Die Parser arbeiten auf den Nutzdaten, wie sie Web Bluetooth liefert
+// (Herstellerdaten ohne die zwei Bytes der Hersteller-ID) und liefern Felder
+// im Format von decodePayload (payloadDecoder.js). Sie kommen ohne DOM aus.
+//
+// Optionale Filter im Profil:
+//   ibeacon, altbeacon - beaconUuid (erste 16 Bytes der ID), major, minor (bei AltBeacon ID 2 und 3)
+//   eddystone          - namespace (10 Bytes Hex); gilt nur für UID-Frames, damit die
+//                        TLM-Frames desselben Beacons weiterhin ankommen
+
+import { toFullUuid } from './gattClient.js';
+import { formatDuration } from './deviceStats.js';
+import { t, formatNumber } from './i18n.js';
+
+export const BEACON_TYPES = ['ibeacon', 'eddystone', 'altbeacon'];
+
+const APPLE_COMPANY_ID = 0x004c;
+const ALTBEACON_DEFAULT_COMPANY_ID = 0x0118; // Radius Networks
+const EDDYSTONE_SERVICE_UUID = toFullUuid(0xfeaa);
+
+const IBEACON_PREFIX = [0x02, 0x15];
+const ALTBEACON_PREFIX = [0xbe, 0xac];
+
+// Aufbau der Herstellerdaten: Präfix und Mindestlänge in Bytes
+const MANUFACTURER_LAYOUTS = {
+    ibeacon: { name: 'iBeacon', prefix: IBEACON_PREFIX, length: 23 },
+    altbeacon: { name: 'AltBeacon', prefix: ALTBEACON_PREFIX, length: 24 }
+};
+
+// Eddystone-URL: Präfix (Byte 2) und Abkürzungen im kodierten Teil
+const URL_SCHEMES = ['http://www.', 'https://www.', 'http://', 'https://'];
+const URL_EXPANSIONS = ['.com/', '.org/', '.edu/', '.net/', '.info/', '.biz/', '.gov/',
+    '.com', '.org', '.edu', '.net', '.info', '.biz', '.gov'];
+
+// Reihenfolge der Eddystone-Frames in der Anzeige
+const FRAME_ORDER = ['uid', 'url', 'eid', 'tlm', 'unknown'];
+
+/**
+ * @param {string} type - Profil-Typ.
+ * @returns {boolean} - true für ibeacon, eddystone und altbeacon.
+ */
+export function isBeaconType(type) {
+    return BEACON_TYPES.includes(type);
+}
+
+/**
+ * Wo die Daten eines Beacon-Profils im Advertisement stehen.
+ * @param {object} profile
+ * @returns {object} - { companyId } (Herstellerdaten) oder { uuid } (Service-Daten).
+ */
+export function getBeaconCarrier(profile) {
+    if (profile.type === 'ibeacon') return { companyId: APPLE_COMPANY_ID };
+    if (profile.type === 'altbeacon') {
+        return { companyId: Number.isInteger(profile.companyId) ? profile.companyId : ALTBEACON_DEFAULT_COMPANY_ID };
+    }
+    return { uuid: EDDYSTONE_SERVICE_UUID };
+}
+
+/**
+ * Sucht die Beacon-Daten im Advertisement. Andere Daten desselben Herstellers
+ * (z.B. Apple-Geräte, die kein iBeacon senden) gelten als "keine Daten".
+ * @param {object} profile
+ * @param {object} event - 'advertisementreceived'-Event (oder gleich aufgebautes Objekt).
+ * @returns {DataView|null}
+ */
+export function getBeaconData(profile, event) {
+    const carrier = getBeaconCarrier(profile);
+    if (carrier.uuid) {
+        // Schlüssel je nach Herkunft als 128-Bit-UUID oder Kurzform
+        for (const [key, dataView] of event.serviceData) {
+            if (toFullUuid(key) === carrier.uuid) return dataView.byteLength >= 2 ? dataView : null;
+        }
+        return null;
+    }
+
+    const dataView = event.manufacturerData.get(carrier.companyId);
+    if (!dataView) return null;
+    return checkLayout(profile.type, dataView) ? null : dataView;
+}
+
+/**
+ * Scanfilter für requestLEScan (siehe buildScanFilter in profiles.js).
+ * @param {object} profile
+ * @returns {object}
+ */
+export function buildBeaconScanFilter(profile) {
+    const carrier = getBeaconCarrier(profile);
+    if (carrier.uuid) return { services: [carrier.uuid] };
+
+    const prefix = profile.type === 'ibeacon' ? IBEACON_PREFIX : ALTBEACON_PREFIX;
+    const uuidBytes = profile.beaconUuid ? uuidToBytes(profile.beaconUuid) : [];
+    return {
+        manufacturerData: [{ companyIdentifier: carrier.companyId, dataPrefix: Uint8Array.from([...prefix, ...uuidBytes]) }]
+    };
+}
+
+/**
+ * Prüft die Beacon-spezifischen Felder eines Profils (für validateProfile).
+ * @param {object} profile
+ * @returns {Array<string>} - Fehlermeldungen.
+ */
+export function validateBeaconProfile(profile) {
+    const errors = [];
+    if (profile.type === 'eddystone') {
+        if (profile.namespace !== undefined && !/^[0-9a-f]{20}$/i.test(normalizeHex(profile.namespace))) {
+            errors.push(t('beacon.invalidNamespace'));
+        }
+        return errors;
+    }
+
+    if (profile.beaconUuid !== undefined && !/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(profile.beaconUuid)) {
+        errors.push(t('beacon.invalidUuid'));
+    }
+    for (const key of ['major', 'minor']) {
+        if (profile[key] !== undefined && !(Number.isInteger(profile[key]) && profile[key] >= 0 && profile[key] <= 0xffff)) {
+            errors.push(t('beacon.invalidIdPart', { name: key === 'major' ? 'Major' : 'Minor' }));
+        }
+    }
+    if (profile.type === 'altbeacon' && profile.companyId !== undefined
+        && !(Number.isInteger(profile.companyId) && profile.companyId >= 0 && profile.companyId <= 0xffff)) {
+        errors.push(t('beacon.invalidCompanyId'));
+    }
+    return errors;
+}
+
+/**
+ * Zerlegt die Beacon-Daten in Felder. Zu kurze oder fremde Daten ergeben
+ * keine Felder, sondern eine Meldung in 'errors'.
+ * @param {string} type - 'ibeacon', 'eddystone' oder 'altbeacon'.
+ * @param {DataView} dataView - Aus getBeaconData.
+ * @returns {object} - { frame, identity, fields, errors }
+ *   frame    - 'ibeacon', 'altbeacon' oder bei Eddystone 'uid', 'url', 'tlm', 'eid', 'unknown'
+ *   identity - Kennung für die Profil-Filter ({ uuid, major, minor } bzw. { namespace, instance })
+ *   fields   - [{ name, label, value, text, showOnTile, frame }] wie bei decodePayload
+ */
+export function parseBeacon(type, dataView) {
+    if (type === 'ibeacon') return parseIBeacon(dataView);
+    if (type === 'altbeacon') return parseAltBeacon(dataView);
+    if (type === 'eddystone') return parseEddystone(dataView);
+    throw new Error(t('beacon.unknownType', { type: type }));
+}
+
+/**
+ * Prüft die Kennung eines Beacons gegen die Filter des Profils.
+ * @param {object} profile
+ * @param {DataView} dataView
+ * @returns {boolean}
+ */
+export function matchesBeaconFilter(profile, dataView) {
+    const { frame, identity } = parseBeacon(profile.type, dataView);
+    if (profile.type === 'eddystone') {
+        return !profile.namespace || frame !== 'uid' || identity.namespace === normalizeHex(profile.namespace).toUpperCase();
+    }
+    if (profile.beaconUuid && identity.uuid !== profile.beaconUuid.toLowerCase()) return false;
+    if (Number.isInteger(profile.major) && identity.major !== profile.major) return false;
+    if (Number.isInteger(profile.minor) && identity.minor !== profile.minor) return false;
+    return true;
+}
+
+/**
+ * Führt die Felder eines neuen Frames mit den bisherigen zusammen, damit z.B.
+ * die Werte aus Eddystone-UID und -TLM gemeinsam angezeigt werden, obwohl
+ * der Beacon sie abwechselnd sendet. Felder ohne 'frame' ersetzen alles.
+ * @param {Array} previous - Bisherige Felder des Assets.
+ * @param {Array} current - Felder des neuen Pakets.
+ * @returns {Array}
+ */
+export function mergeFrameFields(previous, current) {
+    if (current.length === 0 || !current[0].frame) return current;
+    const frames = new Set(current.map(field => field.frame));
+    return [...previous.filter(field => field.frame && !frames.has(field.frame)), ...current]
+        .sort((a, b) => FRAME_ORDER.indexOf(a.frame) - FRAME_ORDER.indexOf(b.frame));
+}
+
+// --- Formate ---
+
+function parseIBeacon(dataView) {
+    const error = checkLayout('ibeacon', dataView);
+    if (error) return { frame: 'ibeacon', identity: {}, fields: [], errors: [error] };
+
+    const identity = {
+        uuid: formatUuid(dataView, 2),
+        major: dataView.getUint16(18, false),
+        minor: dataView.getUint16(20, false)
+    };
+    const txPower = dataView.getInt8(22);
+    return {
+        frame: 'ibeacon',
+        identity: identity,
+        fields: [
+            field('uuid', t('beacon.proximityUuid'), identity.uuid, identity.uuid, false),
+            field('major', "Major", identity.major),
+            field('minor', "Minor", identity.minor),
+            field('txPower', t('beacon.txPower1m'), txPower, `${txPower} dBm`, false)
+        ],
+        errors: []
+    };
+}
+
+function parseAltBeacon(dataView) {
+    const error = checkLayout('altbeacon', dataView);
+    if (error) return { frame: 'altbeacon', identity: {}, fields: [], errors: [error] };
+
+    const identity = {
+        uuid: formatUuid(dataView, 2),
+        major: dataView.getUint16(18, false),
+        minor: dataView.getUint16(20, false)
+    };
+    const referenceRssi = dataView.getInt8(22);
+    const reserved = dataView.getUint8(23);
+    return {
+        frame: 'altbeacon',
+        identity: identity,
+        fields: [
+            field('uuid', t('beacon.beaconId'), identity.uuid, identity.uuid, false),
+            field('major', "ID 2", identity.major),
+            field('minor', "ID 3", identity.minor),
+            field('referenceRssi', t('beacon.referenceRssi'), referenceRssi, `${referenceRssi} dBm`, false),
+            field('reserved', t('beacon.reserved'), reserved, formatHex(dataView, 23, 1), false)
+        ],
+        errors: []
+    };
+}
+
+function parseEddystone(dataView) {
+    const result = { frame: 'unknown', identity: {}, fields: [], errors: [] };
+    if (dataView.byteLength === 0) {
+        result.errors.push(t('beacon.tooShort', { format: 'Eddystone', length: 0, expected: 2 }));
+        return result;
+    }
+    const frameType = dataView.getUint8(0);
+    const requireLength = (length, name) => {
+        if (dataView.byteLength >= length) return true;
+        result.errors.push(t('beacon.frameTooShort', { frame: name, length: dataView.byteLength, expected: length }));
+        return false;
+    };
+
+    if (frameType === 0x00) {
+        result.frame = 'uid';
+        if (!requireLength(18, 'UID')) return result;
+        const txPower = dataView.getInt8(1);
+        result.identity = { namespace: formatHex(dataView, 2, 10, ''), instance: formatHex(dataView, 12, 6, '') };
+        result.fields = [
+            field('namespace', "Namespace", result.identity.namespace, result.identity.namespace, false),
+            field('instance', t('beacon.instance'), result.identity.instance),
+            field('txPower', t('beacon.txPower0m'), txPower, `${txPower} dBm`, false)
+        ];
+    } else if (frameType === 0x10) {
+        result.frame = 'url';
+        if (!requireLength(4, 'URL')) return result;
+        const url = decodeEddystoneUrl(dataView);
+        result.fields = [field('url', "URL", url)];
+    } else if (frameType === 0x20) {
+        result.frame = 'tlm';
+        if (!requireLength(2, 'TLM')) return result;
+        if (dataView.getUint8(1) !== 0x00) {
+            result.fields = [field('tlm', t('beacon.telemetry'), null, t('beacon.encryptedTlm'), false)];
+        } else if (requireLength(14, 'TLM')) {
+            result.fields = parseTlm(dataView);
+        }
+    } else if (frameType === 0x30) {
+        result.frame = 'eid';
+        if (!requireLength(10, 'EID')) return result;
+        const eid = formatHex(dataView, 2, 8, '');
+        result.fields = [field('eid', "Ephemeral ID", eid, eid, false)];
+    } else {
+        result.errors.push(t('beacon.unknownFrame', { frame: `0x${frameType.toString(16).toUpperCase().padStart(2, '0')}` }));
+    }
+    for (const f of result.fields) f.frame = result.frame;
+    return result;
+}
+
+/**
+ * Eddystone-TLM (unverschlüsselt): Spannung in mV, Temperatur als 8.8-Festkomma,
+ * Anzahl gesendeter Pakete und Zeit seit dem Einschalten (Zehntelsekunden).
+ * 0 mV bzw. 0x8000 bedeuten "nicht unterstützt".
+ */
+function parseTlm(dataView) {
+    const millivolts = dataView.getUint16(2, false);
+    const rawTemperature = dataView.getInt16(4, false);
+    const packets = dataView.getUint32(6, false);
+    const uptimeMs = dataView.getUint32(10, false) * 100;
+
+    const voltage = millivolts === 0 ? null : millivolts / 1000;
+    const temperature = rawTemperature === -0x8000 ? null : rawTemperature / 256;
+    return [
+        field('batteryVoltage', t('beacon.batteryVoltage'), voltage, voltage === null ? t('beacon.notSupported') : `${formatNumber(voltage, 2)} V`),
+        field('temperature', t('beacon.temperature'), temperature, temperature === null ? t('beacon.notSupported') : `${formatNumber(temperature, 1)} °C`),
+        field('advertisements', t('beacon.advertisements'), packets, String(packets), false),
+        field('uptime', t('beacon.uptime'), uptimeMs, formatDuration(uptimeMs), false)
+    ];
+}
+
+function decodeEddystoneUrl(dataView) {
+    let url = URL_SCHEMES[dataView.getUint8(2)] ?? '';
+    for (let i = 3; i < dataView.byteLength; i++) {
+        const code = dataView.getUint8(i);
+        url += code < URL_EXPANSIONS.length ? URL_EXPANSIONS[code] : String.fromCharCode(code);
+    }
+    return url;
+}
+
+// --- Hilfsfunktionen ---
+
+/**
+ * Prüft Länge und Präfix von iBeacon- bzw. AltBeacon-Herstellerdaten.
+ * @returns {string|null} - Fehlermeldung oder null, wenn die Daten passen.
+ */
+function checkLayout(type, dataView) {
+    const { name, prefix, length } = MANUFACTURER_LAYOUTS[type];
+    if (dataView.byteLength < length) {
+        return t('beacon.tooShort', { format: name, length: dataView.byteLength, expected: length });
+    }
+    if (!prefix.every((byte, i) => dataView.getUint8(i) === byte)) {
+        return t('beacon.wrongPrefix', { format: name, prefix: formatHex(dataView, 0, prefix.length) });
+    }
+    return null;
+}
+
+function field(name, label, value, text = String(value), showOnTile = true) {
+    return { name, label, value, text, showOnTile };
+}
+
+function formatHex(dataView, offset, length, separator = ' ') {
+    const bytes = [];
+    for (let i = 0; i < length; i++) {
+        bytes.push(dataView.getUint8(offset + i).toString(16).toUpperCase().padStart(2, '0'));
+    }
+    return bytes.join(separator);
+}
+
+function formatUuid(dataView, offset) {
+    const hex = formatHex(dataView, offset, 16, '').toLowerCase();
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+function uuidToBytes(uuid) {
+    return uuid.replace(/-/g, '').match(/../g).map(pair => parseInt(pair, 16));
+}
+
+function normalizeHex(text) {
+    return String(text).replace(/[\s:-]/g, '');
+}
@@ -0,0 +1,166 @@
+// calibrationWizard.js
+// Assistent zur Entfernungs-Kalibrierung eines Profils.
+// Ablauf: Fahrzeug in bekanntem Abstand zum Scanner abstellen, Messung starten,
+// die RSSI-Rohwerte des Fahrzeugs werden einige Sekunden gesammelt und gemittelt.
+// Eine Messung bestimmt 'measuredPower', eine zweite Messung in anderem
+// Abstand zusätzlich den 'environmentFactor'. Das Ergebnis gilt für das
+// ganze Profil und wird lokal gespeichert (siehe proximity.js).
+
+import { createLogger } from './errorManager.js';
+import { getCalibration, saveCalibration, resetCalibration, computeCalibration } from './proximity.js';
+import { t, onLocaleChange, formatNumber } from './i18n.js';
+
+const { log, warn, error } = createLogger('calibrationWizard');
+
+let onCalibrationChanged = () => {}; // Hook aus app.js (Kacheln neu berechnen)
+let target = null;      // { id, name, profileName } des kalibrierten Fahrzeugs
+let measurements = [];  // [{ distance, meanRssi, count }]
+let recording = null;   // Laufende Messung: { distance, samples, timer }
+
+// DOM-Referenzen
+let calibrationModal, infoText, distanceInput, durationInput, btnMeasure, progressText, resultText, btnApply;
+
+/**
+ * Initialisiert den Kalibrier-Dialog.
+ * @param {object} hooks
+ * @param {function} hooks.onChange - Wird nach dem Speichern/Zurücksetzen aufgerufen.
+ */
+export function initCalibrationWizard(hooks) {
+    onCalibrationChanged = hooks.onChange;
+
+    calibrationModal = document.getElementById('calibration-modal');
+    infoText = document.getElementById('calibration-info');
+    distanceInput = document.getElementById('calibration-distance');
+    durationInput = document.getElementById('calibration-duration');
+    btnMeasure = document.getElementById('btn-calibration-measure');
+    progressText = document.getElementById('calibration-progress');
+    resultText = document.getElementById('calibration-result');
+    btnApply = document.getElementById('btn-calibration-apply');
+
+    btnMeasure.addEventListener('click', startMeasurement);
+    btnApply.addEventListener('click', applyCalibration);
+    document.getElementById('btn-calibration-reset').addEventListener('click', resetToConfig);
+    document.getElementById('btn-close-calibration').addEventListener('click', closeCalibrationWizard);
+    onLocaleChange(() => {
+        if (target) renderInfo();
+    });
+}
+
+/**
+ * Öffnet den Assistenten für ein Fahrzeug (aus dem Inspektor).
+ * @param {object} asset - FtsAsset aus 'detectedAssets'.
+ */
+export function openCalibrationWizard(asset) {
+    target = { id: asset.id, name: asset.name, profileName: asset.profileName };
+    measurements = [];
+    stopMeasurement();
+    renderInfo();
+    progressText.textContent = t('calibration.instructions');
+    resultText.textContent = '';
+    btnApply.disabled = true;
+    calibrationModal.classList.remove('modal-hidden');
+}
+
+function closeCalibrationWizard() {
+    stopMeasurement();
+    target = null;
+    calibrationModal.classList.add('modal-hidden');
+}
+
+/**
+ * Nimmt einen RSSI-Rohwert entgegen (aus 'handleAdvertisement').
+ * Wird nur während einer laufenden Messung für das Ziel-Fahrzeug verwendet.
+ * @param {string} deviceId
+ * @param {number} rssi
+ */
+export function feedCalibrationSample(deviceId, rssi) {
+    if (!recording || !target || deviceId !== target.id) return;
+    recording.samples.push(rssi);
+    progressText.textContent = t('calibration.runningCount', { distance: recording.distance, count: recording.samples.length });
+}
+
+function renderInfo() {
+    const calibration = getCalibration(target.profileName);
+    const sourceLabel = calibration.source === 'config' ? "config.js" : t(`calibration.source.${calibration.source}`);
+    infoText.textContent = t('calibration.target', { name: target.name, profile: target.profileName }) + '\n' +
+        t('calibration.current', { values: formatCalibration(calibration), source: sourceLabel });
+}
+
+function startMeasurement() {
+    const distance = Number(distanceInput.value);
+    const durationSec = Number(durationInput.value);
+    if (!(distance > 0) || !(durationSec > 0)) {
+        warn(t('calibration.invalidInput'));
+        return;
+    }
+
+    stopMeasurement();
+    recording = { distance: distance, samples: [], timer: setTimeout(finishMeasurement, durationSec * 1000) };
+    btnMeasure.disabled = true;
+    progressText.textContent = t('calibration.running', { distance: distance });
+}
+
+function stopMeasurement() {
+    if (recording) clearTimeout(recording.timer);
+    recording = null;
+    if (btnMeasure) btnMeasure.disabled = false;
+}
+
+function finishMeasurement() {
+    const { distance, samples } = recording;
+    stopMeasurement();
+
+    if (samples.length < 3) {
+        progressText.textContent = t('calibration.tooFewPackets', { count: samples.length });
+        return;
+    }
+
+    const meanRssi = samples.reduce((sum, rssi) => sum + rssi, 0) / samples.length;
+    // Eine neue Messung beim selben Abstand ersetzt die alte; höchstens zwei Abstände
+    measurements = measurements.filter(m => m.distance !== distance);
+    measurements.push({ distance, meanRssi, count: samples.length });
+    if (measurements.length > 2) measurements.shift();
+
+    progressText.textContent = measurements
+        .map(m => t('calibration.measurement', { distance: m.distance, rssi: formatNumber(m.meanRssi, 1), count: m.count }))
+        .join('\n') + (measurements.length === 1 ? `\n${t('calibration.secondHint')}` : '');
+
+    const result = computeCalibration(measurements, getCalibration(target.profileName).environmentFactor);
+    resultText.textContent = t('calibration.result', { values: formatCalibration(result) });
+    btnApply.disabled = false;
+}
+
+function applyCalibration() {
+    if (!target || measurements.length === 0) return;
+    const result = computeCalibration(measurements, getCalibration(target.profileName).environmentFactor);
+    try {
+        saveCalibration(target.profileName, result);
+    } catch (e) {
+        error(t('calibration.saveFailed', { message: e.message }));
+        return;
+    }
+    log(t('calibration.saved', { profile: target.profileName, values: formatCalibration(result) }));
+    renderInfo();
+    btnApply.disabled = true;
+    onCalibrationChanged();
+}
+
+function resetToConfig() {
+    if (!target) return;
+    resetCalibration(target.profileName);
+    log(t('calibration.reset', { profile: target.profileName }));
+    renderInfo();
+    onCalibrationChanged();
+}
+
+/**
+ * Kalibrierwerte als Text, z.B. "-62,0 dBm @ 1 m, Faktor 2,50".
+ * @param {object} calibration - { measuredPower, environmentFactor }
+ * @returns {string}
+ */
+function formatCalibration(calibration) {
+    return t('calibration.values', {
+        power: formatNumber(calibration.measuredPower, 1),
+        factor: formatNumber(calibration.environmentFactor, 2)
+    });
+}
@@ -8,24 +8,187 @@ export const CONFIG = {
     // Intervall (in Millisekunden), in dem die UI den Status (LED, 'Zuletzt gesehen')
     // für alle Kacheln überprüft und aktualisiert.
     TICKER_INTERVAL_MS: 2000, // 2 Sekunden
+    // Bildschirm während eines Scans eingeschaltet lassen (Screen Wake Lock, siehe wakeLock.js)
+    WAKE_LOCK_DURING_SCAN: true,
+    // Sprache der Oberfläche und der Logs (siehe i18n.js). Die Auswahl in der Kopfzeile
+    // wird lokal gespeichert; ohne Auswahl gilt die Browser-Sprache, sonst DEFAULT_LOCALE.
+    // Texte aus dieser Datei (Profile, Decoder, Alarm-Regeln) bleiben wie eingetragen.
+    I18N: {
+        DEFAULT_LOCALE: 'de',
+        FALLBACK_LOCALE: 'de' // Fehlt ein Text in einer Sprache, gilt dieser Katalog
+    },
 
     // 2. FTS Asset-Profile (Das "Gehirn" des Filters)
     // Diese Liste definiert, welche Geräte als FTS (Fahrerloses Transport-System)
     // erkannt und in der App angezeigt werden sollen.
+    // Dies sind die Standard-Profile: Im Profil-Editor der App können sie lokal
+    // bearbeitet, deaktiviert oder um eigene Profile ergänzt werden (siehe profiles.js).
+    // Optionale Filter je Profil: namePrefix, dataPrefix und mask (Hex, z.B. "01 A2")
+    // sowie minRssi (dBm; schwächere Pakete werden verworfen, nur in Software geprüft).
+    // Typen: 'service', 'manufacturer' sowie die Beacon-Formate 'ibeacon', 'eddystone'
+    // und 'altbeacon' (eingebaute Parser statt 'decoder', Filter siehe beaconFormats.js).
     FTS_PROFILES: [
         {
+            id: 'typ-a', // Stabile ID, damit Änderungen aus dem Profil-Editor zugeordnet werden
             profileName: "FTS-Gruppe Ladestation (Typ A)",
             type: 'service', // Filtert nach einer bestimmten Service-UUID
-            uuid: '0xfcf1' // Beispiel: Kurzform für 0000fcf1-0000-1000-8000-00805f9b34fb
+            uuid: '0xfcf1', // Beispiel: Kurzform für 0000fcf1-0000-1000-8000-00805f9b34fb
+            decoder: 'ftsStatusV1', // Optional: Name eines Layouts aus PAYLOAD_DECODERS
+            // Optional: Entfernungs-Kalibrierung (siehe DISTANCE). Kann im Inspektor
+            // per Assistent neu gemessen werden; das Ergebnis überschreibt diesen Wert lokal.
+            calibration: { measuredPower: -62, environmentFactor: 2.5 },
+            // Optional: Payload-Vorlage für den Simulator (fester Wert oder [min, max] pro Byte)
+            simulatorPayload: [[20, 100], [0, 2], 0, 1, 4, 2],
+            // Optional: Herstellerspezifische Werte für die GATT-Diagnose im Inspektor
+            // (zusätzlich zu Akku und Geräteinformationen, siehe gattClient.js).
+            // Felder wie in PAYLOAD_DECODERS (type, unit, scale, values, ...) oder
+            // 'decoder' für ein ganzes Layout; notify: true abonniert Änderungen.
+            // 'simulatorValue' ist die Vorlage für den Simulator (wie simulatorPayload).
+            gatt: {
+                characteristics: [
+                    {
+                        service: 'a2120000-7e5c-4b8f-9d3a-2f1e0c4b5a60',
+                        characteristic: 'a2120001-7e5c-4b8f-9d3a-2f1e0c4b5a60',
+                        labelKey: 'config.gatt.liveStatus',
+                        decoder: 'ftsStatusV1',
+                        notify: true,
+                        simulatorValue: [[20, 100], [0, 2], 0, 1, 4, 2]
+                    },
+                    {
+                        service: 'a2120000-7e5c-4b8f-9d3a-2f1e0c4b5a60',
+                        characteristic: 'a2120002-7e5c-4b8f-9d3a-2f1e0c4b5a60',
+                        labelKey: 'config.gatt.operatingHours',
+                        type: 'uint32',
+                        scale: 0.1,
+                        decimals: 1,
+                        unit: 'h',
+                        simulatorValue: [[0, 255], [0, 255], 1, 0]
+                    }
+                ]
+            }
         },
         {
+            id: 'typ-b',
             profileName: "FTS 'M.' (Typ B)",
             type: 'manufacturer', // Filtert nach einer Hersteller-ID
-            companyId: 0xa212 // Beispiel: Eine fiktive Hersteller-ID
+            companyId: 0xa212, // Beispiel: Eine fiktive Hersteller-ID
+            decoder: 'ftsStatusV1',
+            simulatorPayload: [[5, 100], [0, 4], [0, 3], 2, 0, 7]
+        },
+        // Beispiele für Beacon-Profile (deaktiviert, im Profil-Editor einschaltbar)
+        {
+            id: 'ladestation-ibeacon',
+            profileName: "Ladestation (iBeacon)",
+            type: 'ibeacon', // Apple iBeacon, Hersteller-ID 0x004C
+            enabled: false,
+            beaconUuid: 'e2c56db5-dffb-48d2-b060-d0f5a71096e0', // Optional: nur diese Proximity-UUID
+            // Optional: major / minor (0-65535)
+            simulatorPayload: [0x02, 0x15, 0xe2, 0xc5, 0x6d, 0xb5, 0xdf, 0xfb, 0x48, 0xd2,
+                0xb0, 0x60, 0xd0, 0xf5, 0xa7, 0x10, 0x96, 0xe0, 0x00, 0x01, 0x00, [1, 12], 0xc5]
+        },
+        {
+            id: 'fts-eddystone',
+            profileName: "FTS Nachrüst-Beacon (Eddystone)",
+            type: 'eddystone', // Service 0xFEAA: UID, URL, TLM (Akkuspannung, Temperatur), EID
+            enabled: false,
+            // Optional: namespace (10 Bytes Hex), gilt nur für UID-Frames
+            namespace: 'EDD1EBEAC04E5DEFA017',
+            // Simulator: UID- und TLM-Frames abwechselnd
+            simulatorFrames: [
+                [0x00, 0xee, 0xed, 0xd1, 0xeb, 0xea, 0xc0, 0x4e, 0x5d, 0xef, 0xa0, 0x17,
+                    0x00, 0x00, 0x00, 0x00, 0x00, [1, 99], 0x00, 0x00],
+                [0x20, 0x00, 0x0b, [0x54, 0xff], 0x16, [0x00, 0xff], 0x00, 0x01, [0, 255], [0, 255],
+                    0x00, 0x03, [0, 255], [0, 255]]
+            ]
+        },
+        {
+            id: 'tor-altbeacon',
+            profileName: "Hallentor (AltBeacon)",
+            type: 'altbeacon',
+            enabled: false,
+            companyId: 0x0118, // Optional, Standard: 0x0118
+            simulatorPayload: [0xbe, 0xac, 0x2f, 0x23, 0x44, 0x54, 0xcf, 0x6d, 0x4a, 0x0f, 0xad, 0xf2,
+                0xf4, 0x91, 0x1b, 0xa9, 0xff, 0xa6, 0x00, 0x01, 0x00, [1, 4], 0xc5, 0x00]
         }
     ],
 
+    // Byte-Layouts zum Dekodieren der Payloads (siehe payloadDecoder.js).
+    // Ein Profil ohne 'decoder' zeigt nur die Rohdaten als Hex an.
+    // Feld-Optionen:
+    //   name, label     - interner Name und Anzeigename
+    //   labelKey        - statt 'label' ein Textschlüssel (messagesDe.js/messagesEn.js),
+    //                     damit die Bezeichnung der Sprache folgt; ebenso valueKeys/bitKeys
+    //   offset, length  - Position im Payload (length nur für hex/ascii/version/flags nötig)
+    //   type            - uint8, int8, uint16, int16, uint32, int32, float32, flags, version, ascii, hex
+    //   endian          - 'little' (Standard) oder 'big'
+    //   mask, scale     - Optionale Bitmaske und Faktor (z.B. 0.1)
+    //   unit, decimals  - Einheit und Nachkommastellen für die Anzeige
+    //   values          - Klartext für Statuscodes, bits - Namen der Fehler-Bits
+    //                     (oder valueKeys, bitKeys mit Textschlüsseln)
+    //   showOnTile      - false = nur im Inspektor anzeigen
+    PAYLOAD_DECODERS: {
+        ftsStatusV1: {
+            fields: [
+                { name: 'battery', labelKey: 'config.ftsStatus.battery', offset: 0, type: 'uint8', unit: '%' },
+                {
+                    name: 'state', labelKey: 'config.ftsStatus.state', offset: 1, type: 'uint8',
+                    valueKeys: {
+                        0: 'config.ftsStatus.state.ready', 1: 'config.ftsStatus.state.driving', 2: 'config.ftsStatus.state.charging',
+                        3: 'config.ftsStatus.state.fault', 4: 'config.ftsStatus.state.maintenance'
+                    }
+                },
+                {
+                    name: 'errors', labelKey: 'config.ftsStatus.errors', offset: 2, type: 'flags', length: 1,
+                    bitKeys: {
+                        0: 'config.ftsStatus.errors.motor', 1: 'config.ftsStatus.errors.sensor',
+                        2: 'config.ftsStatus.errors.emergencyStop', 3: 'config.ftsStatus.errors.batteryTemp'
+                    }
+                },
+                { name: 'firmware', labelKey: 'config.ftsStatus.firmware', offset: 3, type: 'version', length: 3, showOnTile: false }
+            ]
+        }
+    },
+
     // 3. UI-Schwellenwerte (Für die Kachel-Optik)
+    // RSSI-Verlauf je Fahrzeug (für das Diagramm im Inspektor).
+    // Es gilt die strengere der beiden Grenzen.
+    RSSI_HISTORY: {
+        MAX_SAMPLES: 1800,          // Maximale Anzahl gespeicherter Werte
+        MAX_AGE_MS: 15 * 60 * 1000, // Ältere Werte werden verworfen (15 Minuten)
+        // Wählbare Zeitfenster des Diagramms und die Voreinstellung
+        CHART_WINDOWS_MS: [60 * 1000, 5 * 60 * 1000, 15 * 60 * 1000],
+        CHART_WINDOW_MS: 60 * 1000
+    },
+
+    // Verlauf der unterschiedlichen Payloads je Fahrzeug (siehe payloadTimeline.js).
+    // Gespeichert wird nur, wenn sich mindestens ein Byte ändert.
+    // WATCHES: Byte-Bereiche, deren Änderung ein Ereignis auslöst (onPayloadChange)
+    //   scope    - optional { deviceId }, { profileName } oder { decoder } (Profile mit
+    //              diesem Decoder), sonst alle Fahrzeuge
+    //   from, to - erstes und letztes Byte (einschließlich)
+    //   mask     - optional, wird auf jedes Byte des Bereichs angewendet
+    //   nameKey  - Textschlüssel des Anzeigenamens (oder 'name' als fester Text)
+    PAYLOAD_TIMELINE: {
+        MAX_ENTRIES: 50,
+        WATCHES: [
+            // Status und Fehler-Bits (siehe ftsStatusV1)
+            { id: 'state', nameKey: 'config.watch.state', from: 1, to: 2, scope: { decoder: 'ftsStatusV1' } }
+        ]
+    },
+
+    // Glättung der RSSI-Werte (siehe rssiFilter.js).
+    // Der geglättete Wert steuert Kachel-Anzeige und Balkenfarbe.
+    // Die Auswahl im Inspektor wird lokal gespeichert und hat Vorrang vor METHOD.
+    RSSI_SMOOTHING: {
+        METHOD: 'ema', // 'none', 'moving-average', 'ema' oder 'kalman'
+        MOVING_AVERAGE_WINDOW: 8, // Anzahl der Pakete
+        EMA_ALPHA: 0.3, // Gewicht des neuen Werts (0-1, größer = reagiert schneller)
+        KALMAN: {
+            Q: 0.5, // Prozessrauschen
+            R: 8    // Messrauschen
+        }
+    },
+
     RSSI_STATUS: {
         // RSSI (Received Signal Strength Indicator) in dBm.
         // Stärker als dieser Wert = Grün (Stark)
@@ -35,6 +198,89 @@ export const CONFIG = {
         // Alles dazwischen wird als "Mittel" (Gelb) eingestuft.
     },
 
+    // Alarm-Regeln (ausgewertet vom Status-Ticker, siehe alertEngine.js)
+    // scope:     optional { deviceId }, { profileName } oder { decoder } (Profile mit
+    //            diesem Decoder), sonst alle Fahrzeuge
+    // condition: { type: 'notSeen', seconds }                  - nicht gesehen seit > N Sekunden
+    //            { type: 'rssiBelow', dbm, forSeconds }        - RSSI unter X für Y Sekunden
+    //            { type: 'payload', field, op, value }         - dekodiertes Feld (PAYLOAD_DECODERS)
+    //            { type: 'payload', byte, mask, op, value }    - rohes Payload-Byte
+    //            op: '==', '!=', '<', '<=', '>', '>='; 'forSeconds' ist bei allen Typen möglich
+    // notify:    Kanäle 'banner', 'sound', 'vibrate', 'notification'
+    // nameKey:   Textschlüssel des Anzeigenamens (oder 'name' als fester Text)
+    ALERT_RULES: [
+        {
+            id: 'lost',
+            nameKey: 'config.rule.lost',
+            condition: { type: 'notSeen', seconds: 30 },
+            severity: 'critical',
+            notify: ['banner', 'sound', 'vibrate', 'notification']
+        },
+        {
+            id: 'weak-signal',
+            nameKey: 'config.rule.weakSignal',
+            condition: { type: 'rssiBelow', dbm: -92, forSeconds: 20 },
+            severity: 'warning',
+            notify: ['banner']
+        },
+        {
+            id: 'battery-low',
+            nameKey: 'config.rule.batteryLow',
+            condition: { type: 'payload', field: 'battery', op: '<', value: 15 },
+            severity: 'warning',
+            notify: ['banner', 'sound']
+        },
+        {
+            id: 'emergency-stop',
+            nameKey: 'config.rule.emergencyStop',
+            // Byte 2, Bit 2 (siehe 'errors' in ftsStatusV1)
+            condition: { type: 'payload', byte: 2, mask: 0x04, op: '!=', value: 0 },
+            scope: { decoder: 'ftsStatusV1' }, // Byte-Layout gilt nicht für Beacons
+            severity: 'critical',
+            notify: ['banner', 'sound', 'vibrate', 'notification']
+        }
+    ],
+
+    ALERTS: {
+        // Dauer von "Schlummern" (5 Minuten)
+        SNOOZE_MS: 5 * 60 * 1000,
+        // Anzahl der abgeschlossenen Alarme, die gespeichert bleiben
+        HISTORY_LENGTH: 200,
+        // Vibrationsmuster (ms an/aus) für mobile Geräte
+        VIBRATE_PATTERN: [200, 100, 200]
+    },
+
+    // Entfernungsschätzung (Log-Distance-Path-Loss, siehe proximity.js)
+    DISTANCE: {
+        // Für Profile ohne eigene 'calibration':
+        // measuredPower = RSSI in 1 m Abstand, environmentFactor = 2 (freie Sicht) bis 4 (dichte Halle)
+        DEFAULT_CALIBRATION: { measuredPower: -59, environmentFactor: 2.7 }
+    },
+
+    // Näherungszonen auf den Kacheln. Die erste passende Zone gewinnt.
+    // Anzeigename als Textschlüssel ('labelKey') oder fester Text ('label').
+    // PRESET 'rssi' verwendet stattdessen die Schwellen aus RSSI_STATUS (Stark/Mittel/Schwach).
+    ZONES: {
+        PRESET: 'distance',
+        PRESETS: {
+            distance: [
+                { id: 'charging', labelKey: 'config.zone.charging', maxDistance: 1.5 }, // Meter
+                { id: 'near', labelKey: 'config.zone.near', maxDistance: 6 },
+                { id: 'far', labelKey: 'config.zone.far', maxDistance: Infinity }
+            ]
+        }
+    },
+
+    // Hallenplan (siehe floorMap.js): Position je Fahrzeug aus dem RSSI der
+    // Scanner, die als Ankerpunkt auf dem Plan liegen.
+    // Ab MIN_ANCHORS Scannern wird trilateriert, sonst beim nächsten Anker gezeichnet
+    // (im geschätzten Abstand, höchstens NEAREST_MAX_RADIUS_M).
+    FLOOR_MAP: {
+        DEFAULT_WIDTH_M: 50, // Breite des Plans in Metern (im Plan änderbar)
+        MIN_ANCHORS: 3,
+        NEAREST_MAX_RADIUS_M: 8
+    },
+
     LED_STATUS: {
         // Definiert die Farben der "Aktivitäts-LED" auf der Kachel.
         // Gesehen in den letzten X Millisekunden = Grün (Aktiv)
@@ -43,6 +289,15 @@ export const CONFIG = {
         INACTIVE_MS: 30000  // 30 Sekunden
         // Älter als INACTIVE_MS = Rot (Signal verloren)
     },
+
+    // Schichtbericht (siehe shiftReport.js). Verfügbarkeit und Ausfälle richten sich
+    // nach LED_STATUS; jedes Fahrzeug führt dafür ein kompaktes Protokoll.
+    SHIFT_REPORT: {
+        BUCKET_MS: 60000,              // RSSI-Mittel je Minute
+        RETENTION_MS: 24 * 60 * 60000, // Protokoll reicht 24 Stunden zurück
+        AVAILABILITY_TARGET: 0.95,     // Darunter wird das Fahrzeug im Bericht markiert
+        DEFAULT_HOURS: 8               // Vorbelegter Zeitraum (letzte X Stunden)
+    },
     
     // 4. Bluetooth Scan-Optionen
     // Diese Optionen werden direkt an navigator.bluetooth.requestLEScan() übergeben.
@@ -54,6 +309,107 @@ export const CONFIG = {
         // Wichtig: false. Wir wollen NUR Geräte, die unseren Filtern entsprechen.
         // Die Filter selbst werden dynamisch in app.js aus FTS_PROFILES generiert.
         acceptAllAdvertisements: false 
+    },
+
+    // Überwachung des laufenden Scans (siehe scanManager.js)
+    SCAN_WATCHDOG: {
+        // Neustart, wenn so lange kein einziges Paket ankam (0 = nur auf
+        // einen vom Browser beendeten Scan reagieren)
+        SILENCE_MS: 30000,
+        // Abstand der Prüfungen
+        CHECK_INTERVAL_MS: 5000,
+        // Neustarts ohne empfangenes Paket. Danach gilt der Scan als "aktiv, keine
+        // Geräte", solange die Quelle läuft, sonst als "Scan unterbrochen"
+        MAX_RESTARTS: 3
+    },
+
+    // Anordnung der Kacheln im Cockpit (siehe gridView.js)
+    GRID: {
+        // Sortierung und Filter werden höchstens in diesem Abstand neu angewendet,
+        // damit die Kacheln nicht bei jedem Paket springen (Auswahl-Änderungen wirken sofort).
+        RESORT_INTERVAL_MS: 10000
+    },
+
+    // Geräte-Registry (siehe deviceRegistry.js)
+    DEVICE_REGISTRY: {
+        // Maximale Größe eines Fotos im Inspektor (wird in der IndexedDB gespeichert)
+        PHOTO_MAX_BYTES: 2 * 1024 * 1024 // 2 MB
+    },
+
+    // App-Logs (siehe errorManager.js und logStore.js)
+    LOGGING: {
+        // Anzahl der Einträge, die in der IndexedDB aufgehoben werden (Ringpuffer;
+        // ältere werden gelöscht). Umfasst auch frühere Sitzungen.
+        MAX_ENTRIES: 2000,
+        // Anzahl der Zeilen in der UI-Konsole (die Historie bleibt im Puffer)
+        MAX_VISIBLE: 500,
+        // Einträge werden gesammelt geschrieben, Fehler sofort
+        FLUSH_INTERVAL_MS: 1000
+    },
+
+    // Diagnose verworfener Pakete (siehe scanDiagnostics.js)
+    DIAGNOSTICS: {
+        // Anzahl der zuletzt verworfenen Pakete, die im Diagnose-Dialog gelistet werden
+        RECENT_REJECTIONS: 50
+    },
+
+    // Zeichnen des Cockpits (siehe renderScheduler.js)
+    RENDERING: {
+        // 'batched' = geänderte Kacheln höchstens einmal pro Frame zeichnen,
+        // 'immediate' = bei jedem Paket sofort (nur zum Vergleich).
+        // Per URL überschreibbar, z.B. index.html?source=benchmark&render=immediate
+        MODE: 'batched'
+    },
+
+    // 5. Scan-Quelle
+    // 'bluetooth' = echter Scan über Web Bluetooth, 'simulator' = simulierte Flotte,
+    // 'benchmark' = simulierte Flotte mit hoher Paketrate (Leistungsmessung).
+    // 'relay' = nur Beobachtungen anderer Scanner aus dem Scanner-Verbund (z.B. am PC ohne Bluetooth).
+    // Kann per URL-Parameter überschrieben werden, z.B. index.html?source=simulator
+    SCAN_SOURCE: 'bluetooth',
+
+    // Scanner-Verbund (siehe scannerBridge.js und den Relay scannerRelay.mjs):
+    // Jeder Scanner sendet seine Beobachtungen an einen WebSocket-Relay und
+    // empfängt die der anderen. URL und Scanner-Name lassen sich im Dialog
+    // "Scanner" ändern (je Browser gespeichert).
+    SCANNER_BRIDGE: {
+        URL: 'ws://localhost:8765',
+        RECONNECT_MS: 5000, // Wartezeit bis zum erneuten Verbindungsversuch
+        // Für "bester Scanner" zählen nur Scanner, die das Fahrzeug innerhalb
+        // dieser Zeit gehört haben
+        BEST_SCANNER_MAX_AGE_MS: 5000
+    },
+
+    // GATT-Diagnose im Inspektor (siehe gattClient.js): Verbinden, Werte lesen,
+    // Benachrichtigungen abonnieren. Ohne Antwort innerhalb der Zeit wird abgebrochen.
+    GATT: {
+        CONNECT_TIMEOUT_MS: 10000,
+        OPERATION_TIMEOUT_MS: 5000 // Je Lese-/Abonnier-Vorgang
+    },
+
+    // Einstellungen der simulierten Flotte (siehe simulator.js)
+    SIMULATOR: {
+        DEVICE_COUNT: 12,
+        // Sendeintervall jedes simulierten Fahrzeugs
+        INTERVAL_MS: 500,
+        // Bereich der Start-RSSI-Werte [min, max] in dBm
+        RSSI_START: [-90, -50],
+        // Grenzen und maximale Schrittweite des RSSI-Random-Walks pro Paket
+        RSSI_MIN: -100,
+        RSSI_MAX: -35,
+        RSSI_STEP: 3,
+        // Wahrscheinlichkeit pro Paket, dass ein Fahrzeug ausfällt,
+        // und Dauer des Ausfalls [min, max] in Millisekunden
+        DROPOUT_PROBABILITY: 0.002,
+        DROPOUT_MS: [5000, 45000]
+    },
+
+    // Abweichende Simulator-Einstellungen für ?source=benchmark
+    // (100 Fahrzeuge alle 20 ms = ca. 5000 Pakete/s)
+    BENCHMARK: {
+        DEVICE_COUNT: 100,
+        INTERVAL_MS: 20,
+        DROPOUT_PROBABILITY: 0
     }
 };
  
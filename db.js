@@ -0,0 +1,86 @@
+// db.js
+// Zentraler Zugriff auf die IndexedDB der App.
+// Alle Module, die Daten dauerhaft speichern (z.B. Scan-Aufzeichnungen),
+// teilen sich diese eine Datenbank. Neue Object Stores werden hier im
+// Upgrade-Handler angelegt und DB_VERSION dafür erhöht.
+
+import { t } from './i18n.js';
+
+const DB_NAME = 'fleetview';
+const DB_VERSION = 4;
+
+let dbPromise = null; // Geteilte Verbindung (wird beim ersten Zugriff geöffnet)
+
+/**
+ * Legt die Object Stores an bzw. migriert sie auf die aktuelle Version.
+ * @param {IDBDatabase} db
+ * @param {number} oldVersion - 0 bei einer neuen Datenbank.
+ */
+function upgrade(db, oldVersion) {
+    if (oldVersion < 1) {
+        // Scan-Aufzeichnungen: Metadaten und einzelne Beobachtungen
+        db.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true });
+        const observations = db.createObjectStore('observations', { autoIncrement: true });
+        observations.createIndex('sessionId', 'sessionId');
+    }
+    if (oldVersion < 2) {
+        // Geräte-Registry: Stammdaten je bekanntem FTS (siehe deviceRegistry.js)
+        db.createObjectStore('devices', { keyPath: 'id' });
+    }
+    if (oldVersion < 3) {
+        // App-Logs als Ringpuffer (siehe logStore.js)
+        db.createObjectStore('logs', { autoIncrement: true });
+    }
+    if (oldVersion < 4) {
+        // Hallenplan mit Bild und Ankerpunkten (siehe floorMap.js)
+        db.createObjectStore('floorplan');
+    }
+}
+
+/**
+ * Öffnet die Datenbank (nur einmal pro App-Start).
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    if (!window.indexedDB) {
+        return Promise.reject(new Error(t('db.unavailable')));
+    }
+
+    dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = (event) => upgrade(request.result, event.oldVersion);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error(t('db.upgradeBlocked')));
+    });
+    // Bei Fehlern beim nächsten Zugriff erneut versuchen
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+}
+
+/**
+ * Wandelt einen IDBRequest in ein Promise um.
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+export function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Wartet, bis eine Transaktion abgeschlossen ist.
+ * @param {IDBTransaction} tx
+ * @returns {Promise<void>}
+ */
+export function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error(t('db.transactionAborted')));
+    });
+}
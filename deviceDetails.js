@@ -0,0 +1,101 @@
+// deviceDetails.js
+// Stammdaten-Formular im Geräte-Inspektor (Nickname, Inventarnummer,
+// Heimat-Standort, Notizen, Tags, Foto). Liest und schreibt nur das Formular;
+// gespeichert wird von app.js über die Geräte-Registry (deviceRegistry.js).
+
+import { CONFIG } from './config.js';
+import { createLogger } from './errorManager.js';
+import { t } from './i18n.js';
+
+const { warn } = createLogger('deviceDetails');
+
+let photo = null;    // Aktuelles Foto im Formular (Blob oder null)
+let photoUrl = null; // Object-URL für die Vorschau (muss freigegeben werden)
+
+// DOM-Referenzen
+let inputName, inputAssetNumber, inputHomeLocation, inputNotes, inputTags, photoPreview, photoInput, btnRemovePhoto;
+
+/**
+ * Initialisiert das Formular (Foto-Auswahl).
+ */
+export function initDeviceDetails() {
+    inputName = document.getElementById('inspector-name');
+    inputAssetNumber = document.getElementById('inspector-asset-number');
+    inputHomeLocation = document.getElementById('inspector-home-location');
+    inputNotes = document.getElementById('inspector-notes');
+    inputTags = document.getElementById('inspector-tags');
+    photoPreview = document.getElementById('inspector-photo');
+    photoInput = document.getElementById('inspector-photo-file');
+    btnRemovePhoto = document.getElementById('btn-remove-photo');
+
+    photoInput.addEventListener('change', () => {
+        const file = photoInput.files[0];
+        photoInput.value = ''; // Dieselbe Datei erneut wählbar machen
+        if (!file) return;
+        if (!file.type.startsWith('image/')) {
+            warn(t('details.photoNotImage'));
+            return;
+        }
+        if (file.size > CONFIG.DEVICE_REGISTRY.PHOTO_MAX_BYTES) {
+            warn(t('details.photoTooLarge', { size: Math.round(file.size / 1024), max: Math.round(CONFIG.DEVICE_REGISTRY.PHOTO_MAX_BYTES / 1024) }));
+            return;
+        }
+        showPhoto(file);
+    });
+    btnRemovePhoto.addEventListener('click', () => showPhoto(null));
+}
+
+/**
+ * Füllt das Formular mit einem Registry-Eintrag.
+ * @param {object|null} record - Eintrag aus der Registry (null = noch keine Stammdaten).
+ * @param {string} fallbackName - Angezeigter Name, falls kein Nickname gespeichert ist.
+ */
+export function fillDeviceDetails(record, fallbackName) {
+    inputName.value = (record && record.nickname) || fallbackName;
+    inputAssetNumber.value = record ? record.assetNumber : '';
+    inputHomeLocation.value = record ? record.homeLocation : '';
+    inputNotes.value = record ? record.notes : '';
+    inputTags.value = record ? record.tags.join(', ') : '';
+    showPhoto(record ? record.photo : null);
+}
+
+/**
+ * Liest das Formular aus.
+ * @returns {object} - { nickname, assetNumber, homeLocation, notes, tags, photo }
+ */
+export function readDeviceDetails() {
+    return {
+        nickname: inputName.value.trim(),
+        assetNumber: inputAssetNumber.value.trim(),
+        homeLocation: inputHomeLocation.value.trim(),
+        notes: inputNotes.value.trim(),
+        tags: parseTags(inputTags.value),
+        photo: photo
+    };
+}
+
+/**
+ * Gibt die Foto-Vorschau frei (beim Schließen des Inspektors).
+ */
+export function clearDeviceDetails() {
+    showPhoto(null);
+}
+
+/**
+ * Zerlegt eine Tag-Eingabe ("Halle 2, Ladestation") in eine Liste ohne Dubletten.
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export function parseTags(text) {
+    return [...new Set(String(text).split(',').map(tag => tag.trim()).filter(Boolean))];
+}
+
+function showPhoto(blob) {
+    if (photoUrl) URL.revokeObjectURL(photoUrl);
+    photo = blob || null;
+    photoUrl = photo ? URL.createObjectURL(photo) : null;
+    photoPreview.hidden = !photoUrl;
+    btnRemovePhoto.hidden = !photoUrl;
+    if (photoUrl) photoPreview.src = photoUrl;
+    else photoPreview.removeAttribute('src');
+}
@@ -0,0 +1,185 @@
+// deviceRegistry.js
+// Geräte-Registry: Stammdaten je bekanntem FTS in der IndexedDB (Store 'devices').
+// Ein Eintrag enthält Nickname, Inventarnummer, Heimat-Standort (z.B. Ladestation),
+// Notizen, Tags und ein Foto sowie die zuletzt bekannten Scan-Daten.
+// Die Einträge werden beim Start einmal in einen Zwischenspeicher geladen, damit
+// 'handleAdvertisement' synchron darauf zugreifen kann; Schreibzugriffe gehen
+// an beide. Ältere Daten aus dem localStorage ('nickname_<id>', 'known_devices')
+// werden beim ersten Laden übernommen und danach entfernt.
+
+import { openDatabase, promisifyRequest, transactionDone } from './db.js';
+
+const STORE = 'devices';
+const LEGACY_NICKNAME_PREFIX = 'nickname_';
+const LEGACY_KNOWN_DEVICES_KEY = 'known_devices';
+
+const devices = new Map(); // Zwischenspeicher: id -> Eintrag
+const changeListeners = [];
+
+/**
+ * Ein leerer Registry-Eintrag.
+ * @param {string} id - Geräte-ID
+ * @returns {object}
+ */
+function createRecord(id) {
+    return {
+        id: id,
+        nickname: '',
+        assetNumber: '',
+        homeLocation: '',
+        notes: '',
+        tags: [],
+        photo: null,       // Blob oder null
+        profileName: '',
+        firstSeen: null,   // ISO-Zeitstempel
+        lastSeen: null,    // ISO-Zeitstempel
+        rssi: null
+    };
+}
+
+/**
+ * Registriert einen Callback, der nach jeder Änderung der Registry aufgerufen wird.
+ * @param {function} callback - (ids) => ..., 'ids' sind die geänderten Geräte (alle nach dem Laden).
+ */
+export function onRegistryChange(callback) {
+    changeListeners.push(callback);
+}
+
+function notify(ids) {
+    for (const callback of changeListeners) callback(ids);
+}
+
+/**
+ * Lädt die Registry aus der IndexedDB (einmal beim App-Start) und übernimmt
+ * dabei Daten aus dem localStorage älterer Versionen.
+ * @returns {Promise<number>} - Anzahl der bekannten Geräte.
+ */
+export async function loadDeviceRegistry() {
+    const db = await openDatabase();
+    const records = await promisifyRequest(db.transaction(STORE).objectStore(STORE).getAll());
+    for (const record of records) devices.set(record.id, { ...createRecord(record.id), ...record });
+
+    const migrated = collectLegacyData();
+    if (migrated.length > 0) {
+        await putRecords(migrated);
+        removeLegacyData();
+    }
+
+    notify([...devices.keys()]);
+    return devices.size;
+}
+
+/**
+ * Sammelt Nicknames und bekannte Geräte aus dem localStorage. Vorhandene
+ * Registry-Werte haben Vorrang.
+ * @returns {Array<object>} - Zu speichernde Einträge.
+ */
+function collectLegacyData() {
+    const changed = new Map();
+    const recordFor = id => changed.get(id) || { ...(devices.get(id) || createRecord(id)) };
+
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (!key.startsWith(LEGACY_NICKNAME_PREFIX)) continue;
+        const record = recordFor(key.substring(LEGACY_NICKNAME_PREFIX.length));
+        if (!record.nickname) record.nickname = localStorage.getItem(key);
+        changed.set(record.id, record);
+    }
+
+    let knownDevices = {};
+    try {
+        knownDevices = JSON.parse(localStorage.getItem(LEGACY_KNOWN_DEVICES_KEY)) || {};
+    } catch (e) {
+        // Beschädigter Eintrag: nur die Nicknames übernehmen
+    }
+    for (const [id, meta] of Object.entries(knownDevices)) {
+        const record = recordFor(id);
+        record.profileName = record.profileName || meta.profileName || '';
+        record.lastSeen = record.lastSeen || meta.lastSeen || null;
+        record.rssi = record.rssi ?? meta.rssi ?? null;
+        changed.set(id, record);
+    }
+    return [...changed.values()];
+}
+
+function removeLegacyData() {
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key.startsWith(LEGACY_NICKNAME_PREFIX)) keys.push(key);
+    }
+    keys.forEach(key => localStorage.removeItem(key));
+    localStorage.removeItem(LEGACY_KNOWN_DEVICES_KEY);
+}
+
+/**
+ * Liefert den Registry-Eintrag eines Geräts.
+ * @param {string} id
+ * @returns {object|null}
+ */
+export function getDevice(id) {
+    return devices.get(id) || null;
+}
+
+/**
+ * Alle bekannten Geräte.
+ * @returns {Array<object>}
+ */
+export function getAllDevices() {
+    return [...devices.values()];
+}
+
+/**
+ * Ändert Felder eines Eintrags (legt ihn bei Bedarf an).
+ * @param {string} id
+ * @param {object} changes - z.B. { nickname, assetNumber, tags, photo }
+ * @returns {Promise<object>} - Der gespeicherte Eintrag.
+ */
+export async function updateDevice(id, changes) {
+    const [record] = await putRecords([{ ...(devices.get(id) || createRecord(id)), ...changes, id }]);
+    notify([id]);
+    return record;
+}
+
+/**
+ * Übernimmt die Scan-Daten mehrerer Geräte (Profil, zuletzt gesehen, RSSI).
+ * Unbekannte Geräte werden dabei neu angelegt.
+ * @param {Array<object>} sightings - [{ id, profileName, lastSeen: Date, rssi }]
+ * @returns {Promise<void>}
+ */
+export async function recordSightings(sightings) {
+    if (sightings.length === 0) return;
+    const records = sightings.map(({ id, profileName, lastSeen, rssi }) => {
+        const record = { ...(devices.get(id) || createRecord(id)) };
+        record.profileName = profileName;
+        record.lastSeen = lastSeen.toISOString();
+        record.firstSeen = record.firstSeen || record.lastSeen;
+        record.rssi = rssi;
+        return record;
+    });
+    await putRecords(records);
+    notify(records.map(record => record.id));
+}
+
+/**
+ * Entfernt ein Gerät aus der Registry.
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function deleteDevice(id) {
+    const db = await openDatabase();
+    const tx = db.transaction(STORE, 'readwrite');
+    tx.objectStore(STORE).delete(id);
+    await transactionDone(tx);
+    devices.delete(id);
+    notify([id]);
+}
+
+async function putRecords(records) {
+    const db = await openDatabase();
+    const tx = db.transaction(STORE, 'readwrite');
+    for (const record of records) tx.objectStore(STORE).put(record);
+    await transactionDone(tx);
+    for (const record of records) devices.set(record.id, record);
+    return records;
+}
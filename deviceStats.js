@@ -0,0 +1,152 @@
+// deviceStats.js
+// Statistik zur Verbindungsqualität je Fahrzeug (Inspektor und Export).
+// Wird bei jedem Paket fortgeschrieben und kommt daher ohne Listen aus:
+// RSSI-Mittelwert und Streuung laufend nach Welford, Lücken direkt aus dem
+// Abstand zum vorherigen Paket.
+//
+// Ein Ausfall ist eine Lücke, in der die Status-LED die Schwellen aus
+// CONFIG.LED_STATUS durchläuft: länger als ACTIVE_MS (Grün -> Gelb) zählt als
+// Ausfall, länger als INACTIVE_MS (-> Rot) zusätzlich als "Signal verloren".
+// Lücken bis ACTIVE_MS zählen zur Online-Zeit.
+
+import { CONFIG } from './config.js';
+import { t, formatNumber, formatPercent, formatTime } from './i18n.js';
+
+const RATE_WINDOW_MS = 10000; // Zeitfenster für die aktuelle Paketrate
+
+/**
+ * Pakete pro Sekunde in den letzten RATE_WINDOW_MS (aus dem RSSI-Verlauf).
+ * @param {Array} history - [{ t, rssi, smoothed }] (älteste zuerst)
+ * @param {number} now
+ * @returns {number}
+ */
+export function packetRate(history, now) {
+    let count = 0;
+    for (let i = history.length - 1; i >= 0 && history[i].t > now - RATE_WINDOW_MS; i--) count++;
+    return count / (RATE_WINDOW_MS / 1000);
+}
+
+/**
+ * Legt die Statistik für ein neu entdecktes Fahrzeug an.
+ * @param {number} t - Zeitpunkt des ersten Pakets (ms).
+ * @returns {object}
+ */
+export function createDeviceStats(t) {
+    return {
+        firstSeen: t,
+        lastPacketAt: null,
+        totalPackets: 0,
+        onlineMs: 0,         // Summe der Lücken bis ACTIVE_MS
+        outages: 0,          // Lücken länger als ACTIVE_MS
+        lostCount: 0,        // davon länger als INACTIVE_MS
+        outageMs: 0,         // Gesamtdauer der Ausfälle
+        longestOutageMs: 0,
+        rssiMin: null,
+        rssiMax: null,
+        rssiMean: 0,
+        rssiM2: 0            // Summe der quadrierten Abweichungen (Welford)
+    };
+}
+
+/**
+ * Schreibt die Statistik mit einem empfangenen Paket fort.
+ * @param {object} stats - Aus createDeviceStats.
+ * @param {number} rssi
+ * @param {number} t - Empfangszeit (ms).
+ */
+export function recordPacketStats(stats, rssi, t) {
+    if (stats.lastPacketAt !== null) {
+        const gap = Math.max(0, t - stats.lastPacketAt);
+        if (gap <= CONFIG.LED_STATUS.ACTIVE_MS) {
+            stats.onlineMs += gap;
+        } else {
+            stats.outages++;
+            if (gap > CONFIG.LED_STATUS.INACTIVE_MS) stats.lostCount++;
+            stats.outageMs += gap;
+            stats.longestOutageMs = Math.max(stats.longestOutageMs, gap);
+        }
+    }
+    stats.lastPacketAt = t;
+    stats.totalPackets++;
+
+    stats.rssiMin = stats.rssiMin === null ? rssi : Math.min(stats.rssiMin, rssi);
+    stats.rssiMax = stats.rssiMax === null ? rssi : Math.max(stats.rssiMax, rssi);
+    const delta = rssi - stats.rssiMean;
+    stats.rssiMean += delta / stats.totalPackets;
+    stats.rssiM2 += delta * (rssi - stats.rssiMean);
+}
+
+/**
+ * Fasst die Statistik zum Zeitpunkt 'now' zusammen (für Anzeige und Export).
+ * Ein noch laufender Ausfall ist als 'currentOutageMs' enthalten.
+ * @param {object} stats
+ * @param {Array} history - RSSI-Verlauf des Assets (für die aktuelle Paketrate).
+ * @param {number} now
+ * @returns {object}
+ */
+export function summarizeStats(stats, history, now) {
+    const silence = stats.lastPacketAt === null ? 0 : now - stats.lastPacketAt;
+    const observedMs = Math.max(0, now - stats.firstSeen);
+    const onlineMs = stats.onlineMs + (silence <= CONFIG.LED_STATUS.ACTIVE_MS ? silence : 0);
+
+    return {
+        firstSeen: new Date(stats.firstSeen).toISOString(),
+        totalPackets: stats.totalPackets,
+        packetsPerSec: packetRate(history, now),
+        avgPacketsPerSec: observedMs > 0 ? stats.totalPackets / (observedMs / 1000) : 0,
+        onlineMs: onlineMs,
+        availability: observedMs > 0 ? onlineMs / observedMs : 1,
+        outages: stats.outages,
+        lostCount: stats.lostCount,
+        outageMs: stats.outageMs,
+        longestOutageMs: stats.longestOutageMs,
+        currentOutageMs: silence > CONFIG.LED_STATUS.ACTIVE_MS ? silence : 0,
+        rssiMin: stats.rssiMin,
+        rssiMax: stats.rssiMax,
+        rssiMean: stats.totalPackets > 0 ? stats.rssiMean : null,
+        rssiStdDev: stats.totalPackets > 1 ? Math.sqrt(stats.rssiM2 / (stats.totalPackets - 1)) : null
+    };
+}
+
+/**
+ * Formatiert eine Dauer kompakt, z.B. "1 h 05 min", "3 min 20 s", "12 s".
+ * @param {number} ms
+ * @returns {string}
+ */
+export function formatDuration(ms) {
+    const totalSec = Math.round(ms / 1000);
+    const h = Math.floor(totalSec / 3600);
+    const min = Math.floor((totalSec % 3600) / 60);
+    const sec = totalSec % 60;
+    if (h > 0) return `${h} h ${String(min).padStart(2, '0')} min`;
+    if (min > 0) return `${min} min ${String(sec).padStart(2, '0')} s`;
+    return `${sec} s`;
+}
+
+/**
+ * Text für den Inspektor.
+ * @param {object} summary - Ergebnis von summarizeStats.
+ * @returns {string}
+ */
+export function formatStats(summary) {
+    const dbm = value => value === null ? '–' : `${formatNumber(value, 1)} dBm`;
+    const lines = [
+        t('stats.firstSeen', { time: formatTime(summary.firstSeen), packets: summary.totalPackets }),
+        t('stats.packetRate', { current: formatNumber(summary.packetsPerSec, 1), average: formatNumber(summary.avgPacketsPerSec, 2) }),
+        t('stats.online', { duration: formatDuration(summary.onlineMs), availability: formatPercent(summary.availability) }),
+        t('stats.outages', {
+            count: summary.outages,
+            lost: summary.lostCount,
+            total: formatDuration(summary.outageMs),
+            longest: formatDuration(summary.longestOutageMs)
+        }),
+        t('stats.rssi', {
+            min: dbm(summary.rssiMin),
+            max: dbm(summary.rssiMax),
+            mean: dbm(summary.rssiMean),
+            stdDev: summary.rssiStdDev === null ? '–' : formatNumber(summary.rssiStdDev, 1)
+        })
+    ];
+    if (summary.currentOutageMs > 0) lines.push(t('stats.currentOutage', { duration: formatDuration(summary.currentOutageMs) }));
+    return lines.join('\n');
+}
@@ -2,6 +2,17 @@
 // Ein robuster, visueller In-App Logger.
 // Fängt globale Fehler und console.log-Aufrufe ab und zeigt sie in der UI an.
 // Dies ist entscheidend für das Debugging auf mobilen Geräten ohne F12-Konsole.
+// Alle Einträge landen zusätzlich in einem Ringpuffer in der IndexedDB
+// (siehe logStore.js), damit sie nach einem Absturz und Neuladen noch da sind
+// und als Datei an Fehlerberichte angehängt werden können.
+//
+// Module loggen über einen eigenen Logger, damit die Quelle im Eintrag steht:
+//   const { log, warn, error } = createLogger('sessionRecorder');
+
+import { CONFIG } from './config.js';
+import { downloadFile, fileTimestamp } from './fileUtils.js';
+import { initLogStore, queueLogEntry, flushLogEntries, loadLogEntries, clearLogEntries, serializeValue, formatValue } from './logStore.js';
+import { t, formatTime, formatDateTime } from './i18n.js';
 
 // DOM-Elemente für die Konsole
 // HINWEIS: Diese werden sofort gesucht. Das Skript muss nach dem HTML-Body
@@ -20,36 +31,191 @@ const original = {
     info: console.info,
 };
 
+// Filter der Konsole: Level-Auswahl -> angezeigte Level
+const LEVEL_FILTERS = {
+    '': ['log', 'info', 'warn', 'error'],
+    'warn': ['warn', 'error'],
+    'error': ['error']
+};
+
+// Kennung dieses App-Starts (trennt die Einträge früherer Sitzungen)
+const SESSION_ID = Date.now();
+
+const entries = []; // Ringpuffer im Speicher (älteste zuerst), max. CONFIG.LOGGING.MAX_ENTRIES
+let levelFilter = '';
+let textFilter = '';
+let lastRenderedSession = null; // Für die Trennzeile zwischen Sitzungen
+
+/**
+ * Zentrale Log-Funktion: F12-Konsole, Ringpuffer, IndexedDB und UI-Konsole.
+ * @param {string} level - 'log', 'info', 'warn' oder 'error'.
+ * @param {string} source - Modul bzw. Herkunft des Eintrags.
+ * @param {Array} args - Argumente wie bei console.log.
+ */
+function record(level, source, args) {
+    original[level].apply(console, args); // An F12-Konsole
+
+    // Nur nicht-triviale Argumente (Objekte, Fehler) als Kontext aufheben
+    const structured = args.filter(arg => arg !== null && typeof arg === 'object');
+    const entry = {
+        t: Date.now(),
+        session: SESSION_ID,
+        level: level,
+        source: source,
+        message: args.map(formatValue).join(' '),
+        context: structured.length > 0 ? structured.map(arg => serializeValue(arg)) : null
+    };
+
+    entries.push(entry);
+    if (entries.length > CONFIG.LOGGING.MAX_ENTRIES) entries.shift();
+    queueLogEntry(entry, level === 'error');
+
+    if (matchesFilter(entry)) visualLog(entry);
+    if (level === 'warn' || level === 'error') showConsole(); // Bei Warnungen und Fehlern anzeigen
+}
+
+/**
+ * Liefert Log-Funktionen, die ihre Herkunft (Modul) mitschreiben.
+ * @param {string} source - z.B. 'sessionRecorder'.
+ * @returns {object} - { log, info, warn, error }
+ */
+export function createLogger(source) {
+    return {
+        log: (...args) => record('log', source, args),
+        info: (...args) => record('info', source, args),
+        warn: (...args) => record('warn', source, args),
+        error: (...args) => record('error', source, args)
+    };
+}
+
+function matchesFilter(entry) {
+    if (!LEVEL_FILTERS[levelFilter].includes(entry.level)) return false;
+    if (!textFilter) return true;
+    return `${entry.source} ${entry.message}`.toLowerCase().includes(textFilter);
+}
+
 /**
- * Fügt eine formatierte Nachricht zur visuellen Konsole im DOM hinzu.
- * @param {string} msg - Die anzuzeigende Nachricht.
- * @param {string} level - 'log', 'warn', 'error', 'info'. Dient als CSS-Klasse.
+ * Fügt einen Eintrag zur visuellen Konsole im DOM hinzu.
+ * Die Anzahl der Zeilen ist begrenzt (CONFIG.LOGGING.MAX_VISIBLE), die
+ * vollständige Historie steckt im Ringpuffer.
+ * @param {object} entry - Eintrag (siehe logStore.js).
  */
-function visualLog(msg, level = 'log') {
+function visualLog(entry) {
     // Failsafe: Wenn das DOM-Element aus irgendeinem Grund nicht bereit ist,
     // (z.B. bei einem sehr frühen Fehler), brechen wir ab.
-    if (!consoleBody) return; 
-
-    const entry = document.createElement('p');
-    entry.className = `log-${level}`; // Für CSS-Styling (z.B. .log-error)
-    
-    // Zeitstempel hinzufügen für einfaches Debugging
-    const time = new Date().toLocaleTimeString('de-DE');
-    entry.textContent = `[${time}] ${msg}`;
-    
-    consoleBody.appendChild(entry);
-    
+    if (!consoleBody) return;
+
+    // Trennzeile, wenn die Einträge einer früheren Sitzung enden bzw. beginnen
+    if (entry.session !== lastRenderedSession) {
+        const separator = document.createElement('p');
+        separator.className = 'log-session';
+        separator.textContent = entry.session === SESSION_ID
+            ? `── ${t('console.currentSession')} ──`
+            : `── ${t('console.pastSession', { time: formatDateTime(entry.session) })} ──`;
+        consoleBody.appendChild(separator);
+        lastRenderedSession = entry.session;
+    }
+
+    const line = document.createElement('p');
+    line.className = `log-${entry.level}`; // Für CSS-Styling (z.B. .log-error)
+
+    // Zeitstempel und Quelle hinzufügen für einfaches Debugging
+    const time = formatTime(entry.t);
+    line.textContent = `[${time}] [${entry.source}] ${entry.message}`;
+
+    consoleBody.appendChild(line);
+    trimConsole();
+
     // Automatisch nach unten scrollen, um den neuesten Eintrag zu sehen
     consoleBody.scrollTop = consoleBody.scrollHeight;
 }
 
+/**
+ * Entfernt die ältesten Zeilen über CONFIG.LOGGING.MAX_VISIBLE. Eine Trennzeile
+ * bleibt stehen, solange noch Einträge ihrer Sitzung folgen.
+ */
+function trimConsole() {
+    while (consoleBody.childElementCount > CONFIG.LOGGING.MAX_VISIBLE) {
+        const first = consoleBody.firstElementChild;
+        if (!first.classList.contains('log-session')) {
+            first.remove();
+            continue;
+        }
+        first.nextElementSibling.remove();
+        const next = first.nextElementSibling;
+        if (!next || next.classList.contains('log-session')) first.remove();
+    }
+}
+
+/**
+ * Baut die visuelle Konsole gemäß Filter neu auf.
+ */
+function renderConsole() {
+    if (!consoleBody) return;
+    consoleBody.replaceChildren();
+    lastRenderedSession = null;
+    const matching = entries.filter(matchesFilter);
+    for (const entry of matching.slice(-CONFIG.LOGGING.MAX_VISIBLE)) visualLog(entry);
+}
+
 /**
  * Macht die Konsole sichtbar. Wird typischerweise bei Fehlern aufgerufen.
  */
 function showConsole() {
     if (errorConsole) {
         errorConsole.classList.remove('console-hidden');
-        toggleButton.textContent = 'Minimieren';
+        setToggleLabel(false);
+    }
+}
+
+/**
+ * Beschriftet den Minimieren/Maximieren-Button. Der Schlüssel steht in data-i18n,
+ * damit ein Sprachwechsel (translateDocument) die passende Beschriftung setzt.
+ * @param {boolean} hidden - Konsole minimiert.
+ */
+function setToggleLabel(hidden) {
+    toggleButton.dataset.i18n = hidden ? 'console.maximize' : 'console.minimize';
+    toggleButton.textContent = t(toggleButton.dataset.i18n);
+}
+
+/**
+ * Übernimmt die gespeicherten Einträge früherer Sitzungen (z.B. vor einem Absturz).
+ */
+async function restoreEntries() {
+    try {
+        const stored = (await loadLogEntries()).filter(entry => entry.session !== SESSION_ID);
+        if (stored.length === 0) return;
+        const room = CONFIG.LOGGING.MAX_ENTRIES - entries.length;
+        if (room <= 0) return;
+        entries.unshift(...stored.slice(-room));
+        renderConsole();
+    } catch (e) {
+        original.warn(`ErrorManager: ${t('console.restoreFailed', { message: e.message })}`);
+    }
+}
+
+/**
+ * Bietet alle Einträge (auch früherer Sitzungen) als JSON-Datei an.
+ */
+async function exportLogs() {
+    await flushLogEntries();
+    const report = {
+        app: CONFIG.APP_TITLE,
+        exportedAt: new Date().toISOString(),
+        userAgent: navigator.userAgent,
+        url: window.location.href,
+        entries: entries
+    };
+    downloadFile(`fleetview-log_${fileTimestamp()}.json`, JSON.stringify(report, null, 2), 'application/json');
+}
+
+async function clearLogs() {
+    entries.length = 0;
+    renderConsole();
+    try {
+        await clearLogEntries();
+    } catch (e) {
+        original.warn(`ErrorManager: ${t('console.clearFailed', { message: e.message })}`);
     }
 }
 
@@ -61,80 +227,73 @@ function showConsole() {
 export function initErrorManager() {
     // Überprüfen, ob die UI-Elemente vorhanden sind.
     if (!errorConsole || !consoleHeader || !toggleButton || !consoleBody) {
-        original.error("ErrorManager: UI-Elemente nicht gefunden. Visueller Logger kann nicht initialisiert werden.");
+        original.error(`ErrorManager: ${t('console.uiMissing')}`);
         return;
     }
 
+    // Fehler beim Speichern nur in der F12-Konsole melden (sonst Endlosschleife)
+    initLogStore({
+        onError: (e) => original.warn(`ErrorManager: ${t('console.storeFailed', { message: e.message })}`)
+    });
+
     // 1. Globale JavaScript-Fehler abfangen (z.B. "undefined is not a function")
     window.onerror = (message, source, lineno, colno, error) => {
-        const fullMessage = `[Globaler Fehler] ${message} in ${source} (Zeile: ${lineno})`;
-        
-        // An beide Konsolen senden:
-        original.error(fullMessage, error); // An F12-Konsole
-        visualLog(fullMessage, 'error');    // An UI-Konsole
-        
-        showConsole(); // Konsole bei Fehler automatisch öffnen
-        
+        const fullMessage = t('console.globalError', { message: message, source: source, line: lineno });
+
+        // An beide Konsolen senden (mit Stack, falls vorhanden)
+        record('error', 'global', error ? [fullMessage, error] : [fullMessage]);
+
         // Verhindert, dass der Browser-Standard-Fehlerdialog (z.B. gelbes Dreieck) erscheint.
-        return true; 
+        return true;
     };
 
     // 2. Globale Promise-Fehler abfangen (z.B. fetch-Fehler ohne .catch())
     window.onunhandledrejection = (event) => {
-        const fullMessage = `[Promise-Fehler] Grund: ${event.reason}`;
-        
-        original.error(fullMessage, event);
-        visualLog(fullMessage, 'error');
-        showConsole();
+        record('error', 'global', [t('console.promiseError'), event.reason]);
     };
 
     // 3. Konsolenfunktionen überschreiben (Intercepting)
     // Wir leiten jeden Aufruf an die F12-Konsole UND an unsere UI-Konsole weiter.
-    
-    console.log = (...args) => {
-        const msg = args.map(String).join(' ');
-        original.log.apply(console, args); // Originale Funktion aufrufen
-        visualLog(msg, 'log');
-    };
-    
-    console.warn = (...args) => {
-        const msg = args.map(String).join(' ');
-        original.warn.apply(console, args);
-        visualLog(msg, 'warn');
-        showConsole(); // Bei Warnungen auch anzeigen
-    };
-    
-    console.error = (...args) => {
-        const msg = args.map(String).join(' ');
-        original.error.apply(console, args);
-        visualLog(msg, 'error');
-        showConsole(); // Bei Fehlern definitiv anzeigen
-    };
-    
-    console.info = (...args) => {
-        const msg = args.map(String).join(' ');
-        original.info.apply(console, args);
-        visualLog(msg, 'info');
-    };
-    
+    for (const level of Object.keys(original)) {
+        console[level] = (...args) => record(level, 'console', args);
+    }
+
     // 4. UI-Events für die Konsole (Minimieren/Maximieren)
     // Wir nutzen den Header als Klick-Ziel, nicht nur den Button.
     consoleHeader.addEventListener('click', () => {
         errorConsole.classList.toggle('console-hidden');
         // Text des Buttons anpassen
-        const isHidden = errorConsole.classList.contains('console-hidden');
-        toggleButton.textContent = isHidden ? 'Maximieren' : 'Minimieren';
+        setToggleLabel(errorConsole.classList.contains('console-hidden'));
     });
-    
+
     // Verhindern, dass ein Klick auf den Button das Toggle-Event des Headers doppelt auslöst
     toggleButton.addEventListener('click', (e) => e.stopPropagation());
 
-    console.log("Error Manager initialisiert. Alle Logs werden nun abgefangen.");
+    // 5. Filter, Export und Leeren
+    const levelSelect = document.getElementById('console-level');
+    const searchInput = document.getElementById('console-search');
+    levelSelect.addEventListener('change', () => {
+        levelFilter = levelSelect.value;
+        renderConsole();
+    });
+    searchInput.addEventListener('input', () => {
+        textFilter = searchInput.value.trim().toLowerCase();
+        renderConsole();
+    });
+    document.getElementById('btn-console-export').addEventListener('click', exportLogs);
+    document.getElementById('btn-console-clear').addEventListener('click', clearLogs);
+
+    // Beim Verlassen der Seite den Puffer noch schreiben
+    window.addEventListener('pagehide', () => flushLogEntries());
+
+    // Einträge bis hierher (z.B. Fehler beim Import) sind bereits sichtbar
+    renderConsole();
+    restoreEntries();
+
+    log(t('console.ready'));
 }
 
-// Exportiere die neuen, überschriebenen Logger-Funktionen,
-// damit app.js sie direkt mit 'import { log } from ...' verwenden kann.
-export const log = console.log;
-export const warn = console.warn;
-export const error = console.error;
-export const info = console.info;
+// Logger ohne eigene Modulangabe (Quelle 'app').
+// Funktionen statt einer Kopie von console.log, damit auch Aufrufe vor
+// initErrorManager() in Ringpuffer und UI-Konsole landen.
+export const { log, warn, error, info } = createLogger('app');
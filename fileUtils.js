@@ -0,0 +1,47 @@
+// fileUtils.js
+// Hilfsfunktionen für Datei-Download und -Upload im Browser.
+
+/**
+ * Bietet einen Text als Datei zum Herunterladen an.
+ * @param {string} filename - z.B. "fleetview-2024-05-01.csv"
+ * @param {string} content - Dateiinhalt.
+ * @param {string} mimeType - z.B. 'text/csv'.
+ */
+export function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Verzögert freigeben, damit der Download sicher gestartet ist
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Liest eine vom Benutzer gewählte Datei als Text.
+ * @param {File} file
+ * @returns {Promise<string>}
+ */
+export function readFileAsText(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(file);
+    });
+}
+
+/**
+ * Liefert einen Zeitstempel für Dateinamen, z.B. "2024-05-01_14-30".
+ * @param {Date} [date]
+ * @returns {string}
+ */
+export function fileTimestamp(date = new Date()) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}_${pad(date.getHours())}-${pad(date.getMinutes())}`;
+}
@@ -0,0 +1,364 @@
+// fleetTransfer.js
+// Export und Import des Flotten-Zustands (CSV und JSON).
+// Der Export enthält alle Assets aus 'detectedAssets', der Import stellt
+// Nicknames, Stammdaten und bekannte Geräte-Metadaten in der Geräte-Registry
+// wieder her. Vorhandene Nicknames werden dabei nicht blind überschrieben:
+// Abweichende Namen gelten als Konflikt und werden nur nach Rückfrage ersetzt.
+
+import { createLogger } from './errorManager.js';
+import { downloadFile, readFileAsText, fileTimestamp } from './fileUtils.js';
+import { getDevice, updateDevice } from './deviceRegistry.js';
+import { parseTags } from './deviceDetails.js';
+import { summarizeStats } from './deviceStats.js';
+import { t } from './i18n.js';
+
+const { log, warn, error } = createLogger('fleetTransfer');
+
+const EXPORT_FORMAT_VERSION = 1;
+const CSV_SEPARATOR = ';'; // Semikolon, damit Excel (de-DE) die Spalten direkt trennt
+const TAG_SEPARATOR = ', '; // Tags in einer CSV-Spalte
+// Zeichen, mit denen Tabellenkalkulationen eine Zelle als Formel lesen (CSV-Injection)
+const CSV_FORMULA_START = /^[=+\-@\t\r]/;
+const CSV_NUMBER = /^[-+]?\d+([.,]\d+)?$/;
+// Statistik-Spalten der CSV ("stats_<key>", Werte aus summarizeStats)
+const STATS_COLUMNS = ['firstSeen', 'totalPackets', 'packetsPerSec', 'avgPacketsPerSec', 'onlineMs', 'availability',
+    'outages', 'lostCount', 'outageMs', 'longestOutageMs', 'currentOutageMs', 'rssiMin', 'rssiMax', 'rssiMean', 'rssiStdDev'];
+
+let app = null; // Hooks aus app.js ({ getAssets, now })
+
+/**
+ * Initialisiert den Daten-Dialog (Export/Import).
+ * @param {object} hooks
+ * @param {function} hooks.getAssets - Liefert die Map 'detectedAssets'.
+ * @param {function} hooks.now - Aktuelle Zeit der App (ms; bei Wiedergaben virtuell).
+ */
+export function initDataPanel(hooks) {
+    app = hooks;
+    const dataModal = document.getElementById('data-modal');
+    const importInput = document.getElementById('import-file');
+
+    document.getElementById('btn-data').addEventListener('click', () => dataModal.classList.remove('modal-hidden'));
+    document.getElementById('btn-close-data').addEventListener('click', () => dataModal.classList.add('modal-hidden'));
+    document.getElementById('btn-export-csv').addEventListener('click', () => exportFleet('csv'));
+    document.getElementById('btn-export-json').addEventListener('click', () => exportFleet('json'));
+
+    importInput.addEventListener('change', async () => {
+        const file = importInput.files[0];
+        if (!file) return;
+        await importFleet(file);
+        importInput.value = ''; // Dieselbe Datei erneut wählbar machen
+    });
+}
+
+/**
+ * Wandelt ein Asset in ein reines Datenobjekt um (ohne DOM-Referenzen).
+ * @param {object} asset - FtsAsset aus 'detectedAssets'.
+ * @param {number} [now] - Bezugszeit der Statistik (ms).
+ * @returns {object}
+ */
+export function serializeAsset(asset, now = Date.now()) {
+    const record = getDevice(asset.id);
+    return {
+        id: asset.id,
+        nickname: record ? record.nickname : '',
+        assetNumber: record ? record.assetNumber : '',
+        homeLocation: record ? record.homeLocation : '',
+        tags: record ? record.tags : [],
+        profileName: asset.profileName,
+        rssi: asset.rssi,
+        lastSeen: asset.lastSeen.toISOString(),
+        rssiHistory: asset.rssiHistory.map(sample => ({
+            t: new Date(sample.t).toISOString(),
+            rssi: sample.rssi
+        })),
+        payload: asset.payload,
+        decoded: asset.decoded.map(field => ({
+            name: field.name,
+            label: field.label,
+            value: field.value,
+            text: field.text
+        })),
+        stats: summarizeStats(asset.stats, asset.rssiHistory, now) // Verbindungsqualität (siehe deviceStats.js)
+    };
+}
+
+/**
+ * Erstellt den JSON-Export.
+ * @param {Array} records - Ergebnis von serializeAsset.
+ * @returns {string}
+ */
+export function toJson(records) {
+    return JSON.stringify({
+        format: 'fleetview-export',
+        version: EXPORT_FORMAT_VERSION,
+        exportedAt: new Date().toISOString(),
+        assets: records
+    }, null, 2);
+}
+
+/**
+ * Erstellt den CSV-Export. Dekodierte Felder erhalten je eine eigene Spalte
+ * ("decoded_<name>"), damit sie in einer Tabellenkalkulation filterbar sind.
+ * @param {Array} records - Ergebnis von serializeAsset.
+ * @returns {string}
+ */
+export function toCsv(records) {
+    const decodedNames = [];
+    for (const record of records) {
+        for (const field of record.decoded) {
+            if (!decodedNames.includes(field.name)) decodedNames.push(field.name);
+        }
+    }
+
+    const header = ['id', 'nickname', 'assetNumber', 'homeLocation', 'tags', 'profileName', 'rssi', 'lastSeen', 'rssiHistory', 'payload',
+        ...STATS_COLUMNS.map(key => `stats_${key}`),
+        ...decodedNames.map(name => `decoded_${name}`)];
+
+    const rows = records.map(record => {
+        const decodedByName = new Map(record.decoded.map(field => [field.name, field.text]));
+        return [
+            record.id,
+            record.nickname,
+            record.assetNumber,
+            record.homeLocation,
+            record.tags.join(TAG_SEPARATOR),
+            record.profileName,
+            record.rssi,
+            record.lastSeen,
+            record.rssiHistory.map(sample => sample.rssi).join(' '),
+            record.payload,
+            ...STATS_COLUMNS.map(key => formatStatsValue(record.stats ? record.stats[key] : null)),
+            ...decodedNames.map(name => decodedByName.get(name) ?? '')
+        ];
+    });
+
+    return [header, ...rows]
+        .map(row => row.map(csvEscape).join(CSV_SEPARATOR))
+        .join('\r\n');
+}
+
+/**
+ * Statistik-Werte für die CSV: Kommazahlen mit drei Nachkommastellen und
+ * Dezimalkomma (wie das Trennzeichen passend für Excel de-DE), fehlende Werte leer.
+ * @param {*} value
+ * @returns {string|number}
+ */
+function formatStatsValue(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number' && !Number.isInteger(value)) return value.toFixed(3).replace('.', ',');
+    return value;
+}
+
+/**
+ * Setzt einen CSV-Wert in Anführungszeichen, falls nötig.
+ * Text, der mit einem Formelzeichen beginnt (z.B. ein Nickname "=HYPERLINK(...)"),
+ * erhält ein führendes Apostroph, damit Excel ihn nicht ausführt; reine Zahlen
+ * wie "-61" bleiben unverändert. parseImport entfernt das Apostroph wieder.
+ * @param {*} value
+ * @returns {string}
+ */
+function csvEscape(value) {
+    let text = String(value ?? '');
+    if (CSV_FORMULA_START.test(text) && !CSV_NUMBER.test(text)) text = `'${text}`;
+    if (/[";\r\n,]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+/**
+ * Entfernt das Apostroph, das csvEscape vor Formelzeichen setzt.
+ * @param {string} value
+ * @returns {string}
+ */
+function csvUnescape(value) {
+    return value.startsWith("'") && CSV_FORMULA_START.test(value.slice(1)) ? value.slice(1) : value;
+}
+
+/**
+ * Zerlegt einen CSV-Text in Zeilen und Felder (unterstützt Anführungszeichen).
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    // Optionales BOM am Dateianfang entfernen
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === CSV_SEPARATOR) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(value => value !== ''));
+}
+
+/**
+ * Liest eine Export-Datei (JSON oder CSV) und liefert die Geräte-Einträge.
+ * @param {string} text - Dateiinhalt.
+ * @param {string} filename - Zur Erkennung des Formats.
+ * @returns {Array<object>} - [{ id, nickname, assetNumber, homeLocation, tags, profileName, rssi, lastSeen }]
+ */
+export function parseImport(text, filename) {
+    if (filename.toLowerCase().endsWith('.json') || text.trim().startsWith('{')) {
+        const data = JSON.parse(text);
+        if (data.format !== 'fleetview-export' || !Array.isArray(data.assets)) {
+            throw new Error(t('transfer.invalidJson'));
+        }
+        return data.assets;
+    }
+
+    const [header, ...rows] = parseCsv(text);
+    if (!header || !header.includes('id')) {
+        throw new Error(t('transfer.invalidCsv'));
+    }
+    return rows.map(values => {
+        const record = {};
+        header.forEach((column, i) => { record[column] = csvUnescape(values[i] ?? ''); });
+        record.rssi = record.rssi === '' ? null : Number(record.rssi);
+        record.tags = parseTags(record.tags || '');
+        return record;
+    });
+}
+
+/**
+ * Führt importierte Einträge mit der Geräte-Registry zusammen.
+ * - Nicknames: fehlende werden ergänzt, abweichende nur bei 'overwriteConflicts'.
+ * - Stammdaten (Inventarnummer, Standort, Tags): nur leere Felder werden ergänzt.
+ * - Metadaten (Profil, zuletzt gesehen): der jeweils neuere Stand gewinnt.
+ * @param {Array<object>} records - Ergebnis von parseImport.
+ * @param {object} [options]
+ * @param {boolean} [options.overwriteConflicts=false]
+ * @returns {Promise<object>} - { added, conflicts: [{ id, local, imported }], applied: [{ id, nickname }] }
+ */
+export async function mergeImport(records, { overwriteConflicts = false } = {}) {
+    const result = { added: 0, conflicts: [], applied: [] };
+
+    for (const record of records) {
+        if (!record.id) continue;
+        const existing = getDevice(record.id);
+        const changes = {};
+
+        // 1. Nickname zusammenführen
+        const imported = (record.nickname || '').trim();
+        const local = existing ? existing.nickname : '';
+        if (imported && imported !== local) {
+            if (!local) {
+                changes.nickname = imported;
+                result.applied.push({ id: record.id, nickname: imported });
+                result.added++;
+            } else if (overwriteConflicts) {
+                changes.nickname = imported;
+                result.applied.push({ id: record.id, nickname: imported });
+            } else {
+                result.conflicts.push({ id: record.id, local, imported });
+            }
+        }
+
+        // 2. Stammdaten nur ergänzen
+        if (record.assetNumber && !(existing && existing.assetNumber)) changes.assetNumber = record.assetNumber;
+        if (record.homeLocation && !(existing && existing.homeLocation)) changes.homeLocation = record.homeLocation;
+        if (Array.isArray(record.tags) && record.tags.length > 0 && !(existing && existing.tags.length > 0)) {
+            changes.tags = record.tags;
+        }
+
+        // 3. Bekannte Geräte-Metadaten (neuerer Stand gewinnt)
+        if (!existing || (record.lastSeen && record.lastSeen > (existing.lastSeen || ''))) {
+            changes.profileName = record.profileName || (existing && existing.profileName) || '';
+            changes.lastSeen = record.lastSeen || null;
+            changes.rssi = record.rssi ?? null;
+        }
+
+        if (Object.keys(changes).length > 0) await updateDevice(record.id, changes);
+    }
+    return result;
+}
+
+/**
+ * Exportiert alle erkannten Assets als Datei.
+ * @param {string} format - 'csv' oder 'json'.
+ */
+function exportFleet(format) {
+    const now = app.now();
+    const records = [...app.getAssets().values()].map(asset => serializeAsset(asset, now));
+    if (records.length === 0) {
+        warn(t('transfer.exportEmpty'));
+        return;
+    }
+
+    const filename = `fleetview_${fileTimestamp()}.${format}`;
+    if (format === 'csv') {
+        // BOM, damit Excel Umlaute korrekt als UTF-8 erkennt
+        downloadFile(filename, '\uFEFF' + toCsv(records), 'text/csv');
+    } else {
+        downloadFile(filename, toJson(records), 'application/json');
+    }
+    log(t('transfer.exported', { count: records.length, format: format.toUpperCase(), filename: filename }));
+}
+
+/**
+ * Importiert eine Export-Datei in die Geräte-Registry (laufende Kacheln folgen automatisch).
+ * @param {File} file
+ */
+async function importFleet(file) {
+    let records;
+    try {
+        records = parseImport(await readFileAsText(file), file.name);
+    } catch (e) {
+        error(t('transfer.importFailed', { message: e.message }));
+        return;
+    }
+
+    try {
+        let result = await mergeImport(records);
+
+        // Konflikte nur nach ausdrücklicher Bestätigung überschreiben
+        if (result.conflicts.length > 0) {
+            const preview = result.conflicts.slice(0, 5)
+                .map(c => `${c.id.substring(0, 8)}...: "${c.local}" → "${c.imported}"`)
+                .join('\n');
+            const overwrite = window.confirm(t('transfer.confirmConflicts', { count: result.conflicts.length, preview: preview }));
+            if (overwrite) {
+                const resolved = await mergeImport(
+                    records.filter(r => result.conflicts.some(c => c.id === r.id)),
+                    { overwriteConflicts: true }
+                );
+                result = { ...result, applied: [...result.applied, ...resolved.applied] };
+            }
+        }
+
+        log(t('transfer.imported', { count: records.length, applied: result.applied.length, conflicts: result.conflicts.length }));
+    } catch (e) {
+        // z.B. IndexedDB nicht verfügbar (privater Modus)
+        error(t('transfer.importFailed', { message: e.message }));
+    }
+}
@@ -0,0 +1,324 @@
+// floorMap.js
+// Hallenplan-Ansicht des Cockpits (neben Kacheln und Tabelle).
+// Auf ein hochgeladenes Bild des Hallenplans werden Ankerpunkte gesetzt:
+// Scanner (aus dem Scanner-Verbund, siehe scannerBridge.js) oder reine
+// Referenzpunkte (z.B. "Ladestation 1", nur zur Orientierung).
+// Jedes Fahrzeug erscheint an seiner geschätzten Position:
+//   - ab CONFIG.FLOOR_MAP.MIN_ANCHORS Scannern mit Messwert: Trilateration
+//   - sonst beim nächsten Scanner, im geschätzten Abstand (Richtung je Fahrzeug fest)
+// Die Farbe des Markers folgt dem LED-Status ('asset.status', siehe updateSingleAssetStatus).
+//
+// Plan und Ankerpunkte liegen in der IndexedDB (Store 'floorplan').
+// Positionen der Anker sind relativ zum Bild (0-1), damit die Anzeigegröße keine Rolle spielt.
+
+import { CONFIG } from './config.js';
+import { createLogger } from './errorManager.js';
+import { openDatabase, promisifyRequest, transactionDone } from './db.js';
+import { getCalibration, estimateDistance, trilaterate } from './proximity.js';
+import { t, onLocaleChange } from './i18n.js';
+import { renderStatusLed } from './accessibility.js';
+
+const { log, warn, error } = createLogger('floorMap');
+
+const PLAN_KEY = 'plan'; // Schlüssel im Store 'floorplan'
+
+// { image: Blob|null, widthM, anchors: [{ id, label, scannerId, x, y }] }
+let plan = { image: null, widthM: CONFIG.FLOOR_MAP.DEFAULT_WIDTH_M, anchors: [] };
+let imageUrl = null;   // Object-URL des Plans (muss freigegeben werden)
+let imageSize = null;  // Natürliche Größe des Bildes { width, height }
+let placing = false;   // Nächster Klick auf den Plan setzt einen Ankerpunkt
+const markers = new Map(); // device.id -> { element, led, label, placed }
+let placedCount = 0;
+let app = null; // Hooks aus app.js ({ onSelect, getScanners, onChange })
+
+// DOM-Referenzen
+let stage, planImage, anchorLayer, markerLayer, emptyHint, infoText;
+let widthInput, scannerSelect, labelInput, btnPlace;
+
+/**
+ * Initialisiert die Hallenplan-Ansicht und lädt den gespeicherten Plan.
+ * @param {object} hooks
+ * @param {function} hooks.onSelect - (deviceId) => Inspektor öffnen.
+ * @param {function} hooks.getScanners - Liefert die bekannten Scanner ([{ id, name }]).
+ * @param {function} hooks.onChange - Plan oder Anker geändert (Marker neu berechnen).
+ */
+export function initFloorMap(hooks) {
+    app = hooks;
+
+    stage = document.getElementById('map-stage');
+    planImage = document.getElementById('map-image');
+    anchorLayer = document.getElementById('map-anchors');
+    markerLayer = document.getElementById('map-markers');
+    emptyHint = document.getElementById('map-empty');
+    infoText = document.getElementById('map-info');
+    widthInput = document.getElementById('map-width');
+    scannerSelect = document.getElementById('map-anchor-scanner');
+    labelInput = document.getElementById('map-anchor-label');
+    btnPlace = document.getElementById('btn-map-place');
+
+    const fileInput = document.getElementById('map-file');
+    fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        fileInput.value = ''; // Dieselbe Datei erneut wählbar machen
+        if (!file) return;
+        plan.image = file;
+        showImage();
+        savePlan();
+        log(t('map.loaded', { name: file.name }));
+    });
+
+    widthInput.addEventListener('change', () => {
+        const width = Number(widthInput.value);
+        if (!(width > 0)) {
+            widthInput.value = plan.widthM;
+            return;
+        }
+        plan.widthM = width;
+        savePlan();
+        app.onChange();
+    });
+
+    btnPlace.addEventListener('click', () => setPlacing(!placing));
+    document.getElementById('btn-map-clear-anchors').addEventListener('click', () => {
+        if (plan.anchors.length === 0 || !confirm(t('map.confirmClearAnchors'))) return;
+        plan.anchors = [];
+        renderAnchors();
+        savePlan();
+        app.onChange();
+    });
+    stage.addEventListener('click', placeAnchor);
+    planImage.addEventListener('load', () => {
+        imageSize = { width: planImage.naturalWidth, height: planImage.naturalHeight };
+        app.onChange();
+    });
+
+    // Beschriftungen und Marker-Texte in der neuen Sprache
+    onLocaleChange(() => {
+        fillScannerOptions();
+        renderAnchors();
+        app.onChange();
+    });
+
+    loadPlan();
+}
+
+async function loadPlan() {
+    try {
+        const db = await openDatabase();
+        const stored = await promisifyRequest(db.transaction('floorplan').objectStore('floorplan').get(PLAN_KEY));
+        if (stored) plan = { ...plan, ...stored };
+    } catch (e) {
+        warn(t('map.loadFailed', { message: e.message }));
+    }
+    widthInput.value = plan.widthM;
+    showImage();
+    renderAnchors();
+}
+
+async function savePlan() {
+    try {
+        const db = await openDatabase();
+        const tx = db.transaction('floorplan', 'readwrite');
+        tx.objectStore('floorplan').put(plan, PLAN_KEY);
+        await transactionDone(tx);
+    } catch (e) {
+        error(t('map.saveFailed', { message: e.message }));
+    }
+}
+
+function showImage() {
+    if (imageUrl) URL.revokeObjectURL(imageUrl);
+    imageUrl = plan.image ? URL.createObjectURL(plan.image) : null;
+    imageSize = null; // Wird nach dem Laden gesetzt
+    stage.hidden = !imageUrl;
+    emptyHint.hidden = Boolean(imageUrl);
+    if (imageUrl) planImage.src = imageUrl;
+    else planImage.removeAttribute('src');
+}
+
+/**
+ * Schaltet den Modus "Ankerpunkt setzen" um. Die Scanner-Auswahl wird dabei aufgefrischt.
+ * @param {boolean} enabled
+ */
+function setPlacing(enabled) {
+    placing = enabled;
+    stage.classList.toggle('map-placing', placing);
+    btnPlace.dataset.i18n = placing ? 'common.cancel' : 'map.placeAnchor';
+    btnPlace.textContent = t(btnPlace.dataset.i18n);
+    if (placing) fillScannerOptions();
+}
+
+/**
+ * Füllt die Scanner-Auswahl für den nächsten Anker (Auswahl bleibt erhalten).
+ */
+function fillScannerOptions() {
+    const selected = scannerSelect.value;
+    scannerSelect.replaceChildren(new Option(t('map.referencePoint'), ''));
+    for (const scanner of app.getScanners()) {
+        scannerSelect.add(new Option(t('map.scannerOption', { name: scanner.name }), scanner.id, false, scanner.id === selected));
+    }
+}
+
+function placeAnchor(event) {
+    if (!placing || !imageSize) return;
+    const rect = planImage.getBoundingClientRect();
+    const x = (event.clientX - rect.left) / rect.width;
+    const y = (event.clientY - rect.top) / rect.height;
+    if (!(x >= 0 && x <= 1 && y >= 0 && y <= 1)) return;
+
+    const scannerId = scannerSelect.value || null;
+    const scanner = scannerId ? app.getScanners().find(s => s.id === scannerId) : null;
+    const label = labelInput.value.trim() || (scanner ? scanner.name : t('map.pointLabel', { n: plan.anchors.length + 1 }));
+    // Ein Scanner steht nur an einer Stelle: bisherigen Anker ersetzen
+    if (scannerId) plan.anchors = plan.anchors.filter(anchor => anchor.scannerId !== scannerId);
+    plan.anchors.push({ id: `${Date.now()}`, label: label, scannerId: scannerId, x: x, y: y });
+    labelInput.value = '';
+    setPlacing(false);
+    renderAnchors();
+    savePlan();
+    app.onChange();
+}
+
+function renderAnchors() {
+    anchorLayer.replaceChildren();
+    for (const anchor of plan.anchors) {
+        const element = document.createElement('div');
+        element.className = anchor.scannerId ? 'map-anchor map-anchor-scanner' : 'map-anchor';
+        element.style.left = `${anchor.x * 100}%`;
+        element.style.top = `${anchor.y * 100}%`;
+        element.textContent = anchor.label;
+        element.title = anchor.scannerId
+            ? t('map.scannerAnchorTitle', { id: anchor.scannerId })
+            : t('map.referenceAnchorTitle');
+        element.addEventListener('click', (event) => {
+            event.stopPropagation();
+            if (!confirm(t('map.confirmRemoveAnchor', { label: anchor.label }))) return;
+            plan.anchors = plan.anchors.filter(a => a !== anchor);
+            renderAnchors();
+            savePlan();
+            app.onChange();
+        });
+        anchorLayer.appendChild(element);
+    }
+}
+
+/**
+ * Feste Richtung je Fahrzeug (aus der ID), damit Fahrzeuge am selben Anker
+ * nicht übereinander liegen und nicht bei jedem Paket springen.
+ * @param {string} id
+ * @returns {number} - Winkel im Bogenmaß.
+ */
+function directionFor(id) {
+    let hash = 0;
+    for (let i = 0; i < id.length; i++) hash = (hash * 31 + id.charCodeAt(i)) | 0;
+    return ((hash >>> 0) % 360) * Math.PI / 180;
+}
+
+/**
+ * Schätzt die Position eines Fahrzeugs auf dem Plan.
+ * Berücksichtigt werden Scanner-Anker, deren Scanner das Fahrzeug innerhalb von
+ * CONFIG.SCANNER_BRIDGE.BEST_SCANNER_MAX_AGE_MS gehört hat; hört es keiner mehr,
+ * bleibt es an der letzten Position (auf Basis der letzten Messwerte).
+ * @param {object} asset - FtsAsset mit 'scanners' (siehe scannerBridge.js).
+ * @param {Array} anchors - [{ scannerId, x, y }] (relativ, 0-1).
+ * @param {object} size - { widthM, heightM } des Plans.
+ * @param {number} now
+ * @returns {object|null} - { x, y (relativ, 0-1), method: 'trilateration'|'nearest', anchorCount } oder null.
+ */
+export function estimateAssetPosition(asset, anchors, size, now) {
+    const calibration = getCalibration(asset.profileName);
+    const ranges = [];
+    for (const anchor of anchors) {
+        const reading = anchor.scannerId ? asset.scanners.get(anchor.scannerId) : null;
+        if (!reading) continue;
+        ranges.push({
+            x: anchor.x * size.widthM,
+            y: anchor.y * size.heightM,
+            distance: estimateDistance(reading.smoothedRssi, calibration),
+            fresh: now - reading.lastSeen <= CONFIG.SCANNER_BRIDGE.BEST_SCANNER_MAX_AGE_MS
+        });
+    }
+    const fresh = ranges.filter(range => range.fresh);
+    const used = fresh.length > 0 ? fresh : ranges;
+    if (used.length === 0) return null;
+
+    let position;
+    let method;
+    if (used.length >= CONFIG.FLOOR_MAP.MIN_ANCHORS) {
+        position = trilaterate(used);
+        method = 'trilateration';
+    } else {
+        const nearest = used.reduce((best, range) => range.distance < best.distance ? range : best);
+        const radius = Math.min(nearest.distance, CONFIG.FLOOR_MAP.NEAREST_MAX_RADIUS_M);
+        const angle = directionFor(asset.id);
+        position = { x: nearest.x + radius * Math.cos(angle), y: nearest.y + radius * Math.sin(angle) };
+        method = 'nearest';
+    }
+    const clamp = value => Math.max(0, Math.min(1, value));
+    return {
+        x: clamp(position.x / size.widthM),
+        y: clamp(position.y / size.heightM),
+        method: method,
+        anchorCount: used.length
+    };
+}
+
+/**
+ * Zeichnet den Marker eines Fahrzeugs (Position und LED-Farbe).
+ * Aufruf über 'updateAssetView' bzw. den Status-Ticker, solange die Ansicht aktiv ist.
+ * @param {object} asset
+ * @param {number} now
+ */
+export function updateMapMarker(asset, now) {
+    let marker = markers.get(asset.id);
+    if (!marker) {
+        const element = document.createElement('button');
+        element.className = 'map-marker';
+        element.innerHTML = '<span class="led" role="img"></span><span class="map-marker-label"></span>';
+        element.addEventListener('click', (event) => {
+            event.stopPropagation();
+            app.onSelect(asset.id);
+        });
+        marker = { element, led: element.querySelector('.led'), label: element.querySelector('.map-marker-label'), placed: false };
+        markers.set(asset.id, marker);
+        markerLayer.appendChild(marker.element);
+        renderInfo();
+    }
+
+    const position = imageSize
+        ? estimateAssetPosition(asset, plan.anchors, { widthM: plan.widthM, heightM: plan.widthM * imageSize.height / imageSize.width }, now)
+        : null;
+    if (Boolean(position) !== marker.placed) {
+        placedCount += position ? 1 : -1;
+        marker.placed = Boolean(position);
+        renderInfo();
+    }
+    marker.element.hidden = !position;
+    if (!position) return;
+
+    marker.element.style.left = `${position.x * 100}%`;
+    marker.element.style.top = `${position.y * 100}%`;
+    renderStatusLed(marker.led, asset.status);
+    if (marker.label.textContent !== asset.name) marker.label.textContent = asset.name;
+    marker.element.title = `${asset.name} (${asset.id}) · ${position.method === 'trilateration'
+        ? t('map.trilaterated', { count: position.anchorCount })
+        : t('map.nearestScanner')}`;
+}
+
+function renderInfo() {
+    const total = markers.size;
+    infoText.textContent = total === 0
+        ? ''
+        : t('map.placedInfo', { placed: placedCount, count: total }) +
+          (placedCount < total ? ` ${t('map.unplacedHint')}` : '');
+}
+
+/**
+ * Entfernt alle Marker (z.B. vor einer Wiedergabe).
+ */
+export function clearMapMarkers() {
+    markers.clear();
+    placedCount = 0;
+    markerLayer.replaceChildren();
+    renderInfo();
+}
@@ -0,0 +1,268 @@
+// gattClient.js
+// GATT-Verbindung zu einem einzelnen Fahrzeug für die Diagnose im Inspektor:
+// verbinden, Services und Characteristics auflisten, bekannte Werte lesen und
+// Benachrichtigungen abonnieren.
+//
+// Arbeitet mit Objekten in der Form der Web Bluetooth API (BluetoothDevice,
+// BluetoothRemoteGATTServer, ...). Woher das Gerät kommt, entscheidet die
+// Paket-Quelle (getGattDevice, siehe advertisementSource.js); der Simulator
+// liefert ein nachgebildetes Gerät (gattMock.js). Dieses Modul greift weder
+// auf das DOM noch auf navigator.bluetooth zu.
+//
+// Gelesen werden die Standard-Werte aus STANDARD_CHARACTERISTICS und die
+// herstellerspezifischen Characteristics des Profils (FTS_PROFILES[].gatt).
+
+import { CONFIG } from './config.js';
+import { resolveDecoder, decodePayload } from './payloadDecoder.js';
+import { t } from './i18n.js';
+
+const BASE_UUID_SUFFIX = '-0000-1000-8000-00805f9b34fb'; // Bluetooth-Basis-UUID
+
+// Eigenschaften einer Characteristic (BluetoothCharacteristicProperties)
+const PROPERTY_NAMES = ['broadcast', 'read', 'writeWithoutResponse', 'write', 'notify', 'indicate',
+    'authenticatedSignedWrites', 'reliableWrite', 'writableAuxiliaries'];
+
+// Akku (Battery Service) und Geräteinformationen (Device Information Service).
+// Felder wie bei den Profil-Characteristics, siehe CONFIG.FTS_PROFILES; statt 'label'
+// ein Textschlüssel ('labelKey'), damit die Bezeichnung der Sprache folgt.
+export const STANDARD_CHARACTERISTICS = [
+    { id: 'battery', service: '0x180f', characteristic: '0x2a19', labelKey: 'gatt.battery', type: 'uint8', unit: '%', notify: true },
+    { id: 'manufacturer', service: '0x180a', characteristic: '0x2a29', labelKey: 'gatt.manufacturer', type: 'ascii' },
+    { id: 'model', service: '0x180a', characteristic: '0x2a24', labelKey: 'gatt.model', type: 'ascii' },
+    { id: 'serial', service: '0x180a', characteristic: '0x2a25', labelKey: 'gatt.serial', type: 'ascii' },
+    { id: 'hardware', service: '0x180a', characteristic: '0x2a27', labelKey: 'gatt.hardware', type: 'ascii' },
+    { id: 'firmware', service: '0x180a', characteristic: '0x2a26', labelKey: 'gatt.firmware', type: 'ascii' },
+    { id: 'software', service: '0x180a', characteristic: '0x2a28', labelKey: 'gatt.software', type: 'ascii' }
+];
+
+/**
+ * Wandelt eine UUID in die 128-Bit-Schreibweise (klein) um, wie sie die
+ * Web Bluetooth API in 'service.uuid' und 'characteristic.uuid' liefert.
+ * @param {string|number} uuid - z.B. '0x180f', 0x180f oder eine 128-Bit-UUID.
+ * @returns {string}
+ */
+export function toFullUuid(uuid) {
+    if (typeof uuid === 'number') {
+        return uuid.toString(16).padStart(8, '0') + BASE_UUID_SUFFIX;
+    }
+    const text = String(uuid).trim().toLowerCase();
+    if (/^0x[0-9a-f]{4,8}$/.test(text)) return text.slice(2).padStart(8, '0') + BASE_UUID_SUFFIX;
+    return text;
+}
+
+/**
+ * Liefert alle zu lesenden Characteristics eines Profils (Standard zuerst).
+ * Jede Definition erhält eine 'key' aus Service und Characteristic.
+ * @param {object} [profile] - Eintrag aus CONFIG.FTS_PROFILES (optional 'gatt.characteristics').
+ * @returns {Array<object>}
+ */
+export function getCharacteristicDefinitions(profile) {
+    const custom = (profile && profile.gatt && profile.gatt.characteristics) || [];
+    return [...STANDARD_CHARACTERISTICS, ...custom].map(definition => {
+        const service = toFullUuid(definition.service);
+        const characteristic = toFullUuid(definition.characteristic);
+        const label = definition.labelKey ? t(definition.labelKey) : definition.label;
+        return { ...definition, label, service, characteristic, key: `${service}/${characteristic}` };
+    });
+}
+
+/**
+ * Services, die für die Verbindung freigegeben sein müssen
+ * (requestDevice({ optionalServices })).
+ * @param {object} [profile]
+ * @returns {Array<string>}
+ */
+export function getOptionalServices(profile) {
+    return [...new Set(getCharacteristicDefinitions(profile).map(definition => definition.service))];
+}
+
+/**
+ * Bricht ein Promise nach 'ms' Millisekunden mit einem TimeoutError ab.
+ * @param {Promise} promise
+ * @param {number} ms
+ * @param {string} action - Beschreibung für die Fehlermeldung (übersetzt), z.B. "Verbindungsaufbau".
+ * @returns {Promise}
+ */
+export function withTimeout(promise, ms, action) {
+    let timer = null;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            const e = new Error(t('gatt.timeout', { action: action, seconds: ms / 1000 }));
+            e.name = 'TimeoutError';
+            reject(e);
+        }, ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Erklärt einen Fehler der Web Bluetooth API in Klartext.
+ * @param {Error|DOMException} e
+ * @returns {string}
+ */
+export function describeGattError(e) {
+    const hints = {
+        TimeoutError: null, // Meldung aus withTimeout ist bereits verständlich
+        NotFoundError: 'gatt.error.notFound',
+        NetworkError: 'gatt.error.network',
+        SecurityError: 'gatt.error.security',
+        NotSupportedError: 'gatt.error.notSupported',
+        InvalidStateError: 'gatt.error.invalidState',
+        NotAllowedError: 'gatt.error.notAllowed'
+    };
+    const hint = hints[e && e.name] ? t(hints[e && e.name]) : null;
+    const message = (e && e.message) || String(e);
+    return hint ? `${hint}: ${message}` : message;
+}
+
+/**
+ * Formatiert einen gelesenen Wert anhand der Definition. Mit 'decoder'
+ * (Name aus PAYLOAD_DECODERS oder inline) wird wie ein Payload dekodiert,
+ * sonst als einzelnes Feld ('type', 'unit', 'scale', 'values', ... wie in
+ * den Decoder-Layouts). Ohne 'type' als Hex.
+ * @param {DataView} dataView
+ * @param {object} definition
+ * @returns {string}
+ */
+export function formatCharacteristicValue(dataView, definition) {
+    if (dataView.byteLength === 0) return t('gatt.emptyValue');
+
+    let decoder;
+    if (definition.decoder) {
+        decoder = resolveDecoder(definition, CONFIG.PAYLOAD_DECODERS);
+    } else {
+        // Texte und Rohdaten ohne feste Länge: der ganze Wert
+        const field = { type: 'hex', ...definition, name: definition.label, offset: 0 };
+        if (!field.length && ['hex', 'ascii', 'version'].includes(field.type)) field.length = dataView.byteLength;
+        decoder = { fields: [field] };
+    }
+
+    const result = decodePayload(dataView, decoder);
+    if (result.errors.length > 0 && result.fields.length === 0) throw new Error(result.errors.join(' '));
+    if (!definition.decoder) return result.fields[0].text;
+    return result.fields.map(field => `${field.label}: ${field.text}`).join(', ');
+}
+
+/**
+ * Verbindet sich mit dem Gerät, listet Services und Characteristics auf,
+ * liest die bekannten Werte und abonniert deren Benachrichtigungen.
+ * Ein fehlerhafter Wert verhindert nicht, dass die übrigen gelesen werden;
+ * er steht mit 'error' in 'readings'.
+ * @param {object} device - BluetoothDevice (oder gleich aufgebautes Objekt).
+ * @param {object} [options]
+ * @param {object} [options.profile] - Profil des Fahrzeugs (für die Profil-Characteristics).
+ * @param {number} [options.connectTimeoutMs] - Standard: CONFIG.GATT.CONNECT_TIMEOUT_MS
+ * @param {number} [options.operationTimeoutMs] - Standard: CONFIG.GATT.OPERATION_TIMEOUT_MS
+ * @param {function} [options.onNotification] - (reading) => void bei jedem neuen Wert.
+ * @param {function} [options.onDisconnect] - Verbindung vom Gerät aus getrennt.
+ * @returns {Promise<object>} - Sitzung { services, readings, subscriptions, disconnect() }.
+ *   services: [{ uuid, characteristics: [{ uuid, properties }] }]
+ *   readings: [{ key, label, text, error, t }]
+ */
+export async function openGattSession(device, options = {}) {
+    const connectTimeoutMs = options.connectTimeoutMs || CONFIG.GATT.CONNECT_TIMEOUT_MS;
+    const operationTimeoutMs = options.operationTimeoutMs || CONFIG.GATT.OPERATION_TIMEOUT_MS;
+    const onNotification = options.onNotification || (() => {});
+    const onDisconnect = options.onDisconnect || (() => {});
+
+    if (!device || !device.gatt) throw new Error(t('gatt.unsupported'));
+
+    let closing = false;
+    const subscriptions = []; // { characteristic, listener }
+    const handleDisconnect = () => {
+        if (!closing) onDisconnect();
+    };
+
+    /**
+     * Trennt die Verbindung und entfernt alle Listener (mehrfach aufrufbar).
+     */
+    function disconnect() {
+        if (closing) return;
+        closing = true;
+        device.removeEventListener('gattserverdisconnected', handleDisconnect);
+        for (const { characteristic, listener } of subscriptions) {
+            characteristic.removeEventListener('characteristicvaluechanged', listener);
+            // Abmelden ist nur höflich; nach dem Trennen schlägt es ohnehin fehl
+            characteristic.stopNotifications().catch(() => {});
+        }
+        // Ohne Prüfung auf 'connected': Nach einem Timeout läuft der Verbindungsaufbau
+        // womöglich noch, und disconnect() bricht ihn ab
+        device.gatt.disconnect();
+    }
+
+    device.addEventListener('gattserverdisconnected', handleDisconnect);
+
+    try {
+        const connecting = device.gatt.connect();
+        // Verbindung, die erst nach Timeout oder Abbruch zustande kommt, gleich wieder trennen
+        connecting.then(() => { if (closing) device.gatt.disconnect(); }, () => {});
+        const server = await withTimeout(connecting, connectTimeoutMs, t('gatt.action.connect'));
+
+        // Services und Characteristics auflisten. NotFoundError bedeutet hier "keine vorhanden".
+        const services = [];
+        const characteristics = new Map(); // key -> BluetoothRemoteGATTCharacteristic
+        const primaryServices = await withTimeout(server.getPrimaryServices(), operationTimeoutMs, t('gatt.action.services'))
+            .catch(e => { if (e.name === 'NotFoundError') return []; throw e; });
+        for (const service of primaryServices) {
+            const list = await withTimeout(service.getCharacteristics(), operationTimeoutMs, t('gatt.action.characteristics', { uuid: service.uuid }))
+                .catch(e => { if (e.name === 'NotFoundError') return []; throw e; });
+            services.push({
+                uuid: service.uuid,
+                characteristics: list.map(characteristic => ({
+                    uuid: characteristic.uuid,
+                    properties: PROPERTY_NAMES.filter(name => characteristic.properties[name])
+                }))
+            });
+            for (const characteristic of list) characteristics.set(`${service.uuid}/${characteristic.uuid}`, characteristic);
+        }
+
+        // Bekannte Werte lesen und ggf. abonnieren
+        const readings = [];
+        for (const definition of getCharacteristicDefinitions(options.profile)) {
+            const characteristic = characteristics.get(definition.key);
+            if (!characteristic) continue; // Vom Gerät nicht angeboten
+
+            const reading = { key: definition.key, label: definition.label, text: null, error: null, t: null };
+            readings.push(reading);
+
+            if (characteristic.properties.read) {
+                try {
+                    const value = await withTimeout(characteristic.readValue(), operationTimeoutMs, t('gatt.action.read', { label: definition.label }));
+                    reading.text = formatCharacteristicValue(value, definition);
+                    reading.t = Date.now();
+                } catch (e) {
+                    // Nach einem Verbindungsabbruch sind alle weiteren Versuche zwecklos
+                    if (!device.gatt.connected) throw e;
+                    reading.error = describeGattError(e);
+                }
+            }
+
+            if (definition.notify && (characteristic.properties.notify || characteristic.properties.indicate)) {
+                try {
+                    await withTimeout(characteristic.startNotifications(), operationTimeoutMs, t('gatt.action.subscribe', { label: definition.label }));
+                    const listener = event => {
+                        try {
+                            reading.text = formatCharacteristicValue(event.target.value, definition);
+                            reading.error = null;
+                        } catch (e) {
+                            reading.error = describeGattError(e);
+                        }
+                        reading.t = Date.now();
+                        onNotification(reading);
+                    };
+                    characteristic.addEventListener('characteristicvaluechanged', listener);
+                    subscriptions.push({ characteristic, listener });
+                    reading.subscribed = true;
+                } catch (e) {
+                    if (!device.gatt.connected) throw e;
+                    reading.error = reading.error || describeGattError(e);
+                }
+            }
+        }
+
+        return { services, readings, subscriptions: subscriptions.length, disconnect };
+    } catch (e) {
+        disconnect(); // Auch eine halb aufgebaute Verbindung wieder schließen
+        throw e;
+    }
+}
@@ -0,0 +1,136 @@
+// gattMock.js
+// Nachgebildetes GATT-Gerät in der Form der Web Bluetooth API
+// (BluetoothDevice mit 'gatt', Services, Characteristics und Events).
+// Der Simulator liefert damit Geräte für die GATT-Diagnose im Inspektor;
+// ebenso eignet es sich als Test-Double für gattClient.js. Verzögerungen,
+// Verbindungsfehler und fehlende Antworten lassen sich einstellen.
+//
+// Aufbau der Services:
+//   [{ uuid, characteristics: [{ uuid, properties: ['read', 'notify'], read, notifyIntervalMs, hangOnRead }] }]
+//   read       - () => Uint8Array, liefert den aktuellen Wert (auch für Benachrichtigungen)
+//   hangOnRead - readValue() antwortet nie (für Timeouts einzelner Werte)
+
+import { toFullUuid } from './gattClient.js';
+
+function domError(name, message) {
+    return new DOMException(message, name);
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function toDataView(bytes) {
+    return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+/**
+ * Erzeugt ein nachgebildetes BluetoothDevice.
+ * @param {object} params
+ * @param {string} params.id
+ * @param {string} [params.name]
+ * @param {Array} [params.services] - Siehe oben.
+ * @param {number} [params.latencyMs] - Antwortzeit jedes Vorgangs.
+ * @param {string} [params.failConnect] - Name eines DOMException-Fehlers für connect(), z.B. 'NetworkError'.
+ * @param {boolean} [params.hangOnConnect] - connect() antwortet nie (für Timeouts).
+ * @returns {object}
+ */
+export function createMockGattDevice({ id, name = null, services = [], latencyMs = 50, failConnect = null, hangOnConnect = false }) {
+    const device = new EventTarget();
+    let connected = false;
+    const timers = new Set();
+
+    /**
+     * Führt einen Vorgang nach der eingestellten Antwortzeit aus,
+     * sofern die Verbindung (noch) besteht.
+     */
+    async function operation(action) {
+        await delay(latencyMs);
+        if (!connected) throw domError('NetworkError', "GATT Server is disconnected.");
+        return action();
+    }
+
+    function buildCharacteristic(spec, service) {
+        const characteristic = new EventTarget();
+        const properties = Object.fromEntries((spec.properties || ['read']).map(name => [name, true]));
+        let notifyTimer = null;
+
+        return Object.assign(characteristic, {
+            uuid: toFullUuid(spec.uuid),
+            service: service,
+            properties: properties,
+            value: null,
+
+            readValue() {
+                if (spec.hangOnRead) return new Promise(() => {});
+                return operation(() => {
+                    if (!properties.read) throw domError('NotSupportedError', "GATT operation not permitted.");
+                    characteristic.value = toDataView(spec.read());
+                    return characteristic.value;
+                });
+            },
+
+            startNotifications() {
+                return operation(() => {
+                    if (!properties.notify && !properties.indicate) throw domError('NotSupportedError', "Characteristic does not support notifications.");
+                    if (notifyTimer) return characteristic;
+                    notifyTimer = setInterval(() => {
+                        characteristic.value = toDataView(spec.read());
+                        characteristic.dispatchEvent(new Event('characteristicvaluechanged'));
+                    }, spec.notifyIntervalMs || 1000);
+                    timers.add(notifyTimer);
+                    return characteristic;
+                });
+            },
+
+            stopNotifications() {
+                clearInterval(notifyTimer);
+                timers.delete(notifyTimer);
+                notifyTimer = null;
+                return Promise.resolve(characteristic);
+            }
+        });
+    }
+
+    const remoteServices = services.map(spec => {
+        const service = { uuid: toFullUuid(spec.uuid), isPrimary: true };
+        const characteristics = (spec.characteristics || []).map(c => buildCharacteristic(c, service));
+        service.getCharacteristics = () => operation(() => {
+            if (characteristics.length === 0) throw domError('NotFoundError', "No Characteristics matching UUID found in Service.");
+            return characteristics;
+        });
+        return service;
+    });
+
+    const server = {
+        device: device,
+        get connected() {
+            return connected;
+        },
+
+        async connect() {
+            if (hangOnConnect) return new Promise(() => {});
+            await delay(latencyMs);
+            if (failConnect) throw domError(failConnect, "Connection failed for unknown reason.");
+            connected = true;
+            return server;
+        },
+
+        disconnect() {
+            if (!connected) return;
+            connected = false;
+            for (const timer of timers) clearInterval(timer);
+            timers.clear();
+            device.dispatchEvent(new Event('gattserverdisconnected'));
+        },
+
+        getPrimaryServices() {
+            return operation(() => {
+                if (remoteServices.length === 0) throw domError('NotFoundError', "No Services found in device.");
+                return remoteServices;
+            });
+        }
+    };
+
+    return Object.assign(device, { id: id, name: name, gatt: server });
+}
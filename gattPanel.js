@@ -0,0 +1,185 @@
+// gattPanel.js
+// GATT-Diagnose im Geräte-Inspektor: "Verbinden" baut über die aktuelle
+// Paket-Quelle eine GATT-Verbindung zum Fahrzeug auf (siehe gattClient.js),
+// zeigt die gelesenen Werte und die angebotenen Services an und aktualisiert
+// abonnierte Werte laufend. Beim Schließen des Inspektors wird getrennt.
+// Verbindungsaufbau, Ergebnisse und Fehler landen im Log.
+
+import { createLogger } from './errorManager.js';
+import { getAllProfiles } from './profiles.js';
+import { openGattSession, describeGattError } from './gattClient.js';
+import { t, onLocaleChange, formatTime } from './i18n.js';
+
+const { log, info, warn, error } = createLogger('gattPanel');
+
+let app = null;      // Hooks aus app.js ({ getSource })
+let target = null;   // { id, name, profileName } des Fahrzeugs im Inspektor
+let session = null;  // Offene Sitzung aus openGattSession
+let attempt = 0;     // Zählt Verbindungsversuche (veraltete Antworten verwerfen)
+let status = null;   // Angezeigter Status { key, params } (für Sprachwechsel)
+
+// DOM-Referenzen
+let btnConnect, btnDisconnect, statusText, valuesText, servicesText;
+
+/**
+ * Initialisiert den GATT-Bereich im Inspektor.
+ * @param {object} hooks
+ * @param {function} hooks.getSource - () => Paket-Quelle (siehe advertisementSource.js).
+ */
+export function initGattPanel(hooks) {
+    app = hooks;
+
+    btnConnect = document.getElementById('btn-gatt-connect');
+    btnDisconnect = document.getElementById('btn-gatt-disconnect');
+    statusText = document.getElementById('gatt-status');
+    valuesText = document.getElementById('gatt-values');
+    servicesText = document.getElementById('gatt-services');
+
+    btnConnect.addEventListener('click', connect);
+    btnDisconnect.addEventListener('click', () => {
+        if (!session) return;
+        info(t('gatt.log.disconnected', { name: target.name }));
+        closeSession('gatt.status.disconnected');
+    });
+
+    onLocaleChange(() => {
+        if (status) setStatus(status.key, status.params);
+        if (!session) return;
+        renderReadings(session.readings);
+        renderServices(session.services);
+    });
+}
+
+/**
+ * Bereitet den Bereich für ein Fahrzeug vor (beim Öffnen des Inspektors).
+ * @param {object|null} asset - FtsAsset; null, wenn das Gerät in dieser Sitzung nicht gesehen wurde.
+ */
+export function showGattPanel(asset) {
+    resetGattPanel();
+    target = asset ? { id: asset.id, name: asset.name, profileName: asset.profileName } : null;
+
+    const source = app.getSource();
+    if (!asset) {
+        setStatus('gatt.status.notSeen');
+    } else if (!source || !source.getGattDevice) {
+        setStatus('gatt.status.sourceUnsupported', { source: source ? source.name : t('gatt.noSource') });
+    } else {
+        setStatus('gatt.status.notConnected');
+    }
+    btnConnect.disabled = !asset || !source || !source.getGattDevice;
+}
+
+/**
+ * Trennt eine offene Verbindung und leert den Bereich (beim Schließen des Inspektors).
+ */
+export function resetGattPanel() {
+    attempt++; // Laufenden Verbindungsaufbau verwerfen
+    if (session) closeSession('gatt.status.notConnected');
+    target = null;
+    valuesText.textContent = '';
+    servicesText.textContent = '';
+    btnConnect.disabled = true;
+    btnDisconnect.disabled = true;
+}
+
+async function connect() {
+    if (!target || session) return;
+    const current = ++attempt;
+    const vehicle = target;
+    const source = app.getSource();
+    const profile = getAllProfiles().find(p => p.profileName === vehicle.profileName);
+
+    btnConnect.disabled = true;
+    setStatus('gatt.status.connecting');
+    valuesText.textContent = '';
+    servicesText.textContent = '';
+    info(t('gatt.log.connecting', { name: vehicle.name, id: vehicle.id }));
+
+    try {
+        const device = await source.getGattDevice(vehicle.id, profile);
+        const logged = new Map(); // key -> zuletzt geloggter Text (nur Änderungen loggen)
+        const opened = await openGattSession(device, {
+            profile: profile,
+            onNotification: reading => {
+                if (!session) return; // Während des Aufbaus zeigt das Ergebnis den aktuellen Wert
+                renderReadings(session.readings);
+                const text = reading.error ? t('gatt.readingError', { message: reading.error }) : reading.text;
+                if (logged.get(reading.key) === text) return;
+                logged.set(reading.key, text);
+                log(`GATT ${vehicle.name}: ${reading.label} = ${text}`);
+            },
+            onDisconnect: () => {
+                warn(t('gatt.log.lost', { name: vehicle.name }));
+                if (session) closeSession('gatt.status.lost');
+            }
+        });
+
+        // Inspektor inzwischen geschlossen oder anderes Fahrzeug geöffnet
+        if (current !== attempt) {
+            opened.disconnect();
+            return;
+        }
+
+        session = opened;
+        btnDisconnect.disabled = false;
+        renderReadings(session.readings);
+        renderServices(session.services);
+        setStatus('gatt.status.connected', { services: session.services.length, subscriptions: session.subscriptions });
+
+        info(t('gatt.log.connected', { name: vehicle.name, services: session.services.length, readings: session.readings.length }));
+        for (const reading of session.readings) {
+            logged.set(reading.key, reading.error ? t('gatt.readingError', { message: reading.error }) : reading.text);
+            if (reading.error) warn(t('gatt.log.unreadable', { name: vehicle.name, label: reading.label, message: reading.error }));
+            else if (reading.text !== null) info(`GATT ${vehicle.name}: ${reading.label} = ${reading.text}`);
+        }
+    } catch (e) {
+        const message = describeGattError(e);
+        error(t('gatt.log.failed', { name: vehicle.name, id: vehicle.id, message: message }));
+        if (current !== attempt) return;
+        setStatus('gatt.status.failed', { message: message });
+        btnConnect.disabled = false;
+    }
+}
+
+/**
+ * Schließt die Sitzung und gibt "Verbinden" wieder frei.
+ * @param {string} statusKey - Anzuzeigender Status (Textschlüssel).
+ */
+function closeSession(statusKey) {
+    const closing = session;
+    session = null;
+    closing.disconnect();
+    setStatus(statusKey);
+    btnConnect.disabled = !target;
+    btnDisconnect.disabled = true;
+}
+
+/**
+ * @param {string} key - Textschlüssel, z.B. 'gatt.status.connecting'.
+ * @param {object} [params]
+ */
+function setStatus(key, params = {}) {
+    status = { key, params };
+    statusText.textContent = t(key, params);
+}
+
+function renderReadings(readings) {
+    if (readings.length === 0) {
+        valuesText.textContent = t('gatt.noReadings');
+        return;
+    }
+    valuesText.textContent = readings.map(reading => {
+        let text = reading.error ? t('gatt.status.failed', { message: reading.error }) : (reading.text ?? t('gatt.unreadable'));
+        if (reading.subscribed && reading.t) text += ` · ${formatTime(reading.t)}`;
+        return `${reading.label}: ${text}`;
+    }).join('\n');
+}
+
+function renderServices(services) {
+    servicesText.textContent = services.length === 0
+        ? t('gatt.noServices')
+        : services.map(service => [
+            `Service ${service.uuid}`,
+            ...service.characteristics.map(c => `  ${c.uuid} [${c.properties.join(', ')}]`)
+        ].join('\n')).join('\n');
+}
@@ -0,0 +1,211 @@
+// gridView.js
+// Sortieren, Filtern, Suchen und Gruppieren der Kacheln im Cockpit.
+// Die Funktionen arbeiten auf einfachen Einträgen (siehe app.js 'arrangeGrid'):
+//   { id, name, rssi, lastSeen, status, profileName, zoneLabel, tags, payload, order }
+// Die Reihenfolge wird nur bei Änderungen der Werkzeugleiste, neuen Geräten und
+// in festen Abständen (CONFIG.GRID.RESORT_INTERVAL_MS) neu berechnet, damit die
+// Kacheln nicht bei jedem Paket springen.
+
+import { getAllProfiles, onProfilesChange } from './profiles.js';
+import { getAllDevices, onRegistryChange } from './deviceRegistry.js';
+import { t, getLocale, onLocaleChange } from './i18n.js';
+
+const STORAGE_KEY = 'grid_view'; // localStorage: Auswahl der Werkzeugleiste (ohne Suchtext)
+
+// Werte sind Textschlüssel (siehe i18n.js)
+export const SORT_KEYS = {
+    discovery: 'grid.sort.discovery',
+    name: 'grid.sort.name',
+    rssi: 'grid.sort.rssi',
+    lastSeen: 'grid.sort.lastSeen',
+    status: 'grid.sort.status'
+};
+
+export const GROUP_KEYS = {
+    none: 'grid.group.none',
+    profile: 'grid.group.profile',
+    zone: 'grid.group.zone'
+};
+
+export const STATUS_LABELS = {
+    green: 'status.green',
+    yellow: 'status.yellow',
+    red: 'status.red',
+    absent: 'status.absent'
+};
+const STATUS_ORDER = ['green', 'yellow', 'red', 'absent'];
+
+const DEFAULT_CRITERIA = { search: '', sort: 'discovery', profile: '', status: '', tag: '', group: 'none' };
+
+let criteria = loadCriteria();
+let onCriteriaChange = () => {}; // Hook aus app.js (Kacheln neu anordnen)
+
+// DOM-Referenzen
+let searchInput, sortSelect, profileSelect, statusSelect, tagSelect, groupSelect, countText;
+
+function loadCriteria() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+        return { ...DEFAULT_CRITERIA, ...stored, search: '' };
+    } catch (e) {
+        return { ...DEFAULT_CRITERIA };
+    }
+}
+
+function saveCriteria() {
+    const { search, ...persisted } = criteria;
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(persisted));
+}
+
+/**
+ * Liefert die aktuelle Auswahl der Werkzeugleiste.
+ * @returns {object} - { search, sort, profile, status, tag, group }
+ */
+export function getGridCriteria() {
+    return { ...criteria };
+}
+
+/**
+ * Prüft, ob ein Eintrag zu Filtern und Suchtext passt.
+ * Die Suche durchsucht Nickname, ID und Payload (ohne Groß-/Kleinschreibung).
+ * @param {object} item
+ * @param {object} criteria
+ * @returns {boolean}
+ */
+export function matchesCriteria(item, { search, profile, status, tag }) {
+    if (profile && item.profileName !== profile) return false;
+    if (status && item.status !== status) return false;
+    if (tag && !item.tags.includes(tag)) return false;
+    if (search) {
+        const needle = search.toLowerCase();
+        const haystack = [item.name, item.id, item.payload || ''].join('\n').toLowerCase();
+        if (!haystack.includes(needle)) return false;
+    }
+    return true;
+}
+
+/**
+ * Sortiert Einträge. Bei Gleichstand entscheidet die Entdeckungs-Reihenfolge,
+ * damit die Anordnung stabil bleibt. Einträge ohne Wert (z.B. nie gesehen) stehen am Ende.
+ * @param {Array<object>} items
+ * @param {string} sortKey - Schlüssel aus SORT_KEYS.
+ * @returns {Array<object>} - Neue, sortierte Liste.
+ */
+export function sortItems(items, sortKey) {
+    const compare = {
+        discovery: () => 0,
+        name: (a, b) => a.name.localeCompare(b.name, getLocale(), { numeric: true }),
+        rssi: (a, b) => compareMissingLast(a.rssi, b.rssi, (x, y) => y - x),
+        lastSeen: (a, b) => compareMissingLast(a.lastSeen, b.lastSeen, (x, y) => y - x),
+        status: (a, b) => STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status)
+    }[sortKey] || (() => 0);
+
+    return [...items].sort((a, b) => compare(a, b) || a.order - b.order);
+}
+
+function compareMissingLast(a, b, compare) {
+    if (a === null && b === null) return 0;
+    if (a === null) return 1;
+    if (b === null) return -1;
+    return compare(a, b);
+}
+
+/**
+ * Teilt (bereits sortierte) Einträge in Gruppen auf. Die Gruppen erscheinen
+ * in der Reihenfolge ihres ersten Eintrags.
+ * @param {Array<object>} items
+ * @param {string} groupKey - Schlüssel aus GROUP_KEYS.
+ * @returns {Array<object>} - [{ key, label, items }]
+ */
+export function groupItems(items, groupKey) {
+    if (groupKey === 'none') return [{ key: '', label: '', items: items }];
+
+    const groups = new Map();
+    for (const item of items) {
+        let label = groupKey === 'profile' ? item.profileName : item.zoneLabel;
+        if (item.status === 'absent' && groupKey === 'zone') label = t(STATUS_LABELS.absent);
+        label = label || t('grid.group.unassigned');
+        if (!groups.has(label)) groups.set(label, { key: label, label: label, items: [] });
+        groups.get(label).items.push(item);
+    }
+    return [...groups.values()];
+}
+
+/**
+ * Initialisiert die Werkzeugleiste über dem Cockpit.
+ * @param {object} hooks
+ * @param {function} hooks.onChange - Wird bei jeder Änderung der Auswahl aufgerufen.
+ */
+export function initGridToolbar(hooks) {
+    onCriteriaChange = hooks.onChange;
+
+    searchInput = document.getElementById('grid-search');
+    sortSelect = document.getElementById('grid-sort');
+    profileSelect = document.getElementById('grid-filter-profile');
+    statusSelect = document.getElementById('grid-filter-status');
+    tagSelect = document.getElementById('grid-filter-tag');
+    groupSelect = document.getElementById('grid-group');
+    countText = document.getElementById('grid-count');
+
+    fillFixedOptions();
+    refreshFilterOptions();
+
+    searchInput.addEventListener('input', () => update('search', searchInput.value.trim()));
+    sortSelect.addEventListener('change', () => update('sort', sortSelect.value));
+    profileSelect.addEventListener('change', () => update('profile', profileSelect.value));
+    statusSelect.addEventListener('change', () => update('status', statusSelect.value));
+    tagSelect.addEventListener('change', () => update('tag', tagSelect.value));
+    groupSelect.addEventListener('change', () => update('group', groupSelect.value));
+
+    // Auswahllisten für Profile und Tags aktuell halten
+    onProfilesChange(refreshFilterOptions);
+    onRegistryChange(refreshFilterOptions);
+
+    // Beschriftungen und Gruppennamen in der neuen Sprache
+    onLocaleChange(() => {
+        fillFixedOptions();
+        refreshFilterOptions();
+        onCriteriaChange();
+    });
+}
+
+/**
+ * Zeigt die Anzahl der sichtbaren Kacheln an.
+ * @param {number} visible
+ * @param {number} total
+ */
+export function updateGridCount(visible, total) {
+    if (countText) countText.textContent = visible === total
+        ? t('grid.count', { count: total })
+        : t('grid.countFiltered', { visible: visible, count: total });
+}
+
+function update(key, value) {
+    criteria[key] = value;
+    saveCriteria();
+    onCriteriaChange();
+}
+
+function fillFixedOptions() {
+    const translated = keys => Object.entries(keys).map(([value, key]) => [value, t(key)]);
+    fillSelect(sortSelect, translated(SORT_KEYS), criteria.sort);
+    fillSelect(groupSelect, translated(GROUP_KEYS), criteria.group);
+    fillSelect(statusSelect, [['', t('grid.allStatus')], ...translated(STATUS_LABELS)], criteria.status);
+}
+
+function refreshFilterOptions() {
+    const profiles = getAllProfiles().map(profile => [profile.profileName, profile.profileName]);
+    fillSelect(profileSelect, [['', t('grid.allProfiles')], ...profiles], criteria.profile);
+
+    const tags = [...new Set(getAllDevices().flatMap(device => device.tags))].sort((a, b) => a.localeCompare(b, getLocale()));
+    fillSelect(tagSelect, [['', t('grid.allTags')], ...tags.map(tag => [tag, tag])], criteria.tag);
+}
+
+/**
+ * Füllt ein <select> neu. Ein nicht mehr vorhandener Wert bleibt als Option
+ * erhalten, damit eine gespeicherte Auswahl nicht stillschweigend verfällt.
+ */
+function fillSelect(select, options, selected) {
+    if (selected && !options.some(([value]) => value === selected)) options = [...options, [selected, selected]];
+    select.replaceChildren(...options.map(([value, label]) => new Option(label, value, false, value === selected)));
+}
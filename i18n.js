@@ -0,0 +1,191 @@
+// i18n.js
+// Übersetzung der Oberfläche und der Log-Meldungen sowie sprachabhängige Formate
+// (Zahlen, Uhrzeiten, relative Zeiten).
+//
+// Die Texte stehen in einem Katalog je Sprache (messagesDe.js, messagesEn.js) unter
+// Schlüsseln wie 'scan.start'. Platzhalter stehen in geschweiften Klammern:
+//   t('app.newAsset', { id: 'AB12', profile: 'Typ A' })
+// Ein Text kann nach Anzahl unterscheiden ({ one, other }, gewählt über params.count).
+// Fehlt ein Schlüssel in einer Sprache, gilt der Text aus CONFIG.I18N.FALLBACK_LOCALE.
+//
+// Weitere Sprache: Katalog nach dem Muster von messagesEn.js anlegen und in LOCALES
+// eintragen. Auswahl, Formate und statische Texte folgen automatisch.
+//
+// Statische Texte in index.html tragen Attribute, die translateDocument() ausfüllt:
+//   data-i18n (Text), data-i18n-placeholder, data-i18n-title, data-i18n-aria-label, data-i18n-alt
+//
+// Dieses Modul loggt nicht selbst (errorManager.js nutzt es für Zeitstempel).
+
+import { CONFIG } from './config.js';
+import { LOCALE_DE } from './messagesDe.js';
+import { LOCALE_EN } from './messagesEn.js';
+
+const LOCALES = [LOCALE_DE, LOCALE_EN];
+const STORAGE_KEY = 'ui_locale'; // localStorage: gewählte Sprache
+
+const listeners = [];
+let current = resolveInitialLocale();
+
+/**
+ * Gespeicherte Sprache, sonst die des Browsers, sonst CONFIG.I18N.DEFAULT_LOCALE.
+ * @returns {object} - Katalog aus LOCALES.
+ */
+function resolveInitialLocale() {
+    let stored = null;
+    try {
+        stored = localStorage.getItem(STORAGE_KEY);
+    } catch (e) {
+        // Ohne localStorage (z.B. gesperrt) gilt die Browser-Sprache
+    }
+    const browser = typeof navigator !== 'undefined' && navigator.language ? navigator.language.split('-')[0] : null;
+    return findLocale(stored) || findLocale(browser) || findLocale(CONFIG.I18N.DEFAULT_LOCALE) || LOCALES[0];
+}
+
+function findLocale(code) {
+    return LOCALES.find(locale => locale.code === code) || null;
+}
+
+/**
+ * Übersetzt einen Schlüssel in die aktuelle Sprache.
+ * @param {string} key - z.B. 'scan.start'.
+ * @param {object} [params] - Werte für die Platzhalter; 'count' wählt die Pluralform.
+ * @returns {string} - Der Schlüssel selbst, wenn er in keinem Katalog steht.
+ */
+export function t(key, params = {}) {
+    const fallback = findLocale(CONFIG.I18N.FALLBACK_LOCALE);
+    let message = current.messages[key] ?? (fallback ? fallback.messages[key] : undefined);
+    if (message === undefined) return key;
+
+    if (typeof message === 'object') {
+        const form = new Intl.PluralRules(current.tag).select(params.count ?? 0);
+        message = message[form] ?? message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * @returns {string} - Code der aktuellen Sprache, z.B. 'de'.
+ */
+export function getLocale() {
+    return current.code;
+}
+
+/**
+ * @returns {string} - BCP-47-Tag der aktuellen Sprache für Intl, z.B. 'de-DE'.
+ */
+export function getLocaleTag() {
+    return current.tag;
+}
+
+/**
+ * @returns {Array<object>} - [{ code, name }] aller verfügbaren Sprachen.
+ */
+export function getAvailableLocales() {
+    return LOCALES.map(locale => ({ code: locale.code, name: locale.name }));
+}
+
+/**
+ * Wechselt die Sprache, speichert die Wahl und übersetzt die Seite neu.
+ * @param {string} code - z.B. 'en'.
+ * @returns {boolean} - false, wenn es die Sprache nicht gibt.
+ */
+export function setLocale(code) {
+    const locale = findLocale(code);
+    if (!locale) return false;
+    if (locale === current) return true;
+    current = locale;
+    try {
+        localStorage.setItem(STORAGE_KEY, code);
+    } catch (e) {
+        // Wahl gilt dann nur bis zum Neuladen
+    }
+    translateDocument();
+    for (const callback of listeners) callback(code);
+    return true;
+}
+
+/**
+ * Registriert einen Callback für Sprachwechsel (z.B. um dynamische Texte neu zu zeichnen).
+ * @param {function} callback - (code) => void
+ */
+export function onLocaleChange(callback) {
+    listeners.push(callback);
+}
+
+/**
+ * Übersetzt die statischen Texte (data-i18n-Attribute) unterhalb von 'root'.
+ * @param {ParentNode} [root]
+ */
+export function translateDocument(root = document) {
+    if (root === document) document.documentElement.lang = current.code;
+    for (const element of root.querySelectorAll('[data-i18n]')) element.textContent = t(element.dataset.i18n);
+    for (const element of root.querySelectorAll('[data-i18n-placeholder]')) element.placeholder = t(element.dataset.i18nPlaceholder);
+    for (const element of root.querySelectorAll('[data-i18n-title]')) element.title = t(element.dataset.i18nTitle);
+    for (const element of root.querySelectorAll('[data-i18n-aria-label]')) element.setAttribute('aria-label', t(element.dataset.i18nAriaLabel));
+    for (const element of root.querySelectorAll('[data-i18n-alt]')) element.alt = t(element.dataset.i18nAlt);
+}
+
+/**
+ * Füllt die Sprachauswahl und übersetzt die Seite (aus app.js beim Start).
+ * @param {HTMLSelectElement} select
+ */
+export function initLocaleSelect(select) {
+    for (const locale of getAvailableLocales()) select.add(new Option(locale.name, locale.code));
+    select.value = current.code;
+    select.addEventListener('change', () => setLocale(select.value));
+    translateDocument();
+}
+
+// --- Formate ---
+
+/**
+ * Formatiert eine Zahl mit fester Anzahl Nachkommastellen, z.B. "3,4" bzw. "3.4".
+ * @param {number} value
+ * @param {number} [digits]
+ * @returns {string}
+ */
+export function formatNumber(value, digits = 0) {
+    return new Intl.NumberFormat(current.tag, { minimumFractionDigits: digits, maximumFractionDigits: digits }).format(value);
+}
+
+/**
+ * Formatiert einen Anteil (0-1) als Prozent, z.B. "95,0 %" bzw. "95.0%".
+ * @param {number} value
+ * @param {number} [digits]
+ * @returns {string}
+ */
+export function formatPercent(value, digits = 1) {
+    return new Intl.NumberFormat(current.tag, { style: 'percent', minimumFractionDigits: digits, maximumFractionDigits: digits }).format(value);
+}
+
+/**
+ * @param {number|Date} t
+ * @returns {string} - Uhrzeit, z.B. "14:05:09" bzw. "2:05:09 PM".
+ */
+export function formatTime(t) {
+    return new Date(t).toLocaleTimeString(current.tag);
+}
+
+/**
+ * @param {number|Date} t
+ * @returns {string} - Datum und Uhrzeit.
+ */
+export function formatDateTime(t) {
+    return new Date(t).toLocaleString(current.tag);
+}
+
+/**
+ * Relative Zeit in der Vergangenheit, z.B. "vor 12 Sekunden" bzw. "12 seconds ago".
+ * @param {number} ms - Abstand zu jetzt.
+ * @param {object} [options]
+ * @param {string} [options.style] - 'long' (Standard), 'short' oder 'narrow'.
+ * @returns {string}
+ */
+export function formatRelativeTime(ms, { style = 'long' } = {}) {
+    const format = new Intl.RelativeTimeFormat(current.tag, { numeric: 'auto', style: style });
+    const sec = Math.max(0, Math.round(ms / 1000));
+    if (sec < 60) return format.format(-sec, 'second');
+    if (sec < 3600) return format.format(-Math.floor(sec / 60), 'minute');
+    if (sec < 86400) return format.format(-Math.floor(sec / 3600), 'hour');
+    return format.format(-Math.floor(sec / 86400), 'day');
+}
@@ -0,0 +1,162 @@
+// logStore.js
+// Dauerhafte Ablage der App-Logs (siehe errorManager.js) in der IndexedDB.
+// Der Store 'logs' ist ein Ringpuffer: Es bleiben höchstens
+// CONFIG.LOGGING.MAX_ENTRIES Einträge erhalten, ältere werden beim Schreiben
+// gelöscht. So sind die Logs nach einem Absturz und Neuladen noch vorhanden.
+//
+// Ein Eintrag: { t, session, level, source, message, context }
+//   level   - 'log', 'info', 'warn' oder 'error'
+//   source  - Modul, das geloggt hat (z.B. 'sessionRecorder'), oder 'console'/'global'
+//   context - Strukturierte Daten der Argumente (Objekte, Fehler mit Stack) oder null
+//
+// WICHTIG: Dieses Modul darf selbst nicht über errorManager.js loggen
+// (jeder Log-Eintrag würde einen weiteren auslösen). Fehler gehen an den
+// Hook 'onError' aus initLogStore.
+
+import { CONFIG } from './config.js';
+import { openDatabase, promisifyRequest, transactionDone } from './db.js';
+
+const MAX_DEPTH = 5; // Verschachtelungstiefe beim Serialisieren von Objekten
+
+let pending = [];      // Noch nicht geschriebene Einträge
+let flushTimer = null;
+let disabled = false;  // Nach einem Fehler der IndexedDB nicht erneut versuchen
+let onError = () => {};
+
+/**
+ * Setzt den Hook für Fehler beim Schreiben.
+ * @param {object} hooks
+ * @param {function} hooks.onError - (Error) => wird einmalig gemeldet, danach ist die Ablage aus.
+ */
+export function initLogStore(hooks) {
+    onError = hooks.onError;
+}
+
+/**
+ * Wandelt einen beliebigen Wert in eine JSON-/IndexedDB-taugliche Form um.
+ * Fehler behalten Name, Meldung und Stack; Zyklen werden abgeschnitten.
+ * @param {*} value
+ * @returns {*}
+ */
+export function serializeValue(value, depth = 0, seen = new WeakSet()) {
+    if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) return value;
+    if (value === undefined) return 'undefined';
+    if (typeof value === 'bigint') return `${value}n`;
+    if (typeof value === 'function') return `[Funktion ${value.name || 'anonym'}]`;
+    if (typeof value === 'symbol') return value.toString();
+
+    if (value instanceof Error) {
+        return { name: value.name, message: value.message, stack: value.stack || null };
+    }
+    if (value instanceof Date) return value.toISOString();
+    if (typeof Node !== 'undefined' && value instanceof Node) {
+        return `<${value.nodeName.toLowerCase()}${value.id ? `#${value.id}` : ''}>`;
+    }
+    if (ArrayBuffer.isView(value)) {
+        const bytes = new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+        return `[${value.constructor.name} ${Array.from(bytes, b => b.toString(16).padStart(2, '0')).join(' ')}]`;
+    }
+
+    if (seen.has(value)) return '[Zirkulär]';
+    if (depth >= MAX_DEPTH) return Array.isArray(value) ? '[Array]' : '[Objekt]';
+    seen.add(value);
+
+    let result;
+    if (Array.isArray(value) || value instanceof Set) {
+        result = Array.from(value, item => serializeValue(item, depth + 1, seen));
+    } else if (value instanceof Map) {
+        result = Object.fromEntries(Array.from(value, ([k, v]) => [String(k), serializeValue(v, depth + 1, seen)]));
+    } else {
+        result = {};
+        for (const [key, item] of Object.entries(value)) result[key] = serializeValue(item, depth + 1, seen);
+    }
+    seen.delete(value);
+    return result;
+}
+
+/**
+ * Formatiert einen Wert für die Anzeige: Objekte als eingerücktes JSON,
+ * Fehler mit Stack (statt "[object Object]").
+ * @param {*} value
+ * @returns {string}
+ */
+export function formatValue(value) {
+    if (typeof value === 'string') return value;
+    if (value instanceof Error) {
+        const head = `${value.name}: ${value.message}`;
+        if (!value.stack) return head;
+        // Firefox/Safari lassen die Meldung im Stack weg
+        return value.stack.includes(value.message) ? value.stack : `${head}\n${value.stack}`;
+    }
+    const serialized = serializeValue(value);
+    return typeof serialized === 'string' ? serialized : JSON.stringify(serialized, null, 2);
+}
+
+/**
+ * Merkt einen Eintrag zum Schreiben vor. Fehler werden sofort geschrieben
+ * (danach stürzt die App womöglich ab), alles andere gesammelt.
+ * @param {object} entry
+ * @param {boolean} [urgent=false]
+ */
+export function queueLogEntry(entry, urgent = false) {
+    if (disabled) return;
+    pending.push(entry);
+    if (urgent) {
+        flushLogEntries();
+    } else if (!flushTimer) {
+        flushTimer = setTimeout(flushLogEntries, CONFIG.LOGGING.FLUSH_INTERVAL_MS);
+    }
+}
+
+/**
+ * Schreibt alle vorgemerkten Einträge und kürzt den Store auf MAX_ENTRIES.
+ * @returns {Promise<void>}
+ */
+export async function flushLogEntries() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    if (disabled || pending.length === 0) return;
+
+    const batch = pending;
+    pending = [];
+    try {
+        const db = await openDatabase();
+        const tx = db.transaction('logs', 'readwrite');
+        const store = tx.objectStore('logs');
+        for (const entry of batch) store.add(entry);
+
+        // Ringpuffer: die ältesten Einträge über dem Limit löschen
+        const count = await promisifyRequest(store.count());
+        const excess = count - CONFIG.LOGGING.MAX_ENTRIES;
+        if (excess > 0) {
+            const oldestKeys = await promisifyRequest(store.getAllKeys(null, excess));
+            store.delete(IDBKeyRange.upperBound(oldestKeys[oldestKeys.length - 1]));
+        }
+        await transactionDone(tx);
+    } catch (e) {
+        disabled = true;
+        pending = [];
+        onError(e);
+    }
+}
+
+/**
+ * Lädt alle gespeicherten Einträge (älteste zuerst).
+ * @returns {Promise<Array<object>>}
+ */
+export async function loadLogEntries() {
+    const db = await openDatabase();
+    return promisifyRequest(db.transaction('logs').objectStore('logs').getAll());
+}
+
+/**
+ * Löscht alle gespeicherten Einträge.
+ * @returns {Promise<void>}
+ */
+export async function clearLogEntries() {
+    pending = [];
+    const db = await openDatabase();
+    const tx = db.transaction('logs', 'readwrite');
+    tx.objectStore('logs').clear();
+    await transactionDone(tx);
+}
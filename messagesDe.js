@@ -0,0 +1,631 @@
+// messagesDe.js
+// Deutscher Textkatalog (Standardsprache und Rückfall für fehlende Texte, siehe i18n.js).
+// Schlüssel sind nach Modul gruppiert; Platzhalter stehen in geschweiften Klammern,
+// Texte mit { one, other } unterscheiden nach params.count.
+
+export const LOCALE_DE = {
+    code: 'de',
+    name: "Deutsch",
+    tag: 'de-DE',
+    messages: {
+        // Allgemein
+        'asset.unnamed': "Unbenanntes FTS",
+        'payload.empty': "N/A (leere Payload)",
+        'scan.start': "Scan starten",
+        'scan.stop': "Scan stoppen",
+        'scan.resume': "Scan fortsetzen",
+        'common.cancel': "Abbrechen",
+        'status.green': "Aktiv",
+        'status.yellow': "Inaktiv",
+        'status.red': "Verloren",
+        'status.absent': "Nicht gesehen",
+
+        // app.js
+        'app.ready': "App initialisiert. Bereit für Scan.",
+        'app.startButtonMissing': "Start-Button nicht gefunden.",
+        'app.scanStopped': "Scan gestoppt.",
+        'app.stopFailed': "Fehler beim Stoppen des Scans: {message}",
+        'app.scanRequested': "Scan wird angefordert (Quelle: {source})...",
+        'app.profileSkipped': "Profil \"{name}\" ungültig und übersprungen: {problems}",
+        'app.noProfiles': "Keine gültigen, aktivierten FTS-Profile vorhanden. Scan kann nicht starten.",
+        'app.scanStarting': { one: "Scan startet mit {count} Filter.", other: "Scan startet mit {count} Filtern." },
+        'app.scanActive': "Scan aktiv. Warte auf FTS-Pakete...",
+        'app.scanAborted': "Scan-Anforderung vom Benutzer abgebrochen.",
+        'app.scanFailed': "Scan fehlgeschlagen: {message}",
+        'app.newAsset': "Neues FTS erkannt: ID {id}... ({profile})",
+        'app.extractFailed': "Fehler beim Extrahieren der Payload für {profile}: {message}",
+        'app.decodeError': "Dekodier-Fehler ({profile}): {message}",
+        'app.viewSaveFailed': "Ansicht konnte nicht gespeichert werden: {message}",
+        'app.assetMissing': "Asset {id} für Modal nicht im State gefunden.",
+        'app.inspectorOpened': "Inspektor geöffnet für: {name} ({id})",
+        'app.inspectorClosed': "Inspektor geschlossen.",
+        'app.payloadChanged': "{name} ({id}): {watch} geändert ({bytes})",
+        'app.smoothingSaveFailed': "Glättung konnte nicht gespeichert werden: {message}",
+        'app.smoothingChanged': "RSSI-Glättung: {method}",
+        'app.nicknameEmpty': "Speichern fehlgeschlagen: Nickname darf nicht leer sein.",
+        'app.detailsSaved': "Stammdaten für {id} gespeichert (Nickname: {nickname}).",
+        'app.detailsSaveFailed': "Speichern der Stammdaten fehlgeschlagen: {message}",
+        'app.confirmForget': "Gerät {id} mit allen Stammdaten aus der Registry entfernen?",
+        'app.deviceForgotten': "Gerät {id} aus der Registry entfernt.",
+        'app.forgetFailed': "Entfernen fehlgeschlagen: {message}",
+        'app.registryLoaded': { one: "Geräte-Registry geladen: {count} bekanntes Gerät.", other: "Geräte-Registry geladen: {count} bekannte Geräte." },
+        'app.registryLoadFailed': "Geräte-Registry konnte nicht geladen werden: {message}",
+        'app.registryUpdateFailed': "Geräte-Registry konnte nicht aktualisiert werden: {message}",
+
+        // Kacheln
+        'tile.notSeenThisSession': "In dieser Sitzung nicht gesehen",
+        'tile.lastSeenAt': "Zuletzt: {time}",
+        'tile.neverSeen': "Noch nie gesehen",
+        'tile.bestScanner': "Am besten: {name} ({count} Scanner)",
+        'tile.lost': "verloren (> {seconds} s)",
+        'tile.lostAnnouncement': "{name} ({id}): Signal verloren",
+
+        // Inspektor
+        'inspector.notReceived': "In dieser Sitzung noch nicht empfangen.",
+        'inspector.noDecoder': "Kein Decoder für dieses Profil definiert.",
+        'inspector.lastSeenRecord': "Zuletzt gesehen: {time} ({rssi} dBm)",
+        'inspector.noSamples': "Noch keine Messwerte.",
+        'inspector.rssiSummary': "Roh: {raw} dBm · Geglättet: {smoothed} dBm · {count} Werte",
+        'inspector.distance': "Entfernung: {distance}",
+
+        // rssiFilter.js
+        'smoothing.none': "Keine (Rohwerte)",
+        'smoothing.movingAverage': "Gleitender Mittelwert",
+        'smoothing.ema': "Exponentiell (EMA)",
+        'smoothing.kalman': "Kalman",
+
+        // errorManager.js (Log-Konsole)
+        'console.currentSession': "Aktuelle Sitzung",
+        'console.pastSession': "Sitzung vom {time}",
+        'console.minimize': "Minimieren",
+        'console.maximize': "Maximieren",
+        'console.restoreFailed': "Gespeicherte Logs konnten nicht geladen werden: {message}",
+        'console.clearFailed': "Gespeicherte Logs konnten nicht gelöscht werden: {message}",
+        'console.uiMissing': "UI-Elemente nicht gefunden. Visueller Logger kann nicht initialisiert werden.",
+        'console.storeFailed': "Logs werden nicht gespeichert: {message}",
+        'console.globalError': "[Globaler Fehler] {message} in {source} (Zeile: {line})",
+        'console.promiseError': "[Promise-Fehler] Grund:",
+        'console.ready': "Error Manager initialisiert. Alle Logs werden nun abgefangen.",
+
+        // advertisementSource.js
+        'source.unknown': "Unbekannte Scan-Quelle '{name}'. Verfügbar: {available}",
+        'source.bluetoothUnavailable': "Web Bluetooth API nicht auf diesem Gerät/Browser verfügbar.",
+        'source.bluetoothHint': "(HTTPS erforderlich? Zum Testen: ?source=simulator)",
+        'source.otherDeviceChosen': "Im Auswahldialog wurde ein anderes Gerät gewählt ({name}).",
+
+        // alertEngine.js, alertPanel.js
+        'alerts.callbackFailed': "Alarm-Callback fehlgeschlagen: {message}",
+        'alerts.historySaveFailed': "Alarm-Historie konnte nicht gespeichert werden: {message}",
+        'alerts.raised': "Alarm: {text}",
+        'alerts.notificationFailed': "Browser-Benachrichtigung nicht möglich: {message}",
+        'alerts.notificationsUnsupported': "Browser-Benachrichtigungen werden von diesem Browser nicht unterstützt.",
+        'alerts.notificationsGranted': "Browser-Benachrichtigungen: erlaubt.",
+        'alerts.notificationsDenied': "Browser-Benachrichtigungen: nicht erlaubt.",
+        'alerts.button': "Alarme",
+        'alerts.buttonCount': "Alarme ({count})",
+        'alerts.more': { one: "+{count} weiterer", other: "+{count} weitere" },
+        'alerts.acknowledge': "Bestätigen",
+        'alerts.snooze': "Schlummern",
+        'alerts.noneOpen': "Keine offenen Alarme.",
+        'alerts.noHistory': "Noch keine abgeschlossenen Alarme.",
+        'alerts.state.active': "aktiv",
+        'alerts.state.acknowledged': "bestätigt",
+        'alerts.state.snoozed': "schlummert",
+        'alerts.state.resolved': "behoben",
+        'alerts.snoozedUntil': "bis {time}",
+
+        // beaconFormats.js
+        'beacon.invalidNamespace': "Eddystone-Namespace muss aus 10 Bytes Hex bestehen (z.B. EDD1EBEAC04E5DEFA017).",
+        'beacon.invalidUuid': "Beacon-UUID ungültig (128-Bit, z.B. f7826da6-4fa2-4e98-8024-bc5b71e0893e).",
+        'beacon.invalidIdPart': "{name} muss zwischen 0 und 65535 liegen.",
+        'beacon.invalidCompanyId': "Hersteller-ID muss zwischen 0x0000 und 0xFFFF liegen.",
+        'beacon.unknownType': "Unbekannter Beacon-Typ '{type}'.",
+        'beacon.proximityUuid': "Proximity-UUID",
+        'beacon.txPower1m': "Sendeleistung (1 m)",
+        'beacon.txPower0m': "Sendeleistung (0 m)",
+        'beacon.beaconId': "Beacon-ID",
+        'beacon.referenceRssi': "Referenz-RSSI (1 m)",
+        'beacon.reserved': "Hersteller-reserviert",
+        'beacon.tooShort': "{format}-Daten zu kurz ({length} statt {expected} Bytes).",
+        'beacon.wrongPrefix': "Keine {format}-Daten (Präfix {prefix}).",
+        'beacon.frameTooShort': "Eddystone-{frame}-Frame zu kurz ({length} statt {expected} Bytes).",
+        'beacon.instance': "Instanz",
+        'beacon.telemetry': "Telemetrie",
+        'beacon.encryptedTlm': "verschlüsselt (eTLM)",
+        'beacon.unknownFrame': "Unbekannter Eddystone-Frame {frame}.",
+        'beacon.batteryVoltage': "Batteriespannung",
+        'beacon.temperature': "Temperatur",
+        'beacon.notSupported': "nicht unterstützt",
+        'beacon.advertisements': "Gesendete Pakete",
+        'beacon.uptime': "Laufzeit",
+
+        // calibrationWizard.js
+        'calibration.instructions': "Fahrzeug in bekanntem Abstand abstellen und Messung starten.",
+        'calibration.running': "Messung bei {distance} m läuft...",
+        'calibration.runningCount': { one: "Messung bei {distance} m läuft... {count} Paket", other: "Messung bei {distance} m läuft... {count} Pakete" },
+        'calibration.source.wizard': "kalibriert",
+        'calibration.source.default': "Standard",
+        'calibration.target': "{name} · Profil \"{profile}\"",
+        'calibration.current': "Aktuell: {values} ({source})",
+        'calibration.values': "{power} dBm @ 1 m, Faktor {factor}",
+        'calibration.invalidInput': "Kalibrierung: Abstand und Messdauer müssen größer als 0 sein.",
+        'calibration.tooFewPackets': "Zu wenige Pakete ({count}). Läuft der Scan und ist das Fahrzeug in Reichweite?",
+        'calibration.measurement': { one: "{distance} m: Ø {rssi} dBm ({count} Paket)", other: "{distance} m: Ø {rssi} dBm ({count} Pakete)" },
+        'calibration.secondHint': "Optional: zweite Messung in anderem Abstand für den Umgebungsfaktor.",
+        'calibration.result': "Ergebnis: {values}",
+        'calibration.saveFailed': "Kalibrierung konnte nicht gespeichert werden: {message}",
+        'calibration.saved': "Kalibrierung für \"{profile}\" gespeichert: {values}",
+        'calibration.reset': "Kalibrierung für \"{profile}\" auf config.js zurückgesetzt.",
+
+        // config.js (Zonen, Payload-Decoder, überwachte Bytes, Alarm-Regeln, GATT)
+        'config.zone.strong': "Stark",
+        'config.zone.medium': "Mittel",
+        'config.zone.weak': "Schwach",
+        'config.zone.charging': "An Ladestation",
+        'config.zone.near': "Nah",
+        'config.zone.far': "Fern",
+        'config.ftsStatus.battery': "Akku",
+        'config.ftsStatus.state': "Status",
+        'config.ftsStatus.state.ready': "Bereit",
+        'config.ftsStatus.state.driving': "Fahrt",
+        'config.ftsStatus.state.charging': "Laden",
+        'config.ftsStatus.state.fault': "Störung",
+        'config.ftsStatus.state.maintenance': "Wartung",
+        'config.ftsStatus.errors': "Fehler",
+        'config.ftsStatus.errors.motor': "Motor",
+        'config.ftsStatus.errors.sensor': "Sensor",
+        'config.ftsStatus.errors.emergencyStop': "Not-Aus",
+        'config.ftsStatus.errors.batteryTemp': "Akku-Temp.",
+        'config.ftsStatus.firmware': "Firmware",
+        'config.watch.state': "Fahrzeugstatus",
+        'config.rule.lost': "Fahrzeug verloren",
+        'config.rule.weakSignal': "Schwaches Signal",
+        'config.rule.batteryLow': "Akku niedrig",
+        'config.rule.emergencyStop': "Not-Aus ausgelöst",
+        'config.gatt.liveStatus': "Live-Status",
+        'config.gatt.operatingHours': "Betriebsstunden",
+
+        // db.js, deviceDetails.js
+        'db.unavailable': "IndexedDB ist in diesem Browser nicht verfügbar.",
+        'db.upgradeBlocked': "Datenbank-Upgrade blockiert (App in einem anderen Tab geöffnet?).",
+        'db.transactionAborted': "Transaktion abgebrochen.",
+        'details.photoNotImage': "Foto: Bitte eine Bilddatei wählen.",
+        'details.photoTooLarge': "Foto zu groß ({size} KB, maximal {max} KB).",
+
+        // deviceStats.js (Inspektor)
+        'stats.firstSeen': "Erstmals gesehen: {time} · Pakete: {packets}",
+        'stats.packetRate': "Paketrate: {current}/s aktuell · {average}/s im Mittel",
+        'stats.online': "Online: {duration} ({availability})",
+        'stats.outages': "Ausfälle: {count} (davon verloren: {lost}) · gesamt {total} · längster {longest}",
+        'stats.rssi': "RSSI: min {min} · max {max} · Ø {mean} · σ {stdDev} dB",
+        'stats.currentOutage': "Aktueller Ausfall seit {duration}",
+
+        // fleetTransfer.js
+        'transfer.invalidJson': "Keine gültige FleetView-Exportdatei (JSON).",
+        'transfer.invalidCsv': "Keine gültige FleetView-Exportdatei (CSV): Spalte 'id' fehlt.",
+        'transfer.exportEmpty': "Export: Keine Fahrzeuge erkannt, nichts zu exportieren.",
+        'transfer.exported': { one: "Export: {count} Fahrzeug als {format} exportiert ({filename}).", other: "Export: {count} Fahrzeuge als {format} exportiert ({filename})." },
+        'transfer.importFailed': "Import fehlgeschlagen: {message}",
+        'transfer.confirmConflicts': { one: "{count} Nickname weicht vom lokalen Stand ab:\n{preview}\n\nImportierten Namen übernehmen?", other: "{count} Nicknames weichen vom lokalen Stand ab:\n{preview}\n\nImportierte Namen übernehmen?" },
+        'transfer.imported': "Import: {count} Einträge gelesen, {applied} Nicknames übernommen, {conflicts} Konflikte.",
+
+        // floorMap.js (Hallenplan)
+        'map.loaded': "Hallenplan geladen: {name}",
+        'map.confirmClearAnchors': "Alle Ankerpunkte vom Plan entfernen?",
+        'map.loadFailed': "Hallenplan konnte nicht geladen werden: {message}",
+        'map.saveFailed': "Hallenplan konnte nicht gespeichert werden: {message}",
+        'map.placeAnchor': "Ankerpunkt setzen",
+        'map.referencePoint': "Referenzpunkt (ohne Scanner)",
+        'map.scannerOption': "Scanner: {name}",
+        'map.pointLabel': "Punkt {n}",
+        'map.scannerAnchorTitle': "Scanner {id} (Klick: entfernen)",
+        'map.referenceAnchorTitle': "Referenzpunkt (Klick: entfernen)",
+        'map.confirmRemoveAnchor': "Ankerpunkt \"{label}\" entfernen?",
+        'map.trilaterated': "trilateriert aus {count} Scannern",
+        'map.nearestScanner': "beim nächsten Scanner",
+        'map.placedInfo': { one: "{placed} von {count} Fahrzeug auf dem Plan", other: "{placed} von {count} Fahrzeugen auf dem Plan" },
+        'map.unplacedHint': "(übrige: kein Scanner mit Ankerpunkt)",
+
+        // gattClient.js, gattPanel.js (GATT-Diagnose)
+        'gatt.battery': "Akku",
+        'gatt.manufacturer': "Hersteller",
+        'gatt.model': "Modell",
+        'gatt.serial': "Seriennummer",
+        'gatt.hardware': "Hardware-Version",
+        'gatt.firmware': "Firmware-Version",
+        'gatt.software': "Software-Version",
+        'gatt.timeout': "{action}: keine Antwort nach {seconds} s.",
+        'gatt.error.notFound': "Nicht gefunden (kein Gerät gewählt oder Service/Characteristic nicht vorhanden)",
+        'gatt.error.network': "Verbindung fehlgeschlagen oder abgebrochen (Fahrzeug außer Reichweite oder bereits verbunden?)",
+        'gatt.error.security': "Zugriff verweigert (Service nicht freigegeben oder gesperrt)",
+        'gatt.error.notSupported': "Vorgang wird vom Gerät nicht unterstützt",
+        'gatt.error.invalidState': "Gerät ist nicht verbunden",
+        'gatt.error.notAllowed': "Vom Benutzer oder Browser abgelehnt",
+        'gatt.emptyValue': "(leer)",
+        'gatt.unsupported': "Das Gerät unterstützt keine GATT-Verbindung.",
+        'gatt.action.connect': "Verbindungsaufbau",
+        'gatt.action.services': "Services lesen",
+        'gatt.action.characteristics': "Characteristics von {uuid} lesen",
+        'gatt.action.read': "{label} lesen",
+        'gatt.action.subscribe': "{label} abonnieren",
+        'gatt.noSource': "keine",
+        'gatt.status.notSeen': "Fahrzeug wurde in dieser Sitzung nicht gesehen.",
+        'gatt.status.sourceUnsupported': "Mit der Quelle \"{source}\" ist keine GATT-Verbindung möglich.",
+        'gatt.status.notConnected': "Nicht verbunden.",
+        'gatt.status.connecting': "Verbinde...",
+        'gatt.status.disconnected': "Getrennt.",
+        'gatt.status.lost': "Verbindung vom Gerät getrennt.",
+        'gatt.status.connected': "Verbunden · {services} Services · {subscriptions} Werte abonniert",
+        'gatt.status.failed': "Fehler: {message}",
+        'gatt.readingError': "Fehler ({message})",
+        'gatt.unreadable': "(nicht lesbar)",
+        'gatt.noReadings': "Das Gerät bietet keine bekannten Werte an.",
+        'gatt.noServices': "Keine Services freigegeben.",
+        'gatt.log.connecting': "GATT-Verbindung zu {name} ({id}) wird aufgebaut...",
+        'gatt.log.disconnected': "GATT-Verbindung zu {name} getrennt.",
+        'gatt.log.lost': "GATT-Verbindung zu {name} wurde vom Gerät getrennt.",
+        'gatt.log.connected': "GATT verbunden mit {name}: {services} Services, {readings} bekannte Werte",
+        'gatt.log.unreadable': "GATT {name}: {label} nicht lesbar: {message}",
+        'gatt.log.failed': "GATT-Verbindung zu {name} ({id}) fehlgeschlagen: {message}",
+
+        // gridView.js (Werkzeugleiste)
+        'grid.sort.discovery': "Entdeckung",
+        'grid.sort.name': "Name",
+        'grid.sort.rssi': "Signal (RSSI)",
+        'grid.sort.lastSeen': "Zuletzt gesehen",
+        'grid.sort.status': "Status",
+        'grid.group.none': "Keine Gruppierung",
+        'grid.group.profile': "Nach Profil",
+        'grid.group.zone': "Nach Zone",
+        'grid.group.unassigned': "Ohne Zuordnung",
+        'grid.allStatus': "Alle Status",
+        'grid.allProfiles': "Alle Profile",
+        'grid.allTags': "Alle Tags",
+        'grid.count': { one: "{count} Fahrzeug", other: "{count} Fahrzeuge" },
+        'grid.countFiltered': { one: "{visible} von {count} Fahrzeug", other: "{visible} von {count} Fahrzeugen" },
+
+        // metricsOverlay.js (Leistungsanzeige)
+        'metrics.show': "Leistungsanzeige einblenden",
+        'metrics.hide': "Leistungsanzeige ausblenden",
+        'metrics.measuring': "Messung läuft...",
+        'metrics.packets': "Pakete/s",
+        'metrics.renders': "Gezeichnet/s",
+        'metrics.frames': "Frames/s",
+        'metrics.frameTime': "Frame-Dauer",
+        'metrics.frameTimeValue': "Ø {avg} ms · max {max} ms",
+        'metrics.vehicles': "Fahrzeuge",
+        'metrics.mode': "Modus",
+
+        // payloadDecoder.js
+        'decoder.undefined': "Decoder '{name}' ist in PAYLOAD_DECODERS nicht definiert.",
+        'decoder.lengthRequired': "Feld '{field}': Typ '{type}' benötigt eine Länge.",
+        'decoder.outOfRange': "Feld '{field}' (Offset {offset}, Länge {length}) liegt außerhalb der Payload ({size} Bytes).",
+        'decoder.unknownType': "Feld '{field}': Unbekannter Typ '{type}'.",
+        'decoder.unknownValue': "Unbekannt ({value})",
+        'decoder.noFlags': "keine",
+        'decoder.bit': "Bit {bit}",
+        'decoder.noPayload': "Keine Payload zum Dekodieren vorhanden.",
+
+        // payloadTimeline.js
+        'timeline.callbackFailed': "Payload-Callback fehlgeschlagen: {message}",
+        'timeline.byteChange': "Byte {index}: {previous} → {current}",
+        'timeline.empty': "Noch keine Payloads empfangen.",
+        'timeline.packetsUntil': "{count} Pakete bis {time}",
+        'timeline.singlePacket': "1 Paket",
+        'timeline.bytePrevious': "Byte {index}: vorher {previous}",
+        'timeline.byteNew': "Byte {index}: neu",
+        'timeline.bytesRemoved': { one: "({count} Byte weniger)", other: "({count} Bytes weniger)" },
+
+        // profiles.js, profileEditor.js
+        'profiles.noDecoder': "(keiner)",
+        'profiles.changedWhileScanning': "Profile geändert. Die Änderungen gelten ab dem nächsten Scan-Start.",
+        'profiles.empty': "Keine Profile vorhanden. Ohne Profil kann kein Scan starten.",
+        'profiles.enabled': "Profil aktiv",
+        'profiles.origin.config': "config.js",
+        'profiles.origin.edited': "config.js, geändert",
+        'profiles.origin.custom': "eigenes Profil",
+        'profiles.edit': "Bearbeiten",
+        'profiles.delete': "Löschen",
+        'profiles.hide': "Ausblenden",
+        'profiles.confirmDelete': "Profil \"{name}\" löschen?",
+        'profiles.confirmHide': "Profil \"{name}\" ausblenden?",
+        'profiles.filter.manufacturer': "Hersteller {id}",
+        'profiles.filter.name': "Name \"{prefix}…\"",
+        'profiles.filter.data': "Daten {prefix}",
+        'profiles.filter.minRssi': "ab {rssi} dBm",
+        'profiles.editTitle': "Profil bearbeiten: {name}",
+        'profiles.newTitle': "Neues Profil",
+        'profiles.saved': "Profil \"{name}\" gespeichert.",
+        'profiles.exported': "Profile exportiert.",
+        'profiles.imported': { one: "Profil-Import: {count} Profil übernommen.", other: "Profil-Import: {count} Profile übernommen." },
+        'profiles.importSkipped': "Profil-Import: \"{name}\" übersprungen: {problems}",
+        'profiles.importFailed': "Profil-Import fehlgeschlagen: {message}",
+        'profiles.confirmReset': "Alle lokalen Profil-Änderungen verwerfen und die Profile aus config.js wiederherstellen?",
+        'profiles.reset': "Profile auf config.js zurückgesetzt.",
+        'profiles.invalidFile': "Keine gültige FleetView-Profildatei.",
+        'profiles.invalid.nameMissing': "Name fehlt.",
+        'profiles.invalid.nameTaken': "Name \"{name}\" ist bereits vergeben.",
+        'profiles.invalid.uuid': "Service-UUID ungültig (z.B. 0xfcf1 oder 0000fcf1-0000-1000-8000-00805f9b34fb).",
+        'profiles.invalid.companyId': "Hersteller-ID muss zwischen 0x0000 und 0xFFFF liegen.",
+        'profiles.invalid.type': "Unbekannter Profil-Typ \"{type}\".",
+        'profiles.invalid.namePrefix': "Namens-Präfix muss Text sein.",
+        'profiles.invalid.minRssi': "Mindest-RSSI muss zwischen -127 und 0 dBm liegen.",
+        'profiles.invalid.dataPrefix': "Daten-Präfix ist kein gültiger Hex-Wert (z.B. 01 A2).",
+        'profiles.invalid.mask': "Maske ist kein gültiger Hex-Wert (z.B. FF F0).",
+        'profiles.invalid.maskLength': "Maske und Daten-Präfix müssen gleich lang sein.",
+        'profiles.invalid.maskWithoutPrefix': "Eine Maske ist nur zusammen mit einem Daten-Präfix möglich.",
+        'profiles.invalid.decoder': "Decoder \"{name}\" ist in config.js nicht definiert.",
+        'profiles.invalid.gattList': "GATT: 'characteristics' muss eine Liste sein.",
+        'profiles.invalid.gattUuid': "GATT-Eintrag {n}: Service- und Characteristic-UUID müssen gültig sein.",
+        'profiles.invalid.gattLabel': "GATT-Eintrag {n}: Bezeichnung ('label') fehlt.",
+
+        // pwa.js
+        'pwa.offline': "Keine Netzwerkverbindung. Die App läuft offline weiter.",
+        'pwa.online': "Netzwerkverbindung wiederhergestellt.",
+        'pwa.unavailable': "Service Worker nicht verfügbar (HTTPS erforderlich?). Offline-Betrieb ist deaktiviert.",
+        'pwa.cached': "App für den Offline-Betrieb gespeichert.",
+        'pwa.registerFailed': "Service Worker konnte nicht registriert werden: {message}",
+        'pwa.update': "Neue Version verfügbar.",
+        'pwa.updateDuringScan': "Neue Version verfügbar. Beim Aktualisieren wird die Seite neu geladen und der laufende Scan beendet.",
+        'pwa.updateLoaded': "Neue App-Version geladen. Aktualisierung über das Banner möglich.",
+
+        // renderScheduler.js
+        'render.failed': "Rendern fehlgeschlagen: {message}",
+
+        // rssiChart.js (Signal-Verlauf)
+        'chart.now': "jetzt",
+
+        // scanDiagnostics.js
+        'diagnostics.reason.noData': "Keine Daten zu einem aktiven Profil",
+        'diagnostics.reason.namePrefix': "Namens-Präfix passt nicht",
+        'diagnostics.reason.dataPrefix': "Daten-Präfix/Maske passt nicht",
+        'diagnostics.reason.beaconId': "Beacon-Kennung (UUID/Major/Minor/Namespace) passt nicht",
+        'diagnostics.reason.rssiFloor': "Unter Mindest-RSSI",
+        'diagnostics.summary': "Angenommen: {accepted} · Verworfen: {rejected} ({share})",
+        'diagnostics.byProfile': "Profil \"{name}\": {count}",
+        'diagnostics.noneRejected': "Keine verworfenen Pakete.",
+
+        // scanManager.js
+        'scanState.idle': "Bereit",
+        'scanState.requesting': "Scan wird angefordert...",
+        'scanState.active': "Scan aktiv",
+        'scanState.quiet': "Scan aktiv, keine Geräte",
+        'scanState.paused': "Pausiert (Hintergrund)",
+        'scanState.error': "Scan unterbrochen",
+        'scanState.stopFailed': "Quelle konnte nicht sauber gestoppt werden: {message}",
+        'scanState.gaveUp': "{reason}. Automatischer Neustart aufgegeben.",
+        'scanState.noDevices': "{reason}. Der Scan läuft, aber kein Fahrzeug ist in Reichweite.",
+        'scanState.restarting': "{reason}. Scan wird neu gestartet (Versuch {attempt}/{max}).",
+        'scanState.restarted': "Scan neu gestartet.",
+        'scanState.restartFailed': "Neustart fehlgeschlagen: {message}",
+        'scanState.reason.requestFailed': "Scan konnte nicht neu gestartet werden ({message})",
+        'scanState.reason.endedByBrowser': "Scan wurde vom Browser beendet",
+        'scanState.reason.silence': "Seit {seconds} s keine Pakete",
+        'scanState.reason.hidden': "Tab im Hintergrund",
+        'scanState.reason.endedInBackground': "Scan wurde im Hintergrund beendet",
+
+        // scannerBridge.js (Scanner-Verbund)
+        'bridge.status.off': "Aus",
+        'bridge.status.connecting': "Verbinde...",
+        'bridge.status.connected': "Verbunden",
+        'bridge.status.error': "Getrennt (neuer Versuch folgt)",
+        'bridge.settingsInvalid': "Einstellungen des Scanner-Verbunds ungültig, Standardwerte werden verwendet: {message}",
+        'bridge.settingsSaveFailed': "Einstellungen des Scanner-Verbunds konnten nicht gespeichert werden: {message}",
+        'bridge.disconnected': "Scanner-Verbund getrennt.",
+        'bridge.unsupported': "WebSocket wird von diesem Browser nicht unterstützt. Scanner-Verbund nicht verfügbar.",
+        'bridge.connectFailed': "Scanner-Verbund: Verbindung zu {url} nicht möglich: {message}",
+        'bridge.connected': "Scanner-Verbund verbunden ({url}) als \"{name}\".",
+        'bridge.lost': "Scanner-Verbund: Verbindung zum Relay verloren.",
+        'bridge.invalidMessage': "Scanner-Verbund: Ungültige Nachricht verworfen: {message}",
+        'bridge.incompleteObservation': "Scanner-Verbund: Unvollständige Beobachtung von {id} verworfen.",
+        'bridge.sourceName': "Scanner-Verbund",
+        'bridge.disabled': "Scanner-Verbund ist ausgeschaltet. Im Dialog \"Scanner\" verbinden.",
+        'bridge.statusLine': "Status: {status} · Dieser Scanner: {name} ({id})",
+        'bridge.connect': "Verbinden",
+        'bridge.disconnect': "Trennen",
+        'bridge.buttonTitle': "Scanner-Verbund: {status}",
+        'bridge.noOthers': "Keine weiteren Scanner verbunden.",
+
+        // sessionPanel.js, sessionRecorder.js, sessionReplay.js
+        'sessions.record': "● Aufnehmen",
+        'sessions.stopRecording': "■ Aufnahme stoppen",
+        'sessions.recordNotPossible': "Aufnahme nur während eines laufenden Scans möglich (nicht während einer Wiedergabe).",
+        'sessions.recordFailed': "Aufnahme konnte nicht gestartet werden: {message}",
+        'sessions.listFailed': "Sitzungen konnten nicht geladen werden: {message}",
+        'sessions.empty': "Noch keine Aufnahmen vorhanden.",
+        'sessions.running': "läuft",
+        'sessions.interrupted': "abgebrochen",
+        'sessions.packets': { one: "{count} Paket", other: "{count} Pakete" },
+        'sessions.play': "Abspielen",
+        'sessions.pause': "Pause",
+        'sessions.delete': "Löschen",
+        'sessions.deleted': "Sitzung gelöscht: {name}",
+        'sessions.deleteFailed': "Sitzung konnte nicht gelöscht werden: {message}",
+        'sessions.loadFailed': "Sitzung konnte nicht geladen werden: {message}",
+        'sessions.replayEnded': "Wiedergabe beendet.",
+        'sessions.replayStarted': "Wiedergabe gestartet: {name} ({count} Pakete).",
+        'sessions.defaultName': "Aufnahme {time}",
+        'sessions.recordStarted': "Aufnahme gestartet: {name}",
+        'sessions.recordStopped': "Aufnahme beendet: {name} ({count} Pakete).",
+        'sessions.recordStopFailed': "Aufnahme konnte nicht abgeschlossen werden: {message}",
+        'sessions.flushFailed': "Aufnahme: {count} Pakete konnten nicht gespeichert werden: {message}",
+        'sessions.notFound': "Sitzung {id} nicht gefunden.",
+        'sessions.replayPacketFailed': "Wiedergabe: Fehler bei Paket von {id}: {message}",
+        'sessions.replaySourceName': "Wiedergabe",
+
+        // simulator.js
+        'simulator.packetFailed': "Simulator: Fehler bei der Verarbeitung von {id}: {message}",
+        'simulator.noProfiles': "Simulator benötigt mindestens ein FTS-Profil.",
+        'simulator.unknownVehicle': "Fahrzeug {id} gehört nicht zur laufenden Simulation.",
+        'simulator.outOfRange': "Simuliertes Fahrzeug ist außer Reichweite.",
+
+        // tableView.js (Spaltenköpfe)
+        'table.name': "Nickname",
+        'table.id': "ID",
+        'table.profile': "Profil",
+        'table.status': "LED-Status",
+        'table.rssi': "RSSI",
+        'table.smoothed': "RSSI geglättet",
+        'table.distance': "Entfernung",
+        'table.lastSeen': "Zuletzt gesehen",
+        'table.rate': "Pakete/s",
+
+        // wakeLock.js
+        'wakeLock.unavailable': "Bildschirm-Sperre (Wake Lock) nicht verfügbar. Das Display kann sich während des Scans abschalten.",
+        'wakeLock.active': "Bildschirm bleibt während des Scans eingeschaltet.",
+        'wakeLock.failed': "Bildschirm-Sperre nicht möglich: {message}",
+
+        // shiftReport.js, shiftReportPanel.js (Schichtbericht)
+        'report.title': "Schichtbericht",
+        'report.print': "Drucken",
+        'report.range': "Zeitraum: {from} – {to}",
+        'report.monitored': "Überwacht: {duration}",
+        'report.unmonitored': "(ohne Scan: {duration}, zählt nicht als Ausfall)",
+        'report.created': "Erstellt: {time}",
+        'report.fleetOverview': "Flottenübersicht",
+        'report.vehicles': "Fahrzeuge",
+        'report.avgAvailability': "Ø Verfügbarkeit",
+        'report.belowTarget': "Unter Zielwert ({target})",
+        'report.outagesLost': "Ausfälle (davon verloren)",
+        'report.longestOutage': "Längster Ausfall",
+        'report.changes': "Statuswechsel",
+        'report.alerts': "Alarme",
+        'report.alertsCritical': "Alarme (davon kritisch)",
+        'report.open': "offen",
+        'report.noVehicles': "Keine Fahrzeuge erfasst.",
+        'report.details': "Alarme und Statuswechsel",
+        'report.column.name': "Name",
+        'report.column.id': "ID",
+        'report.column.profile': "Profil",
+        'report.column.availability': "Verfügbarkeit",
+        'report.column.online': "Online",
+        'report.column.outages': "Ausfälle (verloren)",
+        'report.column.signal': "Ø Signal",
+        'report.column.packets': "Pakete",
+        'report.downloaded': "Schichtbericht heruntergeladen.",
+        'report.invalidRangeLog': "Schichtbericht: ungültiger Zeitraum.",
+        'report.invalidRange': "Bitte einen gültigen Zeitraum wählen (Beginn vor Ende).",
+        'report.status': "{count} Fahrzeuge · {belowTarget} unter Zielwert · {alerts} Alarme",
+        'report.notMonitored': "Im gewählten Zeitraum wurde nicht gescannt.",
+
+        // index.html (Header, Werkzeugleisten, Konsole)
+        'ui.header.sessions': "Sitzungen",
+        'ui.header.data': "Export/Import",
+        'ui.header.profiles': "Profile",
+        'ui.header.diagnostics': "Diagnose",
+        'ui.header.scanners': "Scanner",
+        'ui.header.language': "Sprache",
+        'ui.update.apply': "Jetzt aktualisieren",
+        'ui.update.later': "Später",
+        'ui.replay.stop': "Beenden",
+        'ui.replay.speed': "Wiedergabe-Geschwindigkeit",
+        'ui.replay.seek': "Wiedergabe-Position",
+        'ui.grid.searchPlaceholder': "Suche: Name, ID, Payload",
+        'ui.grid.search': "Suche",
+        'ui.grid.sort': "Sortierung",
+        'ui.grid.profileFilter': "Profil-Filter",
+        'ui.grid.statusFilter': "Status-Filter",
+        'ui.grid.tagFilter': "Tag-Filter",
+        'ui.grid.group': "Gruppierung",
+        'ui.grid.columns': "Spalten",
+        'ui.view.label': "Ansicht",
+        'ui.view.grid': "Kacheln",
+        'ui.view.table': "Tabelle",
+        'ui.view.map': "Hallenplan",
+        'ui.map.width': "Breite (m):",
+        'ui.map.anchorScanner': "Scanner des Ankerpunkts",
+        'ui.map.anchorLabelPlaceholder': "Bezeichnung (optional)",
+        'ui.map.anchorLabel': "Bezeichnung des Ankerpunkts",
+        'ui.map.clearAnchors': "Anker löschen",
+        'ui.map.empty': "Noch kein Hallenplan. Über \"Plan laden\" ein Bild (z.B. PNG, JPG, SVG) wählen.",
+        'ui.map.loadPlan': "Plan laden",
+        'ui.map.image': "Hallenplan",
+        'ui.console.title': "App-Konsole & Logs",
+        'ui.console.allLevels': "Alle Level",
+        'ui.console.warnings': "Warnungen und Fehler",
+        'ui.console.errors': "Nur Fehler",
+        'ui.console.level': "Log-Level",
+        'ui.console.search': "Logs durchsuchen...",
+        'ui.common.export': "Exportieren",
+        'ui.common.close': "Schließen",
+        'ui.console.clear': "Leeren",
+
+        // index.html (Dialoge)
+        'ui.inspector.title': "Geräte-Inspektor",
+        'ui.inspector.nickname': "Nickname:",
+        'ui.inspector.nicknamePlaceholder': "[z.B. FTS an Ladestation 1]",
+        'ui.inspector.assetNumber': "Inventarnummer:",
+        'ui.inspector.assetNumberPlaceholder': "[z.B. INV-2024-0815]",
+        'ui.inspector.homeLocation': "Heimat-Standort / Ladestation:",
+        'ui.inspector.homeLocationPlaceholder': "[z.B. Halle 2, Ladestation 1]",
+        'ui.inspector.tags': "Tags (durch Komma getrennt):",
+        'ui.inspector.tagsPlaceholder': "[z.B. Wartung, Nachtschicht]",
+        'ui.inspector.notes': "Notizen:",
+        'ui.inspector.photo': "Foto:",
+        'ui.inspector.photoAlt': "Foto des Fahrzeugs",
+        'ui.inspector.removePhoto': "Foto entfernen",
+        'ui.inspector.deviceId': "Geräte-ID (MAC-Adresse):",
+        'ui.inspector.signal': "Signal-Verlauf:",
+        'ui.inspector.chartWindow': "Zeitfenster",
+        'ui.inspector.smoothing': "Glättung",
+        'ui.inspector.calibrate': "Entfernung kalibrieren",
+        'ui.inspector.quality': "Verbindungsqualität:",
+        'ui.inspector.decoded': "Dekodierte Werte:",
+        'ui.inspector.payload': "Letzter Payload (Rohdaten):",
+        'ui.inspector.timeline': "Payload-Verlauf (Änderungen hervorgehoben):",
+        'ui.inspector.gatt': "GATT-Diagnose:",
+        'ui.inspector.gattServices': "Services und Characteristics",
+        'ui.common.save': "Speichern",
+        'ui.inspector.forget': "Gerät vergessen",
+        'ui.sessions.title': "Aufgezeichnete Sitzungen",
+        'ui.data.title': "Flotten-Daten",
+        'ui.data.export': "Export (alle erkannten Fahrzeuge):",
+        'ui.data.exportCsv': "Als CSV exportieren",
+        'ui.data.exportJson': "Als JSON exportieren",
+        'ui.data.import': "Import (Nicknames & bekannte Geräte, CSV oder JSON):",
+        'ui.alerts.open': "Offene Alarme:",
+        'ui.alerts.history': "Historie:",
+        'ui.alerts.enableNotifications': "Browser-Benachrichtigungen aktivieren",
+        'ui.alerts.clearHistory': "Historie löschen",
+        'ui.report.from': "Von:",
+        'ui.report.to': "Bis:",
+        'ui.report.lastShift': "Letzte Schicht",
+        'ui.report.create': "Bericht erstellen",
+        'ui.report.download': "Herunterladen",
+        'ui.report.preview': "Vorschau Schichtbericht",
+        'ui.calibration.title': "Entfernungs-Kalibrierung",
+        'ui.calibration.distance': "Abstand zum Scanner (m):",
+        'ui.calibration.duration': "Messdauer (Sekunden):",
+        'ui.calibration.measure': "Messung starten",
+        'ui.calibration.apply': "Für Profil übernehmen",
+        'ui.common.resetToConfig': "Auf config.js zurücksetzen",
+        'ui.profiles.title': "FTS-Profile",
+        'ui.profiles.list': "Profile (Änderungen gelten ab dem nächsten Scan-Start):",
+        'ui.profiles.import': "Import (JSON):",
+        'ui.profiles.name': "Name:",
+        'ui.profiles.type': "Typ:",
+        'ui.profiles.typeService': "Service-UUID",
+        'ui.profiles.typeManufacturer': "Hersteller-ID",
+        'ui.profiles.uuid': "Service-UUID (z.B. 0xfcf1):",
+        'ui.profiles.companyId': "Hersteller-ID (Hex, z.B. 0xA212):",
+        'ui.profiles.beaconUuid': "Beacon-UUID (optional, z.B. e2c56db5-dffb-48d2-b060-d0f5a71096e0):",
+        'ui.profiles.major': "Major bzw. ID 2 (optional, 0-65535):",
+        'ui.profiles.minor': "Minor bzw. ID 3 (optional, 0-65535):",
+        'ui.profiles.namespace': "Eddystone-Namespace (optional, 10 Bytes Hex):",
+        'ui.profiles.namePrefix': "Namens-Präfix (optional):",
+        'ui.profiles.dataPrefix': "Daten-Präfix (optional, Hex, z.B. 01 A2):",
+        'ui.profiles.mask': "Maske (optional, Hex, gleiche Länge wie das Präfix):",
+        'ui.profiles.minRssi': "Mindest-RSSI in dBm (optional, z.B. -85):",
+        'ui.profiles.decoder': "Payload-Decoder:",
+        'ui.profiles.save': "Profil speichern",
+        'ui.diagnostics.title': "Scan-Diagnose",
+        'ui.diagnostics.byReason': "Verworfene Pakete nach Grund:",
+        'ui.diagnostics.recent': "Zuletzt verworfen:",
+        'ui.diagnostics.reset': "Zähler zurücksetzen",
+        'ui.bridge.title': "Scanner-Verbund",
+        'ui.bridge.url': "Relay-Adresse (WebSocket):",
+        'ui.bridge.name': "Name dieses Scanners:",
+        'ui.bridge.namePlaceholder': "[z.B. Halle 2, Tor Nord]",
+        'ui.bridge.peers': "Weitere Scanner im Verbund:"
+    }
+};
@@ -0,0 +1,631 @@
+// messagesEn.js
+// Englischer Textkatalog. Vorlage für weitere Sprachen: Datei kopieren, Texte
+// übersetzen und den Katalog in i18n.js (LOCALES) eintragen. Fehlende Schlüssel
+// fallen auf den deutschen Katalog zurück.
+
+export const LOCALE_EN = {
+    code: 'en',
+    name: "English",
+    tag: 'en-GB',
+    messages: {
+        // General
+        'asset.unnamed': "Unnamed AGV",
+        'payload.empty': "N/A (empty payload)",
+        'scan.start': "Start scan",
+        'scan.stop': "Stop scan",
+        'scan.resume': "Resume scan",
+        'common.cancel': "Cancel",
+        'status.green': "Active",
+        'status.yellow': "Inactive",
+        'status.red': "Lost",
+        'status.absent': "Not seen",
+
+        // app.js
+        'app.ready': "App initialized. Ready to scan.",
+        'app.startButtonMissing': "Start button not found.",
+        'app.scanStopped': "Scan stopped.",
+        'app.stopFailed': "Failed to stop the scan: {message}",
+        'app.scanRequested': "Requesting scan (source: {source})...",
+        'app.profileSkipped': "Profile \"{name}\" is invalid and was skipped: {problems}",
+        'app.noProfiles': "No valid, enabled AGV profiles. The scan cannot start.",
+        'app.scanStarting': { one: "Starting scan with {count} filter.", other: "Starting scan with {count} filters." },
+        'app.scanActive': "Scan active. Waiting for AGV packets...",
+        'app.scanAborted': "Scan request cancelled by the user.",
+        'app.scanFailed': "Scan failed: {message}",
+        'app.newAsset': "New AGV detected: ID {id}... ({profile})",
+        'app.extractFailed': "Failed to extract the payload for {profile}: {message}",
+        'app.decodeError': "Decoding error ({profile}): {message}",
+        'app.viewSaveFailed': "Could not save the view: {message}",
+        'app.assetMissing': "Asset {id} for the inspector not found in state.",
+        'app.inspectorOpened': "Inspector opened for: {name} ({id})",
+        'app.inspectorClosed': "Inspector closed.",
+        'app.payloadChanged': "{name} ({id}): {watch} changed ({bytes})",
+        'app.smoothingSaveFailed': "Could not save the smoothing method: {message}",
+        'app.smoothingChanged': "RSSI smoothing: {method}",
+        'app.nicknameEmpty': "Save failed: the nickname must not be empty.",
+        'app.detailsSaved': "Master data for {id} saved (nickname: {nickname}).",
+        'app.detailsSaveFailed': "Saving the master data failed: {message}",
+        'app.confirmForget': "Remove device {id} and all its master data from the registry?",
+        'app.deviceForgotten': "Device {id} removed from the registry.",
+        'app.forgetFailed': "Removal failed: {message}",
+        'app.registryLoaded': { one: "Device registry loaded: {count} known device.", other: "Device registry loaded: {count} known devices." },
+        'app.registryLoadFailed': "Could not load the device registry: {message}",
+        'app.registryUpdateFailed': "Could not update the device registry: {message}",
+
+        // Tiles
+        'tile.notSeenThisSession': "Not seen in this session",
+        'tile.lastSeenAt': "Last: {time}",
+        'tile.neverSeen': "Never seen",
+        'tile.bestScanner': { one: "Best: {name} ({count} scanner)", other: "Best: {name} ({count} scanners)" },
+        'tile.lost': "lost (> {seconds} s)",
+        'tile.lostAnnouncement': "{name} ({id}): signal lost",
+
+        // Inspector
+        'inspector.notReceived': "Not received in this session yet.",
+        'inspector.noDecoder': "No decoder defined for this profile.",
+        'inspector.lastSeenRecord': "Last seen: {time} ({rssi} dBm)",
+        'inspector.noSamples': "No readings yet.",
+        'inspector.rssiSummary': "Raw: {raw} dBm · Smoothed: {smoothed} dBm · {count} samples",
+        'inspector.distance': "Distance: {distance}",
+
+        // rssiFilter.js
+        'smoothing.none': "None (raw values)",
+        'smoothing.movingAverage': "Moving average",
+        'smoothing.ema': "Exponential (EMA)",
+        'smoothing.kalman': "Kalman",
+
+        // errorManager.js (log console)
+        'console.currentSession': "Current session",
+        'console.pastSession': "Session of {time}",
+        'console.minimize': "Minimize",
+        'console.maximize': "Maximize",
+        'console.restoreFailed': "Could not load stored logs: {message}",
+        'console.clearFailed': "Could not delete stored logs: {message}",
+        'console.uiMissing': "UI elements not found. The visual logger cannot be initialized.",
+        'console.storeFailed': "Logs are not being stored: {message}",
+        'console.globalError': "[Global error] {message} in {source} (line: {line})",
+        'console.promiseError': "[Promise error] Reason:",
+        'console.ready': "Error manager initialized. All logs are now captured.",
+
+        // advertisementSource.js
+        'source.unknown': "Unknown scan source '{name}'. Available: {available}",
+        'source.bluetoothUnavailable': "Web Bluetooth API is not available on this device/browser.",
+        'source.bluetoothHint': "(HTTPS required? For testing: ?source=simulator)",
+        'source.otherDeviceChosen': "A different device was chosen in the selection dialog ({name}).",
+
+        // alertEngine.js, alertPanel.js
+        'alerts.callbackFailed': "Alert callback failed: {message}",
+        'alerts.historySaveFailed': "Could not save the alert history: {message}",
+        'alerts.raised': "Alert: {text}",
+        'alerts.notificationFailed': "Browser notification not possible: {message}",
+        'alerts.notificationsUnsupported': "Browser notifications are not supported by this browser.",
+        'alerts.notificationsGranted': "Browser notifications: allowed.",
+        'alerts.notificationsDenied': "Browser notifications: not allowed.",
+        'alerts.button': "Alerts",
+        'alerts.buttonCount': "Alerts ({count})",
+        'alerts.more': { one: "+{count} more", other: "+{count} more" },
+        'alerts.acknowledge': "Acknowledge",
+        'alerts.snooze': "Snooze",
+        'alerts.noneOpen': "No open alerts.",
+        'alerts.noHistory': "No closed alerts yet.",
+        'alerts.state.active': "active",
+        'alerts.state.acknowledged': "acknowledged",
+        'alerts.state.snoozed': "snoozed",
+        'alerts.state.resolved': "resolved",
+        'alerts.snoozedUntil': "until {time}",
+
+        // beaconFormats.js
+        'beacon.invalidNamespace': "Eddystone namespace must be 10 bytes of hex (e.g. EDD1EBEAC04E5DEFA017).",
+        'beacon.invalidUuid': "Invalid beacon UUID (128-bit, e.g. f7826da6-4fa2-4e98-8024-bc5b71e0893e).",
+        'beacon.invalidIdPart': "{name} must be between 0 and 65535.",
+        'beacon.invalidCompanyId': "Company ID must be between 0x0000 and 0xFFFF.",
+        'beacon.unknownType': "Unknown beacon type '{type}'.",
+        'beacon.proximityUuid': "Proximity UUID",
+        'beacon.txPower1m': "Tx power (1 m)",
+        'beacon.txPower0m': "Tx power (0 m)",
+        'beacon.beaconId': "Beacon ID",
+        'beacon.referenceRssi': "Reference RSSI (1 m)",
+        'beacon.reserved': "Manufacturer reserved",
+        'beacon.tooShort': "{format} data too short ({length} instead of {expected} bytes).",
+        'beacon.wrongPrefix': "Not {format} data (prefix {prefix}).",
+        'beacon.frameTooShort': "Eddystone {frame} frame too short ({length} instead of {expected} bytes).",
+        'beacon.instance': "Instance",
+        'beacon.telemetry': "Telemetry",
+        'beacon.encryptedTlm': "encrypted (eTLM)",
+        'beacon.unknownFrame': "Unknown Eddystone frame {frame}.",
+        'beacon.batteryVoltage': "Battery voltage",
+        'beacon.temperature': "Temperature",
+        'beacon.notSupported': "not supported",
+        'beacon.advertisements': "Packets sent",
+        'beacon.uptime': "Uptime",
+
+        // calibrationWizard.js
+        'calibration.instructions': "Park the vehicle at a known distance and start the measurement.",
+        'calibration.running': "Measuring at {distance} m...",
+        'calibration.runningCount': { one: "Measuring at {distance} m... {count} packet", other: "Measuring at {distance} m... {count} packets" },
+        'calibration.source.wizard': "calibrated",
+        'calibration.source.default': "default",
+        'calibration.target': "{name} · profile \"{profile}\"",
+        'calibration.current': "Current: {values} ({source})",
+        'calibration.values': "{power} dBm @ 1 m, factor {factor}",
+        'calibration.invalidInput': "Calibration: distance and duration must be greater than 0.",
+        'calibration.tooFewPackets': "Too few packets ({count}). Is the scan running and the vehicle in range?",
+        'calibration.measurement': { one: "{distance} m: avg. {rssi} dBm ({count} packet)", other: "{distance} m: avg. {rssi} dBm ({count} packets)" },
+        'calibration.secondHint': "Optional: a second measurement at another distance determines the environment factor.",
+        'calibration.result': "Result: {values}",
+        'calibration.saveFailed': "Could not save the calibration: {message}",
+        'calibration.saved': "Calibration for \"{profile}\" saved: {values}",
+        'calibration.reset': "Calibration for \"{profile}\" reset to config.js.",
+
+        // config.js (zones, payload decoders, watched bytes, alert rules, GATT)
+        'config.zone.strong': "Strong",
+        'config.zone.medium': "Medium",
+        'config.zone.weak': "Weak",
+        'config.zone.charging': "At charging station",
+        'config.zone.near': "Near",
+        'config.zone.far': "Far",
+        'config.ftsStatus.battery': "Battery",
+        'config.ftsStatus.state': "Status",
+        'config.ftsStatus.state.ready': "Ready",
+        'config.ftsStatus.state.driving': "Driving",
+        'config.ftsStatus.state.charging': "Charging",
+        'config.ftsStatus.state.fault': "Fault",
+        'config.ftsStatus.state.maintenance': "Maintenance",
+        'config.ftsStatus.errors': "Errors",
+        'config.ftsStatus.errors.motor': "Motor",
+        'config.ftsStatus.errors.sensor': "Sensor",
+        'config.ftsStatus.errors.emergencyStop': "Emergency stop",
+        'config.ftsStatus.errors.batteryTemp': "Battery temp.",
+        'config.ftsStatus.firmware': "Firmware",
+        'config.watch.state': "Vehicle status",
+        'config.rule.lost': "Vehicle lost",
+        'config.rule.weakSignal': "Weak signal",
+        'config.rule.batteryLow': "Battery low",
+        'config.rule.emergencyStop': "Emergency stop triggered",
+        'config.gatt.liveStatus': "Live status",
+        'config.gatt.operatingHours': "Operating hours",
+
+        // db.js, deviceDetails.js
+        'db.unavailable': "IndexedDB is not available in this browser.",
+        'db.upgradeBlocked': "Database upgrade blocked (app open in another tab?).",
+        'db.transactionAborted': "Transaction aborted.",
+        'details.photoNotImage': "Photo: please choose an image file.",
+        'details.photoTooLarge': "Photo too large ({size} KB, maximum {max} KB).",
+
+        // deviceStats.js (inspector)
+        'stats.firstSeen': "First seen: {time} · packets: {packets}",
+        'stats.packetRate': "Packet rate: {current}/s now · {average}/s on average",
+        'stats.online': "Online: {duration} ({availability})",
+        'stats.outages': "Outages: {count} (lost: {lost}) · total {total} · longest {longest}",
+        'stats.rssi': "RSSI: min {min} · max {max} · avg. {mean} · σ {stdDev} dB",
+        'stats.currentOutage': "Current outage for {duration}",
+
+        // fleetTransfer.js
+        'transfer.invalidJson': "Not a valid FleetView export file (JSON).",
+        'transfer.invalidCsv': "Not a valid FleetView export file (CSV): column 'id' is missing.",
+        'transfer.exportEmpty': "Export: no vehicles detected, nothing to export.",
+        'transfer.exported': { one: "Export: {count} vehicle exported as {format} ({filename}).", other: "Export: {count} vehicles exported as {format} ({filename})." },
+        'transfer.importFailed': "Import failed: {message}",
+        'transfer.confirmConflicts': { one: "{count} nickname differs from the local state:\n{preview}\n\nApply the imported name?", other: "{count} nicknames differ from the local state:\n{preview}\n\nApply the imported names?" },
+        'transfer.imported': "Import: {count} entries read, {applied} nicknames applied, {conflicts} conflicts.",
+
+        // floorMap.js (floor map)
+        'map.loaded': "Floor plan loaded: {name}",
+        'map.confirmClearAnchors': "Remove all anchor points from the plan?",
+        'map.loadFailed': "Could not load the floor plan: {message}",
+        'map.saveFailed': "Could not save the floor plan: {message}",
+        'map.placeAnchor': "Place anchor",
+        'map.referencePoint': "Reference point (no scanner)",
+        'map.scannerOption': "Scanner: {name}",
+        'map.pointLabel': "Point {n}",
+        'map.scannerAnchorTitle': "Scanner {id} (click to remove)",
+        'map.referenceAnchorTitle': "Reference point (click to remove)",
+        'map.confirmRemoveAnchor': "Remove anchor point \"{label}\"?",
+        'map.trilaterated': "trilaterated from {count} scanners",
+        'map.nearestScanner': "at the nearest scanner",
+        'map.placedInfo': { one: "{placed} of {count} vehicle on the plan", other: "{placed} of {count} vehicles on the plan" },
+        'map.unplacedHint': "(others: no scanner with an anchor point)",
+
+        // gattClient.js, gattPanel.js (GATT diagnostics)
+        'gatt.battery': "Battery",
+        'gatt.manufacturer': "Manufacturer",
+        'gatt.model': "Model",
+        'gatt.serial': "Serial number",
+        'gatt.hardware': "Hardware version",
+        'gatt.firmware': "Firmware version",
+        'gatt.software': "Software version",
+        'gatt.timeout': "{action}: no response after {seconds} s.",
+        'gatt.error.notFound': "Not found (no device selected or service/characteristic not present)",
+        'gatt.error.network': "Connection failed or dropped (vehicle out of range or already connected?)",
+        'gatt.error.security': "Access denied (service not permitted or blocked)",
+        'gatt.error.notSupported': "Operation not supported by the device",
+        'gatt.error.invalidState': "Device is not connected",
+        'gatt.error.notAllowed': "Rejected by the user or browser",
+        'gatt.emptyValue': "(empty)",
+        'gatt.unsupported': "The device does not support GATT connections.",
+        'gatt.action.connect': "Connecting",
+        'gatt.action.services': "Reading services",
+        'gatt.action.characteristics': "Reading characteristics of {uuid}",
+        'gatt.action.read': "Reading {label}",
+        'gatt.action.subscribe': "Subscribing to {label}",
+        'gatt.noSource': "none",
+        'gatt.status.notSeen': "Vehicle has not been seen in this session.",
+        'gatt.status.sourceUnsupported': "GATT connections are not possible with the source \"{source}\".",
+        'gatt.status.notConnected': "Not connected.",
+        'gatt.status.connecting': "Connecting...",
+        'gatt.status.disconnected': "Disconnected.",
+        'gatt.status.lost': "Connection closed by the device.",
+        'gatt.status.connected': "Connected · {services} services · {subscriptions} values subscribed",
+        'gatt.status.failed': "Error: {message}",
+        'gatt.readingError': "Error ({message})",
+        'gatt.unreadable': "(not readable)",
+        'gatt.noReadings': "The device offers no known values.",
+        'gatt.noServices': "No services permitted.",
+        'gatt.log.connecting': "Opening GATT connection to {name} ({id})...",
+        'gatt.log.disconnected': "GATT connection to {name} closed.",
+        'gatt.log.lost': "GATT connection to {name} was closed by the device.",
+        'gatt.log.connected': "GATT connected to {name}: {services} services, {readings} known values",
+        'gatt.log.unreadable': "GATT {name}: {label} not readable: {message}",
+        'gatt.log.failed': "GATT connection to {name} ({id}) failed: {message}",
+
+        // gridView.js (toolbar)
+        'grid.sort.discovery': "Discovery",
+        'grid.sort.name': "Name",
+        'grid.sort.rssi': "Signal (RSSI)",
+        'grid.sort.lastSeen': "Last seen",
+        'grid.sort.status': "Status",
+        'grid.group.none': "No grouping",
+        'grid.group.profile': "By profile",
+        'grid.group.zone': "By zone",
+        'grid.group.unassigned': "Unassigned",
+        'grid.allStatus': "All statuses",
+        'grid.allProfiles': "All profiles",
+        'grid.allTags': "All tags",
+        'grid.count': { one: "{count} vehicle", other: "{count} vehicles" },
+        'grid.countFiltered': { one: "{visible} of {count} vehicle", other: "{visible} of {count} vehicles" },
+
+        // metricsOverlay.js (performance overlay)
+        'metrics.show': "Show performance overlay",
+        'metrics.hide': "Hide performance overlay",
+        'metrics.measuring': "Measuring...",
+        'metrics.packets': "Packets/s",
+        'metrics.renders': "Rendered/s",
+        'metrics.frames': "Frames/s",
+        'metrics.frameTime': "Frame time",
+        'metrics.frameTimeValue': "avg. {avg} ms · max {max} ms",
+        'metrics.vehicles': "Vehicles",
+        'metrics.mode': "Mode",
+
+        // payloadDecoder.js
+        'decoder.undefined': "Decoder '{name}' is not defined in PAYLOAD_DECODERS.",
+        'decoder.lengthRequired': "Field '{field}': type '{type}' requires a length.",
+        'decoder.outOfRange': "Field '{field}' (offset {offset}, length {length}) lies outside the payload ({size} bytes).",
+        'decoder.unknownType': "Field '{field}': unknown type '{type}'.",
+        'decoder.unknownValue': "Unknown ({value})",
+        'decoder.noFlags': "none",
+        'decoder.bit': "Bit {bit}",
+        'decoder.noPayload': "No payload to decode.",
+
+        // payloadTimeline.js
+        'timeline.callbackFailed': "Payload callback failed: {message}",
+        'timeline.byteChange': "Byte {index}: {previous} → {current}",
+        'timeline.empty': "No payloads received yet.",
+        'timeline.packetsUntil': "{count} packets until {time}",
+        'timeline.singlePacket': "1 packet",
+        'timeline.bytePrevious': "Byte {index}: previously {previous}",
+        'timeline.byteNew': "Byte {index}: new",
+        'timeline.bytesRemoved': { one: "({count} byte fewer)", other: "({count} bytes fewer)" },
+
+        // profiles.js, profileEditor.js
+        'profiles.noDecoder': "(none)",
+        'profiles.changedWhileScanning': "Profiles changed. The changes apply from the next scan start.",
+        'profiles.empty': "No profiles available. A scan cannot start without a profile.",
+        'profiles.enabled': "Profile enabled",
+        'profiles.origin.config': "config.js",
+        'profiles.origin.edited': "config.js, modified",
+        'profiles.origin.custom': "custom profile",
+        'profiles.edit': "Edit",
+        'profiles.delete': "Delete",
+        'profiles.hide': "Hide",
+        'profiles.confirmDelete': "Delete profile \"{name}\"?",
+        'profiles.confirmHide': "Hide profile \"{name}\"?",
+        'profiles.filter.manufacturer': "Manufacturer {id}",
+        'profiles.filter.name': "Name \"{prefix}…\"",
+        'profiles.filter.data': "Data {prefix}",
+        'profiles.filter.minRssi': "from {rssi} dBm",
+        'profiles.editTitle': "Edit profile: {name}",
+        'profiles.newTitle': "New profile",
+        'profiles.saved': "Profile \"{name}\" saved.",
+        'profiles.exported': "Profiles exported.",
+        'profiles.imported': { one: "Profile import: {count} profile applied.", other: "Profile import: {count} profiles applied." },
+        'profiles.importSkipped': "Profile import: \"{name}\" skipped: {problems}",
+        'profiles.importFailed': "Profile import failed: {message}",
+        'profiles.confirmReset': "Discard all local profile changes and restore the profiles from config.js?",
+        'profiles.reset': "Profiles reset to config.js.",
+        'profiles.invalidFile': "Not a valid FleetView profile file.",
+        'profiles.invalid.nameMissing': "Name is missing.",
+        'profiles.invalid.nameTaken': "Name \"{name}\" is already taken.",
+        'profiles.invalid.uuid': "Invalid service UUID (e.g. 0xfcf1 or 0000fcf1-0000-1000-8000-00805f9b34fb).",
+        'profiles.invalid.companyId': "Company ID must be between 0x0000 and 0xFFFF.",
+        'profiles.invalid.type': "Unknown profile type \"{type}\".",
+        'profiles.invalid.namePrefix': "Name prefix must be text.",
+        'profiles.invalid.minRssi': "Minimum RSSI must be between -127 and 0 dBm.",
+        'profiles.invalid.dataPrefix': "Data prefix is not a valid hex value (e.g. 01 A2).",
+        'profiles.invalid.mask': "Mask is not a valid hex value (e.g. FF F0).",
+        'profiles.invalid.maskLength': "Mask and data prefix must have the same length.",
+        'profiles.invalid.maskWithoutPrefix': "A mask requires a data prefix.",
+        'profiles.invalid.decoder': "Decoder \"{name}\" is not defined in config.js.",
+        'profiles.invalid.gattList': "GATT: 'characteristics' must be a list.",
+        'profiles.invalid.gattUuid': "GATT entry {n}: service and characteristic UUIDs must be valid.",
+        'profiles.invalid.gattLabel': "GATT entry {n}: label ('label') is missing.",
+
+        // pwa.js
+        'pwa.offline': "No network connection. The app keeps running offline.",
+        'pwa.online': "Network connection restored.",
+        'pwa.unavailable': "Service worker not available (HTTPS required?). Offline mode is disabled.",
+        'pwa.cached': "App saved for offline use.",
+        'pwa.registerFailed': "Could not register the service worker: {message}",
+        'pwa.update': "New version available.",
+        'pwa.updateDuringScan': "New version available. Updating reloads the page and ends the running scan.",
+        'pwa.updateLoaded': "New app version loaded. Update via the banner.",
+
+        // renderScheduler.js
+        'render.failed': "Rendering failed: {message}",
+
+        // rssiChart.js (signal history)
+        'chart.now': "now",
+
+        // scanDiagnostics.js
+        'diagnostics.reason.noData': "No data for an active profile",
+        'diagnostics.reason.namePrefix': "Name prefix does not match",
+        'diagnostics.reason.dataPrefix': "Data prefix/mask does not match",
+        'diagnostics.reason.beaconId': "Beacon identifier (UUID/major/minor/namespace) does not match",
+        'diagnostics.reason.rssiFloor': "Below minimum RSSI",
+        'diagnostics.summary': "Accepted: {accepted} · rejected: {rejected} ({share})",
+        'diagnostics.byProfile': "Profile \"{name}\": {count}",
+        'diagnostics.noneRejected': "No rejected packets.",
+
+        // scanManager.js
+        'scanState.idle': "Ready",
+        'scanState.requesting': "Requesting scan...",
+        'scanState.active': "Scan active",
+        'scanState.quiet': "Scan active, no devices",
+        'scanState.paused': "Paused (background)",
+        'scanState.error': "Scan interrupted",
+        'scanState.stopFailed': "Could not stop the source cleanly: {message}",
+        'scanState.gaveUp': "{reason}. Giving up on automatic restarts.",
+        'scanState.noDevices': "{reason}. The scan is running, but no vehicle is in range.",
+        'scanState.restarting': "{reason}. Restarting scan (attempt {attempt}/{max}).",
+        'scanState.restarted': "Scan restarted.",
+        'scanState.restartFailed': "Restart failed: {message}",
+        'scanState.reason.requestFailed': "Scan could not be restarted ({message})",
+        'scanState.reason.endedByBrowser': "Scan was ended by the browser",
+        'scanState.reason.silence': "No packets for {seconds} s",
+        'scanState.reason.hidden': "Tab in background",
+        'scanState.reason.endedInBackground': "Scan was ended in the background",
+
+        // scannerBridge.js (scanner network)
+        'bridge.status.off': "Off",
+        'bridge.status.connecting': "Connecting...",
+        'bridge.status.connected': "Connected",
+        'bridge.status.error': "Disconnected (retrying)",
+        'bridge.settingsInvalid': "Scanner network settings invalid, using defaults: {message}",
+        'bridge.settingsSaveFailed': "Could not save the scanner network settings: {message}",
+        'bridge.disconnected': "Scanner network disconnected.",
+        'bridge.unsupported': "This browser does not support WebSocket. Scanner network not available.",
+        'bridge.connectFailed': "Scanner network: cannot connect to {url}: {message}",
+        'bridge.connected': "Scanner network connected ({url}) as \"{name}\".",
+        'bridge.lost': "Scanner network: connection to the relay lost.",
+        'bridge.invalidMessage': "Scanner network: invalid message discarded: {message}",
+        'bridge.incompleteObservation': "Scanner network: incomplete observation from {id} discarded.",
+        'bridge.sourceName': "Scanner network",
+        'bridge.disabled': "Scanner network is switched off. Connect in the \"Scanners\" dialog.",
+        'bridge.statusLine': "Status: {status} · this scanner: {name} ({id})",
+        'bridge.connect': "Connect",
+        'bridge.disconnect': "Disconnect",
+        'bridge.buttonTitle': "Scanner network: {status}",
+        'bridge.noOthers': "No other scanners connected.",
+
+        // sessionPanel.js, sessionRecorder.js, sessionReplay.js
+        'sessions.record': "● Record",
+        'sessions.stopRecording': "■ Stop recording",
+        'sessions.recordNotPossible': "Recording is only possible during a running scan (not during a replay).",
+        'sessions.recordFailed': "Could not start recording: {message}",
+        'sessions.listFailed': "Could not load sessions: {message}",
+        'sessions.empty': "No recordings yet.",
+        'sessions.running': "running",
+        'sessions.interrupted': "interrupted",
+        'sessions.packets': { one: "{count} packet", other: "{count} packets" },
+        'sessions.play': "Play",
+        'sessions.pause': "Pause",
+        'sessions.delete': "Delete",
+        'sessions.deleted': "Session deleted: {name}",
+        'sessions.deleteFailed': "Could not delete session: {message}",
+        'sessions.loadFailed': "Could not load session: {message}",
+        'sessions.replayEnded': "Replay ended.",
+        'sessions.replayStarted': "Replay started: {name} ({count} packets).",
+        'sessions.defaultName': "Recording {time}",
+        'sessions.recordStarted': "Recording started: {name}",
+        'sessions.recordStopped': "Recording stopped: {name} ({count} packets).",
+        'sessions.recordStopFailed': "Could not finish recording: {message}",
+        'sessions.flushFailed': "Recording: {count} packets could not be saved: {message}",
+        'sessions.notFound': "Session {id} not found.",
+        'sessions.replayPacketFailed': "Replay: error in packet from {id}: {message}",
+        'sessions.replaySourceName': "Replay",
+
+        // simulator.js
+        'simulator.packetFailed': "Simulator: error while processing {id}: {message}",
+        'simulator.noProfiles': "The simulator requires at least one AGV profile.",
+        'simulator.unknownVehicle': "Vehicle {id} is not part of the running simulation.",
+        'simulator.outOfRange': "Simulated vehicle is out of range.",
+
+        // tableView.js (column headers)
+        'table.name': "Nickname",
+        'table.id': "ID",
+        'table.profile': "Profile",
+        'table.status': "LED status",
+        'table.rssi': "RSSI",
+        'table.smoothed': "Smoothed RSSI",
+        'table.distance': "Distance",
+        'table.lastSeen': "Last seen",
+        'table.rate': "Packets/s",
+
+        // wakeLock.js
+        'wakeLock.unavailable': "Screen wake lock not available. The display may turn off during the scan.",
+        'wakeLock.active': "Screen stays on during the scan.",
+        'wakeLock.failed': "Screen wake lock not possible: {message}",
+
+        // shiftReport.js, shiftReportPanel.js (shift report)
+        'report.title': "Shift report",
+        'report.print': "Print",
+        'report.range': "Period: {from} – {to}",
+        'report.monitored': "Monitored: {duration}",
+        'report.unmonitored': "(without scan: {duration}, not counted as outage)",
+        'report.created': "Created: {time}",
+        'report.fleetOverview': "Fleet overview",
+        'report.vehicles': "Vehicles",
+        'report.avgAvailability': "Avg. availability",
+        'report.belowTarget': "Below target ({target})",
+        'report.outagesLost': "Outages (lost)",
+        'report.longestOutage': "Longest outage",
+        'report.changes': "Status changes",
+        'report.alerts': "Alerts",
+        'report.alertsCritical': "Alerts (critical)",
+        'report.open': "open",
+        'report.noVehicles': "No vehicles recorded.",
+        'report.details': "Alerts and status changes",
+        'report.column.name': "Name",
+        'report.column.id': "ID",
+        'report.column.profile': "Profile",
+        'report.column.availability': "Availability",
+        'report.column.online': "Online",
+        'report.column.outages': "Outages (lost)",
+        'report.column.signal': "Avg. signal",
+        'report.column.packets': "Packets",
+        'report.downloaded': "Shift report downloaded.",
+        'report.invalidRangeLog': "Shift report: invalid period.",
+        'report.invalidRange': "Please choose a valid period (start before end).",
+        'report.status': "{count} vehicles · {belowTarget} below target · {alerts} alerts",
+        'report.notMonitored': "No scanning took place in the selected period.",
+
+        // index.html (header, toolbars, console)
+        'ui.header.sessions': "Sessions",
+        'ui.header.data': "Export/import",
+        'ui.header.profiles': "Profiles",
+        'ui.header.diagnostics': "Diagnostics",
+        'ui.header.scanners': "Scanners",
+        'ui.header.language': "Language",
+        'ui.update.apply': "Update now",
+        'ui.update.later': "Later",
+        'ui.replay.stop': "Stop",
+        'ui.replay.speed': "Playback speed",
+        'ui.replay.seek': "Playback position",
+        'ui.grid.searchPlaceholder': "Search: name, ID, payload",
+        'ui.grid.search': "Search",
+        'ui.grid.sort': "Sort order",
+        'ui.grid.profileFilter': "Profile filter",
+        'ui.grid.statusFilter': "Status filter",
+        'ui.grid.tagFilter': "Tag filter",
+        'ui.grid.group': "Grouping",
+        'ui.grid.columns': "Columns",
+        'ui.view.label': "View",
+        'ui.view.grid': "Tiles",
+        'ui.view.table': "Table",
+        'ui.view.map': "Floor map",
+        'ui.map.width': "Width (m):",
+        'ui.map.anchorScanner': "Scanner of the anchor point",
+        'ui.map.anchorLabelPlaceholder': "Label (optional)",
+        'ui.map.anchorLabel': "Label of the anchor point",
+        'ui.map.clearAnchors': "Clear anchors",
+        'ui.map.empty': "No floor plan yet. Choose an image (e.g. PNG, JPG, SVG) via \"Load plan\".",
+        'ui.map.loadPlan': "Load plan",
+        'ui.map.image': "Hall floor plan",
+        'ui.console.title': "App console & logs",
+        'ui.console.allLevels': "All levels",
+        'ui.console.warnings': "Warnings and errors",
+        'ui.console.errors': "Errors only",
+        'ui.console.level': "Log level",
+        'ui.console.search': "Search logs...",
+        'ui.common.export': "Export",
+        'ui.common.close': "Close",
+        'ui.console.clear': "Clear",
+
+        // index.html (dialogs)
+        'ui.inspector.title': "Device inspector",
+        'ui.inspector.nickname': "Nickname:",
+        'ui.inspector.nicknamePlaceholder': "[e.g. AGV at charging station 1]",
+        'ui.inspector.assetNumber': "Asset number:",
+        'ui.inspector.assetNumberPlaceholder': "[e.g. INV-2024-0815]",
+        'ui.inspector.homeLocation': "Home location / charging station:",
+        'ui.inspector.homeLocationPlaceholder': "[e.g. hall 2, charging station 1]",
+        'ui.inspector.tags': "Tags (comma-separated):",
+        'ui.inspector.tagsPlaceholder': "[e.g. maintenance, night shift]",
+        'ui.inspector.notes': "Notes:",
+        'ui.inspector.photo': "Photo:",
+        'ui.inspector.photoAlt': "Photo of the vehicle",
+        'ui.inspector.removePhoto': "Remove photo",
+        'ui.inspector.deviceId': "Device ID (MAC address):",
+        'ui.inspector.signal': "Signal history:",
+        'ui.inspector.chartWindow': "Time window",
+        'ui.inspector.smoothing': "Smoothing",
+        'ui.inspector.calibrate': "Calibrate distance",
+        'ui.inspector.quality': "Connection quality:",
+        'ui.inspector.decoded': "Decoded values:",
+        'ui.inspector.payload': "Last payload (raw data):",
+        'ui.inspector.timeline': "Payload history (changes highlighted):",
+        'ui.inspector.gatt': "GATT diagnostics:",
+        'ui.inspector.gattServices': "Services and characteristics",
+        'ui.common.save': "Save",
+        'ui.inspector.forget': "Forget device",
+        'ui.sessions.title': "Recorded sessions",
+        'ui.data.title': "Fleet data",
+        'ui.data.export': "Export (all detected vehicles):",
+        'ui.data.exportCsv': "Export as CSV",
+        'ui.data.exportJson': "Export as JSON",
+        'ui.data.import': "Import (nicknames & known devices, CSV or JSON):",
+        'ui.alerts.open': "Open alerts:",
+        'ui.alerts.history': "History:",
+        'ui.alerts.enableNotifications': "Enable browser notifications",
+        'ui.alerts.clearHistory': "Clear history",
+        'ui.report.from': "From:",
+        'ui.report.to': "To:",
+        'ui.report.lastShift': "Last shift",
+        'ui.report.create': "Create report",
+        'ui.report.download': "Download",
+        'ui.report.preview': "Shift report preview",
+        'ui.calibration.title': "Distance calibration",
+        'ui.calibration.distance': "Distance to the scanner (m):",
+        'ui.calibration.duration': "Measurement time (seconds):",
+        'ui.calibration.measure': "Start measurement",
+        'ui.calibration.apply': "Apply to profile",
+        'ui.common.resetToConfig': "Reset to config.js",
+        'ui.profiles.title': "AGV profiles",
+        'ui.profiles.list': "Profiles (changes apply from the next scan start):",
+        'ui.profiles.import': "Import (JSON):",
+        'ui.profiles.name': "Name:",
+        'ui.profiles.type': "Type:",
+        'ui.profiles.typeService': "Service UUID",
+        'ui.profiles.typeManufacturer': "Manufacturer ID",
+        'ui.profiles.uuid': "Service UUID (e.g. 0xfcf1):",
+        'ui.profiles.companyId': "Manufacturer ID (hex, e.g. 0xA212):",
+        'ui.profiles.beaconUuid': "Beacon UUID (optional, e.g. e2c56db5-dffb-48d2-b060-d0f5a71096e0):",
+        'ui.profiles.major': "Major or ID 2 (optional, 0-65535):",
+        'ui.profiles.minor': "Minor or ID 3 (optional, 0-65535):",
+        'ui.profiles.namespace': "Eddystone namespace (optional, 10 bytes hex):",
+        'ui.profiles.namePrefix': "Name prefix (optional):",
+        'ui.profiles.dataPrefix': "Data prefix (optional, hex, e.g. 01 A2):",
+        'ui.profiles.mask': "Mask (optional, hex, same length as the prefix):",
+        'ui.profiles.minRssi': "Minimum RSSI in dBm (optional, e.g. -85):",
+        'ui.profiles.decoder': "Payload decoder:",
+        'ui.profiles.save': "Save profile",
+        'ui.diagnostics.title': "Scan diagnostics",
+        'ui.diagnostics.byReason': "Discarded packets by reason:",
+        'ui.diagnostics.recent': "Recently discarded:",
+        'ui.diagnostics.reset': "Reset counters",
+        'ui.bridge.title': "Scanner network",
+        'ui.bridge.url': "Relay address (WebSocket):",
+        'ui.bridge.name': "Name of this scanner:",
+        'ui.bridge.namePlaceholder': "[e.g. hall 2, north gate]",
+        'ui.bridge.peers': "Other scanners in the network:"
+    }
+};
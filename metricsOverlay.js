@@ -0,0 +1,71 @@
+// metricsOverlay.js
+// Leistungsanzeige über dem Cockpit: empfangene Pakete/s, gezeichnete Assets/s
+// und Dauer eines Frames (Kennzahlen aus renderScheduler.js).
+// Ein-/Ausschalten im Diagnose-Dialog (wird je Browser gemerkt);
+// mit ?metrics=1 oder ?source=benchmark ist sie automatisch sichtbar.
+
+import { t, formatNumber } from './i18n.js';
+
+const STORAGE_KEY = 'metrics_overlay'; // localStorage: '1' = Anzeige sichtbar
+const REFRESH_MS = 1000;
+
+let getMetrics = () => null;
+let getAssetCount = () => 0;
+let refreshTimer = null;
+
+// DOM-Referenzen
+let overlay, overlayText, toggleButton;
+
+/**
+ * Initialisiert die Leistungsanzeige.
+ * @param {object} hooks
+ * @param {function} hooks.getMetrics - Liefert die Kennzahlen seit dem letzten Aufruf (takeMetrics).
+ * @param {function} hooks.getAssetCount - Anzahl der erkannten Assets.
+ */
+export function initMetricsOverlay(hooks) {
+    getMetrics = hooks.getMetrics;
+    getAssetCount = hooks.getAssetCount;
+
+    overlay = document.getElementById('metrics-overlay');
+    overlayText = document.getElementById('metrics-overlay-text');
+    toggleButton = document.getElementById('btn-metrics-overlay');
+
+    toggleButton.addEventListener('click', () => {
+        const visible = overlay.hidden;
+        localStorage.setItem(STORAGE_KEY, visible ? '1' : '0');
+        setOverlayVisible(visible);
+    });
+
+    const params = new URLSearchParams(window.location.search);
+    const requested = params.get('metrics') === '1' || params.get('source') === 'benchmark';
+    setOverlayVisible(requested || localStorage.getItem(STORAGE_KEY) === '1');
+}
+
+function setOverlayVisible(visible) {
+    overlay.hidden = !visible;
+    // Schlüssel in data-i18n, damit ein Sprachwechsel die passende Beschriftung setzt
+    toggleButton.dataset.i18n = visible ? 'metrics.hide' : 'metrics.show';
+    toggleButton.textContent = t(toggleButton.dataset.i18n);
+
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+    if (!visible) return;
+
+    getMetrics(); // Neues Messfenster beginnen
+    overlayText.textContent = t('metrics.measuring');
+    refreshTimer = setInterval(renderMetrics, REFRESH_MS);
+}
+
+function renderMetrics() {
+    const m = getMetrics();
+    if (!m) return;
+    const rows = [
+        ['metrics.packets', formatNumber(m.packetsPerSec)],
+        ['metrics.renders', formatNumber(m.rendersPerSec)],
+        ['metrics.frames', formatNumber(m.framesPerSec)],
+        ['metrics.frameTime', t('metrics.frameTimeValue', { avg: formatNumber(m.avgFrameMs, 1), max: formatNumber(m.maxFrameMs, 1) })],
+        ['metrics.vehicles', getAssetCount()],
+        ['metrics.mode', m.mode]
+    ];
+    overlayText.textContent = rows.map(([key, value]) => `${`${t(key)}:`.padEnd(15)}${value}`).join('\n');
+}
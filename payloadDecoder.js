@@ -0,0 +1,186 @@
+// payloadDecoder.js
+// Wandelt Roh-Payloads (DataView) anhand einer Byte-Layout-Definition
+// in benannte Werte um (z.B. Akkustand, Statuscode, Fehler-Flags, Firmware).
+// Die Layouts werden in config.js unter PAYLOAD_DECODERS definiert und
+// von den FTS_PROFILES per Name (oder inline) referenziert.
+
+import { t, formatNumber } from './i18n.js';
+
+// Feste Byte-Längen der numerischen Typen.
+// Typen ohne Eintrag (hex, ascii, version) benötigen ein 'length'-Feld.
+const TYPE_SIZES = {
+    uint8: 1,
+    int8: 1,
+    uint16: 2,
+    int16: 2,
+    uint32: 4,
+    int32: 4,
+    float32: 4,
+    flags: 1
+};
+
+/**
+ * Löst die Decoder-Angabe eines Profils auf.
+ * @param {object} profile - Ein Eintrag aus CONFIG.FTS_PROFILES.
+ * @param {object} decoders - CONFIG.PAYLOAD_DECODERS (Name -> Layout).
+ * @returns {object|null} - Die Layout-Definition oder null (nur Hex-Anzeige).
+ */
+export function resolveDecoder(profile, decoders = {}) {
+    if (!profile || !profile.decoder) return null;
+
+    // Inline-Definition direkt im Profil
+    if (typeof profile.decoder === 'object') return profile.decoder;
+
+    const decoder = decoders[profile.decoder];
+    if (!decoder) {
+        throw new Error(t('decoder.undefined', { name: profile.decoder }));
+    }
+    return decoder;
+}
+
+/**
+ * Liest ein einzelnes Feld aus dem DataView.
+ * Wirft einen Fehler, wenn das Feld außerhalb der Payload liegt oder
+ * der Typ unbekannt ist.
+ * @param {DataView} dataView - Der Roh-Payload.
+ * @param {object} field - Die Feld-Definition aus dem Layout.
+ * @returns {*} - Der (skalierte) Rohwert.
+ */
+function readField(dataView, field) {
+    const type = field.type || 'uint8';
+    const offset = field.offset || 0;
+    const length = field.length || TYPE_SIZES[type];
+    // Standard ist Little Endian (üblich bei BLE-Payloads)
+    const littleEndian = field.endian !== 'big';
+
+    if (!length) {
+        throw new Error(t('decoder.lengthRequired', { field: field.name, type: type }));
+    }
+    if (offset + length > dataView.byteLength) {
+        throw new Error(t('decoder.outOfRange', { field: field.name, offset: offset, length: length, size: dataView.byteLength }));
+    }
+
+    let value;
+    switch (type) {
+        case 'uint8': value = dataView.getUint8(offset); break;
+        case 'int8': value = dataView.getInt8(offset); break;
+        case 'uint16': value = dataView.getUint16(offset, littleEndian); break;
+        case 'int16': value = dataView.getInt16(offset, littleEndian); break;
+        case 'uint32': value = dataView.getUint32(offset, littleEndian); break;
+        case 'int32': value = dataView.getInt32(offset, littleEndian); break;
+        case 'float32': value = dataView.getFloat32(offset, littleEndian); break;
+        case 'flags': {
+            // Bitfeld (1-4 Bytes). Liefert die Zahl, die Anzeige übernimmt formatValue.
+            value = 0;
+            for (let i = 0; i < length; i++) {
+                const byteIndex = littleEndian ? offset + i : offset + length - 1 - i;
+                value |= dataView.getUint8(byteIndex) << (8 * i);
+            }
+            value >>>= 0; // Als vorzeichenlose Zahl behandeln
+            break;
+        }
+        case 'version': {
+            // z.B. 3 Bytes [1, 4, 2] -> "1.4.2"
+            const parts = [];
+            for (let i = 0; i < length; i++) parts.push(dataView.getUint8(offset + i));
+            return parts.join('.');
+        }
+        case 'ascii': {
+            let text = '';
+            for (let i = 0; i < length; i++) {
+                const code = dataView.getUint8(offset + i);
+                if (code === 0) break; // Null-terminiert
+                text += String.fromCharCode(code);
+            }
+            return text;
+        }
+        case 'hex': {
+            const bytes = [];
+            for (let i = 0; i < length; i++) {
+                bytes.push(dataView.getUint8(offset + i).toString(16).toUpperCase().padStart(2, '0'));
+            }
+            return bytes.join(' ');
+        }
+        default:
+            throw new Error(t('decoder.unknownType', { field: field.name, type: type }));
+    }
+
+    // Optionale Bitmaske (z.B. nur die unteren 4 Bit eines Bytes)
+    if (typeof field.mask === 'number') value &= field.mask;
+
+    // Optionale Skalierung (z.B. 0.1 für Zehntel-Volt)
+    if (typeof field.scale === 'number') value *= field.scale;
+
+    return value;
+}
+
+/**
+ * Erzeugt den Anzeige-Text für einen dekodierten Wert.
+ * @param {*} value - Der Wert aus readField.
+ * @param {object} field - Die Feld-Definition.
+ * @returns {string}
+ */
+function formatValue(value, field) {
+    // Statuscodes -> Klartext (z.B. { 0: "Bereit", 1: "Fahrt" }) bzw. Textschlüssel
+    if (field.valueKeys) {
+        const key = field.valueKeys[value];
+        return key !== undefined ? t(key) : t('decoder.unknownValue', { value: value });
+    }
+    if (field.values) {
+        const text = field.values[value];
+        return text !== undefined ? text : t('decoder.unknownValue', { value: value });
+    }
+
+    // Fehler-Flags -> Liste der gesetzten Bits
+    if (field.type === 'flags') {
+        if (value === 0) return t('decoder.noFlags');
+        const names = [];
+        const bitNames = field.bits || {};
+        const bitKeys = field.bitKeys || {};
+        for (let bit = 0; bit < 32; bit++) {
+            if (!(value & (1 << bit))) continue;
+            names.push(bitKeys[bit] ? t(bitKeys[bit]) : bitNames[bit] || t('decoder.bit', { bit: bit }));
+        }
+        return names.join(', ');
+    }
+
+    let text = String(value);
+    if (typeof value === 'number' && typeof field.decimals === 'number') {
+        text = formatNumber(value, field.decimals);
+    }
+    return field.unit ? `${text} ${field.unit}` : text;
+}
+
+/**
+ * Dekodiert einen Payload anhand eines Layouts.
+ * Jedes Feld wird einzeln dekodiert: Ein fehlerhaftes Feld verhindert nicht,
+ * dass die übrigen Felder angezeigt werden.
+ * @param {DataView} dataView - Der Roh-Payload.
+ * @param {object} decoder - Layout-Definition ({ fields: [...] }).
+ * @returns {object} - { fields: [{ name, label, value, text, showOnTile }], errors: [string] }
+ */
+export function decodePayload(dataView, decoder) {
+    const result = { fields: [], errors: [] };
+    if (!decoder || !Array.isArray(decoder.fields)) return result;
+
+    if (!dataView) {
+        result.errors.push(t('decoder.noPayload'));
+        return result;
+    }
+
+    for (const field of decoder.fields) {
+        try {
+            const value = readField(dataView, field);
+            result.fields.push({
+                name: field.name,
+                label: field.labelKey ? t(field.labelKey) : field.label || field.name,
+                value: value,
+                text: formatValue(value, field),
+                showOnTile: field.showOnTile !== false
+            });
+        } catch (e) {
+            result.errors.push(e.message);
+        }
+    }
+    return result;
+}
@@ -0,0 +1,229 @@
+// payloadTimeline.js
+// Verlauf der unterschiedlichen Payloads je Fahrzeug ('asset.payloadTimeline').
+// Ein neuer Eintrag entsteht nur, wenn sich mindestens ein Byte gegenüber dem
+// vorherigen Payload ändert; Wiederholungen zählen nur 'count' und 'lastSeen' hoch.
+// Der Inspektor zeigt den Verlauf mit hervorgehobenen geänderten Bytes.
+//
+// Beacons, die abwechselnd verschiedene Frames senden (Eddystone UID/TLM/URL),
+// werden je Frame-Typ verglichen: Ein Wechsel des Frames ist keine Änderung,
+// verglichen wird mit dem letzten Payload desselben Frames.
+//
+// Ist der Verlauf voll, fällt der älteste Eintrag weg, der nicht der neueste seines
+// Frames ist. So bleibt jedem Frame ein Vergleichswert, auch wenn ein anderer Frame
+// (z.B. Eddystone-TLM mit Paketzähler) bei jedem Paket einen Eintrag erzeugt.
+//
+// Ändert sich ein Byte in einem Bereich aus CONFIG.PAYLOAD_TIMELINE.WATCHES,
+// werden die Callbacks aus onPayloadChange aufgerufen.
+//
+// Ein Eintrag: { t, lastSeen, count, bytes, changed, frame }
+//   t        - erster Empfang dieses Payloads (ms)
+//   lastSeen - letzter Empfang vor der nächsten Änderung (ms)
+//   bytes    - Uint8Array
+//   changed  - Indizes der Bytes, die sich gegenüber dem vorherigen Eintrag (desselben Frames) geändert haben
+//   frame    - Frame-Typ bei Beacons (z.B. 'uid', 'tlm'), sonst null
+
+import { CONFIG } from './config.js';
+import { createLogger } from './errorManager.js';
+import { profileUsesDecoder } from './profiles.js';
+import { t, formatTime } from './i18n.js';
+
+const { warn } = createLogger('payloadTimeline');
+
+const listeners = [];
+
+/**
+ * Registriert einen Callback für Änderungen in einem überwachten Byte-Bereich.
+ * @param {function} callback - ({ watch, asset, t, previous, current, changed }) => void
+ *   previous/current sind die Bytes (Uint8Array), changed die geänderten Indizes im Bereich.
+ */
+export function onPayloadChange(callback) {
+    listeners.push(callback);
+}
+
+function emit(change) {
+    for (const callback of listeners) {
+        try {
+            callback(change);
+        } catch (e) {
+            warn(t('timeline.callbackFailed', { message: e.message }));
+        }
+    }
+}
+
+/**
+ * Vergleicht zwei Payloads Byte für Byte. Bytes, die nur in einem der beiden
+ * vorkommen (andere Länge), gelten als geändert.
+ * @param {Uint8Array} previous
+ * @param {Uint8Array} current
+ * @returns {Array<number>} - Indizes der geänderten Bytes.
+ */
+export function diffBytes(previous, current) {
+    const changed = [];
+    const length = Math.max(previous.length, current.length);
+    for (let i = 0; i < length; i++) {
+        if (previous[i] !== current[i]) changed.push(i);
+    }
+    return changed;
+}
+
+/**
+ * Nimmt einen empfangenen Payload in den Verlauf des Assets auf.
+ * @param {object} asset - FtsAsset mit 'payloadTimeline' (Array).
+ * @param {Uint8Array} bytes
+ * @param {number} t - Empfangszeit (ms).
+ * @param {string|null} [frame] - Frame-Typ (siehe parseBeacon), sonst null.
+ * @returns {boolean} - true, wenn sich der Payload geändert hat (neuer Eintrag).
+ */
+export function recordPayload(asset, bytes, t, frame = null) {
+    const timeline = asset.payloadTimeline;
+    const last = findLastOfFrame(timeline, timeline.length, frame);
+    const changed = last ? diffBytes(last.bytes, bytes) : [];
+    if (last && changed.length === 0) {
+        last.lastSeen = t;
+        last.count++;
+        return false;
+    }
+
+    timeline.push({ t: t, lastSeen: t, count: 1, bytes: bytes, changed: changed, frame: frame });
+    if (timeline.length > CONFIG.PAYLOAD_TIMELINE.MAX_ENTRIES) timeline.splice(findEvictable(timeline), 1);
+
+    if (last) checkWatches(asset, last.bytes, bytes, changed, t);
+    return true;
+}
+
+/**
+ * Letzter Eintrag vor 'end' mit demselben Frame-Typ.
+ * @param {Array} timeline
+ * @param {number} end - Index, vor dem gesucht wird.
+ * @param {string|null} frame
+ * @returns {object|undefined}
+ */
+function findLastOfFrame(timeline, end, frame) {
+    for (let i = end - 1; i >= 0; i--) {
+        if ((timeline[i].frame ?? null) === frame) return timeline[i];
+    }
+    return undefined;
+}
+
+/**
+ * Index des Eintrags, der bei vollem Verlauf entfernt wird: der älteste, von
+ * dessen Frame es noch einen neueren Eintrag gibt.
+ * @param {Array} timeline
+ * @returns {number}
+ */
+function findEvictable(timeline) {
+    const seenFrames = new Set();
+    let index = 0;
+    for (let i = timeline.length - 1; i >= 0; i--) {
+        const frame = timeline[i].frame ?? null;
+        if (seenFrames.has(frame)) index = i;
+        else seenFrames.add(frame);
+    }
+    return index;
+}
+
+/**
+ * Löst für jeden betroffenen Bereich aus CONFIG.PAYLOAD_TIMELINE.WATCHES ein Ereignis aus.
+ */
+function checkWatches(asset, previous, current, changed, t) {
+    for (const watch of CONFIG.PAYLOAD_TIMELINE.WATCHES) {
+        const scope = watch.scope || {};
+        if (scope.deviceId && scope.deviceId !== asset.id) continue;
+        if (scope.profileName && scope.profileName !== asset.profileName) continue;
+        if (scope.decoder && !profileUsesDecoder(asset.profileName, scope.decoder)) continue;
+
+        const mask = typeof watch.mask === 'number' ? watch.mask : 0xFF;
+        const inRange = changed.filter(i => i >= watch.from && i <= watch.to
+            && ((previous[i] ?? 0) & mask) !== ((current[i] ?? 0) & mask));
+        if (inRange.length === 0) continue;
+
+        emit({ watch: watch, asset: asset, t: t, previous: previous, current: current, changed: inRange });
+    }
+}
+
+/**
+ * Formatiert ein Byte zweistellig in Hex (wie die Rohdaten im Inspektor).
+ * @param {number} byte
+ * @returns {string}
+ */
+export function formatByte(byte) {
+    return byte.toString(16).toUpperCase().padStart(2, '0');
+}
+
+/**
+ * Beschreibt die geänderten Bytes eines Ereignisses, z.B. "Byte 1: 01 → 02".
+ * @param {object} change - Siehe onPayloadChange.
+ * @returns {string}
+ */
+export function formatPayloadChange({ previous, current, changed }) {
+    return changed
+        .map(i => t('timeline.byteChange', {
+            index: i,
+            previous: i < previous.length ? formatByte(previous[i]) : '–',
+            current: i < current.length ? formatByte(current[i]) : '–'
+        }))
+        .join(', ');
+}
+
+/**
+ * Zeigt den Verlauf im Inspektor an (neuester Eintrag oben). Geänderte Bytes
+ * sind hervorgehoben, der vorherige Wert steht im Tooltip.
+ * @param {HTMLElement} container
+ * @param {Array} timeline - 'asset.payloadTimeline'.
+ */
+export function renderPayloadTimeline(container, timeline) {
+    container.replaceChildren();
+    if (timeline.length === 0) {
+        container.textContent = t('timeline.empty');
+        return;
+    }
+
+    for (let index = timeline.length - 1; index >= 0; index--) {
+        const entry = timeline[index];
+        const previousEntry = findLastOfFrame(timeline, index, entry.frame ?? null);
+        const previous = previousEntry ? previousEntry.bytes : null;
+
+        const row = document.createElement('div');
+        row.className = 'payload-entry';
+
+        const time = document.createElement('span');
+        time.className = 'payload-time';
+        time.textContent = formatTime(entry.t);
+        time.title = entry.count > 1
+            ? t('timeline.packetsUntil', { count: entry.count, time: formatTime(entry.lastSeen) })
+            : t('timeline.singlePacket');
+        row.appendChild(time);
+
+        if (entry.frame) {
+            const frame = document.createElement('span');
+            frame.className = 'payload-frame';
+            frame.textContent = entry.frame.toUpperCase();
+            row.appendChild(frame);
+        }
+
+        const bytesElement = document.createElement('span');
+        bytesElement.className = 'payload-bytes';
+        entry.bytes.forEach((byte, i) => {
+            const span = document.createElement('span');
+            span.textContent = formatByte(byte);
+            if (entry.changed.includes(i)) {
+                span.className = 'byte-changed';
+                span.title = previous && i < previous.length
+                    ? t('timeline.bytePrevious', { index: i, previous: formatByte(previous[i]) })
+                    : t('timeline.byteNew', { index: i });
+            }
+            bytesElement.appendChild(span);
+        });
+        // Kürzerer Payload: weggefallene Bytes vermerken
+        if (previous && previous.length > entry.bytes.length) {
+            const removed = document.createElement('span');
+            removed.className = 'byte-changed';
+            const count = previous.length - entry.bytes.length;
+            removed.textContent = t('timeline.bytesRemoved', { count: count });
+            bytesElement.appendChild(removed);
+        }
+        row.appendChild(bytesElement);
+
+        container.appendChild(row);
+    }
+}
@@ -0,0 +1,309 @@
+// profileEditor.js
+// Dialog zum Bearbeiten der FTS-Profile zur Laufzeit (siehe profiles.js).
+// Profile können angelegt, bearbeitet, (de)aktiviert, gelöscht sowie als
+// JSON exportiert und importiert werden. Die Scanfilter werden beim Start
+// des Scans gebaut, Änderungen gelten daher ab dem nächsten Scan-Start.
+
+import { createLogger } from './errorManager.js';
+import { CONFIG } from './config.js';
+import { downloadFile, readFileAsText, fileTimestamp } from './fileUtils.js';
+import {
+    getAllProfiles, saveProfile, setProfileEnabled, deleteProfile, resetProfiles,
+    validateProfile, exportProfiles, importProfiles, onProfilesChange
+} from './profiles.js';
+import { isBeaconType, getBeaconCarrier } from './beaconFormats.js';
+import { t, onLocaleChange } from './i18n.js';
+
+const { log, warn, error } = createLogger('profileEditor');
+
+let app = null; // Hooks aus app.js ({ isScanning })
+let editingId = null; // ID des Profils im Formular (null = neues Profil)
+
+// DOM-Referenzen
+let profilesModal, profilesList, profileForm, formTitle, formErrors;
+let inputName, inputType, inputUuid, inputCompanyId, inputNamePrefix, inputDataPrefix, inputMask, inputMinRssi, inputDecoder;
+let inputBeaconUuid, inputMajor, inputMinor, inputNamespace;
+
+/**
+ * Initialisiert den Profil-Dialog.
+ * @param {object} hooks
+ * @param {function} hooks.isScanning - Liefert true, solange ein Scan läuft.
+ */
+export function initProfileEditor(hooks) {
+    app = hooks;
+    profilesModal = document.getElementById('profiles-modal');
+    profilesList = document.getElementById('profiles-list');
+    profileForm = document.getElementById('profile-form');
+    formTitle = document.getElementById('profile-form-title');
+    formErrors = document.getElementById('profile-form-errors');
+    inputName = document.getElementById('profile-name');
+    inputType = document.getElementById('profile-type');
+    inputUuid = document.getElementById('profile-uuid');
+    inputCompanyId = document.getElementById('profile-company-id');
+    inputNamePrefix = document.getElementById('profile-name-prefix');
+    inputDataPrefix = document.getElementById('profile-data-prefix');
+    inputMask = document.getElementById('profile-mask');
+    inputMinRssi = document.getElementById('profile-min-rssi');
+    inputDecoder = document.getElementById('profile-decoder');
+    inputBeaconUuid = document.getElementById('profile-beacon-uuid');
+    inputMajor = document.getElementById('profile-major');
+    inputMinor = document.getElementById('profile-minor');
+    inputNamespace = document.getElementById('profile-namespace');
+
+    // Decoder-Auswahl aus CONFIG.PAYLOAD_DECODERS
+    inputDecoder.appendChild(new Option(t('profiles.noDecoder'), ''));
+    for (const name of Object.keys(CONFIG.PAYLOAD_DECODERS)) {
+        inputDecoder.appendChild(new Option(name, name));
+    }
+
+    document.getElementById('btn-profiles').addEventListener('click', showProfilesModal);
+    document.getElementById('btn-close-profiles').addEventListener('click', () => profilesModal.classList.add('modal-hidden'));
+    document.getElementById('btn-profile-new').addEventListener('click', () => openForm(null));
+    document.getElementById('btn-profile-save').addEventListener('click', submitForm);
+    document.getElementById('btn-profile-cancel').addEventListener('click', closeForm);
+    document.getElementById('btn-profiles-export').addEventListener('click', exportCollection);
+    document.getElementById('btn-profiles-reset').addEventListener('click', resetAll);
+    inputType.addEventListener('change', updateTypeFields);
+
+    const importInput = document.getElementById('profiles-import-file');
+    importInput.addEventListener('change', async () => {
+        const file = importInput.files[0];
+        if (!file) return;
+        await importCollection(file);
+        importInput.value = ''; // Dieselbe Datei erneut wählbar machen
+    });
+
+    onProfilesChange(() => {
+        if (!profilesModal.classList.contains('modal-hidden')) renderProfileList();
+        if (app.isScanning()) log(t('profiles.changedWhileScanning'));
+    });
+
+    onLocaleChange(() => {
+        inputDecoder.options[0].text = t('profiles.noDecoder');
+        if (!profileForm.hidden) renderFormTitle();
+        if (!profilesModal.classList.contains('modal-hidden')) renderProfileList();
+    });
+}
+
+function showProfilesModal() {
+    closeForm();
+    renderProfileList();
+    profilesModal.classList.remove('modal-hidden');
+}
+
+/**
+ * Baut die Profilliste neu auf.
+ */
+function renderProfileList() {
+    profilesList.replaceChildren();
+    const profiles = getAllProfiles();
+
+    if (profiles.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'session-empty';
+        empty.textContent = t('profiles.empty');
+        profilesList.appendChild(empty);
+        return;
+    }
+
+    for (const profile of profiles) {
+        const item = document.createElement('li');
+        item.className = 'session-item profile-item';
+
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        toggle.checked = profile.enabled !== false;
+        toggle.title = t('profiles.enabled');
+        toggle.addEventListener('change', () => setProfileEnabled(profile.id, toggle.checked));
+
+        const info = document.createElement('span');
+        info.textContent = `${profile.profileName || profile.id} · ${describeFilter(profile)} · ${t(`profiles.origin.${profile.origin}`)}`;
+
+        const problems = validateProfile(profile);
+        if (problems.length > 0) {
+            item.classList.add('profile-invalid');
+            info.title = problems.join('\n');
+        }
+
+        const btnEdit = document.createElement('button');
+        btnEdit.textContent = t('profiles.edit');
+        btnEdit.addEventListener('click', () => openForm(profile));
+
+        const btnDelete = document.createElement('button');
+        btnDelete.textContent = t(profile.origin === 'custom' ? 'profiles.delete' : 'profiles.hide');
+        btnDelete.className = 'btn-danger';
+        btnDelete.addEventListener('click', () => {
+            const question = profile.origin === 'custom' ? 'profiles.confirmDelete' : 'profiles.confirmHide';
+            if (!confirm(t(question, { name: profile.profileName }))) return;
+            deleteProfile(profile.id);
+            if (editingId === profile.id) closeForm();
+        });
+
+        item.append(toggle, info, btnEdit, btnDelete);
+        profilesList.appendChild(item);
+    }
+}
+
+/**
+ * Kurzbeschreibung des Filters für die Liste.
+ * @param {object} profile
+ * @returns {string}
+ */
+function describeFilter(profile) {
+    const parts = [];
+    if (profile.type === 'service') {
+        parts.push(`Service ${profile.uuid}`);
+    } else if (profile.type === 'manufacturer') {
+        parts.push(t('profiles.filter.manufacturer', { id: formatCompanyId(profile.companyId) }));
+    } else {
+        const label = { ibeacon: "iBeacon", eddystone: "Eddystone", altbeacon: "AltBeacon" }[profile.type] || profile.type;
+        parts.push(profile.type === 'altbeacon' ? `${label} ${formatCompanyId(getBeaconCarrier(profile).companyId)}` : label);
+        if (profile.beaconUuid) parts.push(`UUID ${profile.beaconUuid}`);
+        if (Number.isInteger(profile.major)) parts.push(`Major ${profile.major}`);
+        if (Number.isInteger(profile.minor)) parts.push(`Minor ${profile.minor}`);
+        if (profile.namespace) parts.push(`Namespace ${profile.namespace}`);
+    }
+    if (profile.namePrefix) parts.push(t('profiles.filter.name', { prefix: profile.namePrefix }));
+    if (profile.dataPrefix) parts.push(t('profiles.filter.data', { prefix: `${profile.dataPrefix}${profile.mask ? ` / ${profile.mask}` : ''}` }));
+    if (typeof profile.minRssi === 'number') parts.push(t('profiles.filter.minRssi', { rssi: profile.minRssi }));
+    return parts.join(', ');
+}
+
+function formatCompanyId(companyId) {
+    return Number.isInteger(companyId) ? `0x${companyId.toString(16).toUpperCase().padStart(4, '0')}` : '?';
+}
+
+/**
+ * Öffnet das Formular für ein bestehendes oder neues Profil.
+ * @param {object|null} profile
+ */
+function openForm(profile) {
+    editingId = profile ? profile.id : null;
+    renderFormTitle();
+    inputName.value = profile ? profile.profileName : '';
+    inputType.value = profile ? profile.type : 'service';
+    inputUuid.value = profile && profile.uuid ? profile.uuid : '';
+    inputCompanyId.value = profile && Number.isInteger(profile.companyId) ? formatCompanyId(profile.companyId) : '';
+    inputBeaconUuid.value = profile && profile.beaconUuid ? profile.beaconUuid : '';
+    inputMajor.value = profile && Number.isInteger(profile.major) ? profile.major : '';
+    inputMinor.value = profile && Number.isInteger(profile.minor) ? profile.minor : '';
+    inputNamespace.value = profile && profile.namespace ? profile.namespace : '';
+    inputNamePrefix.value = profile && profile.namePrefix ? profile.namePrefix : '';
+    inputDataPrefix.value = profile && profile.dataPrefix ? profile.dataPrefix : '';
+    inputMask.value = profile && profile.mask ? profile.mask : '';
+    inputMinRssi.value = profile && typeof profile.minRssi === 'number' ? profile.minRssi : '';
+    // Inline definierte Decoder (Objekt statt Name) bleiben beim Speichern erhalten
+    inputDecoder.value = profile && typeof profile.decoder === 'string' ? profile.decoder : '';
+    inputDecoder.disabled = Boolean(profile && profile.decoder && typeof profile.decoder !== 'string');
+    formErrors.textContent = '';
+    updateTypeFields();
+    profileForm.hidden = false;
+}
+
+function renderFormTitle() {
+    const profile = editingId ? getAllProfiles().find(p => p.id === editingId) : null;
+    formTitle.textContent = profile ? t('profiles.editTitle', { name: profile.profileName }) : t('profiles.newTitle');
+}
+
+function closeForm() {
+    editingId = null;
+    profileForm.hidden = true;
+}
+
+function updateTypeFields() {
+    const type = inputType.value;
+    const show = (input, visible) => { input.closest('.inspector-group').hidden = !visible; };
+    show(inputUuid, type === 'service');
+    show(inputCompanyId, type === 'manufacturer' || type === 'altbeacon');
+    show(inputBeaconUuid, type === 'ibeacon' || type === 'altbeacon');
+    show(inputMajor, type === 'ibeacon' || type === 'altbeacon');
+    show(inputMinor, type === 'ibeacon' || type === 'altbeacon');
+    show(inputNamespace, type === 'eddystone');
+    // Beacon-Formate werden vom eingebauten Parser dekodiert
+    show(inputDecoder, !isBeaconType(type));
+}
+
+/**
+ * Übernimmt das Formular. Felder, die der Editor nicht kennt (z.B.
+ * 'calibration', 'simulatorPayload'), bleiben beim Bearbeiten erhalten.
+ */
+function submitForm() {
+    const existing = editingId ? getAllProfiles().find(p => p.id === editingId) : null;
+    const profile = { ...(existing || { enabled: true }) };
+    profile.profileName = inputName.value.trim();
+    profile.type = inputType.value;
+
+    const type = profile.type;
+    if (type === 'service') {
+        profile.uuid = inputUuid.value.trim().toLowerCase();
+    } else {
+        delete profile.uuid;
+    }
+    const companyIdText = inputCompanyId.value.trim();
+    if (type === 'manufacturer' || (type === 'altbeacon' && companyIdText)) {
+        profile.companyId = /^(0x)?[0-9a-f]{1,4}$/i.test(companyIdText) ? parseInt(companyIdText.replace(/^0x/i, ''), 16) : NaN;
+    } else {
+        delete profile.companyId;
+    }
+
+    // Beacon-Filter (nur die zum Typ passenden Felder übernehmen)
+    const hasBeaconId = type === 'ibeacon' || type === 'altbeacon';
+    setOptional(profile, 'beaconUuid', hasBeaconId ? inputBeaconUuid.value.trim().toLowerCase() : '');
+    setOptionalNumber(profile, 'major', hasBeaconId ? inputMajor.value : '');
+    setOptionalNumber(profile, 'minor', hasBeaconId ? inputMinor.value : '');
+    setOptional(profile, 'namespace', type === 'eddystone' ? inputNamespace.value.replace(/\s/g, '').toUpperCase() : '');
+
+    setOptional(profile, 'namePrefix', inputNamePrefix.value);
+    setOptional(profile, 'dataPrefix', inputDataPrefix.value.trim().toUpperCase());
+    setOptional(profile, 'mask', inputMask.value.trim().toUpperCase());
+    if (inputMinRssi.value.trim() === '') delete profile.minRssi;
+    else profile.minRssi = Number(inputMinRssi.value);
+    if (isBeaconType(type)) delete profile.decoder;
+    else if (!inputDecoder.disabled) setOptional(profile, 'decoder', inputDecoder.value);
+
+    try {
+        const saved = saveProfile(profile);
+        log(t('profiles.saved', { name: saved.profileName }));
+        closeForm();
+    } catch (e) {
+        formErrors.textContent = e.message;
+    }
+}
+
+function setOptional(profile, key, value) {
+    if (value) profile[key] = value;
+    else delete profile[key];
+}
+
+function setOptionalNumber(profile, key, text) {
+    if (String(text).trim() === '') delete profile[key];
+    else profile[key] = Number(text);
+}
+
+function exportCollection() {
+    downloadFile(`fleetview-profile_${fileTimestamp()}.json`, exportProfiles(), 'application/json');
+    log(t('profiles.exported'));
+}
+
+/**
+ * Importiert eine Profil-Sammlung aus einer JSON-Datei.
+ * @param {File} file
+ */
+async function importCollection(file) {
+    try {
+        const result = importProfiles(await readFileAsText(file));
+        log(t('profiles.imported', { count: result.imported }));
+        for (const skipped of result.skipped) {
+            warn(t('profiles.importSkipped', { name: skipped.name, problems: skipped.errors }));
+        }
+    } catch (e) {
+        error(t('profiles.importFailed', { message: e.message }));
+    }
+}
+
+function resetAll() {
+    if (!confirm(t('profiles.confirmReset'))) return;
+    resetProfiles();
+    closeForm();
+    log(t('profiles.reset'));
+}
@@ -0,0 +1,377 @@
+// profiles.js
+// Verwaltung der FTS-Profile zur Laufzeit.
+// config.js liefert die Standard-Profile (CONFIG.FTS_PROFILES). Änderungen aus
+// dem Profil-Editor werden als Schicht darüber im localStorage gespeichert:
+//   - bearbeitete Standard-Profile ersetzen das Original (gleiche 'id')
+//   - eigene Profile werden angehängt
+//   - gelöschte Standard-Profile werden nur ausgeblendet (wiederherstellbar)
+// Alle Module lesen die Profile über getActiveProfiles()/getAllProfiles().
+// Die Filter eines Profils werden zweimal angewendet: als Web-Bluetooth-Scanfilter
+// (buildScanFilter) und in Software (matchProfile), da Browser Teile des Filters
+// ignorieren können und es für die Mindest-Signalstärke keinen Scanfilter gibt.
+
+import { CONFIG } from './config.js';
+import { isBeaconType, validateBeaconProfile, buildBeaconScanFilter, getBeaconData, matchesBeaconFilter } from './beaconFormats.js';
+import { t } from './i18n.js';
+
+const STORAGE_KEY = 'fts_profiles';
+const EXPORT_FORMAT = 'fleetview-profiles';
+
+let activeCache = null; // Zwischenspeicher, da getActiveProfiles() bei jedem Paket aufgerufen wird
+const changeListeners = [];
+
+/**
+ * Liefert die ID eines Profils (Standard-Profile ohne 'id' verwenden ihren Namen).
+ * @param {object} profile
+ * @returns {string}
+ */
+function profileId(profile) {
+    return profile.id || profile.profileName;
+}
+
+function loadLayer() {
+    try {
+        const layer = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (layer && Array.isArray(layer.profiles)) {
+            return { profiles: layer.profiles, deleted: layer.deleted || [] };
+        }
+    } catch (e) {
+        // Beschädigter Eintrag: nur die Standard-Profile verwenden
+    }
+    return { profiles: [], deleted: [] };
+}
+
+function saveLayer(layer) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(layer));
+    activeCache = null;
+    for (const callback of changeListeners) callback();
+}
+
+/**
+ * Registriert einen Callback, der nach jeder Änderung der Profile aufgerufen wird.
+ * @param {function} callback
+ */
+export function onProfilesChange(callback) {
+    changeListeners.push(callback);
+}
+
+/**
+ * Alle Profile (auch deaktivierte) in Anzeige-Reihenfolge.
+ * @returns {Array<object>} - Profile mit 'id', 'enabled' und 'origin' ('config', 'edited', 'custom').
+ */
+export function getAllProfiles() {
+    const layer = loadLayer();
+    const stored = new Map(layer.profiles.map(p => [p.id, p]));
+    const result = [];
+
+    for (const profile of CONFIG.FTS_PROFILES) {
+        const id = profileId(profile);
+        if (layer.deleted.includes(id)) continue;
+        if (stored.has(id)) {
+            result.push({ ...stored.get(id), id, origin: 'edited' });
+            stored.delete(id);
+        } else {
+            result.push({ enabled: true, ...profile, id, origin: 'config' });
+        }
+    }
+    for (const profile of stored.values()) {
+        result.push({ ...profile, origin: 'custom' });
+    }
+    return result;
+}
+
+/**
+ * Die aktiven (aktivierten und gültigen) Profile für Scan und Auswertung.
+ * @returns {Array<object>}
+ */
+export function getActiveProfiles() {
+    if (!activeCache) {
+        activeCache = getAllProfiles().filter(p => p.enabled !== false && validateProfile(p).length === 0);
+    }
+    return activeCache;
+}
+
+/**
+ * true, wenn das (aktive) Profil mit diesem Namen den Decoder verwendet.
+ * Für Regeln, die sich auf ein Byte-Layout beziehen (scope: { decoder }).
+ * @param {string} profileName
+ * @param {string} decoder - Name aus CONFIG.PAYLOAD_DECODERS.
+ * @returns {boolean}
+ */
+export function profileUsesDecoder(profileName, decoder) {
+    const profile = getActiveProfiles().find(p => p.profileName === profileName);
+    return Boolean(profile && profile.decoder === decoder);
+}
+
+/**
+ * Speichert ein neues oder bearbeitetes Profil.
+ * @param {object} profile - Mit 'id' (Bearbeiten) oder ohne (Neu).
+ * @returns {object} - Das gespeicherte Profil.
+ * @throws {Error} - Wenn das Profil ungültig ist.
+ */
+export function saveProfile(profile) {
+    const cleaned = { ...profile };
+    delete cleaned.origin;
+    if (!cleaned.id) cleaned.id = `profil-${Date.now().toString(36)}`;
+
+    const errors = validateProfile(cleaned, getAllProfiles().filter(p => p.id !== cleaned.id));
+    if (errors.length > 0) throw new Error(errors.join(' '));
+
+    const layer = loadLayer();
+    layer.profiles = layer.profiles.filter(p => p.id !== cleaned.id);
+    layer.profiles.push(cleaned);
+    layer.deleted = layer.deleted.filter(id => id !== cleaned.id);
+    saveLayer(layer);
+    return cleaned;
+}
+
+/**
+ * Aktiviert oder deaktiviert ein Profil.
+ * @param {string} id
+ * @param {boolean} enabled
+ */
+export function setProfileEnabled(id, enabled) {
+    const profile = getAllProfiles().find(p => p.id === id);
+    if (!profile) return;
+    const layer = loadLayer();
+    layer.profiles = layer.profiles.filter(p => p.id !== id);
+    const stored = { ...profile, enabled };
+    delete stored.origin;
+    layer.profiles.push(stored);
+    saveLayer(layer);
+}
+
+/**
+ * Löscht ein Profil. Standard-Profile aus config.js werden nur ausgeblendet.
+ * @param {string} id
+ */
+export function deleteProfile(id) {
+    const layer = loadLayer();
+    layer.profiles = layer.profiles.filter(p => p.id !== id);
+    if (CONFIG.FTS_PROFILES.some(p => profileId(p) === id) && !layer.deleted.includes(id)) {
+        layer.deleted.push(id);
+    }
+    saveLayer(layer);
+}
+
+/**
+ * Verwirft alle lokalen Änderungen (zurück zu config.js).
+ */
+export function resetProfiles() {
+    localStorage.removeItem(STORAGE_KEY);
+    activeCache = null;
+    for (const callback of changeListeners) callback();
+}
+
+/**
+ * Prüft ein Profil auf Vollständigkeit und gültige Werte.
+ * @param {object} profile
+ * @param {Array<object>} [others] - Andere Profile (für die Prüfung auf doppelte Namen).
+ * @returns {Array<string>} - Fehlermeldungen (leer = gültig).
+ */
+export function validateProfile(profile, others = []) {
+    const errors = [];
+    if (!profile.profileName || !profile.profileName.trim()) {
+        errors.push(t('profiles.invalid.nameMissing'));
+    } else if (others.some(p => p.profileName === profile.profileName)) {
+        errors.push(t('profiles.invalid.nameTaken', { name: profile.profileName }));
+    }
+
+    if (profile.type === 'service') {
+        if (!isValidUuid(profile.uuid)) {
+            errors.push(t('profiles.invalid.uuid'));
+        }
+    } else if (profile.type === 'manufacturer') {
+        if (!Number.isInteger(profile.companyId) || profile.companyId < 0 || profile.companyId > 0xffff) {
+            errors.push(t('profiles.invalid.companyId'));
+        }
+    } else if (isBeaconType(profile.type)) {
+        errors.push(...validateBeaconProfile(profile));
+    } else {
+        errors.push(t('profiles.invalid.type', { type: profile.type }));
+    }
+
+    if (profile.namePrefix !== undefined && typeof profile.namePrefix !== 'string') {
+        errors.push(t('profiles.invalid.namePrefix'));
+    }
+    if (profile.minRssi !== undefined && !(Number.isFinite(profile.minRssi) && profile.minRssi >= -127 && profile.minRssi <= 0)) {
+        errors.push(t('profiles.invalid.minRssi'));
+    }
+    if (profile.dataPrefix) {
+        const prefix = parseHexBytes(profile.dataPrefix);
+        if (!prefix) errors.push(t('profiles.invalid.dataPrefix'));
+        if (profile.mask) {
+            const mask = parseHexBytes(profile.mask);
+            if (!mask) errors.push(t('profiles.invalid.mask'));
+            else if (prefix && mask.length !== prefix.length) errors.push(t('profiles.invalid.maskLength'));
+        }
+    } else if (profile.mask) {
+        errors.push(t('profiles.invalid.maskWithoutPrefix'));
+    }
+    if (profile.decoder && typeof profile.decoder === 'string' && !CONFIG.PAYLOAD_DECODERS[profile.decoder]) {
+        errors.push(t('profiles.invalid.decoder', { name: profile.decoder }));
+    }
+    if (profile.gatt) {
+        const characteristics = profile.gatt.characteristics;
+        if (!Array.isArray(characteristics)) {
+            errors.push(t('profiles.invalid.gattList'));
+        } else {
+            characteristics.forEach((entry, i) => {
+                if (!isValidUuid(entry.service) || !isValidUuid(entry.characteristic)) {
+                    errors.push(t('profiles.invalid.gattUuid', { n: i + 1 }));
+                }
+                if (!entry.label && !entry.labelKey) errors.push(t('profiles.invalid.gattLabel', { n: i + 1 }));
+            });
+        }
+    }
+    return errors;
+}
+
+/**
+ * Prüft eine Service-UUID (16-Bit-Kurzform als "0x..." oder 128-Bit-UUID).
+ * @param {string} uuid
+ * @returns {boolean}
+ */
+function isValidUuid(uuid) {
+    if (typeof uuid !== 'string') return false;
+    return /^0x[0-9a-f]{4}$/i.test(uuid) ||
+        /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(uuid);
+}
+
+/**
+ * Wandelt einen Hex-String ("01 A2 ff" oder "01a2ff") in Bytes um.
+ * @param {string} text
+ * @returns {Uint8Array|null} - null bei ungültiger Eingabe.
+ */
+export function parseHexBytes(text) {
+    const hex = String(text).replace(/^0x/i, '').replace(/[\s:-]/g, '');
+    if (hex.length === 0 || hex.length % 2 !== 0 || !/^[0-9a-f]+$/i.test(hex)) return null;
+    return Uint8Array.from(hex.match(/../g), byte => parseInt(byte, 16));
+}
+
+/**
+ * Baut den Web-Bluetooth-Scanfilter für ein Profil.
+ * @param {object} profile
+ * @returns {object} - Filter für requestLEScan({ filters: [...] }).
+ */
+export function buildScanFilter(profile) {
+    // Beacon-Formate bringen ihren eigenen Filter mit (ein Daten-Präfix prüft nur matchProfile)
+    if (isBeaconType(profile.type)) {
+        const filter = buildBeaconScanFilter(profile);
+        if (profile.namePrefix) filter.namePrefix = profile.namePrefix;
+        return filter;
+    }
+
+    const filter = {};
+    const dataFilter = {};
+    if (profile.dataPrefix) {
+        dataFilter.dataPrefix = parseHexBytes(profile.dataPrefix);
+        if (profile.mask) dataFilter.mask = parseHexBytes(profile.mask);
+    }
+
+    if (profile.type === 'service') {
+        filter.services = [profile.uuid];
+        if (profile.dataPrefix) filter.serviceData = [{ service: profile.uuid, ...dataFilter }];
+    } else {
+        // Das Format für manufacturerData ist [{ companyIdentifier: ID }]
+        filter.manufacturerData = [{ companyIdentifier: profile.companyId, ...dataFilter }];
+    }
+    if (profile.namePrefix) filter.namePrefix = profile.namePrefix;
+    return filter;
+}
+
+/**
+ * Prüft ein Advertisement in Software gegen die Filter eines Profils.
+ * Reihenfolge der Prüfungen: Daten vorhanden > Namens-Präfix > Daten-Präfix/Maske
+ * > Beacon-Kennung > Mindest-RSSI.
+ * @param {object} profile
+ * @param {object} event - 'advertisementreceived'-Event (oder gleich aufgebautes Objekt).
+ * @returns {object} - { dataView } bei Treffer, sonst { reason } mit
+ *   'no-data', 'name-prefix', 'data-prefix', 'beacon-id' oder 'rssi-floor'.
+ */
+export function matchProfile(profile, event) {
+    let dataView = null;
+    if (isBeaconType(profile.type)) {
+        dataView = getBeaconData(profile, event);
+    } else if (profile.type === 'service' && event.serviceData.has(profile.uuid)) {
+        dataView = event.serviceData.get(profile.uuid);
+    } else if (profile.type === 'manufacturer' && event.manufacturerData.has(profile.companyId)) {
+        dataView = event.manufacturerData.get(profile.companyId);
+    }
+    if (!dataView) return { reason: 'no-data' };
+
+    if (profile.namePrefix) {
+        const name = event.name || (event.device && event.device.name) || '';
+        if (!name.startsWith(profile.namePrefix)) return { reason: 'name-prefix' };
+    }
+    if (profile.dataPrefix && !matchesDataPrefix(dataView, profile.dataPrefix, profile.mask)) {
+        return { reason: 'data-prefix' };
+    }
+    if (isBeaconType(profile.type) && !matchesBeaconFilter(profile, dataView)) {
+        return { reason: 'beacon-id' };
+    }
+    if (typeof profile.minRssi === 'number' && !(event.rssi >= profile.minRssi)) {
+        return { reason: 'rssi-floor' };
+    }
+    return { dataView };
+}
+
+/**
+ * Vergleicht den Anfang der Daten mit dem Präfix (bitweise über die Maske,
+ * wie beim Web-Bluetooth-Filter: ohne Maske zählen alle Bits).
+ * @param {DataView} dataView
+ * @param {string} dataPrefix - Hex, z.B. "01 A2"
+ * @param {string} [mask] - Hex, gleiche Länge wie dataPrefix
+ * @returns {boolean}
+ */
+function matchesDataPrefix(dataView, dataPrefix, mask) {
+    const prefix = parseHexBytes(dataPrefix);
+    const maskBytes = mask ? parseHexBytes(mask) : null;
+    if (!prefix || dataView.byteLength < prefix.length) return false;
+    for (let i = 0; i < prefix.length; i++) {
+        const m = maskBytes ? maskBytes[i] : 0xff;
+        if ((dataView.getUint8(i) & m) !== (prefix[i] & m)) return false;
+    }
+    return true;
+}
+
+/**
+ * Erstellt den Export der Profil-Sammlung (alle Profile inkl. deaktivierter).
+ * @returns {string} - JSON
+ */
+export function exportProfiles() {
+    return JSON.stringify({
+        format: EXPORT_FORMAT,
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        profiles: getAllProfiles().map(profile => {
+            const copy = { ...profile };
+            delete copy.origin;
+            return copy;
+        })
+    }, null, 2);
+}
+
+/**
+ * Importiert eine Profil-Sammlung. Profile mit gleicher ID werden ersetzt,
+ * alle übrigen lokalen Profile bleiben erhalten. Ungültige Profile werden übersprungen.
+ * @param {string} text - JSON aus exportProfiles().
+ * @returns {object} - { imported, skipped: [{ name, errors }] }
+ */
+export function importProfiles(text) {
+    const data = JSON.parse(text);
+    if (data.format !== EXPORT_FORMAT || !Array.isArray(data.profiles)) {
+        throw new Error(t('profiles.invalidFile'));
+    }
+
+    const result = { imported: 0, skipped: [] };
+    for (const profile of data.profiles) {
+        try {
+            saveProfile(profile);
+            result.imported++;
+        } catch (e) {
+            result.skipped.push({ name: profile.profileName || '?', errors: e.message });
+        }
+    }
+    return result;
+}
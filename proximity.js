@@ -0,0 +1,176 @@
+// proximity.js
+// Entfernungsschätzung und Näherungszonen aus dem (geglätteten) RSSI.
+// Grundlage ist das Log-Distance-Path-Loss-Modell:
+//   Entfernung (m) = 10 ^ ((measuredPower - RSSI) / (10 * environmentFactor))
+// measuredPower  = erwarteter RSSI in 1 m Abstand (je Profil kalibrierbar)
+// environmentFactor = Ausbreitungsfaktor (2 = freie Sicht, 3-4 = Halle mit Regalen)
+
+import { CONFIG } from './config.js';
+import { getAllProfiles, onProfilesChange } from './profiles.js';
+import { t } from './i18n.js';
+
+const CALIBRATION_KEY_PREFIX = 'calibration_'; // localStorage: calibration_<profileName>
+
+// Zwischenspeicher, damit nicht bei jedem Paket der localStorage gelesen wird
+const calibrationCache = new Map();
+onProfilesChange(() => calibrationCache.clear());
+
+/**
+ * Liefert die Kalibrierung eines Profils.
+ * Reihenfolge: im Assistenten gespeicherter Wert > Wert aus dem Profil > Standardwert.
+ * @param {string} profileName
+ * @returns {object} - { measuredPower, environmentFactor, source }
+ */
+export function getCalibration(profileName) {
+    if (!calibrationCache.has(profileName)) {
+        calibrationCache.set(profileName, loadCalibration(profileName));
+    }
+    return calibrationCache.get(profileName);
+}
+
+function loadCalibration(profileName) {
+    const stored = localStorage.getItem(CALIBRATION_KEY_PREFIX + profileName);
+    if (stored) {
+        try {
+            return { ...JSON.parse(stored), source: 'wizard' };
+        } catch (e) {
+            // Beschädigter Eintrag: auf Konfiguration zurückfallen
+        }
+    }
+
+    const profile = getAllProfiles().find(p => p.profileName === profileName);
+    if (profile && profile.calibration) {
+        return { ...CONFIG.DISTANCE.DEFAULT_CALIBRATION, ...profile.calibration, source: 'config' };
+    }
+    return { ...CONFIG.DISTANCE.DEFAULT_CALIBRATION, source: 'default' };
+}
+
+/**
+ * Speichert eine im Assistenten ermittelte Kalibrierung für ein Profil.
+ * @param {string} profileName
+ * @param {object} calibration - { measuredPower, environmentFactor }
+ */
+export function saveCalibration(profileName, { measuredPower, environmentFactor }) {
+    localStorage.setItem(CALIBRATION_KEY_PREFIX + profileName, JSON.stringify({ measuredPower, environmentFactor }));
+    calibrationCache.delete(profileName);
+}
+
+/**
+ * Entfernt eine gespeicherte Kalibrierung (zurück zu config.js).
+ * @param {string} profileName
+ */
+export function resetCalibration(profileName) {
+    localStorage.removeItem(CALIBRATION_KEY_PREFIX + profileName);
+    calibrationCache.delete(profileName);
+}
+
+/**
+ * Schätzt die Entfernung aus einem RSSI-Wert.
+ * @param {number} rssi - in dBm.
+ * @param {object} calibration - { measuredPower, environmentFactor }
+ * @returns {number} - Entfernung in Metern.
+ */
+export function estimateDistance(rssi, { measuredPower, environmentFactor }) {
+    return Math.pow(10, (measuredPower - rssi) / (10 * environmentFactor));
+}
+
+/**
+ * Berechnet eine Kalibrierung aus Messreihen bei bekannten Abständen.
+ * - Eine Messung: measuredPower wird auf 1 m umgerechnet, der Faktor bleibt.
+ * - Zwei Messungen (verschiedene Abstände): zusätzlich wird der Faktor bestimmt.
+ * @param {Array} measurements - [{ distance, meanRssi }]
+ * @param {number} environmentFactor - Bisheriger Faktor (für den Fall einer Messung).
+ * @returns {object} - { measuredPower, environmentFactor }
+ */
+export function computeCalibration(measurements, environmentFactor) {
+    if (measurements.length >= 2) {
+        const [a, b] = measurements;
+        if (a.distance !== b.distance) {
+            // RSSI(d) = P - 10 n log10(d)  =>  n = (RSSI_a - RSSI_b) / (10 log10(d_b / d_a))
+            const factor = (a.meanRssi - b.meanRssi) / (10 * Math.log10(b.distance / a.distance));
+            // Unplausible Werte (z.B. Reflexionen) nicht übernehmen
+            if (factor > 0.5 && factor < 6) environmentFactor = factor;
+        }
+    }
+    const { distance, meanRssi } = measurements[0];
+    return {
+        measuredPower: meanRssi + 10 * environmentFactor * Math.log10(distance),
+        environmentFactor: environmentFactor
+    };
+}
+
+/**
+ * Liefert die Zonen des aktiven Presets (CONFIG.ZONES.PRESET).
+ * Das Preset 'rssi' entspricht den bisherigen Schwellen aus CONFIG.RSSI_STATUS.
+ * 'label' ist in der aktuellen Sprache (aus 'labelKey' aufgelöst).
+ * @returns {Array} - [{ id, label, maxDistance } | { id, label, minRssi }]
+ */
+export function getActiveZones() {
+    let zones = CONFIG.ZONES.PRESETS[CONFIG.ZONES.PRESET] || [];
+    if (CONFIG.ZONES.PRESET === 'rssi') {
+        const { STRONG, WEAK } = CONFIG.RSSI_STATUS;
+        zones = [
+            { id: 'strong', labelKey: 'config.zone.strong', minRssi: STRONG },
+            { id: 'medium', labelKey: 'config.zone.medium', minRssi: WEAK },
+            { id: 'weak', labelKey: 'config.zone.weak', minRssi: -Infinity }
+        ];
+    }
+    return zones.map(zone => ({ ...zone, label: zone.labelKey ? t(zone.labelKey) : zone.label }));
+}
+
+/**
+ * Ordnet ein Asset einer Zone zu (erste passende Zone gewinnt).
+ * @param {number} rssi - Geglätteter RSSI.
+ * @param {number} distance - Geschätzte Entfernung in Metern.
+ * @returns {object|null} - Die Zone oder null.
+ */
+export function classifyZone(rssi, distance) {
+    for (const zone of getActiveZones()) {
+        if (typeof zone.maxDistance === 'number' && distance <= zone.maxDistance) return zone;
+        if (typeof zone.minRssi === 'number' && rssi > zone.minRssi) return zone;
+    }
+    return null;
+}
+
+/**
+ * Schätzt eine Position aus Abständen zu festen Punkten (Trilateration).
+ * Die Kreisgleichungen werden gegen den ersten Punkt linearisiert und per
+ * gewichteter kleinster Quadrate gelöst (nahe Punkte zählen mehr, da ihr
+ * Abstand genauer ist). Liegen die Punkte auf einer Linie, fällt die
+ * Schätzung auf den gewichteten Schwerpunkt zurück.
+ * @param {Array} ranges - [{ x, y, distance }] in Metern, mindestens ein Eintrag.
+ * @returns {object} - { x, y }
+ */
+export function trilaterate(ranges) {
+    const weighted = ranges.map(range => ({ ...range, weight: 1 / Math.max(range.distance, 0.5) ** 2 }));
+    const centroid = () => {
+        const total = weighted.reduce((sum, r) => sum + r.weight, 0);
+        return {
+            x: weighted.reduce((sum, r) => sum + r.x * r.weight, 0) / total,
+            y: weighted.reduce((sum, r) => sum + r.y * r.weight, 0) / total
+        };
+    };
+    if (weighted.length < 3) return centroid();
+
+    // Bezugspunkt: der nächste (genaueste) Punkt
+    weighted.sort((a, b) => a.distance - b.distance);
+    const [ref, ...others] = weighted;
+    // Normalgleichungen für A * [x, y] = b
+    let a11 = 0, a12 = 0, a22 = 0, b1 = 0, b2 = 0;
+    for (const r of others) {
+        const ax = 2 * (r.x - ref.x);
+        const ay = 2 * (r.y - ref.y);
+        const rhs = ref.distance ** 2 - r.distance ** 2 + r.x ** 2 - ref.x ** 2 + r.y ** 2 - ref.y ** 2;
+        a11 += r.weight * ax * ax;
+        a12 += r.weight * ax * ay;
+        a22 += r.weight * ay * ay;
+        b1 += r.weight * ax * rhs;
+        b2 += r.weight * ay * rhs;
+    }
+    const det = a11 * a22 - a12 * a12;
+    if (Math.abs(det) < 1e-9 * Math.max(1, a11 * a22)) return centroid();
+    return {
+        x: (a22 * b1 - a12 * b2) / det,
+        y: (a11 * b2 - a12 * b1) / det
+    };
+}
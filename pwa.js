@@ -0,0 +1,93 @@
+// pwa.js
+// Installierbare App und Offline-Betrieb: registriert den Service Worker
+// (serviceWorker.js) und zeigt ein Banner, sobald eine neue Version geladen ist.
+// Aktiviert wird sie erst auf Wunsch des Benutzers, da dabei die Seite neu
+// lädt und ein laufender Scan endet.
+
+import { createLogger } from './errorManager.js';
+import { t } from './i18n.js';
+
+const { log, warn } = createLogger('pwa');
+
+let isScanning = () => false;
+let waitingWorker = null;  // Neue Version, die auf "Aktualisieren" wartet
+let updateRequested = false;
+
+// DOM-Referenzen
+let updateBanner, updateText;
+
+/**
+ * Initialisiert Service Worker, Update-Banner und Online/Offline-Meldungen.
+ * @param {object} hooks
+ * @param {function} hooks.isScanning - Liefert true, solange ein Scan läuft.
+ */
+export function initPwa(hooks) {
+    isScanning = hooks.isScanning;
+    updateBanner = document.getElementById('update-banner');
+    updateText = document.getElementById('update-banner-text');
+
+    document.getElementById('btn-update-apply').addEventListener('click', applyUpdate);
+    document.getElementById('btn-update-later').addEventListener('click', () => {
+        updateBanner.classList.add('banner-hidden');
+    });
+
+    window.addEventListener('offline', () => warn(t('pwa.offline')));
+    window.addEventListener('online', () => log(t('pwa.online')));
+
+    registerServiceWorker();
+}
+
+async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) {
+        warn(t('pwa.unavailable'));
+        return;
+    }
+
+    // Neu laden, sobald die vom Benutzer gewählte Version die Seite übernimmt.
+    // (Bei der allerersten Installation übernimmt der Service Worker ebenfalls,
+    // dann soll die Seite aber nicht neu laden.)
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (updateRequested) window.location.reload();
+    });
+
+    try {
+        const registration = await navigator.serviceWorker.register('serviceWorker.js');
+
+        // Eine neue Version kann schon beim letzten Besuch geladen worden sein
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            showUpdatePrompt(registration.waiting);
+        }
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                if (worker.state !== 'installed') return;
+                if (navigator.serviceWorker.controller) {
+                    showUpdatePrompt(worker);
+                } else {
+                    log(t('pwa.cached'));
+                }
+            });
+        });
+
+        // Bei wiederhergestellter Verbindung nach einer neuen Version suchen
+        window.addEventListener('online', () => registration.update().catch(() => {}));
+    } catch (e) {
+        warn(t('pwa.registerFailed', { message: e.message }));
+    }
+}
+
+function showUpdatePrompt(worker) {
+    waitingWorker = worker;
+    // Schlüssel in data-i18n, damit ein Sprachwechsel den Text mit übersetzt
+    updateText.dataset.i18n = isScanning() ? 'pwa.updateDuringScan' : 'pwa.update';
+    updateText.textContent = t(updateText.dataset.i18n);
+    updateBanner.classList.remove('banner-hidden');
+    log(t('pwa.updateLoaded'));
+}
+
+function applyUpdate() {
+    if (!waitingWorker) return;
+    updateRequested = true;
+    updateBanner.classList.add('banner-hidden');
+    waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+}
@@ -0,0 +1,116 @@
+// renderScheduler.js
+// Trennt Zustands-Updates vom Zeichnen: Pakete markieren Assets nur als
+// "geändert", gezeichnet wird höchstens einmal pro Frame (requestAnimationFrame).
+// Bei vielen Fahrzeugen und 'keepRepeatedDevices: true' kommen pro Frame oft
+// mehrere Pakete je Fahrzeug an; so wird jede Kachel trotzdem nur einmal berührt.
+// Im Modus 'immediate' wird wie früher bei jedem Paket sofort gezeichnet
+// (zum Vergleich im Benchmark, siehe CONFIG.RENDERING).
+
+import { createLogger } from './errorManager.js';
+import { t } from './i18n.js';
+
+const { error } = createLogger('renderScheduler');
+
+const METRICS_WINDOW_MS = 1000;
+
+/**
+ * Erstellt einen Scheduler für das gebündelte Zeichnen.
+ * @param {object} options
+ * @param {function} options.render - (item) => zeichnet ein geändertes Element.
+ * @param {function} [options.afterFlush] - Wird nach jedem Frame mit Änderungen aufgerufen.
+ * @param {string} [options.mode='batched'] - 'batched' (pro Frame) oder 'immediate' (pro Paket).
+ * @returns {object} - { markDirty, notePacket, clear, takeMetrics, mode }
+ */
+export function createRenderScheduler({ render, afterFlush = () => {}, mode = 'batched' }) {
+    const dirty = new Set();
+    let frameRequested = false;
+    let counters = createCounters();
+    let windowStart = performance.now();
+
+    function createCounters() {
+        return { packets: 0, rendered: 0, frames: 0, frameTime: 0, frameTimeMax: 0 };
+    }
+
+    function requestFrame() {
+        if (frameRequested) return;
+        frameRequested = true;
+        // Ohne requestAnimationFrame (z.B. Tests) auf einen Timer ausweichen
+        const schedule = window.requestAnimationFrame || (callback => setTimeout(callback, 16));
+        schedule(flush);
+    }
+
+    /**
+     * Zeichnet alle geänderten Elemente und misst die Dauer.
+     */
+    function flush() {
+        frameRequested = false;
+        if (dirty.size === 0) return;
+
+        const started = performance.now();
+        const items = [...dirty];
+        dirty.clear();
+        for (const item of items) {
+            try {
+                render(item);
+            } catch (e) {
+                // Ein fehlerhaftes Element soll die übrigen nicht blockieren
+                error(t('render.failed', { message: e.message }));
+            }
+        }
+        afterFlush();
+
+        const duration = performance.now() - started;
+        counters.rendered += items.length;
+        counters.frames++;
+        counters.frameTime += duration;
+        counters.frameTimeMax = Math.max(counters.frameTimeMax, duration);
+    }
+
+    return {
+        mode: mode,
+
+        /**
+         * Markiert ein Element als geändert.
+         * @param {*} item - z.B. ein FtsAsset.
+         */
+        markDirty(item) {
+            dirty.add(item);
+            if (mode === 'immediate') flush();
+            else requestFrame();
+        },
+
+        /**
+         * Zählt ein empfangenes Paket (für die Paketrate).
+         */
+        notePacket() {
+            counters.packets++;
+        },
+
+        /**
+         * Verwirft alle ausstehenden Änderungen (z.B. nach dem Leeren der Flotte).
+         */
+        clear() {
+            dirty.clear();
+        },
+
+        /**
+         * Liefert die Kennzahlen seit dem letzten Aufruf und beginnt ein neues Messfenster.
+         * @returns {object} - { packetsPerSec, rendersPerSec, framesPerSec, avgFrameMs, maxFrameMs, mode }
+         */
+        takeMetrics() {
+            const now = performance.now();
+            const seconds = Math.max(now - windowStart, METRICS_WINDOW_MS / 10) / 1000;
+            const metrics = {
+                packetsPerSec: counters.packets / seconds,
+                rendersPerSec: counters.rendered / seconds,
+                framesPerSec: counters.frames / seconds,
+                avgFrameMs: counters.frames > 0 ? counters.frameTime / counters.frames : 0,
+                maxFrameMs: counters.frameTimeMax,
+                mode: mode
+            };
+            counters = createCounters();
+            windowStart = now;
+            return metrics;
+        }
+    };
+}
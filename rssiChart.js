@@ -0,0 +1,109 @@
+// rssiChart.js
+// Zeichnet den RSSI-Verlauf eines Assets als Zeitreihe in ein <canvas>
+// (ohne externe Bibliothek): Rohwerte als Punkte, geglättete Werte als Linie,
+// dazu die Schwellen aus CONFIG.RSSI_STATUS und eine Zeitachse.
+
+import { t } from './i18n.js';
+
+const RSSI_MIN = -100; // Untere Grenze der Y-Achse (dBm)
+const RSSI_MAX = -30;  // Obere Grenze der Y-Achse (dBm)
+const PADDING = { top: 10, right: 10, bottom: 22, left: 36 };
+
+/**
+ * Liest eine CSS-Variable aus :root (damit das Diagramm dem Theme folgt).
+ */
+function cssVar(name, fallback) {
+    const value = getComputedStyle(document.documentElement).getPropertyValue(name).trim();
+    return value || fallback;
+}
+
+/**
+ * Zeichnet das Diagramm.
+ * @param {HTMLCanvasElement} canvas
+ * @param {Array} history - [{ t, rssi, smoothed }] (älteste zuerst)
+ * @param {object} options
+ * @param {number} options.windowMs - Angezeigtes Zeitfenster.
+ * @param {number} options.now - Rechter Rand der Zeitachse (ms).
+ * @param {object} options.thresholds - CONFIG.RSSI_STATUS ({ STRONG, WEAK }).
+ */
+export function drawRssiChart(canvas, history, { windowMs, now, thresholds }) {
+    const ctx = canvas.getContext && canvas.getContext('2d');
+    if (!ctx) return; // z.B. Canvas nicht unterstützt
+
+    // Auflösung an die tatsächliche Größe und Pixeldichte anpassen (scharfe Linien)
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth || canvas.width;
+    const height = canvas.clientHeight || canvas.height;
+    if (canvas.width !== width * ratio || canvas.height !== height * ratio) {
+        canvas.width = width * ratio;
+        canvas.height = height * ratio;
+    }
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const plotWidth = width - PADDING.left - PADDING.right;
+    const plotHeight = height - PADDING.top - PADDING.bottom;
+    const startTime = now - windowMs;
+    const x = time => PADDING.left + ((time - startTime) / windowMs) * plotWidth;
+    const y = rssi => {
+        const clamped = Math.max(RSSI_MIN, Math.min(RSSI_MAX, rssi));
+        return PADDING.top + (1 - (clamped - RSSI_MIN) / (RSSI_MAX - RSSI_MIN)) * plotHeight;
+    };
+
+    const textColor = cssVar('--color-text-muted', '#888');
+    const gridColor = cssVar('--color-border', '#444');
+    ctx.font = '10px sans-serif';
+    ctx.fillStyle = textColor;
+    ctx.lineWidth = 1;
+
+    // 1. Horizontale Gitterlinien mit dBm-Beschriftung
+    ctx.strokeStyle = gridColor;
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    for (let rssi = RSSI_MIN; rssi <= RSSI_MAX; rssi += 10) {
+        ctx.beginPath();
+        ctx.moveTo(PADDING.left, y(rssi));
+        ctx.lineTo(width - PADDING.right, y(rssi));
+        ctx.stroke();
+        ctx.fillText(String(rssi), PADDING.left - 4, y(rssi));
+    }
+
+    // 2. Schwellenwerte (stark/schwach) gestrichelt
+    ctx.setLineDash([4, 4]);
+    for (const [value, color] of [[thresholds.STRONG, cssVar('--rssi-strong', '#4caf50')], [thresholds.WEAK, cssVar('--rssi-weak', '#f44336')]]) {
+        ctx.strokeStyle = color;
+        ctx.beginPath();
+        ctx.moveTo(PADDING.left, y(value));
+        ctx.lineTo(width - PADDING.right, y(value));
+        ctx.stroke();
+    }
+    ctx.setLineDash([]);
+
+    // 3. Zeitachse (4 Abschnitte, Beschriftung relativ zu 'now')
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    for (let i = 0; i <= 4; i++) {
+        const tick = startTime + (windowMs * i) / 4;
+        const secondsAgo = Math.round((now - tick) / 1000);
+        ctx.fillText(secondsAgo === 0 ? t('chart.now') : `-${secondsAgo}s`, x(tick), height - PADDING.bottom + 6);
+    }
+
+    const visible = history.filter(sample => sample.t >= startTime && sample.t <= now);
+    if (visible.length === 0) return;
+
+    // 4. Rohwerte als Punkte
+    ctx.fillStyle = textColor;
+    for (const sample of visible) {
+        ctx.fillRect(x(sample.t) - 1, y(sample.rssi) - 1, 2, 2);
+    }
+
+    // 5. Geglättete Werte als Linie
+    ctx.strokeStyle = cssVar('--color-primary', '#007bff');
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    visible.forEach((sample, i) => {
+        if (i === 0) ctx.moveTo(x(sample.t), y(sample.smoothed));
+        else ctx.lineTo(x(sample.t), y(sample.smoothed));
+    });
+    ctx.stroke();
+}
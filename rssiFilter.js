@@ -0,0 +1,70 @@
+// rssiFilter.js
+// Glättungsverfahren für die sprunghaften RSSI-Rohwerte.
+// Jedes Asset erhält einen eigenen Filter; der geglättete Wert steuert
+// Kachel-Anzeige, Balkenfarbe und die geglättete Kurve im Inspektor.
+
+/**
+ * Verfügbare Verfahren (Key = Wert in CONFIG/localStorage, Value = Textschlüssel des Anzeigenamens, siehe i18n.js).
+ */
+export const SMOOTHING_METHODS = {
+    none: 'smoothing.none',
+    'moving-average': 'smoothing.movingAverage',
+    ema: 'smoothing.ema',
+    kalman: 'smoothing.kalman'
+};
+
+/**
+ * Erstellt einen Filter für ein Asset.
+ * @param {string} method - Key aus SMOOTHING_METHODS.
+ * @param {object} options - CONFIG.RSSI_SMOOTHING (Fenstergröße, Alpha, Kalman-Parameter).
+ * @returns {object} - { update(rssi) => geglätteter Wert }
+ */
+export function createRssiFilter(method, options) {
+    switch (method) {
+        case 'moving-average': {
+            const window = [];
+            let sum = 0;
+            return {
+                update(rssi) {
+                    window.push(rssi);
+                    sum += rssi;
+                    if (window.length > options.MOVING_AVERAGE_WINDOW) sum -= window.shift();
+                    return sum / window.length;
+                }
+            };
+        }
+        case 'ema': {
+            let value = null;
+            return {
+                update(rssi) {
+                    value = value === null ? rssi : options.EMA_ALPHA * rssi + (1 - options.EMA_ALPHA) * value;
+                    return value;
+                }
+            };
+        }
+        case 'kalman': {
+            // Eindimensionaler Kalman-Filter mit konstantem Zustandsmodell.
+            // Q = Prozessrauschen (wie schnell sich das echte Signal ändert),
+            // R = Messrauschen (wie stark einzelne Pakete streuen).
+            const { Q, R } = options.KALMAN;
+            let estimate = null;
+            let errorCovariance = 1;
+            return {
+                update(rssi) {
+                    if (estimate === null) {
+                        estimate = rssi;
+                        return estimate;
+                    }
+                    errorCovariance += Q;
+                    const gain = errorCovariance / (errorCovariance + R);
+                    estimate += gain * (rssi - estimate);
+                    errorCovariance *= (1 - gain);
+                    return estimate;
+                }
+            };
+        }
+        case 'none':
+        default:
+            return { update: rssi => rssi };
+    }
+}
@@ -0,0 +1,132 @@
+// scanDiagnostics.js
+// Zählt angenommene und verworfene Pakete und zeigt sie im Diagnose-Dialog.
+// Verworfen wird ein Paket, wenn es zu keinem aktiven Profil passt (siehe
+// matchProfile in profiles.js), z.B. ein Gerät desselben Herstellers mit
+// anderem Daten-Präfix oder ein Fahrzeug unterhalb der Mindest-Signalstärke.
+
+import { CONFIG } from './config.js';
+import { t, formatPercent, formatTime } from './i18n.js';
+
+// Grund -> Textschlüssel
+const REASON_LABELS = {
+    'no-data': 'diagnostics.reason.noData',
+    'name-prefix': 'diagnostics.reason.namePrefix',
+    'data-prefix': 'diagnostics.reason.dataPrefix',
+    'beacon-id': 'diagnostics.reason.beaconId',
+    'rssi-floor': 'diagnostics.reason.rssiFloor'
+};
+const REFRESH_MS = 1000; // Aktualisierung, solange der Dialog offen ist
+
+let stats = createEmptyStats();
+let refreshTimer = null;
+
+// DOM-Referenzen
+let diagnosticsModal, summaryText, reasonList, recentList;
+
+function createEmptyStats() {
+    return { accepted: 0, rejected: 0, byReason: {}, byProfile: {}, recent: [] };
+}
+
+/**
+ * Zählt ein angenommenes Paket.
+ */
+export function recordAccepted() {
+    stats.accepted++;
+}
+
+/**
+ * Zählt ein verworfenes Paket.
+ * @param {object} rejection
+ * @param {string} rejection.reason - Siehe matchProfile ('no-data', 'name-prefix', ...).
+ * @param {string|null} rejection.profileName - Profil, an dem das Paket zuletzt gescheitert ist.
+ * @param {string} rejection.deviceId
+ * @param {string|null} rejection.deviceName
+ * @param {number} rejection.rssi
+ * @param {number} rejection.t - Zeitstempel (ms).
+ */
+export function recordRejected(rejection) {
+    stats.rejected++;
+    stats.byReason[rejection.reason] = (stats.byReason[rejection.reason] || 0) + 1;
+    if (rejection.profileName) {
+        stats.byProfile[rejection.profileName] = (stats.byProfile[rejection.profileName] || 0) + 1;
+    }
+    stats.recent.unshift(rejection);
+    if (stats.recent.length > CONFIG.DIAGNOSTICS.RECENT_REJECTIONS) stats.recent.pop();
+}
+
+/**
+ * Liefert eine Kopie der aktuellen Zähler.
+ * @returns {object} - { accepted, rejected, byReason, byProfile, recent }
+ */
+export function getDiagnostics() {
+    return { ...stats, byReason: { ...stats.byReason }, byProfile: { ...stats.byProfile }, recent: [...stats.recent] };
+}
+
+/**
+ * Setzt alle Zähler zurück (z.B. beim Scan-Start).
+ */
+export function resetDiagnostics() {
+    stats = createEmptyStats();
+    if (refreshTimer) renderDiagnostics();
+}
+
+/**
+ * Initialisiert den Diagnose-Dialog.
+ */
+export function initDiagnosticsPanel() {
+    diagnosticsModal = document.getElementById('diagnostics-modal');
+    summaryText = document.getElementById('diagnostics-summary');
+    reasonList = document.getElementById('diagnostics-reasons');
+    recentList = document.getElementById('diagnostics-recent');
+
+    document.getElementById('btn-diagnostics').addEventListener('click', showDiagnosticsModal);
+    document.getElementById('btn-close-diagnostics').addEventListener('click', hideDiagnosticsModal);
+    document.getElementById('btn-diagnostics-reset').addEventListener('click', resetDiagnostics);
+}
+
+function showDiagnosticsModal() {
+    renderDiagnostics();
+    refreshTimer = setInterval(renderDiagnostics, REFRESH_MS);
+    diagnosticsModal.classList.remove('modal-hidden');
+}
+
+function hideDiagnosticsModal() {
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+    diagnosticsModal.classList.add('modal-hidden');
+}
+
+function renderDiagnostics() {
+    const total = stats.accepted + stats.rejected;
+    const share = total > 0 ? stats.rejected / total : 0;
+    summaryText.textContent = t('diagnostics.summary', { accepted: stats.accepted, rejected: stats.rejected, share: formatPercent(share) });
+
+    reasonList.replaceChildren();
+    const rows = [
+        ...Object.entries(stats.byReason).map(([reason, count]) => `${reasonLabel(reason)}: ${count}`),
+        ...Object.entries(stats.byProfile).map(([profileName, count]) => t('diagnostics.byProfile', { name: profileName, count: count }))
+    ];
+    appendItems(reasonList, rows, t('diagnostics.noneRejected'));
+
+    recentList.replaceChildren();
+    appendItems(recentList, stats.recent.map(r => {
+        const time = formatTime(r.t);
+        const name = r.deviceName ? ` (${r.deviceName})` : '';
+        const profile = r.profileName ? ` · ${r.profileName}` : '';
+        return `${time} · ${r.deviceId}${name} · ${r.rssi} dBm · ${reasonLabel(r.reason)}${profile}`;
+    }), "–");
+}
+
+function reasonLabel(reason) {
+    return REASON_LABELS[reason] ? t(REASON_LABELS[reason]) : reason;
+}
+
+function appendItems(list, rows, emptyText) {
+    if (rows.length === 0) rows = [emptyText];
+    for (const text of rows) {
+        const item = document.createElement('li');
+        item.className = 'alert-item diagnostics-item';
+        item.textContent = text;
+        list.appendChild(item);
+    }
+}
@@ -0,0 +1,252 @@
+// scanManager.js
+// Lebenszyklus des Scans mit expliziten Zuständen:
+//   idle       - kein Scan
+//   requesting - Scan wird (neu) angefordert
+//   active     - Quelle liefert Pakete
+//   quiet      - Scan läuft, aber trotz Neustarts keine Pakete (z.B. leere Halle)
+//   paused     - Tab im Hintergrund (der Browser liefert dann keine Pakete)
+//   error      - Scan unterbrochen (Start/Neustart fehlgeschlagen oder vom Browser beendet)
+// Ein Watchdog erkennt, wenn der Browser den Scan still beendet ('active' der
+// Quelle wird false) oder CONFIG.SCAN_WATCHDOG.SILENCE_MS lang kein Paket kam,
+// und startet die Quelle neu. Bleibt es nach CONFIG.SCAN_WATCHDOG.MAX_RESTARTS
+// Neustarts still, obwohl die Quelle läuft, gilt das nicht als Fehler: Ohne
+// Fahrzeuge in Reichweite kommen eben keine Pakete ('quiet'). Beim Stoppen wird die Quelle immer abgebaut
+// (auch wenn sie nicht mehr aktiv ist), damit kein Event-Listener übrig bleibt.
+//
+// Hinweis: Chrome verlangt für requestLEScan eine Benutzer-Geste. Schlägt ein
+// automatischer Neustart deshalb fehl, endet die Überwachung im Zustand 'error'
+// und der Scan-Button bietet "Scan fortsetzen" an.
+
+import { CONFIG } from './config.js';
+import { createLogger } from './errorManager.js';
+import { t, onLocaleChange } from './i18n.js';
+
+const { log, warn, error } = createLogger('scanManager');
+
+// Zustand -> Textschlüssel
+export const SCAN_STATES = {
+    idle: 'scanState.idle',
+    requesting: 'scanState.requesting',
+    active: 'scanState.active',
+    quiet: 'scanState.quiet',
+    paused: 'scanState.paused',
+    error: 'scanState.error'
+};
+
+let state = 'idle';
+let stateMessage = '';   // Zusatzinfo, z.B. Grund einer Unterbrechung
+let source = null;       // Aktive Quelle (siehe advertisementSource.js)
+let startOptions = null; // { filters, scanOptions, onAdvertisement } für Neustarts
+let lastPacketAt = 0;
+let restartCount = 0;    // Neustarts seit dem letzten empfangenen Paket
+let restarting = false;
+let watchdogTimer = null;
+const listeners = [];
+
+// DOM-Referenzen
+let indicator, indicatorText;
+
+/**
+ * Registriert einen Callback für Zustandswechsel.
+ * @param {function} callback - ({ state, message, sourceName }) => void
+ */
+export function onScanStateChange(callback) {
+    listeners.push(callback);
+}
+
+/**
+ * @returns {object} - { state, message, sourceName }
+ */
+export function getScanState() {
+    return { state: state, message: stateMessage, sourceName: source ? source.name : null };
+}
+
+/**
+ * @returns {object|null} - Die überwachte Quelle (auch im Zustand 'error').
+ */
+export function getScanSource() {
+    return source;
+}
+
+/**
+ * true, solange ein Scan angefordert, aktiv oder pausiert ist.
+ * @returns {boolean}
+ */
+export function isScanRunning() {
+    return ['requesting', 'active', 'quiet', 'paused'].includes(state);
+}
+
+/**
+ * true, solange die Quelle empfangsbereit ist ('active' oder 'quiet'), z.B. für
+ * die Scan-Zeiten im Schichtbericht.
+ * @returns {boolean}
+ */
+export function isScanReceiving() {
+    return state === 'active' || state === 'quiet';
+}
+
+function setState(next, message = '') {
+    if (state === next && stateMessage === message) return;
+    state = next;
+    stateMessage = message;
+    const snapshot = getScanState();
+    for (const callback of listeners) callback(snapshot);
+}
+
+/**
+ * Startet eine Quelle und überwacht sie. Eine bisherige Quelle wird vorher abgebaut.
+ * Fehler beim Start werden weitergereicht (der Zustand ist dann 'idle' bzw. 'error').
+ * @param {object} newSource - Quelle aus advertisementSource.js (oder Wiedergabe).
+ * @param {object} options - { filters, scanOptions, onAdvertisement }
+ */
+export async function startScanSource(newSource, options) {
+    stopScanSource();
+    source = newSource;
+    startOptions = options;
+    restartCount = 0;
+
+    try {
+        await requestSource(newSource);
+    } catch (e) {
+        // Abbruch im Auswahldialog ist kein Fehlerzustand
+        if (source === newSource) {
+            teardown(newSource);
+            source = null;
+            setState(e.name === 'AbortError' ? 'idle' : 'error', e.message);
+        }
+        throw e;
+    }
+    watchdogTimer = setInterval(checkScan, CONFIG.SCAN_WATCHDOG.CHECK_INTERVAL_MS);
+}
+
+/**
+ * Stoppt die Überwachung und baut die Quelle samt Listener ab.
+ */
+export function stopScanSource() {
+    clearInterval(watchdogTimer);
+    watchdogTimer = null;
+    const current = source;
+    source = null;
+    startOptions = null;
+    if (current) teardown(current);
+    setState('idle');
+}
+
+function teardown(current) {
+    try {
+        current.stop();
+    } catch (e) {
+        warn(t('scanState.stopFailed', { message: e.message }));
+    }
+}
+
+/**
+ * Fordert die Quelle an; jedes Paket meldet sich beim Watchdog.
+ * @param {object} current
+ */
+async function requestSource(current) {
+    setState('requesting');
+    await current.start({
+        ...startOptions,
+        onAdvertisement: (event) => {
+            lastPacketAt = Date.now();
+            restartCount = 0;
+            // Nach langer Stille wieder Pakete: Unterbrechung ist vorbei
+            if ((state === 'error' || state === 'quiet') && !restarting) setState('active');
+            startOptions.onAdvertisement(event);
+        }
+    });
+    if (source !== current) return; // Zwischenzeitlich gestoppt
+    lastPacketAt = Date.now();
+    setState(document.visibilityState === 'hidden' ? 'paused' : 'active');
+}
+
+/**
+ * Startet die Quelle neu. Nach CONFIG.SCAN_WATCHDOG.MAX_RESTARTS Versuchen
+ * ohne ein einziges Paket wird aufgegeben: Läuft die Quelle und fehlen nur die
+ * Pakete, geht der Scan in den Zustand 'quiet', sonst in 'error'.
+ * @param {string} reason - Grund für Log und Header.
+ * @param {boolean} [silence] - Neustart nur wegen ausbleibender Pakete.
+ */
+async function restartSource(reason, silence = false) {
+    if (restartCount >= CONFIG.SCAN_WATCHDOG.MAX_RESTARTS) {
+        if (silence && source.active) {
+            log(t('scanState.noDevices', { reason: reason }));
+            restartCount = 0; // Echte Unterbrechungen bekommen wieder eigene Versuche
+            setState('quiet', reason);
+            return;
+        }
+        if (state !== 'error') error(t('scanState.gaveUp', { reason: reason }));
+        setState('error', reason);
+        return;
+    }
+    restartCount++;
+    warn(t('scanState.restarting', { reason: reason, attempt: restartCount, max: CONFIG.SCAN_WATCHDOG.MAX_RESTARTS }));
+
+    const current = source;
+    restarting = true;
+    teardown(current);
+    try {
+        await requestSource(current);
+        if (source === current) log(t('scanState.restarted'));
+    } catch (e) {
+        // Beim nächsten Watchdog-Durchlauf erneut versuchen (Zustand bleibt 'requesting')
+        warn(t('scanState.restartFailed', { message: e.message }));
+        if (source === current) setState('requesting', e.message);
+    } finally {
+        restarting = false;
+    }
+}
+
+/**
+ * Watchdog: prüft regelmäßig, ob die Quelle noch läuft und Pakete liefert.
+ */
+function checkScan() {
+    if (!source || restarting || source.supervised === false) return;
+
+    if (state === 'requesting') {
+        restartSource(t('scanState.reason.requestFailed', { message: stateMessage }));
+    } else if ((state === 'active' || state === 'quiet') && !source.active) {
+        restartSource(t('scanState.reason.endedByBrowser'));
+    } else if (state === 'active' && CONFIG.SCAN_WATCHDOG.SILENCE_MS > 0
+        && Date.now() - lastPacketAt > CONFIG.SCAN_WATCHDOG.SILENCE_MS) {
+        restartSource(t('scanState.reason.silence', { seconds: Math.round(CONFIG.SCAN_WATCHDOG.SILENCE_MS / 1000) }), true);
+    }
+}
+
+// Im Hintergrund liefert der Browser keine Pakete: pausieren statt neu starten.
+// Beim Zurückkehren prüfen, ob der Scan noch läuft.
+document.addEventListener('visibilitychange', () => {
+    if (!source) return;
+    if (document.visibilityState === 'hidden') {
+        if (state === 'active' || state === 'quiet') setState('paused', t('scanState.reason.hidden'));
+        return;
+    }
+    if (state !== 'paused') return;
+    lastPacketAt = Date.now(); // Stille im Hintergrund nicht werten
+    if (source.supervised !== false && !source.active) {
+        restartSource(t('scanState.reason.endedInBackground'));
+    } else {
+        setState('active');
+    }
+});
+
+/**
+ * Zeigt den Zustand im Header an (LED und Text, Details als Tooltip).
+ */
+export function initScanStateIndicator() {
+    indicator = document.getElementById('scan-state');
+    indicatorText = document.getElementById('scan-state-text');
+    onScanStateChange(renderIndicator);
+    renderIndicator(getScanState());
+    onLocaleChange(() => renderIndicator(getScanState()));
+}
+
+function renderIndicator({ state: current, message, sourceName }) {
+    indicator.dataset.state = current;
+    indicator.title = message;
+    let text = t(SCAN_STATES[current]);
+    if (current === 'error' && message) text += `: ${message}`;
+    else if (current !== 'idle' && sourceName) text += ` · ${sourceName}`;
+    indicatorText.textContent = text;
+}
@@ -0,0 +1,367 @@
+// scannerBridge.js
+// Scanner-Verbund: Mehrere FleetView-Geräte tauschen ihre Beobachtungen über
+// einen WebSocket-Relay aus (Referenz-Relay: scannerRelay.mjs, läuft lokal mit Node).
+// Eigene Pakete werden gesendet, die der anderen Scanner kommen über den Hook
+// 'onObservation' in app.js an und laufen durch denselben Verarbeitungspfad.
+// Je Fahrzeug wird der RSSI pro Scanner geführt ('asset.scanners'); der
+// Scanner mit dem stärksten (geglätteten) Signal gilt als "bester Scanner".
+//
+// Nachrichten (JSON, eine pro WebSocket-Frame):
+//   { type: 'hello', scannerId, name }                      - Client -> Relay nach dem Verbinden
+//   { type: 'observation', scannerId, scannerName, deviceId, deviceName,
+//     rssi, t, profile: { profileName, type, uuid, companyId }, payload }
+//                                                           - payload als Hex ohne Trennzeichen
+//   { type: 'scanners', scanners: [{ id, name }] }          - Relay -> Clients bei jeder Änderung
+//
+// Hinweis: Von einer HTTPS-Seite erlaubt der Browser nur 'ws://localhost' oder 'wss://'.
+// Für andere Geräte im Netz den Relay hinter einen TLS-Proxy stellen.
+
+import { CONFIG } from './config.js';
+import { createLogger } from './errorManager.js';
+import { createRssiFilter } from './rssiFilter.js';
+import { t, onLocaleChange } from './i18n.js';
+
+const { log, warn } = createLogger('scannerBridge');
+
+const SETTINGS_KEY = 'scanner_bridge'; // localStorage: { enabled, url, name }
+const SCANNER_ID_KEY = 'scanner_id';   // localStorage: stabile ID dieses Scanners
+
+// Status -> Textschlüssel
+const STATUS_TEXT = {
+    off: 'bridge.status.off',
+    connecting: 'bridge.status.connecting',
+    connected: 'bridge.status.connected',
+    error: 'bridge.status.error'
+};
+
+const localScanner = { id: loadScannerId(), name: '' };
+let settings = loadSettings();
+let socket = null;
+let status = 'off';
+let reconnectTimer = null;
+let remoteScanners = []; // Letzte Liste des Relays: [{ id, name }]
+let onObservation = () => {};
+
+// DOM-Referenzen
+let bridgeModal, btnScanners, urlInput, nameInput, btnConnect, statusText, scannerList;
+
+function loadScannerId() {
+    let id = localStorage.getItem(SCANNER_ID_KEY);
+    if (!id) {
+        id = Math.random().toString(36).slice(2, 10);
+        localStorage.setItem(SCANNER_ID_KEY, id);
+    }
+    return id;
+}
+
+function loadSettings() {
+    let stored = {};
+    try {
+        stored = JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+    } catch (e) {
+        warn(t('bridge.settingsInvalid', { message: e.message }));
+    }
+    return {
+        enabled: stored.enabled === true,
+        url: stored.url || CONFIG.SCANNER_BRIDGE.URL,
+        name: stored.name || `Scanner ${localScanner.id.slice(0, 4)}`
+    };
+}
+
+function saveSettings() {
+    try {
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    } catch (e) {
+        warn(t('bridge.settingsSaveFailed', { message: e.message }));
+    }
+}
+
+/**
+ * @returns {object} - { id, name } dieses Geräts.
+ */
+export function getLocalScanner() {
+    return localScanner;
+}
+
+/**
+ * Dieses Gerät und die zuletzt vom Relay gemeldeten Scanner.
+ * @returns {Array} - [{ id, name }]
+ */
+export function getKnownScanners() {
+    return [localScanner, ...remoteScanners.filter(scanner => scanner.id !== localScanner.id)];
+}
+
+/**
+ * true, wenn der Verbund eingeschaltet ist (auch während eines Verbindungsversuchs).
+ * @returns {boolean}
+ */
+export function isBridgeEnabled() {
+    return settings.enabled;
+}
+
+/**
+ * Initialisiert Verbindung und Dialog "Scanner".
+ * @param {object} hooks
+ * @param {function} hooks.onObservation - Erhält Beobachtungen anderer Scanner
+ *   ({ scannerId, scannerName, deviceId, deviceName, rssi, t, profile, bytes }).
+ */
+export function initScannerBridge(hooks) {
+    onObservation = hooks.onObservation;
+    localScanner.name = settings.name;
+
+    bridgeModal = document.getElementById('bridge-modal');
+    btnScanners = document.getElementById('btn-scanners');
+    urlInput = document.getElementById('bridge-url');
+    nameInput = document.getElementById('bridge-name');
+    btnConnect = document.getElementById('btn-bridge-connect');
+    statusText = document.getElementById('bridge-status');
+    scannerList = document.getElementById('bridge-scanners');
+
+    btnScanners.addEventListener('click', showBridgeModal);
+    document.getElementById('btn-close-bridge').addEventListener('click', hideBridgeModal);
+    btnConnect.addEventListener('click', () => {
+        if (settings.enabled) {
+            setEnabled(false);
+        } else {
+            settings.url = urlInput.value.trim() || CONFIG.SCANNER_BRIDGE.URL;
+            settings.name = nameInput.value.trim() || settings.name;
+            localScanner.name = settings.name;
+            setEnabled(true);
+        }
+    });
+
+    if (settings.enabled) connect();
+    renderStatus();
+    onLocaleChange(renderStatus);
+}
+
+function setEnabled(enabled) {
+    settings.enabled = enabled;
+    saveSettings();
+    if (enabled) {
+        connect();
+    } else {
+        disconnect();
+        log(t('bridge.disconnected'));
+    }
+    renderStatus();
+}
+
+function connect() {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    if (typeof WebSocket === 'undefined') {
+        warn(t('bridge.unsupported'));
+        setStatus('off');
+        return;
+    }
+
+    setStatus('connecting');
+    let current;
+    try {
+        current = new WebSocket(settings.url);
+    } catch (e) {
+        // z.B. ungültige URL oder 'ws://' von einer HTTPS-Seite
+        warn(t('bridge.connectFailed', { url: settings.url, message: e.message }));
+        scheduleReconnect();
+        return;
+    }
+    socket = current;
+
+    current.addEventListener('open', () => {
+        send({ type: 'hello', scannerId: localScanner.id, name: localScanner.name });
+        log(t('bridge.connected', { url: settings.url, name: localScanner.name }));
+        setStatus('connected');
+    });
+    current.addEventListener('message', event => handleMessage(event.data));
+    current.addEventListener('close', () => {
+        if (socket !== current) return; // Absichtlich getrennt oder ersetzt
+        socket = null;
+        remoteScanners = [];
+        if (status === 'connected') warn(t('bridge.lost'));
+        scheduleReconnect();
+    });
+}
+
+function scheduleReconnect() {
+    socket = null;
+    if (!settings.enabled) return;
+    setStatus('error');
+    reconnectTimer = setTimeout(connect, CONFIG.SCANNER_BRIDGE.RECONNECT_MS);
+}
+
+function disconnect() {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    const current = socket;
+    socket = null;
+    remoteScanners = [];
+    if (current) current.close();
+    setStatus('off');
+}
+
+function send(message) {
+    if (socket && socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+}
+
+/**
+ * Sendet eine eigene Beobachtung an die anderen Scanner (nur wenn verbunden).
+ * @param {object} observation - { deviceId, deviceName, rssi, t, profile, bytes }
+ *   (dasselbe Format wie für die Aufnahme, siehe sessionRecorder.js).
+ */
+export function publishObservation(observation) {
+    if (status !== 'connected') return;
+    send({
+        type: 'observation',
+        scannerId: localScanner.id,
+        scannerName: localScanner.name,
+        deviceId: observation.deviceId,
+        deviceName: observation.deviceName,
+        rssi: observation.rssi,
+        t: observation.t,
+        profile: observation.profile,
+        payload: Array.from(observation.bytes, byte => byte.toString(16).padStart(2, '0')).join('')
+    });
+}
+
+function handleMessage(data) {
+    let message;
+    try {
+        message = JSON.parse(data);
+    } catch (e) {
+        warn(t('bridge.invalidMessage', { message: e.message }));
+        return;
+    }
+
+    if (message.type === 'scanners') {
+        remoteScanners = Array.isArray(message.scanners) ? message.scanners : [];
+        renderStatus();
+    } else if (message.type === 'observation') {
+        // Eigene Beobachtungen nicht doppelt verarbeiten
+        if (message.scannerId === localScanner.id) return;
+        // Die Geräte-ID ist der Schlüssel des Fahrzeugs in app.js und muss ein nicht leerer Text sein
+        if (typeof message.deviceId !== 'string' || message.deviceId.length === 0
+            || typeof message.payload !== 'string' || !message.profile || typeof message.rssi !== 'number') {
+            warn(t('bridge.incompleteObservation', { id: message.scannerId }));
+            return;
+        }
+        const pairs = message.payload.match(/[0-9a-f]{2}/gi) || [];
+        onObservation({
+            scannerId: message.scannerId,
+            scannerName: message.scannerName || message.scannerId,
+            deviceId: message.deviceId,
+            deviceName: message.deviceName || null,
+            rssi: message.rssi,
+            t: message.t,
+            profile: message.profile,
+            bytes: new Uint8Array(pairs.map(pair => parseInt(pair, 16)))
+        });
+    }
+}
+
+function setStatus(next) {
+    status = next;
+    renderStatus();
+}
+
+/**
+ * Führt den RSSI eines Fahrzeugs je Scanner fort.
+ * @param {object} asset - FtsAsset mit 'scanners' (Map: Scanner-ID -> Messwert).
+ * @param {object} scanner - { id, name }
+ * @param {number} rssi
+ * @param {number} t - Empfangszeit (ms).
+ */
+export function updateScannerReading(asset, scanner, rssi, t) {
+    let reading = asset.scanners.get(scanner.id);
+    if (!reading) {
+        // Feste EMA-Glättung, unabhängig vom im Inspektor gewählten Verfahren
+        reading = { id: scanner.id, name: scanner.name, rssi: rssi, smoothedRssi: rssi, lastSeen: t, filter: createRssiFilter('ema', CONFIG.RSSI_SMOOTHING) };
+        asset.scanners.set(scanner.id, reading);
+    }
+    reading.name = scanner.name;
+    reading.rssi = rssi;
+    reading.smoothedRssi = reading.filter.update(rssi);
+    reading.lastSeen = t;
+}
+
+/**
+ * Ermittelt den Scanner, der das Fahrzeug am besten hört: stärkstes geglättetes
+ * Signal unter den Scannern der letzten BEST_SCANNER_MAX_AGE_MS, sonst der zuletzt gehörte.
+ * @param {object} asset
+ * @param {number} now
+ * @returns {object|null} - Messwert { id, name, rssi, smoothedRssi, lastSeen }.
+ */
+export function getBestScanner(asset, now) {
+    let best = null;
+    let latest = null;
+    for (const reading of asset.scanners.values()) {
+        if (!latest || reading.lastSeen > latest.lastSeen) latest = reading;
+        if (now - reading.lastSeen > CONFIG.SCANNER_BRIDGE.BEST_SCANNER_MAX_AGE_MS) continue;
+        if (!best || reading.smoothedRssi > best.smoothedRssi) best = reading;
+    }
+    return best || latest;
+}
+
+/**
+ * Quelle 'relay' (siehe advertisementSource.js): liefert selbst keine Pakete,
+ * die Fahrzeuge kommen allein von den anderen Scannern im Verbund.
+ * @returns {object}
+ */
+export function createRelaySource() {
+    let active = false;
+    return {
+        name: t('bridge.sourceName'),
+        // Nur fremde Beobachtungen: nichts aufzeichnen oder erneut senden
+        recordable: false,
+        // Ohne Pakete im Verbund ist Stille normal (kein Watchdog)
+        supervised: false,
+
+        get active() {
+            return active;
+        },
+
+        async start() {
+            if (!settings.enabled) {
+                throw new Error(t('bridge.disabled'));
+            }
+            active = true;
+        },
+
+        stop() {
+            active = false;
+        }
+    };
+}
+
+function showBridgeModal() {
+    urlInput.value = settings.url;
+    nameInput.value = settings.name;
+    renderStatus();
+    bridgeModal.classList.remove('modal-hidden');
+}
+
+function hideBridgeModal() {
+    bridgeModal.classList.add('modal-hidden');
+}
+
+function renderStatus() {
+    if (!statusText) return;
+    statusText.textContent = t('bridge.statusLine', { status: t(STATUS_TEXT[status]), name: localScanner.name, id: localScanner.id });
+    btnConnect.textContent = t(settings.enabled ? 'bridge.disconnect' : 'bridge.connect');
+    urlInput.disabled = settings.enabled;
+    nameInput.disabled = settings.enabled;
+    btnScanners.classList.toggle('bridge-connected', status === 'connected');
+    btnScanners.title = t('bridge.buttonTitle', { status: t(STATUS_TEXT[status]) });
+
+    scannerList.replaceChildren();
+    const others = remoteScanners.filter(scanner => scanner.id !== localScanner.id);
+    const rows = others.length > 0
+        ? others.map(scanner => `${scanner.name} (${scanner.id})`)
+        : [status === 'connected' ? t('bridge.noOthers') : "–"];
+    for (const text of rows) {
+        const item = document.createElement('li');
+        item.className = 'alert-item';
+        item.textContent = text;
+        scannerList.appendChild(item);
+    }
+}
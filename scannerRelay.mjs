@@ -0,0 +1,227 @@
+// scannerRelay.mjs
+// Referenz-Relay für den Scanner-Verbund (siehe scannerBridge.js).
+// Verteilt die Beobachtungen jedes verbundenen Scanners an alle anderen.
+// Läuft lokal mit Node (ab Version 18), ohne zusätzliche Pakete:
+//
+//   node scannerRelay.mjs [port]        (Standard: 8765, alternativ PORT=...)
+//
+// WebSocket:  ws://localhost:<port>  - Protokoll siehe scannerBridge.js
+// HTTP:       GET  /              - Status (verbundene Scanner) als JSON
+//             POST /observations  - Beobachtung(en) als JSON (Objekt oder Array),
+//                                   z.B. von einem festen Gateway ohne WebSocket
+//
+// Der Relay speichert nichts; wer später dazukommt, sieht nur neue Beobachtungen.
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+
+const PORT = Number(process.argv[2] || process.env.PORT || 8765);
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11'; // RFC 6455
+const MAX_FRAME_BYTES = 64 * 1024; // Größere Nachrichten werden abgelehnt
+
+const clients = new Set(); // { socket, scannerId, name, buffer }
+
+// --- HTTP ---
+
+const server = http.createServer((request, response) => {
+    // Aufruf aus dem Browser (andere Herkunft) erlauben
+    response.setHeader('Access-Control-Allow-Origin', '*');
+    response.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204).end();
+    } else if (request.method === 'GET' && request.url === '/') {
+        sendJson(response, 200, { scanners: listScanners(), clients: clients.size });
+    } else if (request.method === 'POST' && request.url === '/observations') {
+        readBody(request)
+            .then(body => {
+                const observations = [].concat(JSON.parse(body));
+                for (const observation of observations) broadcast({ ...observation, type: 'observation' }, null);
+                sendJson(response, 202, { accepted: observations.length });
+            })
+            .catch(e => sendJson(response, 400, { error: e.message }));
+    } else {
+        sendJson(response, 404, { error: 'Nicht gefunden' });
+    }
+});
+
+function sendJson(response, status, body) {
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_FRAME_BYTES) {
+                reject(new Error('Anfrage zu groß'));
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        request.on('error', reject);
+    });
+}
+
+// --- WebSocket (RFC 6455, nur Text-Frames ohne Fragmentierung) ---
+
+server.on('upgrade', (request, socket) => {
+    const key = request.headers['sec-websocket-key'];
+    if (request.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+
+    const client = { socket, scannerId: null, name: null, buffer: Buffer.alloc(0) };
+    clients.add(client);
+    log(`Verbindung von ${request.socket.remoteAddress} (${clients.size} offen)`);
+
+    socket.on('data', data => {
+        client.buffer = Buffer.concat([client.buffer, data]);
+        readFrames(client);
+    });
+    socket.on('close', () => removeClient(client));
+    socket.on('error', e => {
+        log(`Verbindungsfehler (${client.name || 'unbekannt'}): ${e.message}`);
+        removeClient(client);
+    });
+});
+
+/**
+ * Liest alle vollständigen Frames aus dem Puffer eines Clients.
+ */
+function readFrames(client) {
+    while (client.buffer.length >= 2) {
+        const buffer = client.buffer;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+        if (length === 126) {
+            if (buffer.length < 4) return;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return;
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+        if (length > MAX_FRAME_BYTES) {
+            closeClient(client, 1009);
+            return;
+        }
+        const maskOffset = offset;
+        if (masked) offset += 4;
+        if (buffer.length < offset + length) return; // Frame noch unvollständig
+
+        const payload = Buffer.from(buffer.subarray(offset, offset + length));
+        if (masked) {
+            for (let i = 0; i < payload.length; i++) payload[i] ^= buffer[maskOffset + (i % 4)];
+        }
+        client.buffer = buffer.subarray(offset + length);
+
+        if (opcode === 0x1) {
+            handleMessage(client, payload.toString('utf8'));
+        } else if (opcode === 0x8) {
+            closeClient(client, 1000);
+            return;
+        } else if (opcode === 0x9) {
+            writeFrame(client.socket, 0xA, payload); // Ping -> Pong
+        }
+    }
+}
+
+function writeFrame(socket, opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    if (!socket.destroyed) socket.write(Buffer.concat([header, payload]));
+}
+
+function sendMessage(client, message) {
+    writeFrame(client.socket, 0x1, Buffer.from(JSON.stringify(message), 'utf8'));
+}
+
+function closeClient(client, code) {
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    writeFrame(client.socket, 0x8, payload);
+    client.socket.end();
+    removeClient(client);
+}
+
+function removeClient(client) {
+    if (!clients.delete(client)) return;
+    log(`${client.name || 'Unbekannter Client'} getrennt (${clients.size} offen)`);
+    if (client.scannerId) broadcastScanners();
+}
+
+// --- Protokoll ---
+
+function handleMessage(client, text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch (e) {
+        log(`Ungültige Nachricht von ${client.name || 'unbekannt'} verworfen`);
+        return;
+    }
+
+    if (message.type === 'hello') {
+        client.scannerId = String(message.scannerId);
+        client.name = String(message.name || message.scannerId);
+        log(`Scanner angemeldet: ${client.name} (${client.scannerId})`);
+        broadcastScanners();
+    } else if (message.type === 'observation') {
+        broadcast(message, client);
+    }
+}
+
+/**
+ * Sendet eine Nachricht an alle Clients außer dem Absender.
+ */
+function broadcast(message, sender) {
+    for (const client of clients) {
+        if (client !== sender) sendMessage(client, message);
+    }
+}
+
+function broadcastScanners() {
+    broadcast({ type: 'scanners', scanners: listScanners() }, null);
+}
+
+function listScanners() {
+    return [...clients]
+        .filter(client => client.scannerId)
+        .map(client => ({ id: client.scannerId, name: client.name }));
+}
+
+function log(message) {
+    console.log(`[${new Date().toLocaleTimeString('de-DE')}] ${message}`);
+}
+
+server.listen(PORT, () => log(`Scanner-Relay läuft: ws://localhost:${PORT} (Status: http://localhost:${PORT}/)`));
@@ -0,0 +1,114 @@
+// serviceWorker.js
+// Service Worker für den Offline-Betrieb (Hallen mit unzuverlässigem WLAN).
+// Beim Installieren werden alle Dateien der App in einen versionierten Cache
+// geladen; danach kommt jede Anfrage zuerst aus dem Cache.
+//
+// WICHTIG: Nach jeder Änderung an einer der Dateien (auch config.js)
+// CACHE_VERSION erhöhen. Nur dann erkennt der Browser die neue Version,
+// lädt sie im Hintergrund und die App bietet "Aktualisieren" an (siehe pwa.js).
+// Neue Module müssen außerdem in PRECACHE_URLS eingetragen werden.
+
+const CACHE_VERSION = 'fleetview-v23';
+
+const PRECACHE_URLS = [
+    './',
+    './index.html',
+    './style.css',
+    './manifest.webmanifest',
+    './icon.svg',
+    './app.js',
+    './config.js',
+    './errorManager.js',
+    './accessibility.js',
+    './advertisementSource.js',
+    './alertEngine.js',
+    './alertPanel.js',
+    './beaconFormats.js',
+    './calibrationWizard.js',
+    './db.js',
+    './deviceDetails.js',
+    './deviceRegistry.js',
+    './deviceStats.js',
+    './fileUtils.js',
+    './fleetTransfer.js',
+    './floorMap.js',
+    './gattClient.js',
+    './gattMock.js',
+    './gattPanel.js',
+    './gridView.js',
+    './i18n.js',
+    './logStore.js',
+    './messagesDe.js',
+    './messagesEn.js',
+    './metricsOverlay.js',
+    './payloadDecoder.js',
+    './payloadTimeline.js',
+    './profileEditor.js',
+    './profiles.js',
+    './proximity.js',
+    './pwa.js',
+    './renderScheduler.js',
+    './rssiChart.js',
+    './rssiFilter.js',
+    './scanDiagnostics.js',
+    './scanManager.js',
+    './scannerBridge.js',
+    './sessionPanel.js',
+    './sessionRecorder.js',
+    './sessionReplay.js',
+    './shiftReport.js',
+    './shiftReportPanel.js',
+    './simulator.js',
+    './tableView.js',
+    './wakeLock.js'
+];
+
+// Installieren: alle Dateien frisch vom Server laden (am HTTP-Cache vorbei).
+// Die neue Version wartet danach, bis der Benutzer sie aktiviert (SKIP_WAITING).
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_VERSION).then(cache => (
+            cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' })))
+        ))
+    );
+});
+
+// Aktivieren: Caches älterer Versionen löschen und offene Seiten übernehmen
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => key.startsWith('fleetview-') && key !== CACHE_VERSION)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Nachricht aus pwa.js: Benutzer hat "Aktualisieren" gewählt
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// Anfragen: zuerst aus dem Cache (URL-Parameter wie ?source=simulator ignorieren),
+// sonst aus dem Netz. Seitenaufrufe fallen offline auf index.html zurück.
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith(
+        caches.open(CACHE_VERSION).then(async cache => {
+            const cached = await cache.match(request, { ignoreSearch: true });
+            if (cached) return cached;
+            try {
+                return await fetch(request);
+            } catch (e) {
+                if (request.mode === 'navigate') {
+                    const fallback = await cache.match('./index.html');
+                    if (fallback) return fallback;
+                }
+                throw e;
+            }
+        })
+    );
+});
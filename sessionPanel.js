@@ -0,0 +1,240 @@
+// sessionPanel.js
+// UI für Aufnahme und Wiedergabe von Scan-Sitzungen:
+// Aufnahme-Button im Header, Sitzungsliste (Modal) und Wiedergabe-Leiste
+// (Play/Pause, 1x/5x/20x, Zeitleiste zum Springen).
+
+import { createLogger } from './errorManager.js';
+import {
+    isRecording, startRecording, stopRecording, onRecordingChange, getRecordingSessionId,
+    listSessions, loadSession, deleteSession
+} from './sessionRecorder.js';
+import { createReplaySource } from './sessionReplay.js';
+import { t, onLocaleChange } from './i18n.js';
+
+const { log, warn, error } = createLogger('sessionPanel');
+
+let app = null; // Hooks aus app.js ({ startSource, stopScan, resetFleet, isScanning })
+let replaySource = null; // Aktive Wiedergabe (oder null)
+
+// DOM-Referenzen
+let btnRecord, btnSessions, sessionsModal, sessionsList;
+let replayBar, btnReplayPlay, replaySpeed, replaySeek, replayTime;
+
+/**
+ * Initialisiert Aufnahme- und Wiedergabe-UI.
+ * @param {object} hooks - Funktionen aus app.js.
+ * @param {function} hooks.startSource - Startet den Scan mit einer gegebenen Quelle (true bei Erfolg).
+ * @param {function} hooks.stopScan - Stoppt den laufenden Scan.
+ * @param {function} hooks.resetFleet - Leert Zustand und Kacheln.
+ * @param {function} hooks.isScanning - Liefert true, wenn eine Quelle aktiv ist.
+ */
+export function initSessionPanel(hooks) {
+    app = hooks;
+
+    btnRecord = document.getElementById('btn-record');
+    btnSessions = document.getElementById('btn-sessions');
+    sessionsModal = document.getElementById('sessions-modal');
+    sessionsList = document.getElementById('sessions-list');
+    replayBar = document.getElementById('replay-bar');
+    btnReplayPlay = document.getElementById('btn-replay-play');
+    replaySpeed = document.getElementById('replay-speed');
+    replaySeek = document.getElementById('replay-seek');
+    replayTime = document.getElementById('replay-time');
+
+    btnRecord.addEventListener('click', toggleRecording);
+    btnSessions.addEventListener('click', showSessionsModal);
+    document.getElementById('btn-close-sessions').addEventListener('click', hideSessionsModal);
+
+    btnReplayPlay.addEventListener('click', toggleReplayPlayback);
+    replaySpeed.addEventListener('change', () => {
+        if (replaySource) replaySource.setSpeed(Number(replaySpeed.value));
+    });
+    // 'change' statt 'input': erst beim Loslassen springen, nicht bei jeder Bewegung
+    replaySeek.addEventListener('change', () => {
+        if (replaySource) replaySource.seek(Number(replaySeek.value));
+    });
+    document.getElementById('btn-replay-stop').addEventListener('click', endReplay);
+
+    // Button-Zustand folgt der Aufnahme (sie endet z.B. auch mit dem Scan)
+    onRecordingChange(recording => {
+        btnRecord.classList.toggle('recording', recording);
+        // Schlüssel in data-i18n, damit ein Sprachwechsel die passende Beschriftung setzt
+        btnRecord.dataset.i18n = recording ? 'sessions.stopRecording' : 'sessions.record';
+        btnRecord.textContent = t(btnRecord.dataset.i18n);
+    });
+
+    onLocaleChange(() => {
+        if (!sessionsModal.classList.contains('modal-hidden')) renderSessionList();
+    });
+}
+
+/**
+ * Startet oder stoppt die Aufnahme des laufenden Scans.
+ */
+async function toggleRecording() {
+    if (isRecording()) {
+        await stopRecording();
+        return;
+    }
+    if (!app.isScanning() || replaySource) {
+        warn(t('sessions.recordNotPossible'));
+        return;
+    }
+    try {
+        await startRecording();
+    } catch (e) {
+        error(t('sessions.recordFailed', { message: e.message }));
+    }
+}
+
+/**
+ * Öffnet die Liste der gespeicherten Sitzungen.
+ */
+async function showSessionsModal() {
+    sessionsModal.classList.remove('modal-hidden');
+    await renderSessionList();
+}
+
+function hideSessionsModal() {
+    sessionsModal.classList.add('modal-hidden');
+}
+
+/**
+ * Baut die Sitzungsliste neu auf.
+ */
+async function renderSessionList() {
+    sessionsList.replaceChildren();
+    let sessions = [];
+    try {
+        sessions = await listSessions();
+    } catch (e) {
+        error(t('sessions.listFailed', { message: e.message }));
+        return;
+    }
+
+    if (sessions.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'session-empty';
+        empty.textContent = t('sessions.empty');
+        sessionsList.appendChild(empty);
+        return;
+    }
+
+    const recordingId = getRecordingSessionId();
+    for (const session of sessions) {
+        // Ohne 'endedAt' und nicht in Aufnahme: abgebrochen, bis zur letzten Beobachtung abspielbar
+        const recording = session.id === recordingId;
+        const item = document.createElement('li');
+        item.className = 'session-item';
+
+        const info = document.createElement('span');
+        const duration = session.endedAt ? formatDuration(session.endedAt - session.startedAt)
+            : t(recording ? 'sessions.running' : 'sessions.interrupted');
+        info.textContent = `${session.name} · ${duration} · ${t('sessions.packets', { count: session.count })}`;
+
+        const btnPlay = document.createElement('button');
+        btnPlay.textContent = t('sessions.play');
+        btnPlay.disabled = recording;
+        btnPlay.addEventListener('click', () => startReplay(session.id));
+
+        const btnDelete = document.createElement('button');
+        btnDelete.textContent = t('sessions.delete');
+        btnDelete.className = 'btn-danger';
+        btnDelete.addEventListener('click', async () => {
+            try {
+                await deleteSession(session.id);
+                log(t('sessions.deleted', { name: session.name }));
+            } catch (e) {
+                error(t('sessions.deleteFailed', { message: e.message }));
+            }
+            await renderSessionList();
+        });
+
+        item.append(info, btnPlay, btnDelete);
+        sessionsList.appendChild(item);
+    }
+}
+
+/**
+ * Lädt eine Sitzung und spielt sie über den normalen Scan-Pfad ab.
+ * @param {number} sessionId
+ */
+async function startReplay(sessionId) {
+    let data;
+    try {
+        data = await loadSession(sessionId);
+    } catch (e) {
+        error(t('sessions.loadFailed', { message: e.message }));
+        return;
+    }
+
+    // Laufenden Scan (oder eine andere Wiedergabe) beenden und mit leerem Cockpit starten
+    app.stopScan();
+    app.resetFleet();
+    hideSessionsModal();
+
+    replaySource = createReplaySource({
+        session: data.session,
+        observations: data.observations,
+        onReset: app.resetFleet,
+        onProgress: renderReplayProgress,
+        // Auch der Scan-Button im Header kann die Wiedergabe beenden
+        onStop: () => {
+            replaySource = null;
+            replayBar.classList.add('replay-hidden');
+            log(t('sessions.replayEnded'));
+        }
+    });
+    replaySource.setSpeed(Number(replaySpeed.value));
+
+    log(t('sessions.replayStarted', { name: data.session.name, count: data.observations.length }));
+    replayBar.classList.remove('replay-hidden');
+    // Start fehlgeschlagen (Meldung steht bereits im Log): Quelle und Leiste wieder abbauen.
+    // Ist die Quelle schon über scanManager gestoppt, hat 'onStop' das erledigt.
+    const started = await app.startSource(replaySource);
+    if (!started && replaySource) replaySource.stop();
+}
+
+/**
+ * Beendet die Wiedergabe (die Leiste wird über 'onStop' ausgeblendet).
+ */
+function endReplay() {
+    if (!replaySource) return;
+    app.stopScan();
+}
+
+function toggleReplayPlayback() {
+    if (!replaySource) return;
+    if (btnReplayPlay.dataset.playing === 'true') {
+        replaySource.pause();
+    } else {
+        replaySource.resume();
+    }
+}
+
+/**
+ * Aktualisiert Zeitleiste und Play/Pause-Button.
+ * @param {object} progress - { position, duration, playing, speed }
+ */
+function renderReplayProgress({ position, duration, playing }) {
+    replaySeek.max = String(duration);
+    // Nicht gegen den Benutzer ankämpfen, während er den Regler zieht
+    if (document.activeElement !== replaySeek) replaySeek.value = String(position);
+    replayTime.textContent = `${formatDuration(position)} / ${formatDuration(duration)}`;
+    btnReplayPlay.dataset.playing = String(playing);
+    btnReplayPlay.dataset.i18n = playing ? 'sessions.pause' : 'sessions.play';
+    btnReplayPlay.textContent = t(btnReplayPlay.dataset.i18n);
+}
+
+/**
+ * Formatiert Millisekunden als "mm:ss" (bzw. "h:mm:ss").
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatDuration(ms) {
+    const totalSec = Math.floor(ms / 1000);
+    const h = Math.floor(totalSec / 3600);
+    const m = String(Math.floor((totalSec % 3600) / 60)).padStart(2, '0');
+    const s = String(totalSec % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${m}:${s}` : `${m}:${s}`;
+}
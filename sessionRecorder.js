@@ -0,0 +1,179 @@
+// sessionRecorder.js
+// Zeichnet alle Advertisements, die 'handleAdvertisement' verarbeitet,
+// als Sitzung in der IndexedDB auf (Zeitstempel, Geräte-ID, RSSI, Profil, Rohdaten).
+// Die Beobachtungen werden gepuffert und gesammelt geschrieben, damit
+// nicht jedes Paket eine eigene Transaktion auslöst.
+
+import { openDatabase, promisifyRequest, transactionDone } from './db.js';
+import { createLogger } from './errorManager.js';
+import { t, formatDateTime } from './i18n.js';
+
+const { log, warn, error } = createLogger('sessionRecorder');
+
+const FLUSH_INTERVAL_MS = 1000; // Puffer spätestens jede Sekunde schreiben
+
+let currentSession = null; // { id, name, startedAt, count } der laufenden Aufnahme
+let buffer = [];
+let flushTimer = null;
+const changeListeners = []; // Callbacks für Start/Ende einer Aufnahme
+
+/**
+ * Gibt an, ob gerade aufgezeichnet wird.
+ * @returns {boolean}
+ */
+export function isRecording() {
+    return currentSession !== null;
+}
+
+/**
+ * ID der Sitzung, die gerade aufgezeichnet wird. Andere Sitzungen ohne 'endedAt'
+ * wurden unterbrochen (Absturz, Neuladen, Tab geschlossen).
+ * @returns {number|null}
+ */
+export function getRecordingSessionId() {
+    return currentSession ? currentSession.id : null;
+}
+
+/**
+ * Registriert einen Callback, der bei Start und Ende einer Aufnahme aufgerufen wird.
+ * @param {function} callback - Erhält true (Aufnahme läuft) oder false.
+ */
+export function onRecordingChange(callback) {
+    changeListeners.push(callback);
+}
+
+function notifyChange() {
+    for (const callback of changeListeners) callback(isRecording());
+}
+
+/**
+ * Startet eine neue Aufnahme-Sitzung.
+ * @param {string} [name] - Anzeigename der Sitzung.
+ * @returns {Promise<number>} - Die ID der Sitzung.
+ */
+export async function startRecording(name) {
+    if (currentSession) return currentSession.id;
+
+    const startedAt = Date.now();
+    const session = {
+        name: name || t('sessions.defaultName', { time: formatDateTime(startedAt) }),
+        startedAt: startedAt,
+        endedAt: null,
+        count: 0
+    };
+
+    const db = await openDatabase();
+    const tx = db.transaction('sessions', 'readwrite');
+    session.id = await promisifyRequest(tx.objectStore('sessions').add(session));
+    await transactionDone(tx);
+
+    currentSession = session;
+    buffer = [];
+    flushTimer = setInterval(flush, FLUSH_INTERVAL_MS);
+    log(t('sessions.recordStarted', { name: session.name }));
+    notifyChange();
+    return session.id;
+}
+
+/**
+ * Beendet die laufende Aufnahme und schreibt den Rest des Puffers.
+ * @returns {Promise<void>}
+ */
+export async function stopRecording() {
+    if (!currentSession) return;
+
+    clearInterval(flushTimer);
+    flushTimer = null;
+    await flush();
+
+    const session = currentSession;
+    currentSession = null;
+    session.endedAt = Date.now();
+    notifyChange();
+
+    try {
+        const db = await openDatabase();
+        const tx = db.transaction('sessions', 'readwrite');
+        tx.objectStore('sessions').put(session);
+        await transactionDone(tx);
+        log(t('sessions.recordStopped', { name: session.name, count: session.count }));
+    } catch (e) {
+        error(t('sessions.recordStopFailed', { message: e.message }));
+    }
+}
+
+/**
+ * Nimmt eine Beobachtung in den Puffer auf (nur während einer Aufnahme).
+ * @param {object} observation - { t, deviceId, deviceName, rssi, profile, bytes }
+ */
+export function recordObservation(observation) {
+    if (!currentSession) return;
+    buffer.push({ ...observation, sessionId: currentSession.id });
+    currentSession.count++;
+}
+
+/**
+ * Schreibt den Puffer in die Datenbank.
+ */
+async function flush() {
+    if (buffer.length === 0) return;
+    const batch = buffer;
+    buffer = [];
+
+    try {
+        const db = await openDatabase();
+        const tx = db.transaction(['observations', 'sessions'], 'readwrite');
+        const store = tx.objectStore('observations');
+        for (const observation of batch) store.add(observation);
+        // Paketzahl mitschreiben, damit auch eine abgebrochene Aufnahme sie kennt
+        if (currentSession) tx.objectStore('sessions').put({ ...currentSession });
+        await transactionDone(tx);
+    } catch (e) {
+        warn(t('sessions.flushFailed', { count: batch.length, message: e.message }));
+    }
+}
+
+/**
+ * Liefert alle gespeicherten Sitzungen (neueste zuerst).
+ * @returns {Promise<Array>}
+ */
+export async function listSessions() {
+    const db = await openDatabase();
+    const sessions = await promisifyRequest(db.transaction('sessions').objectStore('sessions').getAll());
+    return sessions.sort((a, b) => b.startedAt - a.startedAt);
+}
+
+/**
+ * Lädt eine Sitzung samt aller Beobachtungen (nach Zeit sortiert).
+ * @param {number} sessionId
+ * @returns {Promise<object>} - { session, observations }
+ */
+export async function loadSession(sessionId) {
+    const db = await openDatabase();
+    const tx = db.transaction(['sessions', 'observations']);
+    const session = await promisifyRequest(tx.objectStore('sessions').get(sessionId));
+    if (!session) throw new Error(t('sessions.notFound', { id: sessionId }));
+
+    const observations = await promisifyRequest(
+        tx.objectStore('observations').index('sessionId').getAll(sessionId)
+    );
+    observations.sort((a, b) => a.t - b.t);
+    return { session, observations };
+}
+
+/**
+ * Löscht eine Sitzung samt ihrer Beobachtungen.
+ * @param {number} sessionId
+ * @returns {Promise<void>}
+ */
+export async function deleteSession(sessionId) {
+    const db = await openDatabase();
+    const tx = db.transaction(['sessions', 'observations'], 'readwrite');
+    tx.objectStore('sessions').delete(sessionId);
+
+    const index = tx.objectStore('observations').index('sessionId');
+    const keys = await promisifyRequest(index.getAllKeys(sessionId));
+    for (const key of keys) tx.objectStore('observations').delete(key);
+
+    await transactionDone(tx);
+}
@@ -0,0 +1,155 @@
+// sessionReplay.js
+// Spielt eine aufgezeichnete Sitzung als Paket-Quelle ab (siehe advertisementSource.js).
+// Die Events laufen durch denselben 'handleAdvertisement'-Pfad wie ein echter Scan.
+// Da die Wiedergabe schneller als Echtzeit laufen kann, stellt die Quelle eine
+// eigene Uhr ('now') bereit: Zeitstempel, LEDs und "Zuletzt gesehen" beziehen
+// sich damit auf die aufgezeichnete Zeit, nicht auf die Wanduhr.
+
+import { createLogger } from './errorManager.js';
+import { buildAdvertisementEvent } from './simulator.js';
+import { t } from './i18n.js';
+
+const { error } = createLogger('sessionReplay');
+
+const TICK_MS = 50; // Auflösung des Wiedergabe-Timers
+
+/**
+ * Erstellt eine Wiedergabe-Quelle für eine geladene Sitzung.
+ * @param {object} params
+ * @param {object} params.session - Sitzungs-Metadaten ({ startedAt, endedAt, ... }).
+ * @param {Array} params.observations - Nach Zeit sortierte Beobachtungen.
+ * @param {function} [params.onReset] - Wird vor einem Rücksprung aufgerufen (Zustand leeren).
+ * @param {function} [params.onProgress] - Erhält { position, duration, playing, speed }.
+ * @param {function} [params.onStop] - Wird aufgerufen, wenn die Quelle gestoppt wurde.
+ * @returns {object} - Quelle mit start()/stop()/active sowie Wiedergabe-Steuerung.
+ */
+export function createReplaySource({ session, observations, onReset = () => {}, onProgress = () => {}, onStop = () => {} }) {
+    const startTime = session.startedAt;
+    const lastObservation = observations[observations.length - 1];
+    const endTime = Math.max(session.endedAt || 0, lastObservation ? lastObservation.t : startTime);
+    const duration = endTime - startTime;
+
+    let timer = null;
+    let onAdvertisement = null;
+    let nextIndex = 0;       // Index der nächsten abzuspielenden Beobachtung
+    let cursorTime = startTime; // Aktuelle Wiedergabe-Zeit (ms seit Epoch)
+    let playing = false;
+    let speed = 1;
+    let lastTickAt = 0;
+
+    function reportProgress() {
+        onProgress({ position: cursorTime - startTime, duration, playing, speed });
+    }
+
+    /**
+     * Spielt alle Beobachtungen bis einschließlich 'targetTime' ab.
+     * Während jedes Events steht die Uhr auf dem Zeitstempel des Pakets.
+     */
+    function dispatchUntil(targetTime) {
+        while (nextIndex < observations.length && observations[nextIndex].t <= targetTime) {
+            const observation = observations[nextIndex++];
+            cursorTime = observation.t;
+            try {
+                onAdvertisement(buildAdvertisementEvent({
+                    id: observation.deviceId,
+                    name: observation.deviceName,
+                    rssi: observation.rssi,
+                    profile: observation.profile,
+                    bytes: observation.bytes
+                }));
+            } catch (e) {
+                error(t('sessions.replayPacketFailed', { id: observation.deviceId, message: e.message }));
+            }
+        }
+        cursorTime = targetTime;
+    }
+
+    function tick() {
+        const now = Date.now();
+        const elapsed = now - lastTickAt;
+        lastTickAt = now;
+        if (!playing) return;
+
+        const target = Math.min(endTime, cursorTime + elapsed * speed);
+        dispatchUntil(target);
+
+        // Am Ende anhalten, damit der Benutzer noch zurückspulen kann
+        if (target >= endTime) playing = false;
+        reportProgress();
+    }
+
+    return {
+        name: t('sessions.replaySourceName'),
+        // Wiedergaben werden nicht erneut aufgezeichnet
+        recordable: false,
+        // Eine angehaltene Wiedergabe liefert absichtlich keine Pakete (kein Watchdog)
+        supervised: false,
+
+        get active() {
+            return timer !== null;
+        },
+
+        /**
+         * Uhr der Wiedergabe (ersetzt Date.now() in der App).
+         * @returns {number}
+         */
+        now() {
+            return cursorTime;
+        },
+
+        async start(options) {
+            onAdvertisement = options.onAdvertisement;
+            nextIndex = 0;
+            cursorTime = startTime;
+            playing = true;
+            lastTickAt = Date.now();
+            timer = setInterval(tick, TICK_MS);
+            reportProgress();
+        },
+
+        stop() {
+            if (timer) clearInterval(timer);
+            timer = null;
+            playing = false;
+            reportProgress();
+            onStop();
+        },
+
+        pause() {
+            playing = false;
+            reportProgress();
+        },
+
+        resume() {
+            // Am Ende von vorne beginnen
+            if (cursorTime >= endTime) this.seek(0);
+            playing = true;
+            lastTickAt = Date.now();
+            reportProgress();
+        },
+
+        /**
+         * @param {number} factor - Wiedergabe-Geschwindigkeit (z.B. 1, 5, 20).
+         */
+        setSpeed(factor) {
+            speed = factor;
+            reportProgress();
+        },
+
+        /**
+         * Springt an eine Position der Sitzung.
+         * Rückwärts wird der Zustand geleert und bis zur Zielzeit
+         * neu aufgebaut, vorwärts werden die übersprungenen Pakete nachgespielt.
+         * @param {number} position - Millisekunden ab Sitzungsbeginn.
+         */
+        seek(position) {
+            const target = startTime + Math.max(0, Math.min(duration, position));
+            if (target < cursorTime) {
+                onReset();
+                nextIndex = 0;
+            }
+            dispatchUntil(target);
+            reportProgress();
+        }
+    };
+}
@@ -0,0 +1,346 @@
+// shiftReport.js
+// Schichtbericht: Zusammenfassung eines Zeitraums je Fahrzeug und für die Flotte
+// (Verfügbarkeit, längster Ausfall, mittleres Signal, Statuswechsel, Alarme).
+//
+// Damit ein Bericht über eine ganze Schicht möglich ist, führt jedes Asset ein
+// kompaktes Protokoll ('asset.shiftLog'), das höchstens CONFIG.SHIFT_REPORT.RETENTION_MS
+// zurückreicht:
+//   presence - Anwesenheits-Intervalle [erstes Paket, letztes Paket]; eine Lücke
+//              bis CONFIG.LED_STATUS.ACTIVE_MS setzt das Intervall fort (LED bleibt grün)
+//   buckets  - RSSI-Summe und Paketanzahl je CONFIG.SHIFT_REPORT.BUCKET_MS
+//   changes  - Änderungen überwachter Payload-Bytes (siehe payloadTimeline.js)
+// Zusätzlich merkt sich das Modul, wann überhaupt gescannt wurde ('coverage'):
+// Zeiten ohne Scan zählen weder als verfügbar noch als Ausfall.
+//
+// Ausfälle zählen wie in deviceStats.js: eine Lücke zwischen zwei Paketen, die länger
+// als ACTIVE_MS ist, ist ein Ausfall (ganze Lücke), länger als INACTIVE_MS zusätzlich
+// "verloren". Verfügbarkeit = Online-Zeit / überwachte Zeit seit dem ersten Paket im Zeitraum.
+
+import { CONFIG } from './config.js';
+import { formatDuration } from './deviceStats.js';
+import { getRuleName } from './alertEngine.js';
+import { t, getLocale, formatNumber, formatPercent, formatTime, formatDateTime } from './i18n.js';
+
+const coverage = []; // [[start, end|null]] - Zeiten mit aktivem Scan (end null = läuft)
+
+/**
+ * Legt das Protokoll für ein neu entdecktes Fahrzeug an.
+ * @returns {object}
+ */
+export function createShiftLog() {
+    return { presence: [], buckets: [], changes: [] };
+}
+
+/**
+ * Schreibt ein empfangenes Paket ins Protokoll.
+ * @param {object} log - Aus createShiftLog.
+ * @param {number} rssi
+ * @param {number} t - Empfangszeit (ms).
+ */
+export function recordShiftPacket(log, rssi, t) {
+    const last = log.presence[log.presence.length - 1];
+    if (last && t - last[1] <= CONFIG.LED_STATUS.ACTIVE_MS) {
+        last[1] = Math.max(last[1], t); // Bei Wiedergaben kann die Zeit zurückspringen
+    } else {
+        log.presence.push([t, t]);
+        pruneShiftLog(log, t - CONFIG.SHIFT_REPORT.RETENTION_MS);
+    }
+
+    const bucketStart = t - (t % CONFIG.SHIFT_REPORT.BUCKET_MS);
+    const bucket = log.buckets[log.buckets.length - 1];
+    if (bucket && bucket.t >= bucketStart) {
+        bucket.count++;
+        bucket.sum += rssi;
+    } else {
+        log.buckets.push({ t: bucketStart, count: 1, sum: rssi });
+    }
+}
+
+/**
+ * Schreibt eine Änderung überwachter Payload-Bytes ins Protokoll.
+ * @param {object} log
+ * @param {object} change - { t, name, text }, z.B. { name: "Fahrzeugstatus", text: "Byte 1: 01 → 02" }.
+ */
+export function recordShiftChange(log, change) {
+    log.changes.push(change);
+}
+
+/**
+ * Verwirft Einträge, die vor 'before' enden.
+ */
+function pruneShiftLog(log, before) {
+    while (log.presence.length > 1 && log.presence[0][1] < before) log.presence.shift();
+    while (log.buckets.length > 0 && log.buckets[0].t < before) log.buckets.shift();
+    while (log.changes.length > 0 && log.changes[0].t < before) log.changes.shift();
+}
+
+/**
+ * Merkt sich Beginn und Ende aktiver Scans (aus dem Scan-Zustand).
+ * @param {boolean} active
+ * @param {number} t
+ */
+export function recordCoverage(active, t) {
+    const last = coverage[coverage.length - 1];
+    const open = last && last[1] === null;
+    if (active && !open) {
+        coverage.push([t, null]);
+    } else if (!active && open) {
+        last[1] = t;
+    }
+    while (coverage.length > 1 && coverage[0][1] !== null && coverage[0][1] < t - CONFIG.SHIFT_REPORT.RETENTION_MS) {
+        coverage.shift();
+    }
+}
+
+/**
+ * Verwirft die Scan-Zeiten (beim Zurücksetzen des Flotten-Zustands).
+ */
+export function resetCoverage() {
+    coverage.length = 0;
+}
+
+/**
+ * @returns {Array} - Kopie der Scan-Zeiten [[start, end|null]].
+ */
+export function getCoverage() {
+    return coverage.map(interval => [...interval]);
+}
+
+// --- Auswertung ---
+
+/**
+ * Schneidet Intervalle auf [from, to] zu (offene Enden = to).
+ */
+function clip(intervals, from, to) {
+    const result = [];
+    for (const [start, end] of intervals) {
+        const s = Math.max(start, from);
+        const e = Math.min(end === null ? to : end, to);
+        if (e > s) result.push([s, e]);
+    }
+    return result;
+}
+
+/**
+ * Schnittmenge zweier sortierter, überlappungsfreier Intervall-Listen.
+ */
+function intersect(a, b) {
+    const result = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        const s = Math.max(a[i][0], b[j][0]);
+        const e = Math.min(a[i][1], b[j][1]);
+        if (e > s) result.push([s, e]);
+        if (a[i][1] < b[j][1]) i++;
+        else j++;
+    }
+    return result;
+}
+
+const totalLength = intervals => intervals.reduce((sum, [s, e]) => sum + e - s, 0);
+
+/**
+ * Lücken zwischen den Anwesenheits-Intervallen, zuletzt die Stille bis 'end'.
+ */
+function presenceGaps(presence, end) {
+    const result = [];
+    for (let i = 1; i < presence.length; i++) result.push([presence[i - 1][1], presence[i][0]]);
+    const last = presence[presence.length - 1];
+    if (last && last[1] < end) result.push([last[1], end]);
+    return result;
+}
+
+/**
+ * Erstellt den Bericht für einen Zeitraum.
+ * @param {object} params
+ * @param {Iterable<object>} params.assets - Werte aus 'detectedAssets' (mit 'shiftLog').
+ * @param {Array<object>} params.alerts - Offene und abgeschlossene Alarme (siehe alertEngine.js).
+ * @param {Array} params.coverage - Scan-Zeiten aus getCoverage().
+ * @param {number} params.from - Beginn (ms).
+ * @param {number} params.to - Ende (ms); wird auf 'now' begrenzt.
+ * @param {number} params.now - Aktuelle Zeit der App (ms).
+ * @returns {object} - { from, to, createdAt, monitoredMs, vehicles: [...], fleet: {...} }
+ */
+export function buildShiftReport({ assets, alerts, coverage: scanTimes, from, to, now }) {
+    const end = Math.min(to, now);
+    const covered = clip(scanTimes, from, end);
+    const monitoredMs = totalLength(covered);
+
+    const vehicles = [];
+    for (const asset of assets) {
+        const log = asset.shiftLog;
+        // Überwacht ab Beginn des Zeitraums, wenn das Fahrzeug schon vorher gesehen wurde, sonst ab dem ersten Paket
+        const seenBefore = log.presence.length > 0 && log.presence[0][0] < from;
+        const first = log.presence.find(interval => interval[0] >= from && interval[0] < end);
+        const observedFrom = seenBefore ? from : (first ? first[0] : end);
+        const observed = intersect(covered, [[observedFrom, end]]);
+
+        // Nur gescannte Zeit einer Lücke zählt; was dann nicht länger als ACTIVE_MS ist, bleibt online
+        const outages = presenceGaps(log.presence, end)
+            .map(gap => totalLength(intersect(covered, clip([gap], observedFrom, end))))
+            .filter(ms => ms > CONFIG.LED_STATUS.ACTIVE_MS);
+        const observedMs = totalLength(observed);
+        const onlineMs = Math.max(0, observedMs - outages.reduce((sum, ms) => sum + ms, 0));
+
+        let packets = 0;
+        let rssiSum = 0;
+        for (const bucket of log.buckets) {
+            if (bucket.t < from || bucket.t >= end) continue;
+            packets += bucket.count;
+            rssiSum += bucket.sum;
+        }
+
+        vehicles.push({
+            id: asset.id,
+            name: asset.name,
+            profileName: asset.profileName,
+            onlineMs: onlineMs,
+            availability: observedMs > 0 ? onlineMs / observedMs : null,
+            outages: outages.length,
+            lostCount: outages.filter(ms => ms > CONFIG.LED_STATUS.INACTIVE_MS).length,
+            longestOutageMs: outages.length > 0 ? Math.max(...outages) : 0,
+            packets: packets,
+            avgRssi: packets > 0 ? rssiSum / packets : null,
+            changes: log.changes.filter(change => change.t >= from && change.t < end),
+            alerts: alerts
+                .filter(alert => alert.assetId === asset.id && alert.raisedAt < end && (alert.resolvedAt ?? end) >= from)
+                .sort((a, b) => a.raisedAt - b.raisedAt)
+        });
+    }
+    vehicles.sort((a, b) => (a.availability ?? 1) - (b.availability ?? 1) || a.name.localeCompare(b.name, getLocale()));
+
+    const rated = vehicles.filter(vehicle => vehicle.availability !== null);
+    const vehicleAlerts = vehicles.flatMap(vehicle => vehicle.alerts);
+    return {
+        from: from,
+        to: end,
+        createdAt: now,
+        monitoredMs: monitoredMs,
+        vehicles: vehicles,
+        fleet: {
+            vehicleCount: vehicles.length,
+            avgAvailability: rated.length > 0 ? rated.reduce((sum, v) => sum + v.availability, 0) / rated.length : null,
+            belowTarget: rated.filter(vehicle => vehicle.availability < CONFIG.SHIFT_REPORT.AVAILABILITY_TARGET).length,
+            outages: vehicles.reduce((sum, v) => sum + v.outages, 0),
+            lostCount: vehicles.reduce((sum, v) => sum + v.lostCount, 0),
+            longestOutageMs: Math.max(0, ...vehicles.map(v => v.longestOutageMs)),
+            changes: vehicles.reduce((sum, v) => sum + v.changes.length, 0),
+            alerts: vehicleAlerts.length,
+            criticalAlerts: vehicleAlerts.filter(alert => alert.severity === 'critical').length
+        }
+    };
+}
+
+// --- Darstellung ---
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+const formatShare = value => value === null ? '–' : formatPercent(value);
+const formatDbm = value => value === null ? '–' : `${formatNumber(value, 1)} dBm`;
+
+// Spaltenköpfe der Fahrzeugtabelle (Textschlüssel)
+const VEHICLE_COLUMNS = [
+    'report.column.name', 'report.column.id', 'report.column.profile', 'report.column.availability',
+    'report.column.online', 'report.column.outages', 'report.longestOutage', 'report.column.signal',
+    'report.column.packets', 'report.changes', 'report.alerts'
+];
+
+const REPORT_STYLE = `
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #1a1a1a; }
+    h1 { margin-bottom: 0.25rem; }
+    h2 { margin-top: 2rem; border-bottom: 1px solid #ccc; }
+    table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+    th, td { border: 1px solid #ccc; padding: 0.3rem 0.5rem; text-align: left; }
+    th { background: #f0f0f0; }
+    td.num { text-align: right; font-variant-numeric: tabular-nums; }
+    tr.below-target td { background: #fdecea; }
+    .meta { color: #555; margin: 0; }
+    .vehicle { break-inside: avoid; margin-top: 1rem; }
+    .vehicle h3 { margin-bottom: 0.25rem; }
+    ul { margin: 0.25rem 0; }
+    .critical { color: #b00020; font-weight: bold; }
+    @media print { .no-print { display: none; } body { margin: 0; } }
+`;
+
+/**
+ * Erzeugt den Bericht als eigenständige HTML-Seite (druckbar, zum Herunterladen).
+ * @param {object} report - Ergebnis von buildShiftReport.
+ * @returns {string}
+ */
+export function renderShiftReportHtml(report) {
+    const { fleet } = report;
+    const target = CONFIG.SHIFT_REPORT.AVAILABILITY_TARGET;
+    const unmonitoredMs = report.to - report.from - report.monitoredMs;
+
+    const overview = [
+        [t('report.vehicles'), fleet.vehicleCount],
+        [t('report.avgAvailability'), formatShare(fleet.avgAvailability)],
+        [t('report.belowTarget', { target: formatShare(target) }), fleet.belowTarget],
+        [t('report.outagesLost'), `${fleet.outages} (${fleet.lostCount})`],
+        [t('report.longestOutage'), formatDuration(fleet.longestOutageMs)],
+        [t('report.changes'), fleet.changes],
+        [t('report.alertsCritical'), `${fleet.alerts} (${fleet.criticalAlerts})`]
+    ].map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td class="num">${escapeHtml(value)}</td></tr>`).join('');
+
+    const rows = report.vehicles.map(v => `
+        <tr${v.availability !== null && v.availability < target ? ' class="below-target"' : ''}>
+            <td>${escapeHtml(v.name)}</td>
+            <td>${escapeHtml(v.id)}</td>
+            <td>${escapeHtml(v.profileName)}</td>
+            <td class="num">${formatShare(v.availability)}</td>
+            <td class="num">${formatDuration(v.onlineMs)}</td>
+            <td class="num">${v.outages} (${v.lostCount})</td>
+            <td class="num">${v.longestOutageMs > 0 ? formatDuration(v.longestOutageMs) : '–'}</td>
+            <td class="num">${formatDbm(v.avgRssi)}</td>
+            <td class="num">${v.packets}</td>
+            <td class="num">${v.changes.length}</td>
+            <td class="num">${v.alerts.length}</td>
+        </tr>`).join('');
+
+    const details = report.vehicles
+        .filter(v => v.changes.length > 0 || v.alerts.length > 0)
+        .map(v => `
+        <div class="vehicle">
+            <h3>${escapeHtml(v.name)} <small>(${escapeHtml(v.id)})</small></h3>
+            ${v.alerts.length > 0 ? `<strong>${escapeHtml(t('report.alerts'))}:</strong><ul>${v.alerts.map(alert => `
+                <li${alert.severity === 'critical' ? ' class="critical"' : ''}>${formatTime(alert.raisedAt)} – ${alert.resolvedAt ? formatTime(alert.resolvedAt) : escapeHtml(t('report.open'))}: ${escapeHtml(getRuleName(alert))}</li>`).join('')}
+            </ul>` : ''}
+            ${v.changes.length > 0 ? `<strong>${escapeHtml(t('report.changes'))}:</strong><ul>${v.changes.map(change => `
+                <li>${formatTime(change.t)}: ${escapeHtml(change.name)} (${escapeHtml(change.text)})</li>`).join('')}
+            </ul>` : ''}
+        </div>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="${getLocale()}">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(t('report.title'))} ${escapeHtml(formatDateTime(report.from))} – ${escapeHtml(formatDateTime(report.to))}</title>
+    <style>${REPORT_STYLE}</style>
+</head>
+<body>
+    <button class="no-print" onclick="window.print()">${escapeHtml(t('report.print'))}</button>
+    <h1>${escapeHtml(t('report.title'))}</h1>
+    <p class="meta">${escapeHtml(t('report.range', { from: formatDateTime(report.from), to: formatDateTime(report.to) }))}</p>
+    <p class="meta">${escapeHtml(t('report.monitored', { duration: formatDuration(report.monitoredMs) }))}${unmonitoredMs > 1000 ? ` ${escapeHtml(t('report.unmonitored', { duration: formatDuration(unmonitoredMs) }))}` : ''}</p>
+    <p class="meta">${escapeHtml(t('report.created', { time: formatDateTime(report.createdAt) }))}</p>
+
+    <h2>${escapeHtml(t('report.fleetOverview'))}</h2>
+    <table>${overview}</table>
+
+    <h2>${escapeHtml(t('report.vehicles'))}</h2>
+    ${report.vehicles.length === 0 ? `<p>${escapeHtml(t('report.noVehicles'))}</p>` : `<table>
+        <thead>
+            <tr>${VEHICLE_COLUMNS.map(key => `<th>${escapeHtml(t(key))}</th>`).join('')}</tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+    </table>`}
+
+    ${details ? `<h2>${escapeHtml(t('report.details'))}</h2>${details}` : ''}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,118 @@
+// shiftReportPanel.js
+// Dialog "Schichtbericht": Zeitraum wählen, Bericht erstellen (Vorschau),
+// drucken oder als HTML-Datei herunterladen. Die Auswertung liegt in shiftReport.js.
+
+import { CONFIG } from './config.js';
+import { createLogger } from './errorManager.js';
+import { downloadFile, fileTimestamp } from './fileUtils.js';
+import { buildShiftReport, renderShiftReportHtml } from './shiftReport.js';
+import { t, onLocaleChange } from './i18n.js';
+
+const { info, warn } = createLogger('shiftReportPanel');
+
+let app = null; // Hooks aus app.js ({ getAssets, getAlerts, getCoverage, now })
+let currentHtml = null; // Zuletzt erstellter Bericht
+
+// DOM-Referenzen
+let reportModal, inputFrom, inputTo, preview, btnPrint, btnDownload, statusText;
+
+/**
+ * Initialisiert den Schichtbericht-Dialog.
+ * @param {object} hooks
+ * @param {function} hooks.getAssets - Liefert die Map 'detectedAssets'.
+ * @param {function} hooks.getAlerts - Offene und abgeschlossene Alarme.
+ * @param {function} hooks.getCoverage - Scan-Zeiten (siehe shiftReport.getCoverage).
+ * @param {function} hooks.now - Aktuelle Zeit der App (ms; bei Wiedergaben virtuell).
+ */
+export function initShiftReportPanel(hooks) {
+    app = hooks;
+
+    reportModal = document.getElementById('report-modal');
+    inputFrom = document.getElementById('report-from');
+    inputTo = document.getElementById('report-to');
+    preview = document.getElementById('report-preview');
+    btnPrint = document.getElementById('btn-report-print');
+    btnDownload = document.getElementById('btn-report-download');
+    statusText = document.getElementById('report-status');
+
+    document.getElementById('btn-report').addEventListener('click', openReportDialog);
+    document.getElementById('btn-close-report').addEventListener('click', () => reportModal.classList.add('modal-hidden'));
+    document.getElementById('btn-report-last-shift').addEventListener('click', () => {
+        presetRange();
+        createReport();
+    });
+    document.getElementById('btn-report-create').addEventListener('click', createReport);
+    btnPrint.addEventListener('click', () => preview.contentWindow.print());
+    btnDownload.addEventListener('click', () => {
+        if (!currentHtml) return;
+        downloadFile(`fleetview-schichtbericht_${fileTimestamp()}.html`, currentHtml, 'text/html');
+        info(t('report.downloaded'));
+    });
+
+    // Offenen Bericht in der neuen Sprache neu erstellen
+    onLocaleChange(() => {
+        if (!reportModal.classList.contains('modal-hidden')) createReport();
+    });
+}
+
+function openReportDialog() {
+    if (!inputFrom.value || !inputTo.value) presetRange();
+    reportModal.classList.remove('modal-hidden');
+    createReport();
+}
+
+/**
+ * Belegt den Zeitraum mit den letzten CONFIG.SHIFT_REPORT.DEFAULT_HOURS vor.
+ */
+function presetRange() {
+    const now = app.now();
+    inputFrom.value = toInputValue(now - CONFIG.SHIFT_REPORT.DEFAULT_HOURS * 3600000);
+    inputTo.value = toInputValue(now);
+}
+
+function createReport() {
+    const from = new Date(inputFrom.value).getTime();
+    // Ohne Sekunden im Eingabefeld: die laufende Minute vollständig einbeziehen
+    const to = new Date(inputTo.value).getTime() + 59999;
+    if (Number.isNaN(from) || Number.isNaN(to) || from >= to) {
+        warn(t('report.invalidRangeLog'));
+        setReport(null, t('report.invalidRange'));
+        return;
+    }
+
+    const report = buildShiftReport({
+        assets: app.getAssets().values(),
+        alerts: app.getAlerts(),
+        coverage: app.getCoverage(),
+        from: from,
+        to: to,
+        now: app.now()
+    });
+    const { fleet } = report;
+    setReport(renderShiftReportHtml(report), report.monitoredMs > 0
+        ? t('report.status', { count: fleet.vehicleCount, belowTarget: fleet.belowTarget, alerts: fleet.alerts })
+        : t('report.notMonitored'));
+}
+
+/**
+ * Zeigt den Bericht in der Vorschau und gibt Drucken/Herunterladen frei.
+ * @param {string|null} html
+ * @param {string} status
+ */
+function setReport(html, status) {
+    currentHtml = html;
+    preview.srcdoc = html ?? '';
+    btnPrint.disabled = !html;
+    btnDownload.disabled = !html;
+    statusText.textContent = status;
+}
+
+/**
+ * Wert für ein datetime-local-Feld in Ortszeit, z.B. "2024-05-13T14:05".
+ * @param {number} t
+ * @returns {string}
+ */
+function toInputValue(t) {
+    const date = new Date(t);
+    return new Date(t - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
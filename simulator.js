@@ -0,0 +1,220 @@
+// simulator.js
+// Simulierte BLE-Quelle für Demo, Entwicklung und Tests ohne Web Bluetooth.
+// Erzeugt eine konfigurierbare Flotte (CONFIG.SIMULATOR), deren Fahrzeuge
+// Events im Format von 'advertisementreceived' senden: RSSI als Random Walk,
+// zufällige Aussetzer und Payloads nach Vorlage des jeweiligen FTS-Profils.
+
+import { createLogger } from './errorManager.js';
+import { getActiveProfiles } from './profiles.js';
+import { getCharacteristicDefinitions } from './gattClient.js';
+import { createMockGattDevice } from './gattMock.js';
+import { isBeaconType, getBeaconCarrier } from './beaconFormats.js';
+import { t } from './i18n.js';
+
+const { error } = createLogger('simulator');
+
+/**
+ * Liefert eine ganze Zufallszahl im Bereich [min, max].
+ */
+function randomInt(min, max) {
+    return Math.floor(min + Math.random() * (max - min + 1));
+}
+
+/**
+ * Erzeugt die Payload-Bytes aus einer Profil-Vorlage.
+ * Jeder Eintrag ist entweder ein fester Byte-Wert (z.B. 0x01)
+ * oder ein Bereich [min, max], aus dem pro Paket zufällig gewählt wird.
+ * @param {Array} template - z.B. [[20, 100], [0, 4], 0, 1, 4, 2]
+ * @returns {Uint8Array}
+ */
+function buildPayloadBytes(template = []) {
+    return Uint8Array.from(template, entry => (
+        Array.isArray(entry) ? randomInt(entry[0], entry[1]) : entry
+    ));
+}
+
+/**
+ * Baut ein Event, das wie ein echtes 'advertisementreceived'-Event aussieht.
+ * Wird auch von anderen künstlichen Quellen (z.B. Wiedergabe) genutzt.
+ * @param {object} params
+ * @param {string} params.id - Geräte-ID
+ * @param {string} [params.name] - Gerätename
+ * @param {number} params.rssi - Signalstärke in dBm
+ * @param {object} params.profile - Profil aus CONFIG.FTS_PROFILES
+ * @param {Uint8Array} params.bytes - Roh-Payload
+ * @returns {object}
+ */
+export function buildAdvertisementEvent({ id, name = null, rssi, profile, bytes }) {
+    const dataView = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const serviceData = new Map();
+    const manufacturerData = new Map();
+
+    // Beacon-Formate: Hersteller-ID bzw. Service ergeben sich aus dem Typ
+    const carrier = isBeaconType(profile.type) ? getBeaconCarrier(profile)
+        : profile.type === 'service' ? { uuid: profile.uuid } : { companyId: profile.companyId };
+    if (carrier.uuid) {
+        serviceData.set(carrier.uuid, dataView);
+    } else {
+        manufacturerData.set(carrier.companyId, dataView);
+    }
+
+    return {
+        device: { id: id, name: name },
+        rssi: rssi,
+        txPower: null,
+        uuids: carrier.uuid ? [carrier.uuid] : [],
+        serviceData: serviceData,
+        manufacturerData: manufacturerData
+    };
+}
+
+/**
+ * Baut das GATT-Gerät eines simulierten Fahrzeugs (für die Diagnose im Inspektor).
+ * Standard-Werte kommen aus den Fahrzeugdaten, Profil-Characteristics aus
+ * 'simulatorValue' (Vorlage wie 'simulatorPayload').
+ * @param {object} vehicle - Fahrzeug der simulierten Flotte.
+ * @returns {object} - Nachgebildetes BluetoothDevice (siehe gattMock.js).
+ */
+function createSimulatedGattDevice(vehicle) {
+    const text = value => new TextEncoder().encode(value);
+    const standardValues = {
+        battery: () => Uint8Array.of(vehicle.battery),
+        manufacturer: () => text("FleetView Simulator"),
+        model: () => text(vehicle.profile.profileName),
+        serial: () => text(vehicle.id),
+        firmware: () => text("1.4.2")
+    };
+
+    const services = new Map(); // Service-UUID -> { uuid, characteristics }
+    for (const definition of getCharacteristicDefinitions(vehicle.profile)) {
+        const read = standardValues[definition.id]
+            || (definition.simulatorValue ? () => buildPayloadBytes(definition.simulatorValue) : null);
+        if (!read) continue; // Nicht jedes Fahrzeug bietet alle Standard-Werte an
+
+        if (!services.has(definition.service)) services.set(definition.service, { uuid: definition.service, characteristics: [] });
+        services.get(definition.service).characteristics.push({
+            uuid: definition.characteristic,
+            properties: definition.notify ? ['read', 'notify'] : ['read'],
+            read: read
+        });
+    }
+    return createMockGattDevice({ id: vehicle.id, name: vehicle.name, services: [...services.values()], latencyMs: 150 });
+}
+
+/**
+ * Factory für die Simulator-Quelle (siehe advertisementSource.js).
+ * @param {object} config - Das globale CONFIG-Objekt.
+ * @returns {object} - Quelle mit start()/stop()/active.
+ */
+export function createSimulatorSource(config) {
+    const sim = config.SIMULATOR;
+    let timer = null;
+    let fleet = [];
+
+    /**
+     * Legt die simulierte Flotte an. Die Profile werden reihum verteilt,
+     * die IDs sind stabil, damit Nicknames einen Reload überleben.
+     */
+    function createFleet() {
+        const profiles = getActiveProfiles();
+        return Array.from({ length: sim.DEVICE_COUNT }, (_, i) => ({
+            id: `SIM-${String(i + 1).padStart(3, '0')}`,
+            name: `Sim-FTS ${i + 1}`,
+            profile: profiles[i % profiles.length],
+            rssi: randomInt(sim.RSSI_START[0], sim.RSSI_START[1]),
+            battery: randomInt(20, 100), // Nur für die GATT-Diagnose
+            offlineUntil: 0,
+            gattDevice: null // Wird bei der ersten GATT-Verbindung angelegt
+        }));
+    }
+
+    /**
+     * Ein Simulationsschritt: Jedes erreichbare Fahrzeug sendet ein Paket.
+     * @param {function} onAdvertisement - Ziel-Callback.
+     */
+    function tick(onAdvertisement) {
+        const now = Date.now();
+        for (const vehicle of fleet) {
+            if (vehicle.offlineUntil > now) continue;
+
+            // Zufälliger Aussetzer (z.B. Fahrzeug fährt aus der Halle)
+            if (Math.random() < sim.DROPOUT_PROBABILITY) {
+                vehicle.offlineUntil = now + randomInt(sim.DROPOUT_MS[0], sim.DROPOUT_MS[1]);
+                continue;
+            }
+
+            // RSSI als Random Walk innerhalb der Grenzen
+            const step = randomInt(-sim.RSSI_STEP, sim.RSSI_STEP);
+            vehicle.rssi = Math.max(sim.RSSI_MIN, Math.min(sim.RSSI_MAX, vehicle.rssi + step));
+
+            // Beacons mit mehreren Frame-Typen senden abwechselnd (z.B. Eddystone UID und TLM)
+            const frames = vehicle.profile.simulatorFrames;
+            const template = frames ? frames[randomInt(0, frames.length - 1)] : vehicle.profile.simulatorPayload;
+            const event = buildAdvertisementEvent({
+                id: vehicle.id,
+                name: vehicle.name,
+                rssi: vehicle.rssi,
+                profile: vehicle.profile,
+                bytes: buildPayloadBytes(template)
+            });
+
+            // Ein Fehler bei einem Fahrzeug soll die Simulation nicht anhalten
+            try {
+                onAdvertisement(event);
+            } catch (e) {
+                error(t('simulator.packetFailed', { id: vehicle.id, message: e.message }));
+            }
+        }
+    }
+
+    return {
+        name: "Simulator",
+
+        get active() {
+            return timer !== null;
+        },
+
+        async start({ onAdvertisement }) {
+            if (getActiveProfiles().length === 0) {
+                throw new Error(t('simulator.noProfiles'));
+            }
+            fleet = createFleet();
+            timer = setInterval(() => tick(onAdvertisement), sim.INTERVAL_MS);
+        },
+
+        stop() {
+            if (timer) clearInterval(timer);
+            timer = null;
+        },
+
+        /**
+         * GATT-Gerät eines simulierten Fahrzeugs (siehe advertisementSource.js).
+         * @param {string} deviceId
+         * @returns {Promise<object>}
+         */
+        async getGattDevice(deviceId) {
+            const vehicle = fleet.find(v => v.id === deviceId);
+            if (!vehicle) throw new Error(t('simulator.unknownVehicle', { id: deviceId }));
+            if (vehicle.offlineUntil > Date.now()) {
+                throw new DOMException(t('simulator.outOfRange'), 'NetworkError');
+            }
+            if (!vehicle.gattDevice) vehicle.gattDevice = createSimulatedGattDevice(vehicle);
+            return vehicle.gattDevice;
+        }
+    };
+}
+
+/**
+ * Factory für die Benchmark-Quelle: der Simulator mit hoher Paketrate
+ * (CONFIG.BENCHMARK überschreibt CONFIG.SIMULATOR), um das Rendern im Cockpit
+ * ohne echte Fahrzeuge zu messen. Benchmark-Läufe werden weder aufgezeichnet
+ * noch in die Geräte-Registry übernommen.
+ * @param {object} config - Das globale CONFIG-Objekt.
+ * @returns {object} - Quelle mit start()/stop()/active.
+ */
+export function createBenchmarkSource(config) {
+    const source = createSimulatorSource({ ...config, SIMULATOR: { ...config.SIMULATOR, ...config.BENCHMARK } });
+    source.name = "Benchmark";
+    source.recordable = false;
+    return source;
+}
@@ -0,0 +1,284 @@
+// tableView.js
+// Tabellen-Ansicht des Cockpits (Alternative zu den Kacheln) über denselben
+// Zustand 'detectedAssets'. Die Spalten sind wählbar, die Köpfe sortierbar.
+// Auswahl und Sortierung werden im localStorage gespeichert (je Gerät/Browser).
+// Aktualisiert wird über denselben Pfad wie die Kacheln (app.js 'updateAssetView').
+
+import { CONFIG } from './config.js';
+import { resolveDecoder } from './payloadDecoder.js';
+import { getAllProfiles, onProfilesChange } from './profiles.js';
+import { packetRate } from './deviceStats.js';
+import { t, getLocale, onLocaleChange, formatNumber, formatRelativeTime } from './i18n.js';
+import { makeActivatable } from './accessibility.js';
+
+const COLUMNS_KEY = 'table_columns'; // localStorage: sichtbare Spalten (Keys)
+const SORT_KEY = 'table_sort';       // localStorage: { key, direction }
+
+// Feste Spalten. 'value' liefert den Sortierwert, 'text' die Anzeige.
+// Die Spaltenköpfe sind Textschlüssel ('labelKey', siehe i18n.js).
+const BASE_COLUMNS = [
+    { key: 'name', labelKey: 'table.name', value: a => a.name },
+    { key: 'id', labelKey: 'table.id', value: a => a.id },
+    { key: 'profile', labelKey: 'table.profile', value: a => a.profileName },
+    { key: 'status', labelKey: 'table.status', value: a => ['green', 'yellow', 'red'].indexOf(a.status), text: a => (a.status ? t(`status.${a.status}`) : '') },
+    { key: 'rssi', labelKey: 'table.rssi', value: a => a.rssi, text: a => `${a.rssi} dBm` },
+    { key: 'smoothed', labelKey: 'table.smoothed', value: a => a.smoothedRssi, text: a => `${formatNumber(a.smoothedRssi, 1)} dBm` },
+    { key: 'distance', labelKey: 'table.distance', value: a => a.distance, text: a => a.distance === null ? '' : `${formatNumber(a.distance, 1)} m` },
+    { key: 'lastSeen', labelKey: 'table.lastSeen', value: a => a.lastSeen.getTime(), text: (a, now) => formatRelativeTime(now - a.lastSeen.getTime(), { style: 'narrow' }) },
+    { key: 'rate', labelKey: 'table.rate', value: (a, now) => packetRate(a.rssiHistory, now), text: (a, now) => formatNumber(packetRate(a.rssiHistory, now), 1) }
+];
+const DEFAULT_COLUMNS = ['name', 'id', 'profile', 'rssi', 'smoothed', 'lastSeen', 'rate'];
+
+let columns = [];        // Alle verfügbaren Spalten (fest + dekodierte Felder)
+let visibleColumns = loadVisibleColumns();
+let sort = loadSort();
+const rows = new Map();  // device.id -> { row, cells: Map(key -> td), asset }
+let onRowClick = () => {};
+let lastNow = Date.now(); // Zuletzt übergebene Zeit der App (bei Wiedergaben virtuell)
+
+// DOM-Referenzen
+let table, tableHead, tableBody, columnPicker;
+
+function loadVisibleColumns() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(COLUMNS_KEY));
+        if (Array.isArray(stored)) return stored;
+    } catch (e) {
+        // Beschädigter Eintrag: Standard-Spalten
+    }
+    return [...DEFAULT_COLUMNS];
+}
+
+function loadSort() {
+    try {
+        return JSON.parse(localStorage.getItem(SORT_KEY)) || { key: 'name', direction: 1 };
+    } catch (e) {
+        return { key: 'name', direction: 1 };
+    }
+}
+
+/**
+ * Baut die Spaltenliste: feste Spalten und je ein Feld der Decoder aller Profile.
+ * @returns {Array<object>}
+ */
+function buildColumns() {
+    const decodedColumns = new Map();
+    for (const profile of getAllProfiles()) {
+        let decoder = null;
+        try {
+            decoder = resolveDecoder(profile, CONFIG.PAYLOAD_DECODERS);
+        } catch (e) {
+            continue; // Ungültige Decoder meldet bereits die Auswertung in app.js
+        }
+        for (const field of (decoder && decoder.fields) || []) {
+            if (decodedColumns.has(field.name)) continue;
+            decodedColumns.set(field.name, {
+                key: `decoded:${field.name}`,
+                label: field.labelKey ? t(field.labelKey) : field.label || field.name,
+                value: a => decodedField(a, field.name, 'value'),
+                text: a => decodedField(a, field.name, 'text') ?? ''
+            });
+        }
+    }
+    const baseColumns = BASE_COLUMNS.map(column => ({ ...column, label: t(column.labelKey) }));
+    return [...baseColumns, ...decodedColumns.values()];
+}
+
+function decodedField(asset, name, property) {
+    const field = asset.decoded.find(f => f.name === name);
+    return field ? field[property] : null;
+}
+
+/**
+ * Initialisiert die Tabelle und die Spaltenauswahl.
+ * @param {object} hooks
+ * @param {function} hooks.onRowClick - (deviceId) => öffnet den Inspektor.
+ */
+export function initTableView(hooks) {
+    onRowClick = hooks.onRowClick;
+    table = document.getElementById('cockpit-table');
+    tableHead = table.querySelector('thead');
+    tableBody = table.querySelector('tbody');
+    columnPicker = document.getElementById('table-column-options');
+
+    columns = buildColumns();
+    renderHeader();
+    renderColumnPicker();
+
+    // Neue Decoder-Felder bzw. Spaltenköpfe in der neuen Sprache
+    const rebuild = () => {
+        columns = buildColumns();
+        renderHeader();
+        renderColumnPicker();
+        rebuildRows();
+    };
+    onProfilesChange(rebuild);
+    onLocaleChange(rebuild);
+}
+
+function activeColumns() {
+    return columns.filter(column => visibleColumns.includes(column.key));
+}
+
+/**
+ * Baut die Spaltenköpfe neu auf. Sortiert wird über einen Button je Kopf (per
+ * Tastatur erreichbar), die Richtung steht in 'aria-sort'. Lag der Fokus auf
+ * einem Kopf, bleibt er nach dem Neuaufbau auf derselben Spalte.
+ */
+function renderHeader() {
+    const focused = tableHead.contains(document.activeElement) ? document.activeElement.closest('th') : null;
+    const focusedKey = focused ? focused.dataset.key : null;
+
+    const headerRow = document.createElement('tr');
+    let focusTarget = null;
+    for (const column of activeColumns()) {
+        const th = document.createElement('th');
+        th.dataset.key = column.key;
+        const direction = sort.key === column.key ? (sort.direction > 0 ? 'ascending' : 'descending') : 'none';
+        th.setAttribute('aria-sort', direction);
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'table-sort';
+        button.textContent = column.label;
+        button.addEventListener('click', () => setSort(column.key));
+        th.appendChild(button);
+        headerRow.appendChild(th);
+        if (column.key === focusedKey) focusTarget = button;
+    }
+    tableHead.replaceChildren(headerRow);
+    if (focusTarget) focusTarget.focus();
+}
+
+function renderColumnPicker() {
+    columnPicker.replaceChildren(...columns.map(column => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = visibleColumns.includes(column.key);
+        checkbox.addEventListener('change', () => toggleColumn(column.key, checkbox.checked));
+        label.append(checkbox, ` ${column.label}`);
+        return label;
+    }));
+}
+
+function toggleColumn(key, visible) {
+    visibleColumns = visible
+        ? columns.map(column => column.key).filter(k => k === key || visibleColumns.includes(k))
+        : visibleColumns.filter(k => k !== key);
+    localStorage.setItem(COLUMNS_KEY, JSON.stringify(visibleColumns));
+    renderHeader();
+    rebuildRows();
+}
+
+function setSort(key) {
+    sort = { key: key, direction: sort.key === key ? -sort.direction : 1 };
+    localStorage.setItem(SORT_KEY, JSON.stringify(sort));
+    renderHeader();
+    sortRows();
+}
+
+/**
+ * Legt die Zeile für ein neues Asset an (noch ohne Inhalt, siehe updateTableRow).
+ * @param {object} asset
+ */
+export function addTableRow(asset) {
+    const row = document.createElement('tr');
+    row.dataset.deviceId = asset.id;
+    row.addEventListener('click', () => onRowClick(asset.id));
+    makeActivatable(row, () => onRowClick(asset.id));
+    const entry = { row: row, cells: new Map(), asset: asset };
+    fillRowCells(entry);
+    rows.set(asset.id, entry);
+    tableBody.appendChild(row);
+}
+
+function fillRowCells(entry) {
+    entry.cells.clear();
+    entry.row.replaceChildren(...activeColumns().map(column => {
+        const td = document.createElement('td');
+        entry.cells.set(column.key, td);
+        return td;
+    }));
+}
+
+function rebuildRows() {
+    for (const entry of rows.values()) fillRowCells(entry);
+    refreshTable(lastNow);
+}
+
+/**
+ * Aktualisiert die Zellen einer Zeile (nur geänderte Texte werden geschrieben).
+ * @param {object} asset
+ * @param {number} now - Zeit der App (ms).
+ */
+export function updateTableRow(asset, now) {
+    const entry = rows.get(asset.id);
+    if (!entry) return;
+    lastNow = now;
+    entry.row.dataset.status = asset.status;
+    for (const column of activeColumns()) {
+        const text = String(column.text ? column.text(asset, now) : column.value(asset, now) ?? '');
+        const td = entry.cells.get(column.key);
+        if (td && td.textContent !== text) td.textContent = text;
+    }
+}
+
+/**
+ * Aktualisiert alle Zeilen (z.B. beim Umschalten auf die Tabelle).
+ * @param {number} now
+ */
+export function refreshTable(now) {
+    for (const entry of rows.values()) updateTableRow(entry.asset, now);
+    sortRows();
+}
+
+/**
+ * Markiert eine Zeile mit offenem Alarm.
+ * @param {string} deviceId
+ * @param {boolean} active
+ */
+export function setTableRowAlert(deviceId, active) {
+    const entry = rows.get(deviceId);
+    if (entry) entry.row.classList.toggle('row-alert', active);
+}
+
+/**
+ * Blendet Zeilen gemäß Filter/Suche der Werkzeugleiste aus und sortiert neu.
+ * @param {Set<string>} visibleIds - IDs der Assets, die den Filtern entsprechen.
+ */
+export function arrangeTable(visibleIds) {
+    for (const [id, entry] of rows) entry.row.hidden = !visibleIds.has(id);
+    sortRows();
+}
+
+/**
+ * Sortiert die Zeilen nach der gewählten Spalte. Bei Gleichstand bleibt die
+ * Entdeckungs-Reihenfolge, fehlende Werte stehen am Ende.
+ */
+function sortRows() {
+    const column = columns.find(c => c.key === sort.key) || columns[0];
+    const now = lastNow;
+    const sorted = [...rows.values()].sort((a, b) => {
+        const x = column.value(a.asset, now);
+        const y = column.value(b.asset, now);
+        if (x === y) return a.asset.discoveryIndex - b.asset.discoveryIndex;
+        if (x === null || x === undefined) return 1;
+        if (y === null || y === undefined) return -1;
+        const result = typeof x === 'string' ? x.localeCompare(y, getLocale(), { numeric: true }) : x - y;
+        return result * sort.direction || a.asset.discoveryIndex - b.asset.discoveryIndex;
+    });
+
+    const current = tableBody.children;
+    if (sorted.some((entry, i) => current[i] !== entry.row)) {
+        tableBody.replaceChildren(...sorted.map(entry => entry.row));
+    }
+}
+
+/**
+ * Entfernt alle Zeilen (z.B. vor einer Wiedergabe).
+ */
+export function clearTable() {
+    rows.clear();
+    tableBody.replaceChildren();
+}
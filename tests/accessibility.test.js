@@ -0,0 +1,189 @@
+// Barrierefreiheit: Cockpit und Dialoge mit axe-core prüfen, Tastatur-Bedienung
+// der Kacheln und Dialoge (Fokus-Falle, Escape) und Ansagen der Live-Region.
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import axe from 'axe-core';
+import { setupDom, bootApp, sleep } from './dom.js';
+
+const { window, document } = setupDom({ url: 'https://localhost/index.html?source=simulator' });
+const { CONFIG } = await import('../config.js');
+CONFIG.SIMULATOR.DEVICE_COUNT = 2;
+await bootApp();
+const { isScanRunning } = await import('../scanManager.js');
+
+// axe-core läuft im Fenster von jsdom. Geprüft werden die WCAG-Regeln (A/AA);
+// Farbkontraste kann jsdom ohne Layout nicht berechnen.
+window.eval(axe.source);
+const AXE_OPTIONS = {
+    runOnly: { type: 'tag', values: ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'] },
+    rules: { 'color-contrast': { enabled: false } }
+};
+
+const $ = id => document.getElementById(id);
+
+async function checkAxe(context) {
+    const { violations } = await window.axe.run(context, AXE_OPTIONS);
+    const summary = violations.map(v => `${v.id}: ${v.nodes.map(node => node.target.join(' ')).join(', ')}`);
+    assert.deepEqual(summary, []);
+}
+
+function pressKey(element, key, options = {}) {
+    element.dispatchEvent(new window.KeyboardEvent('keydown', { key: key, bubbles: true, cancelable: true, ...options }));
+}
+
+async function waitFor(condition, timeoutMs = 5000) {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeoutMs) throw new Error('Zeitüberschreitung beim Warten');
+        await sleep(50);
+    }
+}
+
+function isOpen(dialog) {
+    return !dialog.classList.contains('modal-hidden');
+}
+
+$('btn-start-scan').click();
+await waitFor(() => document.querySelectorAll('.fts-tile').length === 2);
+
+after(() => {
+    if (isScanRunning()) $('btn-start-scan').click();
+});
+
+test('Cockpit ohne axe-Verstöße', async () => {
+    await checkAxe(document);
+});
+
+test('Kacheln sind Schaltflächen mit Namen, die LED ein Bild mit Text', () => {
+    for (const tile of document.querySelectorAll('.fts-tile')) {
+        assert.equal(tile.getAttribute('role'), 'button');
+        assert.equal(tile.tabIndex, 0);
+        assert.ok(tile.textContent.includes(tile.querySelector('.tile-name').textContent));
+
+        const led = tile.querySelector('.led');
+        assert.equal(led.getAttribute('role'), 'img');
+        assert.equal(led.getAttribute('aria-label'), 'Aktiv');
+        assert.equal(led.title, 'Aktiv');
+    }
+});
+
+test('alle Dialoge sind benannte Dialoge ohne axe-Verstöße', async () => {
+    for (const dialog of document.querySelectorAll('.modal')) {
+        assert.equal(dialog.getAttribute('role'), 'dialog', dialog.id);
+        assert.equal(dialog.getAttribute('aria-modal'), 'true', dialog.id);
+        const title = $(dialog.getAttribute('aria-labelledby'));
+        assert.ok(title && title.textContent.trim(), dialog.id);
+
+        dialog.classList.remove('modal-hidden');
+        await checkAxe(dialog);
+        dialog.classList.add('modal-hidden');
+    }
+    await sleep(0); // MutationObserver in accessibility.js
+});
+
+test('Enter öffnet den Inspektor, Tab bleibt im Dialog, Escape schließt', async () => {
+    const tile = document.querySelector('.fts-tile');
+    const inspector = $('inspector-modal');
+    tile.focus();
+    pressKey(tile, 'Enter');
+    await sleep(0);
+
+    assert.ok(isOpen(inspector));
+    assert.ok(inspector.contains(document.activeElement));
+    assert.ok(!document.activeElement.classList.contains('modal-close'));
+
+    // Fokus-Falle in beide Richtungen
+    const focusable = [...inspector.querySelectorAll('button:not([disabled]), input:not([disabled]):not([type="hidden"]), select:not([disabled]), textarea, [tabindex]:not([tabindex="-1"])')]
+        .filter(element => !element.closest('[hidden]'));
+    focusable.at(-1).focus();
+    pressKey(focusable.at(-1), 'Tab');
+    assert.equal(document.activeElement, focusable[0]);
+    pressKey(focusable[0], 'Tab', { shiftKey: true });
+    assert.equal(document.activeElement, focusable.at(-1));
+
+    // Kalibrierung über dem Inspektor: Escape schließt nur den obersten Dialog
+    const calibration = $('calibration-modal');
+    $('btn-calibrate').focus();
+    $('btn-calibrate').click();
+    await sleep(0);
+    assert.ok(isOpen(calibration));
+    assert.ok(calibration.contains(document.activeElement));
+
+    pressKey(document.activeElement, 'Escape');
+    await sleep(0);
+    assert.ok(!isOpen(calibration));
+    assert.ok(isOpen(inspector));
+    assert.equal(document.activeElement, $('btn-calibrate'));
+
+    pressKey(document.activeElement, 'Escape');
+    await sleep(0);
+    assert.ok(!isOpen(inspector));
+    assert.equal(document.activeElement, tile);
+});
+
+test('Leertaste auf einer Tabellenzeile öffnet den Inspektor', async () => {
+    const row = document.querySelector('#cockpit-table tbody tr');
+    assert.equal(row.tabIndex, 0);
+    row.focus();
+    pressKey(row, ' ');
+    await sleep(0);
+    assert.ok(isOpen($('inspector-modal')));
+
+    pressKey(document.activeElement, 'Escape');
+    await sleep(0);
+    assert.ok(!isOpen($('inspector-modal')));
+    assert.equal(document.activeElement, row);
+});
+
+test('Spaltenköpfe der Tabelle sortieren per Button und nennen die Richtung', async () => {
+    const header = () => document.querySelector('#cockpit-table th[data-key="id"]');
+    const button = header().querySelector('button');
+    assert.ok(button);
+    assert.equal(button.textContent, 'ID');
+    assert.equal(header().getAttribute('aria-sort'), 'none');
+    assert.equal(document.querySelector('#cockpit-table th[data-key="name"]').getAttribute('aria-sort'), 'ascending');
+
+    button.focus();
+    button.click();
+    assert.equal(header().getAttribute('aria-sort'), 'ascending');
+    assert.equal(document.querySelector('#cockpit-table th[data-key="name"]').getAttribute('aria-sort'), 'none');
+    assert.equal(document.activeElement, header().querySelector('button')); // Fokus überlebt den Neuaufbau
+
+    document.activeElement.click();
+    assert.equal(header().getAttribute('aria-sort'), 'descending');
+    await checkAxe($('cockpit-table'));
+});
+
+test('ein Fahrzeug, das während des Scans verloren geht, wird einmal angesagt', async () => {
+    const announcer = $('a11y-announcer');
+    assert.equal(announcer.getAttribute('aria-live'), 'assertive');
+    assert.ok(isScanRunning());
+    const before = announcer.childElementCount;
+    const ids = [...document.querySelectorAll('.fts-tile')].map(tile => tile.dataset.deviceId);
+
+    // Der Scan läuft weiter, die Fahrzeuge senden aber nichts mehr; die Uhr springt
+    // über INACTIVE_MS, und der Status-Ticker (updateAllAssetStatus) meldet sie als verloren
+    CONFIG.SIMULATOR.DROPOUT_PROBABILITY = 1;
+    CONFIG.SIMULATOR.DROPOUT_MS = [10 * 60000, 10 * 60000];
+    await sleep(CONFIG.SIMULATOR.INTERVAL_MS * 2);
+    const realNow = Date.now;
+    Date.now = () => realNow() + CONFIG.LED_STATUS.INACTIVE_MS + 1000;
+    try {
+        await waitFor(() => announcer.childElementCount === before + ids.length, CONFIG.TICKER_INTERVAL_MS * 3);
+        // Weitere Ticker-Durchläufe: rot bleibt rot, keine erneute Ansage
+        await sleep(CONFIG.TICKER_INTERVAL_MS * 2);
+    } finally {
+        Date.now = realNow;
+    }
+
+    assert.ok(isScanRunning());
+    assert.equal(announcer.childElementCount, before + ids.length);
+    const announcements = [...announcer.children].slice(before).map(entry => entry.textContent);
+    for (const id of ids) {
+        assert.equal(announcements.filter(text => text.includes(id)).length, 1, id);
+    }
+    for (const led of document.querySelectorAll('.fts-tile .led')) {
+        assert.equal(led.getAttribute('aria-label'), 'Verloren');
+    }
+});
@@ -0,0 +1,156 @@
+// Beacon-Formate: iBeacon, AltBeacon und Eddystone mit echten Paketen.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom } from './dom.js';
+
+setupDom();
+
+const { parseBeacon, getBeaconData, matchesBeaconFilter, mergeFrameFields } = await import('../beaconFormats.js');
+
+function hex(text) {
+    const bytes = Uint8Array.from(text.replace(/\s/g, '').match(/../g) || [], pair => parseInt(pair, 16));
+    return new DataView(bytes.buffer);
+}
+
+function ascii(text) {
+    return [...text].map(char => char.charCodeAt(0).toString(16).padStart(2, '0')).join('');
+}
+
+function byName(result) {
+    return Object.fromEntries(result.fields.map(field => [field.name, field]));
+}
+
+const UUID = 'f7826da6-4fa2-4e98-8024-bc5b71e0893e';
+const UUID_HEX = UUID.replace(/-/g, '');
+
+test('iBeacon: UUID, Major, Minor und Sendeleistung', () => {
+    const result = parseBeacon('ibeacon', hex(`0215 ${UUID_HEX} 0001 00C8 C5`));
+
+    assert.equal(result.frame, 'ibeacon');
+    assert.deepEqual(result.identity, { uuid: UUID, major: 1, minor: 200 });
+    assert.deepEqual(result.errors, []);
+    const fields = byName(result);
+    assert.equal(fields.uuid.value, UUID);
+    assert.equal(fields.major.value, 1);
+    assert.equal(fields.minor.value, 200);
+    assert.equal(fields.txPower.value, -59);
+    assert.equal(fields.txPower.text, '-59 dBm');
+});
+
+test('AltBeacon: Beacon-ID, Referenz-RSSI und Hersteller-reserviertes Byte', () => {
+    const result = parseBeacon('altbeacon', hex(`BEAC ${UUID_HEX} 0102 0304 BF 2A`));
+
+    assert.equal(result.frame, 'altbeacon');
+    assert.deepEqual(result.identity, { uuid: UUID, major: 0x0102, minor: 0x0304 });
+    const fields = byName(result);
+    assert.equal(fields.referenceRssi.value, -65);
+    assert.equal(fields.reserved.value, 0x2a);
+    assert.equal(fields.reserved.text, '2A');
+});
+
+test('Eddystone-UID: Namespace, Instanz und Sendeleistung', () => {
+    const result = parseBeacon('eddystone', hex('00 E7 EDD1EBEAC04E5DEFA017 0BDB87539B67 0000'));
+
+    assert.equal(result.frame, 'uid');
+    assert.deepEqual(result.identity, { namespace: 'EDD1EBEAC04E5DEFA017', instance: '0BDB87539B67' });
+    const fields = byName(result);
+    assert.equal(fields.txPower.value, -25);
+    assert.ok(result.fields.every(field => field.frame === 'uid'));
+});
+
+test('Eddystone-URL: Präfix und Abkürzungen werden ausgeschrieben', () => {
+    const www = parseBeacon('eddystone', hex(`10 EB 00 ${ascii('example')} 00 ${ascii('fleet')}`));
+    assert.equal(www.frame, 'url');
+    assert.equal(byName(www).url.value, 'http://www.example.com/fleet');
+
+    const https = parseBeacon('eddystone', hex(`10 EB 03 ${ascii('beaconbay')} 07`));
+    assert.equal(byName(https).url.value, 'https://beaconbay.com');
+});
+
+test('Eddystone-TLM: Batterie, Temperatur (8.8), Pakete und Laufzeit', () => {
+    const result = parseBeacon('eddystone', hex('20 00 0BB8 1A80 00000400 00000E10'));
+
+    assert.equal(result.frame, 'tlm');
+    const fields = byName(result);
+    assert.equal(fields.batteryVoltage.value, 3);
+    assert.equal(fields.batteryVoltage.text, '3,00 V');
+    assert.equal(fields.temperature.value, 26.5);
+    assert.equal(fields.temperature.text, '26,5 °C');
+    assert.equal(fields.advertisements.value, 1024);
+    assert.equal(fields.uptime.value, 360000);
+    assert.equal(fields.uptime.text, '6 min 00 s');
+
+    const negative = byName(parseBeacon('eddystone', hex('20 00 0000 FF80 00000000 00000000')));
+    assert.equal(negative.temperature.value, -0.5);
+    assert.equal(negative.batteryVoltage.value, null);
+
+    const unsupported = byName(parseBeacon('eddystone', hex('20 00 0BB8 8000 00000000 00000000')));
+    assert.equal(unsupported.temperature.value, null);
+    assert.equal(unsupported.temperature.text, 'nicht unterstützt');
+
+    const encrypted = parseBeacon('eddystone', hex('20 01 0102030405060708090A0B0C'));
+    assert.equal(byName(encrypted).tlm.text, 'verschlüsselt (eTLM)');
+});
+
+test('Eddystone-EID: Ephemeral ID', () => {
+    const result = parseBeacon('eddystone', hex('30 F0 0123456789ABCDEF'));
+
+    assert.equal(result.frame, 'eid');
+    assert.equal(byName(result).eid.value, '0123456789ABCDEF');
+});
+
+test('zu kurze oder fremde Daten ergeben keine Felder und werfen nicht', () => {
+    const cases = [
+        ['ibeacon', ''],
+        ['ibeacon', `0215 ${UUID_HEX}`],
+        ['ibeacon', `0000 ${UUID_HEX} 0001 0002 C5`],
+        ['altbeacon', `BEAC ${UUID_HEX} 0102 0304 BF`],
+        ['altbeacon', `0215 ${UUID_HEX} 0102 0304 BF 00`],
+        ['eddystone', ''],
+        ['eddystone', '00 E7 EDD1'],
+        ['eddystone', '10 EB'],
+        ['eddystone', '20 00 0BB8'],
+        ['eddystone', '30 F0 0123'],
+        ['eddystone', '40 00 0102']
+    ];
+    for (const [type, bytes] of cases) {
+        const result = parseBeacon(type, hex(bytes));
+        assert.deepEqual(result.fields, [], `${type} ${bytes}`);
+        assert.equal(result.errors.length, 1, `${type} ${bytes}`);
+    }
+    assert.match(parseBeacon('eddystone', hex('40 00 0102')).errors[0], /0x40/);
+    assert.match(parseBeacon('ibeacon', hex(`0000 ${UUID_HEX} 0001 0002 C5`)).errors[0], /Präfix 00 00/);
+});
+
+test('fremde Herstellerdaten gelten als keine Beacon-Daten', () => {
+    const event = data => ({ manufacturerData: new Map([[0x004c, data]]), serviceData: new Map() });
+    const profile = { type: 'ibeacon', beaconUuid: UUID };
+
+    assert.equal(getBeaconData(profile, event(hex('1005 0B1C 6A8F 2D'))), null);
+    assert.equal(getBeaconData(profile, event(hex(`0215 ${UUID_HEX}`))), null);
+    const valid = hex(`0215 ${UUID_HEX} 0001 00C8 C5`);
+    assert.equal(getBeaconData(profile, event(valid)), valid);
+
+    assert.equal(matchesBeaconFilter(profile, valid), true);
+    assert.equal(matchesBeaconFilter(profile, hex('0215')), false);
+    assert.equal(matchesBeaconFilter({ ...profile, major: 2 }, valid), false);
+});
+
+test('mergeFrameFields behält die Werte der abwechselnd gesendeten Frames', () => {
+    const uid = parseBeacon('eddystone', hex('00 E7 EDD1EBEAC04E5DEFA017 0BDB87539B67')).fields;
+    const tlm = parseBeacon('eddystone', hex('20 00 0BB8 1A80 00000400 00000E10')).fields;
+    const tlmLater = parseBeacon('eddystone', hex('20 00 0BB8 1B00 00000500 00000E20')).fields;
+
+    const merged = mergeFrameFields(mergeFrameFields([], tlm), uid);
+    assert.deepEqual(merged.map(field => field.frame), ['uid', 'uid', 'uid', 'tlm', 'tlm', 'tlm', 'tlm']);
+
+    const updated = mergeFrameFields(merged, tlmLater);
+    assert.equal(updated.find(field => field.name === 'temperature').value, 27);
+    assert.equal(updated.filter(field => field.frame === 'tlm').length, 4);
+    assert.equal(updated.find(field => field.name === 'namespace').value, 'EDD1EBEAC04E5DEFA017');
+
+    // Felder ohne Frame (z.B. iBeacon) ersetzen alles
+    const ibeacon = parseBeacon('ibeacon', hex(`0215 ${UUID_HEX} 0001 00C8 C5`)).fields;
+    assert.equal(mergeFrameFields(updated, ibeacon), ibeacon);
+});
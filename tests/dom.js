@@ -0,0 +1,69 @@
+// tests/dom.js
+// Gemeinsame Testumgebung: index.html in jsdom, Browser-Globals für die Module
+// und eine IndexedDB im Speicher (fake-indexeddb). Muss vor dem ersten Import
+// eines App-Moduls laufen, da z.B. errorManager.js beim Import das DOM sucht:
+//
+//   import { setupDom } from './dom.js';
+//   const { window } = setupDom();
+//   const { initScannerBridge } = await import('../scannerBridge.js');
+//
+// node --test startet jede Testdatei in einem eigenen Prozess; Modul-Zustand
+// wird zwischen den Dateien also nicht geteilt.
+
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+import 'fake-indexeddb/auto';
+
+const GLOBALS = [
+    'window', 'document', 'localStorage', 'sessionStorage', 'navigator', 'location',
+    'HTMLElement', 'HTMLCanvasElement', 'Node', 'Event', 'CustomEvent', 'EventTarget',
+    'KeyboardEvent', 'MouseEvent', 'MutationObserver', 'DOMParser', 'FileReader', 'Image', 'Option',
+    'getComputedStyle', 'requestAnimationFrame', 'cancelAnimationFrame', 'Blob', 'URL', 'URLSearchParams'
+];
+
+/**
+ * Lädt index.html in jsdom und stellt die Browser-Globals bereit.
+ * @param {object} [options]
+ * @param {string} [options.url] - Adresse der Seite (z.B. mit '?source=simulator').
+ * @param {string} [options.locale] - Gespeicherte Sprache (localStorage 'ui_locale').
+ * @returns {object} - { dom, window, document }
+ */
+export function setupDom({ url = 'https://localhost/index.html', locale = 'de' } = {}) {
+    const html = readFileSync(new URL('../index.html', import.meta.url), 'utf8');
+    const dom = new JSDOM(html, { url: url, pretendToBeVisual: true });
+    const { window } = dom;
+    for (const name of GLOBALS) {
+        Object.defineProperty(globalThis, name, { value: window[name], configurable: true, writable: true });
+    }
+    window.indexedDB = globalThis.indexedDB;
+    // jsdom zeichnet nicht; das RSSI-Diagramm bleibt dann einfach leer
+    window.HTMLCanvasElement.prototype.getContext = () => null;
+    if (locale) window.localStorage.setItem('ui_locale', locale);
+    return { dom: dom, window: window, document: window.document };
+}
+
+/**
+ * Startet die App wie im Browser (app.js importieren, DOMContentLoaded auslösen).
+ * @returns {Promise<object>} - Das Modul app.js.
+ */
+export async function bootApp() {
+    const app = await import('../app.js');
+    document.dispatchEvent(new window.Event('DOMContentLoaded'));
+    return app;
+}
+
+/**
+ * Wartet die angegebene Zeit (für Timer und MutationObserver).
+ * @param {number} ms
+ */
+export function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Einträge der sichtbaren Log-Konsole (Text je Zeile).
+ * @returns {Array<string>}
+ */
+export function consoleLines() {
+    return [...document.querySelectorAll('#console-body > *')].map(line => line.textContent);
+}
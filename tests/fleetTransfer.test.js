@@ -0,0 +1,71 @@
+// Flotten-Export: CSV-Werte mit Formelzeichen und Rückimport.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom } from './dom.js';
+
+setupDom();
+
+const { toCsv, parseImport } = await import('../fleetTransfer.js');
+
+function record(overrides) {
+    return {
+        id: 'AA:BB:CC:DD:EE:01',
+        nickname: 'FTS 1',
+        assetNumber: '',
+        homeLocation: '',
+        tags: [],
+        profileName: 'Typ A',
+        rssi: -61,
+        lastSeen: '2026-10-18T08:00:00.000Z',
+        rssiHistory: [{ rssi: -61 }, { rssi: -63 }],
+        payload: '01 02',
+        stats: null,
+        decoded: [{ name: 'temperature', text: '-5,5 °C' }],
+        ...overrides
+    };
+}
+
+function row(csv, index = 1) {
+    return csv.split('\r\n')[index].split(';');
+}
+
+test('Werte mit Formelzeichen werden mit Apostroph exportiert', () => {
+    const csv = toCsv([record({
+        nickname: '=HYPERLINK("http://example.com","FTS")',
+        assetNumber: '+49 123',
+        homeLocation: '@Halle 2',
+        tags: ['-Ladezone']
+    })]);
+
+    const line = csv.split('\r\n')[1];
+    assert.ok(line.includes(`;"'=HYPERLINK(""http://example.com"",""FTS"")";`));
+    const values = row(csv);
+    assert.equal(values[2], "'+49 123");
+    assert.equal(values[3], "'@Halle 2");
+    assert.equal(values[4], "'-Ladezone");
+    assert.equal(values.at(-1), `"'-5,5 °C"`); // Komma im Wert: zusätzlich in Anführungszeichen
+});
+
+test('Tabulator und Wagenrücklauf am Anfang werden ebenfalls geschützt', () => {
+    const csv = toCsv([record({ nickname: '\tFTS', assetNumber: '\r=1+1' })]);
+    assert.ok(csv.includes(`;'\tFTS;`));
+    assert.ok(csv.includes(`;"'\r=1+1";`));
+});
+
+test('reine Zahlen und gewöhnlicher Text bleiben unverändert', () => {
+    const values = row(toCsv([record({ nickname: 'FTS - Halle 2' })]));
+    assert.equal(values[1], 'FTS - Halle 2');
+    assert.equal(values[6], '-61');
+    assert.equal(values[8], "'-61 -63"); // Mehrere Werte sind keine Zahl
+});
+
+test('der Import entfernt das Apostroph wieder', () => {
+    const nickname = '=HYPERLINK("http://example.com","FTS")';
+    const [imported] = parseImport(toCsv([record({ nickname: nickname, homeLocation: '@Halle 2', tags: ['-Ladezone'] })]), 'fleet.csv');
+
+    assert.equal(imported.nickname, nickname);
+    assert.equal(imported.homeLocation, '@Halle 2');
+    assert.deepEqual(imported.tags, ['-Ladezone']);
+    assert.equal(imported.rssi, -61);
+});
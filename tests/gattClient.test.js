@@ -0,0 +1,88 @@
+// GATT-Diagnose: Sitzungen gegen das nachgebildete Gerät aus gattMock.js.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, sleep } from './dom.js';
+
+setupDom();
+
+const { openGattSession } = await import('../gattClient.js');
+const { createMockGattDevice } = await import('../gattMock.js');
+
+const BATTERY = { uuid: '0x180f', characteristics: [{ uuid: '0x2a19', properties: ['read'], read: () => Uint8Array.of(87) }] };
+const encoder = new TextEncoder();
+
+function deviceInfo(options = {}) {
+    return {
+        uuid: '0x180a',
+        characteristics: [
+            { uuid: '0x2a29', properties: ['read'], read: () => encoder.encode('BeaconBay') },
+            { uuid: '0x2a26', properties: ['read'], read: () => encoder.encode('1.4.2'), ...options }
+        ]
+    };
+}
+
+test('liest bekannte Werte und trennt die Sitzung wieder', async () => {
+    const device = createMockGattDevice({ id: 'fts-1', services: [BATTERY, deviceInfo()], latencyMs: 1 });
+    const session = await openGattSession(device);
+
+    assert.equal(session.services.length, 2);
+    const battery = session.readings.find(reading => reading.key.startsWith('0000180f'));
+    assert.equal(battery.text, '87 %');
+    assert.equal(battery.error, null);
+    const firmware = session.readings.find(reading => reading.key.endsWith(`00002a26-0000-1000-8000-00805f9b34fb`));
+    assert.equal(firmware.text, '1.4.2');
+    assert.ok(device.gatt.connected);
+
+    session.disconnect();
+    assert.equal(device.gatt.connected, false);
+});
+
+test('ein Wert ohne Antwort bricht nur diesen Wert ab', async () => {
+    const device = createMockGattDevice({ id: 'fts-2', services: [BATTERY, deviceInfo({ hangOnRead: true })], latencyMs: 1 });
+    const session = await openGattSession(device, { operationTimeoutMs: 30 });
+
+    const firmware = session.readings.find(reading => reading.key.endsWith('00002a26-0000-1000-8000-00805f9b34fb'));
+    assert.equal(firmware.text, null);
+    assert.match(firmware.error, /0\.03/);
+    const manufacturer = session.readings.find(reading => reading.key.endsWith('00002a29-0000-1000-8000-00805f9b34fb'));
+    assert.equal(manufacturer.text, 'BeaconBay');
+    assert.ok(device.gatt.connected);
+
+    session.disconnect();
+});
+
+test('eine Verbindung nach dem Connect-Timeout wird wieder getrennt', async () => {
+    const device = createMockGattDevice({ id: 'fts-3', services: [BATTERY], latencyMs: 60 });
+    let lost = false;
+
+    await assert.rejects(
+        openGattSession(device, { connectTimeoutMs: 20, onDisconnect: () => { lost = true; } }),
+        { name: 'TimeoutError' }
+    );
+
+    await sleep(80); // connect() des Geräts antwortet erst jetzt
+    assert.equal(device.gatt.connected, false);
+    assert.equal(lost, false); // Selbst getrennt, kein Verbindungsabbruch
+});
+
+test('ein fehlender Service ergibt keine Werte statt eines Fehlers', async () => {
+    const device = createMockGattDevice({ id: 'fts-4', services: [BATTERY], latencyMs: 1 });
+    const session = await openGattSession(device);
+
+    assert.deepEqual(session.services.map(service => service.uuid), ['0000180f-0000-1000-8000-00805f9b34fb']);
+    assert.equal(session.readings.length, 1);
+    assert.ok(session.readings.every(reading => !reading.key.startsWith('0000180a')));
+
+    session.disconnect();
+});
+
+test('ein Gerät ganz ohne Services liefert eine leere Sitzung', async () => {
+    const device = createMockGattDevice({ id: 'fts-5', services: [], latencyMs: 1 });
+    const session = await openGattSession(device);
+
+    assert.deepEqual(session.services, []);
+    assert.deepEqual(session.readings, []);
+
+    session.disconnect();
+});
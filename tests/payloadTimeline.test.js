@@ -0,0 +1,51 @@
+// Payload-Verlauf: Vergleich je Frame-Typ und Verdrängung bei vollem Verlauf.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom } from './dom.js';
+
+setupDom();
+
+const { CONFIG } = await import('../config.js');
+const { recordPayload, onPayloadChange } = await import('../payloadTimeline.js');
+
+CONFIG.PAYLOAD_TIMELINE.WATCHES.push({ id: 'instance', name: 'Instanz', from: 12, to: 17, scope: { deviceId: 'EDDY-1' } });
+const changes = [];
+onPayloadChange(change => changes.push(change));
+
+function uid(instance) {
+    return Uint8Array.of(0x00, 0xe7, 0xed, 0xd1, 0xeb, 0xea, 0xc0, 0x4e, 0x5d, 0xef, 0xa0, 0x17, 0, 0, 0, 0, 0, instance);
+}
+
+function tlm(packets) {
+    return Uint8Array.of(0x20, 0x00, 0x0b, 0xb8, 0x1a, 0x80, 0, 0, packets >> 8, packets & 0xff, 0, 0, 0x0e, 0x10);
+}
+
+test('ein Frame-Wechsel ist keine Änderung', () => {
+    const asset = { id: 'EDDY-0', profileName: 'Eddystone', payloadTimeline: [] };
+    assert.equal(recordPayload(asset, uid(1), 1000, 'uid'), true);
+    assert.equal(recordPayload(asset, tlm(1), 1100, 'tlm'), true);
+    assert.equal(recordPayload(asset, uid(1), 1200, 'uid'), false);
+    assert.equal(asset.payloadTimeline.length, 2);
+    assert.equal(asset.payloadTimeline[0].count, 2);
+});
+
+test('der einzige UID-Eintrag bleibt erhalten, wenn TLM-Frames den Verlauf füllen', () => {
+    const asset = { id: 'EDDY-1', profileName: 'Eddystone', payloadTimeline: [] };
+    recordPayload(asset, uid(1), 1000, 'uid');
+    for (let i = 1; i <= CONFIG.PAYLOAD_TIMELINE.MAX_ENTRIES * 2; i++) {
+        recordPayload(asset, tlm(i), 1000 + i * 100, 'tlm');
+    }
+
+    const timeline = asset.payloadTimeline;
+    assert.equal(timeline.length, CONFIG.PAYLOAD_TIMELINE.MAX_ENTRIES);
+    assert.equal(timeline.filter(entry => entry.frame === 'uid').length, 1);
+    assert.deepEqual(timeline.at(-1).bytes, tlm(CONFIG.PAYLOAD_TIMELINE.MAX_ENTRIES * 2));
+
+    // Die geänderte UID wird gegen den erhaltenen Eintrag verglichen und gemeldet
+    assert.equal(recordPayload(asset, uid(2), 99000, 'uid'), true);
+    assert.deepEqual(timeline.at(-1).changed, [17]);
+    const change = changes.find(c => c.asset === asset && c.watch.id === 'instance');
+    assert.ok(change);
+    assert.deepEqual(change.changed, [17]);
+});
@@ -0,0 +1,86 @@
+// Scanner-Verbund: Nachrichten vom Relay prüfen, bevor sie in app.js ankommen.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, consoleLines } from './dom.js';
+
+const { window } = setupDom();
+window.localStorage.setItem('scanner_bridge', JSON.stringify({ enabled: true, url: 'ws://localhost:8765', name: 'Test' }));
+
+// WebSocket-Ersatz: merkt sich die Verbindung, Nachrichten kommen über receive()
+class FakeWebSocket extends window.EventTarget {
+    static OPEN = 1;
+    static last = null;
+
+    constructor(url) {
+        super();
+        this.url = url;
+        this.readyState = FakeWebSocket.OPEN;
+        this.sent = [];
+        FakeWebSocket.last = this;
+    }
+
+    send(data) {
+        this.sent.push(JSON.parse(data));
+    }
+
+    close() {}
+
+    receive(message) {
+        const event = new window.Event('message');
+        event.data = JSON.stringify(message);
+        this.dispatchEvent(event);
+    }
+}
+globalThis.WebSocket = FakeWebSocket;
+
+const { initScannerBridge } = await import('../scannerBridge.js');
+
+const observations = [];
+initScannerBridge({ onObservation: observation => observations.push(observation) });
+const socket = FakeWebSocket.last;
+socket.dispatchEvent(new window.Event('open'));
+
+const observation = {
+    type: 'observation',
+    scannerId: 'remote-1',
+    scannerName: "Halle 2",
+    deviceId: 'AA:BB:CC:DD:EE:FF',
+    rssi: -61,
+    t: 1700000000000,
+    profile: { profileName: "Typ A", type: 'service', uuid: 0xfcf1 },
+    payload: '01a2ff'
+};
+
+test('meldet sich beim Relay mit hello an', () => {
+    assert.equal(socket.sent[0].type, 'hello');
+});
+
+test('gibt vollständige Beobachtungen mit dekodierten Bytes weiter', () => {
+    observations.length = 0;
+    socket.receive(observation);
+    assert.equal(observations.length, 1);
+    assert.equal(observations[0].deviceId, 'AA:BB:CC:DD:EE:FF');
+    assert.deepEqual([...observations[0].bytes], [0x01, 0xa2, 0xff]);
+});
+
+for (const [name, deviceId] of [['fehlender', undefined], ['leerer', ''], ['numerischer', 42], ['Objekt als', { id: 'x' }]]) {
+    test(`verwirft Beobachtungen mit ${name} deviceId und warnt`, () => {
+        observations.length = 0;
+        const message = { ...observation, scannerId: `remote-${name}` };
+        if (deviceId === undefined) delete message.deviceId;
+        else message.deviceId = deviceId;
+
+        assert.doesNotThrow(() => socket.receive(message));
+        assert.equal(observations.length, 0);
+        assert.ok(consoleLines().some(line => line.includes('scannerBridge') && line.includes(`remote-${name}`)));
+    });
+}
+
+test('ignoriert ungültiges JSON ohne Ausnahme', () => {
+    observations.length = 0;
+    const event = new window.Event('message');
+    event.data = '{kein json';
+    assert.doesNotThrow(() => socket.dispatchEvent(event));
+    assert.equal(observations.length, 0);
+});
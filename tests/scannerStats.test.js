@@ -0,0 +1,77 @@
+// Scanner-Verbund in app.js: Statistik und Schichtprotokoll zählen die Pakete
+// aller Scanner, RSSI-Verlauf und Entfernung folgen nur dem besten Scanner.
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, bootApp, sleep } from './dom.js';
+
+const { window, document } = setupDom({ url: 'https://localhost/index.html?source=simulator' });
+window.localStorage.setItem('scanner_bridge', JSON.stringify({ enabled: true, url: 'ws://localhost:8765', name: 'Test' }));
+
+// WebSocket-Ersatz wie in scannerBridge.test.js
+class FakeWebSocket extends window.EventTarget {
+    static OPEN = 1;
+    static last = null;
+
+    constructor(url) {
+        super();
+        this.url = url;
+        this.readyState = FakeWebSocket.OPEN;
+        FakeWebSocket.last = this;
+    }
+
+    send() {}
+
+    close() {}
+
+    receive(message) {
+        const event = new window.Event('message');
+        event.data = JSON.stringify(message);
+        this.dispatchEvent(event);
+    }
+}
+globalThis.WebSocket = FakeWebSocket;
+
+const { CONFIG } = await import('../config.js');
+CONFIG.SIMULATOR.DEVICE_COUNT = 0; // Nur die Fahrzeuge aus dem Verbund
+await bootApp();
+const { isScanRunning } = await import('../scanManager.js');
+const socket = FakeWebSocket.last;
+socket.dispatchEvent(new window.Event('open'));
+
+const $ = id => document.getElementById(id);
+$('btn-start-scan').click();
+await sleep(100);
+
+after(() => {
+    if (isScanRunning()) $('btn-start-scan').click();
+});
+
+function observe(scannerId, rssi) {
+    socket.receive({
+        type: 'observation',
+        scannerId: scannerId,
+        scannerName: scannerId,
+        deviceId: 'FTS-BRIDGE-1',
+        rssi: rssi,
+        t: Date.now(),
+        profile: { profileName: "Typ A", type: 'service', uuid: '0xfcf1' },
+        payload: '500001010402'
+    });
+}
+
+test('Pakete des schwächeren Scanners zählen in der Statistik', async () => {
+    assert.ok(isScanRunning());
+    observe('halle-1', -50);
+    for (let i = 0; i < 3; i++) observe('halle-2', -90);
+    await sleep(50);
+
+    const tile = document.querySelector('.fts-tile[data-device-id="FTS-BRIDGE-1"]');
+    assert.ok(tile);
+    tile.click();
+    await sleep(0);
+
+    assert.match($('inspector-stats').textContent, /Pakete: 4\b/);
+    assert.match($('inspector-stats').textContent, /-90,0 dBm/); // Minimum aus allen Scannern
+    assert.match($('inspector-rssi-current').textContent, /Roh: -50 dBm .* 1 Werte/);
+});
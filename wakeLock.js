@@ -0,0 +1,57 @@
+// wakeLock.js
+// Hält den Bildschirm während eines Scans an (Screen Wake Lock API).
+// Auf Handhelds schaltet sich sonst das Display ab, der Browser pausiert
+// die Seite und das Monitoring steht. Der Browser gibt die Sperre selbst frei,
+// sobald die Seite verborgen wird; beim Zurückkehren wird sie neu angefordert.
+
+import { createLogger } from './errorManager.js';
+import { t } from './i18n.js';
+
+const { log, warn } = createLogger('wakeLock');
+
+let sentinel = null;  // Aktive WakeLockSentinel
+let wanted = false;   // Soll die Sperre (wieder) bestehen?
+
+document.addEventListener('visibilitychange', () => {
+    if (wanted && document.visibilityState === 'visible' && !sentinel && 'wakeLock' in navigator) requestLock();
+});
+
+/**
+ * Fordert die Sperre an (z.B. beim Scan-Start).
+ */
+export function enableWakeLock() {
+    wanted = true;
+    if (!('wakeLock' in navigator)) {
+        warn(t('wakeLock.unavailable'));
+        return;
+    }
+    if (!sentinel) requestLock();
+}
+
+/**
+ * Gibt die Sperre frei (z.B. beim Scan-Stopp).
+ */
+export function disableWakeLock() {
+    wanted = false;
+    if (sentinel) sentinel.release().catch(() => {});
+    sentinel = null;
+}
+
+async function requestLock() {
+    try {
+        const lock = await navigator.wakeLock.request('screen');
+        // Zwischenzeitlich gestoppt: sofort wieder freigeben
+        if (!wanted) {
+            lock.release().catch(() => {});
+            return;
+        }
+        sentinel = lock;
+        sentinel.addEventListener('release', () => {
+            if (sentinel === lock) sentinel = null;
+        });
+        log(t('wakeLock.active'));
+    } catch (e) {
+        // z.B. Energiesparmodus oder Seite gerade nicht sichtbar
+        warn(t('wakeLock.failed', { message: e.message }));
+    }
+}